@@ -0,0 +1,231 @@
+/**
+ * Test Suite for alert suppression and digests
+ * Run with: npm run test:catalyst
+ */
+
+const batching = require("../lib/alert-batching");
+const { dispatchAlert } = require("../lib/alert-dispatch");
+
+const NOW = new Date("2025-06-10T12:20:00Z");
+
+const SETTINGS = batching.batchingSettings({});
+const FALLBACK = [{ type: "channel", id: "COMPLIANCE" }];
+
+/**
+ * In-memory tables; open suppressions and due digest items are filtered the
+ * way their queries ask
+ */
+function createApp() {
+  const tables = {
+    alert_dispatches: [],
+    alert_suppressions: [],
+    alert_digest_items: [],
+  };
+
+  return {
+    tables,
+    zcql: () => ({
+      executeZCQLQuery: jest.fn(async (query) => {
+        const name = /FROM (\w+)/.exec(query)[1];
+        let rows = tables[name];
+        if (name === "alert_suppressions") {
+          const key = /suppression_key = '([^']*)'/.exec(query)[1];
+          const after = /window_end > '([^']*)'/.exec(query)[1];
+          rows = rows.filter(
+            (r) => r.suppression_key === key && r.window_end > after
+          );
+        }
+        if (name === "alert_digest_items") {
+          const due = /digest_at <= '([^']*)'/.exec(query)[1];
+          rows = rows.filter(
+            (r) => r.status === "pending" && r.digest_at <= due
+          );
+        }
+        return rows.map((r) => ({ [name]: r }));
+      }),
+    }),
+    datastore: () => ({
+      table: (name) => ({
+        insertRow: jest.fn(async (row) => {
+          tables[name].push({ ...row, ROWID: String(tables[name].length + 1) });
+          return tables[name][tables[name].length - 1];
+        }),
+        updateRow: jest.fn(async (row) => {
+          Object.assign(
+            tables[name].find((r) => r.ROWID === row.ROWID),
+            row
+          );
+          return row;
+        }),
+      }),
+    }),
+  };
+}
+
+function createOutbound() {
+  let id = 0;
+  return {
+    broadcast: jest.fn(async (targets) =>
+      targets.map((t) => ({
+        ...t,
+        delivered: true,
+        attempts: 1,
+        message_id: "M" + ++id,
+        chat_id: "CT_" + t.id,
+      }))
+    ),
+    edit: jest.fn(async (sent) => ({ target: sent, attempts: 1 })),
+  };
+}
+
+function riskAlert(event, options) {
+  return dispatchAlert(
+    options.app,
+    {
+      alert: { text: "Risk", card: { title: "Risk", sections: [] } },
+      event,
+      kind: "risk",
+      fallbackTargets: FALLBACK,
+    },
+    { now: options.now || NOW, outbound: options.outbound, rules: [] }
+  );
+}
+
+describe("Alert Batching", () => {
+  test("should read settings and schedule digests", () => {
+    expect(SETTINGS).toEqual({
+      suppressionMinutes: 60,
+      digest: "hourly",
+      digestLevels: ["Low", "Medium"],
+      digestHour: 9,
+    });
+    expect(() => batching.batchingSettings({ ALERT_DIGEST: "weekly" })).toThrow(
+      "Invalid ALERT_DIGEST"
+    );
+
+    expect(batching.nextDigestAt(SETTINGS, NOW)).toEqual(
+      new Date("2025-06-10T13:00:00Z")
+    );
+    expect(
+      batching.nextDigestAt({ ...SETTINGS, digest: "daily" }, NOW)
+    ).toEqual(new Date("2025-06-11T09:00:00Z"));
+    expect(batching.isDigestible({ risk_level: "medium" }, SETTINGS)).toBe(
+      true
+    );
+    expect(
+      batching.isDigestible(
+        { risk_level: "Medium" },
+        { ...SETTINGS, digest: "off" }
+      )
+    ).toBe(false);
+  });
+
+  test("should count repeats on the original card inside the window", async () => {
+    const app = createApp();
+    const outbound = createOutbound();
+    const event = {
+      event_id: "1",
+      channel_id: "C1",
+      regulation: "GDPR",
+      event_type: "risk_discussion",
+      risk_level: "High",
+    };
+
+    await riskAlert(event, { app, outbound });
+    const second = await riskAlert(
+      { ...event, event_id: "2" },
+      { app, outbound }
+    );
+    const third = await riskAlert(
+      { ...event, event_id: "3" },
+      { app, outbound }
+    );
+
+    expect(outbound.broadcast).toHaveBeenCalledTimes(1);
+    expect(outbound.broadcast.mock.calls[0][1].sync_message).toBe(true);
+    expect(second).toMatchObject({ suppressed: true, similar_count: 1 });
+    expect(third.similar_count).toBe(2);
+
+    const [sent, card] = outbound.edit.mock.calls[1];
+    expect(sent).toMatchObject({ message_id: "M1", chat_id: "CT_COMPLIANCE" });
+    expect(card.card.sections).toEqual([
+      {
+        id: "similar",
+        title: "Similar Events",
+        data: [{ key: "Since this alert", value: "2 more similar events" }],
+      },
+    ]);
+    expect(app.tables.alert_suppressions[0].similar_event_ids).toBe(
+      JSON.stringify(["2", "3"])
+    );
+
+    // A different event type, or the same one after the window, alerts again
+    await riskAlert({ ...event, event_type: "approval" }, { app, outbound });
+    await riskAlert(event, {
+      app,
+      outbound,
+      now: new Date("2025-06-10T13:30:00Z"),
+    });
+    expect(outbound.broadcast).toHaveBeenCalledTimes(3);
+  });
+
+  test("should batch Low and Medium alerts into one digest per target", async () => {
+    const app = createApp();
+    const outbound = createOutbound();
+    const base = {
+      channel_id: "C1",
+      channel_name: "#legal",
+      regulation: "SOC2",
+      event_type: "approval",
+    };
+
+    const queued = await riskAlert(
+      { ...base, event_id: "1", risk_level: "Low" },
+      { app, outbound }
+    );
+    await riskAlert(
+      {
+        ...base,
+        event_id: "2",
+        risk_level: "Medium",
+        evidence_url: "https://x/2",
+      },
+      { app, outbound }
+    );
+    await riskAlert(
+      { ...base, event_id: "3", risk_level: "Low", event_type: "decision" },
+      { app, outbound }
+    );
+
+    expect(queued.digest_at).toBe("2025-06-10 13:00:00");
+    expect(outbound.broadcast).not.toHaveBeenCalled();
+
+    // Nothing is due before the digest time
+    expect(await batching.sendDueDigests(app, { now: NOW, outbound })).toEqual({
+      items: 0,
+      digests: 0,
+      sent: 0,
+    });
+
+    const result = await batching.sendDueDigests(app, {
+      now: new Date("2025-06-10T13:00:00Z"),
+      outbound,
+    });
+
+    expect(result).toEqual({ items: 3, digests: 1, sent: 1 });
+    const [targets, digest] = outbound.broadcast.mock.calls[0];
+    expect(targets).toEqual([{ type: "channel", id: "COMPLIANCE" }]);
+    expect(digest.text).toContain("3 lower-risk events");
+    expect(digest.card.sections.map((s) => s.title)).toEqual([
+      "SOC2 approval in #legal (2)",
+      "SOC2 decision in #legal (1)",
+    ]);
+    expect(digest.card.sections[0].data[1]).toEqual({
+      key: "Medium",
+      value: "[approval](https://x/2)",
+    });
+    expect(
+      app.tables.alert_digest_items.every((i) => i.status === "sent")
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * Test Suite for alert routing rules and escalation
+ * Run with: npm run test:catalyst
+ */
+
+const routing = require("../lib/alert-routing");
+const {
+  dispatchAlert,
+  loadRoutingRules,
+  processDueDispatches,
+} = require("../lib/alert-dispatch");
+
+const NOW = new Date("2025-06-10T12:00:00Z");
+
+const RULES = [
+  {
+    rule_id: "1",
+    name: "GDPR to DPO",
+    priority: 10,
+    match_regulation: "GDPR",
+    targets: "channel:DPO",
+    escalate_after_hours: 4,
+    escalation_targets: "user:dpo-lead",
+  },
+  {
+    rule_id: "2",
+    name: "HIPAA to security",
+    priority: 10,
+    match_regulation: "HIPAA",
+    targets: "channel:SECURITY",
+    quiet_start: "22:00",
+    quiet_end: "07:00",
+    quiet_timezone: "America/New_York",
+  },
+  {
+    rule_id: "3",
+    name: "Critical to CISO",
+    priority: 20,
+    match_risk_level: "Critical",
+    targets: JSON.stringify(["user:ciso"]),
+  },
+].map(routing.parseRule);
+
+const FALLBACK = [{ type: "channel", id: "COMPLIANCE" }];
+
+/**
+ * In-memory alert_dispatches and compliance_events tables
+ */
+function createApp(events = []) {
+  const tables = {
+    alert_dispatches: [],
+    alert_suppressions: [],
+    compliance_events: events,
+  };
+
+  return {
+    tables,
+    zcql: () => ({
+      executeZCQLQuery: jest.fn(async (query) => {
+        const name = /FROM (\w+)/.exec(query)[1];
+        let rows = tables[name];
+        const original = /original_event_id = (\d+)/.exec(query);
+        const eventId = /WHERE event_id = (\d+)/.exec(query);
+        if (original) {
+          rows = rows.filter(
+            (r) => r.original_event_id === original[1] && !r.superseded_by
+          );
+        } else if (eventId) {
+          rows = rows.filter((r) => r.event_id === eventId[1]);
+        }
+        if (name === "alert_dispatches") {
+          const status = /status = '(\w+)'/.exec(query)[1];
+          rows = rows.filter(
+            (r) =>
+              r.status === status &&
+              (!query.includes("escalate_at") || r.escalate_at)
+          );
+        }
+        return rows.map((r) => ({ [name]: r }));
+      }),
+    }),
+    datastore: () => ({
+      table: (name) => ({
+        insertRow: jest.fn(async (row) => {
+          tables[name].push({ ...row, ROWID: String(tables[name].length + 1) });
+          return tables[name][tables[name].length - 1];
+        }),
+        updateRow: jest.fn(async (row) => {
+          Object.assign(
+            tables[name].find((r) => r.ROWID === row.ROWID),
+            row
+          );
+          return row;
+        }),
+      }),
+    }),
+  };
+}
+
+function createOutbound() {
+  return {
+    broadcast: jest.fn(async (targets) =>
+      targets.map((t) => ({ ...t, delivered: true, attempts: 1 }))
+    ),
+  };
+}
+
+describe("Alert Routing", () => {
+  test("should route by regulation and add the CISO for Critical", () => {
+    const plans = routing.planRouting(
+      RULES,
+      { regulation: "gdpr", risk_level: "Critical" },
+      { now: NOW, fallbackTargets: FALLBACK }
+    );
+
+    expect(plans.map((p) => p.rule_name)).toEqual([
+      "GDPR to DPO",
+      "Critical to CISO",
+    ]);
+    expect(plans[1].targets).toEqual([{ type: "user", id: "ciso" }]);
+    expect(plans[0].escalate_at).toEqual(new Date("2025-06-10T16:00:00Z"));
+  });
+
+  test("should fall back when no rule matches and honour stop_processing", () => {
+    expect(
+      routing.planRouting(
+        RULES,
+        { regulation: "SOC2", risk_level: "High" },
+        {
+          now: NOW,
+          fallbackTargets: FALLBACK,
+        }
+      )
+    ).toMatchObject([{ rule_id: null, targets: FALLBACK }]);
+
+    const stopping = routing.parseRule({
+      rule_id: "9",
+      priority: 0,
+      match_regulation: "GDPR",
+      targets: "channel:DPO",
+      stop_processing: "true",
+    });
+    expect(
+      routing
+        .planRouting([...RULES, stopping], {
+          regulation: "GDPR",
+          risk_level: "Critical",
+        })
+        .map((p) => p.rule_id)
+    ).toEqual(["9"]);
+  });
+
+  test("should hold alerts in quiet hours unless they are Critical", () => {
+    // 03:00 in New York
+    const night = new Date("2025-06-10T07:00:00Z");
+    const [rule] = routing.planRouting(
+      RULES,
+      { regulation: "HIPAA", risk_level: "High" },
+      { now: night }
+    );
+
+    expect(rule.send_after).toEqual(new Date("2025-06-10T11:00:00Z"));
+    expect(routing.quietUntil(RULES[1], "Critical", night)).toBeNull();
+    expect(routing.quietUntil(RULES[1], "High", NOW)).toBeNull();
+  });
+
+  test("should skip rules with bad quiet hours and load the rest", async () => {
+    const rows = [
+      { rule_id: "1", targets: "channel:DPO" },
+      {
+        rule_id: "2",
+        targets: "channel:SECURITY",
+        quiet_start: "25:00",
+        quiet_end: "07:00",
+      },
+      {
+        rule_id: "3",
+        targets: "channel:LEGAL",
+        quiet_start: "22:00",
+        quiet_end: "07:00",
+        quiet_timezone: "Mars/Olympus_Mons",
+      },
+    ];
+    const zcql = {
+      executeZCQLQuery: jest.fn(async () =>
+        rows.map((r) => ({ alert_routing_rules: r }))
+      ),
+    };
+    const log = jest.fn();
+
+    const rules = await loadRoutingRules(zcql, log);
+
+    expect(rules.map((r) => r.rule_id)).toEqual(["1"]);
+    expect(log.mock.calls.map(([message]) => message)).toEqual([
+      expect.stringContaining("rule 2: Invalid quiet hours time"),
+      expect.stringContaining("rule 3: Invalid quiet hours timezone"),
+    ]);
+  });
+
+  test("should send each target once and record a dispatch per rule", async () => {
+    const app = createApp();
+    const outbound = createOutbound();
+
+    const result = await dispatchAlert(
+      app,
+      {
+        alert: { text: "Risk" },
+        event: { event_id: "42", regulation: "GDPR", risk_level: "Critical" },
+        kind: "risk",
+        extraTargets: [{ type: "channel", id: "DPO" }],
+        fallbackTargets: FALLBACK,
+      },
+      { now: NOW, outbound, rules: RULES }
+    );
+
+    expect(outbound.broadcast).toHaveBeenCalledTimes(1);
+    expect(outbound.broadcast.mock.calls[0][0]).toEqual([
+      { type: "channel", id: "DPO" },
+      { type: "user", id: "ciso" },
+    ]);
+    expect(result.dispatches.map((d) => d.status)).toEqual(["sent", "sent"]);
+    expect(app.tables.alert_dispatches[0]).toMatchObject({
+      rule_id: "1",
+      alert_kind: "risk",
+      escalate_at: "2025-06-10 16:00:00",
+    });
+  });
+
+  test("should release deferred alerts and escalate unacknowledged events", async () => {
+    const app = createApp([
+      {
+        event_id: "42",
+        event_type: "approval",
+        regulation: "GDPR",
+        status: null,
+      },
+    ]);
+    app.tables.alert_dispatches.push(
+      {
+        ROWID: "1",
+        event_id: "41",
+        status: "deferred",
+        send_after: "2025-06-10 11:00:00",
+        payload: JSON.stringify({ text: "Held" }),
+        targets: JSON.stringify([{ type: "channel", id: "SECURITY" }]),
+      },
+      {
+        ROWID: "2",
+        event_id: "42",
+        status: "sent",
+        sent_at: "2025-06-10 07:00:00",
+        escalate_at: "2025-06-10 11:00:00",
+        escalation_targets: JSON.stringify([{ type: "user", id: "dpo-lead" }]),
+      }
+    );
+    const outbound = createOutbound();
+
+    const result = await processDueDispatches(app, { now: NOW, outbound });
+
+    expect(result).toEqual({ released: 1, escalated: 1, closed: 0 });
+    expect(outbound.broadcast.mock.calls[1][0]).toEqual([
+      { type: "user", id: "dpo-lead" },
+    ]);
+    expect(outbound.broadcast.mock.calls[1][1].text).toContain("5 hours");
+    expect(app.tables.alert_dispatches.map((d) => d.status)).toEqual([
+      "sent",
+      "escalated",
+    ]);
+  });
+
+  test("should judge escalations on the event's current revision", async () => {
+    const app = createApp([
+      {
+        event_id: "51",
+        event_type: "approval",
+        regulation: "GDPR",
+        status: null,
+        superseded_by: "52",
+      },
+      {
+        event_id: "52",
+        event_type: "approval",
+        regulation: "GDPR",
+        status: "Under Review",
+        original_event_id: "51",
+      },
+    ]);
+    app.tables.alert_dispatches.push({
+      ROWID: "1",
+      event_id: "51",
+      status: "sent",
+      sent_at: "2025-06-10 07:00:00",
+      escalate_at: "2025-06-10 11:00:00",
+      escalation_targets: JSON.stringify([{ type: "user", id: "dpo-lead" }]),
+    });
+    const outbound = createOutbound();
+
+    const result = await processDueDispatches(app, { now: NOW, outbound });
+
+    // The edited message was picked up for review, so nobody is chased
+    expect(result).toEqual({ released: 0, escalated: 0, closed: 1 });
+    expect(outbound.broadcast).not.toHaveBeenCalled();
+  });
+});
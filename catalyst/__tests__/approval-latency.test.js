@@ -0,0 +1,165 @@
+/**
+ * Test Suite for approval latency and SLA analytics
+ * Run with: npm run test:catalyst
+ */
+
+const approvalLatency = require("../lib/approval-latency");
+const riskEngine = require("../lib/risk-engine");
+
+const NOW = new Date("2025-06-10 09:00:00");
+
+function event(id, createdAt, overrides = {}) {
+  return {
+    event_id: id,
+    message_id: "m" + id,
+    thread_id: null,
+    channel_id: "C1",
+    channel_name: "product-team",
+    project_id: "P1",
+    event_type: "approval",
+    regulation: "SOC2",
+    user_name: "Ana",
+    created_at: createdAt,
+    ...overrides,
+  };
+}
+
+const EVENTS = [
+  event(1, "2025-06-01 09:00:00", {
+    regulation: "GDPR",
+    message_text: "Can you approve the DPA update? @legal",
+  }),
+  // Reply in the request's thread
+  event(2, "2025-06-02 15:00:00", {
+    regulation: "GDPR",
+    thread_id: "m1",
+    user_name: "Lee",
+    message_text: "Approved.",
+  }),
+  event(3, "2025-06-03 10:00:00", {
+    message_text: "Need sign-off on the access review",
+  }),
+  // No HIPAA request to answer
+  event(4, "2025-06-03 11:00:00", {
+    regulation: "HIPAA",
+    user_name: "Lee",
+    message_text: "Approved the PHI export",
+  }),
+  event(5, "2025-06-03 14:00:00", {
+    user_name: "Kim",
+    message_text: "Signed off on the access review",
+  }),
+  // Asked in another thread, so the channel approval below doesn't answer it
+  event(6, "2025-06-04 09:00:00", {
+    thread_id: "m90",
+    message_text: "Please approve the vendor questionnaire",
+  }),
+  event(7, "2025-06-04 10:00:00", {
+    user_name: "Kim",
+    message_text: "LGTM, approved",
+  }),
+  event(8, "2025-06-05 10:00:00", {
+    event_type: "risk_discussion",
+    message_text: "This could be a problem",
+  }),
+];
+
+const TARGETS = approvalLatency.slaTargets({
+  APPROVAL_SLA_HOURS_BY_REGULATION: "GDPR:24",
+});
+
+describe("Approval Latency", () => {
+  test("should tell requests from approvals", () => {
+    expect(EVENTS.map((e) => approvalLatency.classifyApproval(e))).toEqual([
+      "request",
+      "approval",
+      "request",
+      "approval",
+      "approval",
+      "request",
+      "approval",
+      null,
+    ]);
+    expect(
+      approvalLatency.classifyApproval({
+        event_type: "decision",
+        message_text: "Still waiting for legal approval",
+      })
+    ).toBe("request");
+  });
+
+  test("should read SLA targets from the environment", () => {
+    expect(
+      approvalLatency.slaTargets({
+        APPROVAL_SLA_HOURS: "36",
+        APPROVAL_SLA_HOURS_BY_REGULATION: "gdpr:24, HIPAA:12, bad",
+      })
+    ).toEqual({ default_hours: 36, by_regulation: { GDPR: 24, HIPAA: 12 } });
+    expect(approvalLatency.slaTargets({}).default_hours).toBe(
+      approvalLatency.DEFAULT_SLA_HOURS
+    );
+  });
+
+  test("should pair approvals in the same thread, project and regulation", () => {
+    const { pairs, open } = approvalLatency.pairApprovals(EVENTS, NOW);
+
+    expect(
+      pairs.map((p) => [
+        p.request_event_id,
+        p.approval_event_id,
+        p.approver,
+        p.latency_hours,
+      ])
+    ).toEqual([
+      [1, 2, "Lee", 30],
+      [3, 5, "Kim", 4],
+    ]);
+    expect(open).toEqual([
+      expect.objectContaining({ request_event_id: 6, age_hours: 144 }),
+    ]);
+
+    // Another project's approval never answers P1's request
+    const other = approvalLatency.pairApprovals(
+      [EVENTS[2], { ...EVENTS[4], project_id: "P2" }],
+      NOW
+    );
+    expect(other.pairs).toHaveLength(0);
+  });
+
+  test("should report median, p90 and SLA breaches per group", () => {
+    const stats = approvalLatency.latencyStats(
+      approvalLatency.pairApprovals(EVENTS, NOW),
+      TARGETS
+    );
+
+    expect(stats.overall).toEqual({
+      approvals: 2,
+      median_hours: 17,
+      p90_hours: 27.4,
+      breaches: 1,
+      breach_rate: 0.5,
+      open_requests: 1,
+      open_breaches: 1,
+    });
+    // 30h is within the default 48h but past GDPR's 24h
+    expect(stats.by_approver.Lee).toMatchObject({ breaches: 1 });
+    expect(stats.by_approver.Kim).toMatchObject({ breaches: 0 });
+    expect(Object.keys(stats.by_regulation)).toEqual(["GDPR", "SOC2"]);
+    expect(stats.by_team["product-team"].approvals).toBe(2);
+    expect(stats.breaches.map((b) => [b.status, b.over_hours])).toEqual([
+      ["open", 96],
+      ["late", 6],
+    ]);
+  });
+
+  test("should feed approval latency to team_response_time", () => {
+    const { pairs } = approvalLatency.pairApprovals(EVENTS, NOW);
+    const features = riskEngine.extractFeatures(
+      EVENTS,
+      [{ avg_response_time_hours: 80 }],
+      { now: NOW, teamResponseTime: approvalLatency.meanLatency(pairs) }
+    );
+    expect(features.team_response_time).toBe(17);
+    expect(approvalLatency.meanLatency([])).toBeNull();
+  });
+});
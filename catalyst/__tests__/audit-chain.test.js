@@ -0,0 +1,188 @@
+/**
+ * Test Suite for Audit Chain verification
+ * Run with: npm run test:catalyst
+ */
+
+const auditChain = require("../lib/audit-chain");
+
+function buildChain(payloads) {
+  let previousHash = auditChain.GENESIS_HASH;
+  return payloads.map((payload, index) => {
+    const auditJson = JSON.stringify(payload);
+    const reportHash = auditChain.computeAuditHash(auditJson, previousHash);
+    const record = {
+      log_id: index + 1,
+      project_id: payload.project_id,
+      period_start: payload.period_start,
+      audit_data: auditJson,
+      previous_hash: previousHash,
+      report_hash: reportHash,
+    };
+    previousHash = reportHash;
+    return record;
+  });
+}
+
+const PAYLOADS = [
+  { project_id: "apollo", period_start: "2025-06-01", events: [] },
+  { project_id: "apollo", period_start: "2025-06-02", events: [] },
+  { project_id: "gemini", period_start: "2025-06-03", events: [] },
+];
+
+describe("Audit Chain", () => {
+  describe("verifyChain", () => {
+    test("should accept an intact chain", () => {
+      expect(auditChain.verifyChain(buildChain(PAYLOADS))).toEqual([]);
+    });
+
+    test("should report edited audit data as a hash mismatch", () => {
+      const records = buildChain(PAYLOADS);
+      records[1].audit_data = records[1].audit_data.replace("06-02", "06-09");
+
+      const broken = auditChain.verifyChain(records);
+
+      expect(broken).toHaveLength(1);
+      expect(broken[0]).toMatchObject({ log_id: 2, reason: "hash_mismatch" });
+    });
+
+    test("should report a record that doesn't link to its predecessor", () => {
+      const records = buildChain(PAYLOADS);
+      records.splice(1, 1);
+
+      const broken = auditChain.verifyChain(records);
+
+      expect(broken[0]).toMatchObject({
+        log_id: 3,
+        reason: "previous_hash_mismatch",
+      });
+    });
+  });
+
+  describe("chainDailyRecords", () => {
+    const ENTRIES = ["gemini::GDPR", "apollo::SOX", "apollo::GDPR"].map(
+      (key) => {
+        const [projectId, regulation] = key.split("::");
+        return {
+          projectId,
+          regulation,
+          auditData: { project_id: projectId, regulation, events: [] },
+        };
+      }
+    );
+
+    function chainDay() {
+      const { groups, anchor } = auditChain.chainDailyRecords(ENTRIES, {
+        date: "2025-06-01",
+        previousHash: auditChain.GENESIS_HASH,
+        previousAnchorHash: auditChain.GENESIS_HASH,
+      });
+      const toRecord = (r, i) => ({
+        ...r,
+        log_id: i + 1,
+        project_id: r.projectId || "all",
+        period_start: "2025-06-01",
+        merkle_proof: JSON.stringify(r.merkle_proof),
+      });
+      return {
+        groups: groups.map(toRecord),
+        anchor: toRecord(anchor, groups.length),
+      };
+    }
+
+    test("should chain sorted groups and end with the anchor", () => {
+      const { groups, anchor } = chainDay();
+
+      expect(groups.map((g) => g.projectId + "::" + g.regulation)).toEqual([
+        "apollo::GDPR",
+        "apollo::SOX",
+        "gemini::GDPR",
+      ]);
+      expect(auditChain.verifyChain(groups.concat(anchor))).toEqual([]);
+      expect(
+        auditChain.verifyAnchors([anchor], auditChain.GENESIS_HASH, {
+          "2025-06-01": groups,
+        })
+      ).toEqual([]);
+    });
+
+    test("should verify one project's slice from its records and the anchor", () => {
+      const { groups, anchor } = chainDay();
+      const apollo = groups.filter((g) => g.project_id === "apollo");
+
+      expect(auditChain.verifySlice(apollo, [anchor])).toEqual([]);
+
+      apollo[1].audit_data = apollo[1].audit_data.replace("SOX", "HIPAA");
+      expect(auditChain.verifySlice(apollo, [anchor])).toEqual([
+        expect.objectContaining({ log_id: 2, reason: "hash_mismatch" }),
+      ]);
+    });
+
+    test("should reject a record that is not under the day's Merkle root", () => {
+      const { groups, anchor } = chainDay();
+      const other = chainDay().groups[0];
+      other.merkle_proof = groups[1].merkle_proof;
+
+      expect(auditChain.verifySlice([other], [anchor])).toEqual([
+        expect.objectContaining({ reason: "merkle_proof_invalid" }),
+      ]);
+    });
+  });
+
+  describe("buildMerkleTree", () => {
+    test("should produce proofs for an odd number of leaves", () => {
+      const leaves = ["a", "b", "c", "d", "e"].map((l) =>
+        auditChain.computeAuditHash(l, "")
+      );
+      const { root, proofs } = auditChain.buildMerkleTree(leaves);
+
+      leaves.forEach((leaf, i) => {
+        expect(auditChain.verifyMerkleProof(leaf, proofs[i], root)).toBe(true);
+      });
+      expect(auditChain.verifyMerkleProof(leaves[0], proofs[1], root)).toBe(
+        false
+      );
+    });
+  });
+
+  describe("findMissingDays", () => {
+    test("should only report days that had events but no export", () => {
+      const missing = auditChain.findMissingDays(
+        "2025-06-01",
+        "2025-06-04",
+        ["2025-06-01", "2025-06-03"],
+        ["2025-06-01", "2025-06-02", "2025-06-03"]
+      );
+
+      expect(missing).toEqual(["2025-06-02"]);
+    });
+  });
+
+  describe("diffExportedEvents", () => {
+    test("should flag changed and deleted events", () => {
+      const exported = [
+        auditChain.toAuditEvent({
+          event_id: 1,
+          event_type: "approval",
+          risk_level: "High",
+          user_name: "Jane",
+        }),
+        auditChain.toAuditEvent({ event_id: 2, event_type: "decision" }),
+        auditChain.toAuditEvent({ event_id: 3, event_type: "milestone" }),
+      ];
+      const current = [
+        {
+          event_id: "1",
+          event_type: "approval",
+          risk_level: "Low",
+          user_name: "Jane",
+        },
+        { event_id: "3", event_type: "milestone" },
+      ];
+
+      expect(auditChain.diffExportedEvents(exported, current)).toEqual([
+        { event_id: 1, deleted: false, fields: ["risk_level"] },
+        { event_id: 2, deleted: true, fields: [] },
+      ]);
+    });
+  });
+});
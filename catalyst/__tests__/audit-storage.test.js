@@ -0,0 +1,155 @@
+/**
+ * Test Suite for Audit Storage
+ * Run with: npm run test:catalyst
+ */
+
+const http = require("http");
+const auditChain = require("../lib/audit-chain");
+const auditStorage = require("../lib/audit-storage");
+
+/**
+ * Minimal MinIO-style stand-in: path-style PUT/GET of objects in memory
+ */
+function startS3StandIn() {
+  const objects = {};
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers });
+
+      if (!/^AWS4-HMAC-SHA256 Credential=/.test(req.headers.authorization)) {
+        res.statusCode = 403;
+        return res.end();
+      }
+
+      if (req.method === "PUT") {
+        objects[req.url] = {
+          body: Buffer.concat(chunks),
+          headers: req.headers,
+        };
+        res.statusCode = 200;
+        return res.end();
+      }
+
+      const object = objects[req.url];
+      res.statusCode = object ? 200 : 404;
+      res.end(object ? object.body : undefined);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        objects,
+        requests,
+        endpoint: "http://127.0.0.1:" + server.address().port,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+function buildRecord() {
+  const auditData = JSON.stringify({ project_id: "apollo", events: [] });
+  return {
+    project_id: "apollo",
+    period_start: "2025-06-01",
+    audit_data: auditData,
+    previous_hash: auditChain.GENESIS_HASH,
+    report_hash: auditChain.computeAuditHash(
+      auditData,
+      auditChain.GENESIS_HASH
+    ),
+  };
+}
+
+describe("Audit Storage", () => {
+  let s3;
+  let env;
+
+  beforeEach(async () => {
+    s3 = await startS3StandIn();
+    env = {
+      ENABLE_EXTERNAL_STORAGE: "true",
+      AWS_S3_ENDPOINT: s3.endpoint,
+      AWS_S3_BUCKET: "compliance-audit-logs",
+      AWS_ACCESS_KEY_ID: "minio",
+      AWS_SECRET_ACCESS_KEY: "minio-secret",
+      AUDIT_RETENTION_DAYS: "365",
+    };
+  });
+
+  afterEach(() => s3.close());
+
+  test("should store the audit JSON in S3 with retention metadata", async () => {
+    const record = buildRecord();
+    const storage = auditStorage.createAuditStorage(null, env);
+
+    const result = await auditStorage.storeAuditArtifact(storage, record);
+
+    const path =
+      "/compliance-audit-logs/audit-logs/apollo/2025-06-01/" +
+      record.report_hash +
+      ".json";
+    expect(result).toMatchObject({
+      backend: "s3",
+      url: s3.endpoint + path,
+      retention_days: 365,
+    });
+    expect(s3.objects[path].body.toString()).toBe(record.audit_data);
+    expect(s3.objects[path].headers).toMatchObject({
+      "x-amz-meta-report-hash": record.report_hash,
+      "x-amz-meta-retain-until": result.retain_until,
+    });
+  });
+
+  test("should fail the read-back check when stored bytes differ", async () => {
+    const record = buildRecord();
+    const storage = auditStorage.createAuditStorage(null, env);
+    const put = storage.put;
+    storage.put = (key, body, metadata) =>
+      put(
+        key,
+        Buffer.from(body.toString().replace("apollo", "gemini")),
+        metadata
+      );
+
+    await expect(
+      auditStorage.storeAuditArtifact(storage, record)
+    ).rejects.toThrow("does not hash to report_hash");
+  });
+
+  test("should default to Catalyst File Storage", async () => {
+    const files = {};
+    const app = {
+      filestore: () => ({
+        folder: () => ({
+          uploadFile: async ({ code, name }) => {
+            const chunks = [];
+            for await (const chunk of code) chunks.push(chunk);
+            files["7"] = Buffer.concat(chunks);
+            return { id: 7, file_url: "https://files.example/" + name };
+          },
+          downloadFile: async (id) => files[id],
+        }),
+      }),
+      getProjectId: () => "p1",
+    };
+
+    const storage = auditStorage.createAuditStorage(app, {});
+    const result = await auditStorage.storeAuditArtifact(
+      storage,
+      buildRecord()
+    );
+
+    expect(result).toMatchObject({
+      backend: "filestore",
+      ref: "7",
+      retention_days: auditStorage.DEFAULT_RETENTION_DAYS,
+    });
+    expect(s3.requests).toEqual([]);
+  });
+});
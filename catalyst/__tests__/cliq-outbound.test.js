@@ -0,0 +1,196 @@
+/**
+ * Test Suite for Cliq outbound delivery
+ * Run with: npm run test:catalyst
+ */
+
+const http = require("http");
+const { createCliqClient } = require("../lib/cliq-outbound");
+
+/**
+ * Local mock Cliq API: records messages and answers with queued statuses
+ * (200 once the queue is empty)
+ */
+function startMockCliq() {
+  const received = [];
+  const responses = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      received.push({
+        method: req.method,
+        url: req.url,
+        authorization: req.headers.authorization,
+        body: JSON.parse(Buffer.concat(chunks).toString() || "null"),
+      });
+
+      const next = responses.shift() || { status: 200 };
+      res.writeHead(next.status, next.headers || {});
+      res.end(JSON.stringify(next.body || {}));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        received,
+        responses,
+        apiUrl: "http://127.0.0.1:" + server.address().port + "/api/v2",
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+describe("Cliq Outbound", () => {
+  let cliq;
+  let delays;
+  let deadLetters;
+
+  function client(options = {}) {
+    return createCliqClient({
+      apiUrl: cliq.apiUrl,
+      token: "test-token",
+      baseDelayMs: 100,
+      sleep: async (ms) => delays.push(ms),
+      deadLetter: async (entry) => deadLetters.push(entry),
+      ...options,
+    });
+  }
+
+  beforeEach(async () => {
+    cliq = await startMockCliq();
+    delays = [];
+    deadLetters = [];
+  });
+
+  afterEach(() => cliq.close());
+
+  test("should return message IDs and edit sent messages", async () => {
+    const outbound = client();
+    cliq.responses.push({
+      status: 200,
+      body: { message_id: "M1", chat_id: "CT1" },
+    });
+
+    const [sent] = await outbound.broadcast([{ type: "channel", id: "C1" }], {
+      text: "Risk",
+      sync_message: true,
+    });
+    await outbound.edit(sent, { text: "Risk (2 more)" });
+
+    expect(sent).toMatchObject({ message_id: "M1", chat_id: "CT1" });
+    expect(cliq.received[1]).toMatchObject({
+      method: "PUT",
+      url: "/api/v2/chats/CT1/messages/M1",
+      body: { text: "Risk (2 more)" },
+    });
+    await expect(
+      outbound.edit({ type: "channel", id: "C1" }, {})
+    ).rejects.toThrow("message_id");
+  });
+
+  test("should post cards to channels and DM users", async () => {
+    const outbound = client();
+    const alert = { text: "High risk", card: { title: "Risk" } };
+
+    await outbound.postToChannel("C1", alert);
+    await outbound.sendDirect("jane@acme.com", alert);
+
+    expect(cliq.received.map((r) => r.url)).toEqual([
+      "/api/v2/channels/C1/message",
+      "/api/v2/buddies/jane%40acme.com/message",
+    ]);
+    expect(cliq.received[0]).toMatchObject({
+      authorization: "Zoho-oauthtoken test-token",
+      body: alert,
+    });
+  });
+
+  test("should retry throttling and server errors with backoff", async () => {
+    cliq.responses.push(
+      { status: 503 },
+      { status: 429, headers: { "Retry-After": "2" } }
+    );
+
+    const result = await client().postToChannel("C1", { text: "hi" });
+
+    expect(result.attempts).toBe(3);
+    expect(cliq.received).toHaveLength(3);
+    expect(delays[0]).toBeGreaterThanOrEqual(100);
+    expect(delays[0]).toBeLessThan(200);
+    expect(delays[1]).toBe(2000);
+    expect(deadLetters).toEqual([]);
+  });
+
+  test("should dead-letter messages that keep failing", async () => {
+    cliq.responses.push({ status: 500 }, { status: 500 }, { status: 500 });
+
+    const error = await client({ maxAttempts: 3 })
+      .sendDirect("u1", { text: "hi" }, { source: "export-report" })
+      .catch((e) => e);
+
+    expect(error.deadLettered).toBe(true);
+    expect(error.attempts).toBe(3);
+    expect(deadLetters).toEqual([
+      expect.objectContaining({
+        target: { type: "user", id: "u1" },
+        message: { text: "hi" },
+        attempts: 3,
+        source: "export-report",
+        error: expect.stringContaining("HTTP 500"),
+      }),
+    ]);
+  });
+
+  test("should not retry client errors", async () => {
+    cliq.responses.push({ status: 404 });
+
+    const results = await client().broadcast(
+      [
+        { type: "channel", id: "gone" },
+        { type: "channel", id: "C2" },
+      ],
+      { text: "hi" }
+    );
+
+    expect(cliq.received).toHaveLength(2);
+    expect(results).toEqual([
+      expect.objectContaining({ id: "gone", delivered: false }),
+      expect.objectContaining({ id: "C2", delivered: true, attempts: 1 }),
+    ]);
+    expect(deadLetters).toHaveLength(1);
+  });
+
+  test("should reject sends to a missing or unknown target", async () => {
+    const outbound = client();
+
+    await expect(
+      outbound.send({ type: "channel" }, { text: "hi" })
+    ).rejects.toThrow("A channel or user ID is required");
+    await expect(
+      outbound.send({ type: "team", id: "T1" }, { text: "hi" })
+    ).rejects.toThrow("Unknown target type");
+    expect(cliq.received).toHaveLength(0);
+  });
+
+  test("should hold bursts beyond the rate limit", async () => {
+    const outbound = client({ rateLimit: 2, rateWindowMs: 60000 });
+    let now = 1000000;
+    const spy = jest.spyOn(Date, "now").mockImplementation(() => now);
+    delays = { push: (ms) => (now += ms) };
+
+    try {
+      await outbound.postToChannel("C1", { text: "1" });
+      await outbound.postToChannel("C1", { text: "2" });
+      await outbound.postToChannel("C1", { text: "3" });
+    } finally {
+      spy.mockRestore();
+    }
+
+    // The third message waited for the first to leave the window
+    expect(now).toBe(1060000);
+    expect(cliq.received).toHaveLength(3);
+  });
+});
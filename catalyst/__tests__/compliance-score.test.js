@@ -0,0 +1,98 @@
+/**
+ * Test Suite for the compliance scoring model
+ * Run with: npm run test:catalyst
+ */
+
+const {
+  createScorer,
+  scoreEvents,
+  explainScore,
+  regulationWeight,
+} = require("../lib/compliance-score");
+const model = require("../scoring-model.json");
+
+const NOW = new Date("2025-06-30T12:00:00Z");
+
+function event(overrides = {}) {
+  return {
+    event_id: 1,
+    event_type: "approval",
+    regulation: "SOC2",
+    risk_level: "Low",
+    status: "Accepted",
+    created_at: "2025-06-29 10:00:00",
+    ...overrides,
+  };
+}
+
+describe("Compliance Score", () => {
+  test("should score an empty period as neutral", () => {
+    expect(scoreEvents([], { now: NOW })).toBe(model.empty_score);
+  });
+
+  test("should deduct weighted penalties and list the events behind them", () => {
+    const explanation = explainScore(
+      [
+        event(),
+        event({
+          event_id: 2,
+          event_type: "data_handling",
+          regulation: "GDPR",
+          risk_level: "High",
+          status: "Under Review",
+          deadline: "2025-06-01",
+          evidence_url: "https://cliq.zoho.com/messages/2",
+        }),
+      ],
+      { now: NOW }
+    );
+
+    const factors = {};
+    explanation.factors.forEach((f) => (factors[f.factor] = f));
+
+    // GDPR penalties carry a 1.2 weight
+    expect(factors.high_risk_pending.points).toBe(-6);
+    expect(factors.overdue.points).toBe(-12);
+    expect(factors.overdue.events).toEqual([
+      expect.objectContaining({
+        event_id: 2,
+        weight: 1.2,
+        points: -12,
+        evidence_url: "https://cliq.zoho.com/messages/2",
+      }),
+    ]);
+    expect(factors.coverage.points).toBe(4);
+    expect(factors.activity.points).toBe(10);
+    expect(explanation.score).toBe(96);
+  });
+
+  test("should ignore closed events and use configured penalties", () => {
+    const custom = {
+      ...model,
+      penalties: { high_risk_pending: 20, overdue: 0 },
+    };
+    const events = [
+      event({ risk_level: "Critical", status: null }),
+      event({ event_id: 2, risk_level: "Critical", status: "Resolved" }),
+    ];
+
+    // 100 - 20 + 2 (one type) + 10 (all recent)
+    expect(scoreEvents(events, { now: NOW, model: custom })).toBe(92);
+  });
+
+  test("should match batch scoring when fed one event at a time", () => {
+    const events = [
+      event({ risk_level: "High", status: null }),
+      event({ event_id: 2, created_at: "2025-05-01 10:00:00" }),
+    ];
+    const scorer = createScorer({ now: NOW });
+    events.forEach((e) => scorer.add(e));
+
+    expect(scorer.result()).toEqual(explainScore(events, { now: NOW }));
+  });
+
+  test("should match regulation weights loosely", () => {
+    expect(regulationWeight("pci-dss")).toBe(1.2);
+    expect(regulationWeight("SOX")).toBe(model.regulation_weights.default);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Test Suite for the daily analytics aggregation
+ * Run with: npm run test:catalyst
+ */
+
+const dailyAnalytics = require("../lib/daily-analytics");
+const { scoreEvents } = require("../lib/compliance-score");
+
+function event(id, createdAt, overrides = {}) {
+  return {
+    event_id: id,
+    project_id: "P1",
+    event_type: "approval",
+    regulation: "GDPR",
+    risk_level: "Low",
+    status: "Pending Review",
+    created_at: createdAt,
+    ...overrides,
+  };
+}
+
+const EVENTS = [
+  event(1, "2025-05-01 10:00:00"), // outside the score window of June 9
+  event(2, "2025-06-06 09:00:00", { event_type: "decision" }),
+  event(3, "2025-06-09 08:00:00", { risk_level: "High" }),
+  event(4, "2025-06-09 11:00:00", { status: "Accepted", regulation: "SOC2" }),
+];
+
+/**
+ * In-memory compliance_events, compliance_analytics and event_status_history
+ */
+function createApp(tables) {
+  return {
+    tables,
+    zcql: () => ({
+      executeZCQLQuery: jest.fn(async (query) => {
+        const name = /FROM (\w+)/.exec(query)[1];
+        return tables[name].map((r) => ({ [name]: r }));
+      }),
+    }),
+    datastore: () => ({
+      table: (name) => ({
+        insertRow: jest.fn(async (row) => {
+          tables[name].push({ ...row, ROWID: String(tables[name].length + 1) });
+          return row;
+        }),
+        updateRow: jest.fn(async (row) => {
+          Object.assign(
+            tables[name].find((r) => r.ROWID === row.ROWID),
+            row
+          );
+          return row;
+        }),
+      }),
+    }),
+  };
+}
+
+describe("Daily Analytics", () => {
+  test("should cover yesterday and the backfill window", () => {
+    const now = new Date("2025-06-10T02:00:00Z");
+    expect(dailyAnalytics.nightlyRange(now, {})).toEqual({
+      from: "2025-05-11",
+      to: "2025-06-09",
+    });
+    expect(
+      dailyAnalytics.nightlyRange(now, { ANALYTICS_BACKFILL_DAYS: "3" })
+    ).toEqual({ from: "2025-06-07", to: "2025-06-09" });
+  });
+
+  test("should build a day's row with the shared compliance score", () => {
+    const reviews = [
+      {
+        from_status: "Pending Review",
+        to_status: "Under Review",
+        changed_at: "2025-06-09 14:00:00",
+        event: EVENTS[2],
+      },
+      {
+        from_status: "Under Review",
+        to_status: "Accepted",
+        changed_at: "2025-06-09 15:00:00",
+        event: EVENTS[3],
+      },
+    ];
+    const row = dailyAnalytics.buildDailyRow(
+      "P1",
+      "2025-06-09",
+      EVENTS,
+      reviews
+    );
+
+    expect(row).toMatchObject({
+      project_id: "P1",
+      date: "2025-06-09",
+      total_events: 2,
+      high_risk_count: 1,
+      pending_approvals: 1,
+      avg_response_time_hours: 6,
+      team_velocity: 1,
+      events_by_regulation: JSON.stringify({ GDPR: 1, SOC2: 1 }),
+    });
+    expect(row.compliance_score).toBe(
+      scoreEvents(EVENTS.slice(1), { now: new Date("2025-06-10T00:00:00Z") })
+    );
+  });
+
+  test("should backfill missed days and roll up the last 7 and 30", async () => {
+    const app = createApp({
+      compliance_events: EVENTS.slice(1),
+      // A row written during ingestion, before the nightly rebuild
+      compliance_analytics: [
+        {
+          ROWID: "1",
+          project_id: "P1",
+          date: "2025-06-09",
+          total_events: 1,
+          compliance_score: 40,
+        },
+      ],
+      event_status_history: [],
+    });
+
+    const result = await dailyAnalytics.rebuildDailyAnalytics(app, {
+      from: "2025-06-01",
+      to: "2025-06-09",
+      now: new Date("2025-06-10T02:00:00Z"),
+    });
+
+    // Nothing before the project's first event on June 6
+    expect(result).toEqual({ projects: 1, updated: 1, backfilled: 3 });
+
+    const rows = app.tables.compliance_analytics;
+    expect(rows.map((r) => [r.date, r.total_events])).toEqual([
+      ["2025-06-09", 2],
+      ["2025-06-06", 1],
+      ["2025-06-07", 0],
+      ["2025-06-08", 0],
+    ]);
+    expect(rows[0]).toMatchObject({
+      events_7d: 3,
+      events_30d: 3,
+      high_risk_7d: 1,
+      created_at: "2025-06-10 02:00:00",
+    });
+    expect(rows[0].compliance_score_7d).toBeCloseTo(
+      rows.reduce((s, r) => s + r.compliance_score, 0) / 4,
+      1
+    );
+  });
+});
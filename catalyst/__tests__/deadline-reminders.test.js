@@ -0,0 +1,233 @@
+/**
+ * Test Suite for deadline reminders
+ * Run with: npm run test:catalyst
+ */
+
+jest.mock("zcatalyst-sdk-node");
+
+const reminders = require("../lib/deadline-reminders");
+const { runDeadlineReminders } = require("../cron/deadline-reminders");
+const { createCliqClient } = require("../lib/cliq-outbound");
+
+const NOW = new Date("2025-06-10T12:00:00Z");
+const SCHEDULE = reminders.parseSchedule();
+
+function hoursFromNow(hours) {
+  return new Date(NOW.getTime() + hours * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * In-memory compliance_events, deadline_reminders, alert_routing_rules and
+ * alert_dispatches tables
+ */
+function createApp(events, rules = []) {
+  const sent = [];
+  const tables = {
+    compliance_events: events,
+    deadline_reminders: sent,
+    alert_routing_rules: rules,
+    alert_dispatches: [],
+  };
+
+  const app = {
+    sent,
+    tables,
+    zcql: () => ({
+      executeZCQLQuery: jest.fn(async (query) => {
+        const name = /FROM (\w+)/.exec(query)[1];
+        return tables[name].map((r) => ({ [name]: r }));
+      }),
+    }),
+    datastore: () => ({
+      table: (name) => ({
+        insertRow: jest.fn(async (row) => {
+          const rows = tables[name];
+          if (
+            row.dedupe_key &&
+            rows.some((r) => r.dedupe_key === row.dedupe_key)
+          ) {
+            throw new Error("Duplicate value for dedupe_key");
+          }
+          rows.push({ ...row, ROWID: String(rows.length + 1) });
+          return rows[rows.length - 1];
+        }),
+        updateRow: jest.fn(async (row) => {
+          Object.assign(
+            tables[name].find((r) => r.ROWID === row.ROWID),
+            row
+          );
+          return row;
+        }),
+        deleteRow: jest.fn(async (rowId) => {
+          const rows = tables[name];
+          rows.splice(
+            rows.findIndex((r) => r.ROWID === rowId),
+            1
+          );
+        }),
+      }),
+    }),
+  };
+
+  return app;
+}
+
+describe("Deadline Reminders", () => {
+  test("should parse schedules from earliest to most urgent", () => {
+    expect(reminders.parseSchedule("24h,overdue,7d")).toEqual([
+      { key: "7d", hours: 168 },
+      { key: "24h", hours: 24 },
+      { key: "overdue", hours: 0 },
+    ]);
+    expect(() => reminders.parseSchedule("soon")).toThrow("Invalid reminder");
+  });
+
+  test("should pick only the most urgent stage reached", () => {
+    const event = { deadline: hoursFromNow(20), status: "Pending Review" };
+
+    expect(reminders.dueReminder(event, [], SCHEDULE, NOW)).toMatchObject({
+      key: "24h",
+      overdue: false,
+    });
+    // An event already reminded at 24h doesn't fall back to 48h or 7d
+    expect(reminders.dueReminder(event, ["24h"], SCHEDULE, NOW)).toBeNull();
+    expect(
+      reminders.dueReminder(
+        { deadline: hoursFromNow(-3), status: "Under Review" },
+        ["24h"],
+        SCHEDULE,
+        NOW
+      )
+    ).toMatchObject({ key: "overdue", overdue: true });
+    expect(
+      reminders.dueReminder(
+        { deadline: hoursFromNow(-3), status: "Resolved" },
+        [],
+        SCHEDULE,
+        NOW
+      )
+    ).toBeNull();
+  });
+
+  test("should pick DM recipients out of stakeholders", () => {
+    expect(
+      reminders.stakeholderRecipients(
+        JSON.stringify([
+          "@jane",
+          "legal team",
+          "#security",
+          "ops@acme.com",
+          "55310021",
+          { name: "dpo@acme.com", type: "person" },
+          { name: "@lee", type: "person" },
+          "ops@acme.com",
+        ])
+      )
+    ).toEqual(["ops@acme.com", "55310021", "dpo@acme.com"]);
+  });
+
+  test("should send each due reminder once to the channel and stakeholders", async () => {
+    const app = createApp([
+      {
+        event_id: "11",
+        event_type: "approval",
+        regulation: "GDPR",
+        channel_id: "C1",
+        deadline: hoursFromNow(40),
+        status: null,
+        stakeholders: JSON.stringify(["@jane", "jane@acme.com"]),
+      },
+      {
+        event_id: "12",
+        event_type: "risk_discussion",
+        regulation: "SOC2",
+        channel_id: "C2",
+        deadline: hoursFromNow(10),
+        status: "Resolved",
+      },
+    ]);
+    const send = jest.fn(async (target) => ({ target, attempts: 1 }));
+    const outbound = createCliqClient({ sleep: async () => {} });
+    outbound.send = send;
+
+    const first = await runDeadlineReminders(app, { now: NOW, outbound });
+    const second = await runDeadlineReminders(app, { now: NOW, outbound });
+
+    expect(first).toEqual({ scanned: 1, due: 1, sent: 1, failed: 0 });
+    expect(second).toEqual({ scanned: 1, due: 0, sent: 0, failed: 0 });
+    expect(send.mock.calls.map(([target]) => target)).toEqual([
+      { type: "channel", id: "C1" },
+      { type: "user", id: "jane@acme.com" },
+    ]);
+    expect(send.mock.calls[0][1].card.title).toContain("48h");
+    expect(app.sent).toHaveLength(1);
+    expect(JSON.parse(app.sent[0].delivery)).toHaveLength(2);
+  });
+
+  test("should also send reminders to routing rule targets", async () => {
+    const app = createApp(
+      [
+        {
+          event_id: "21",
+          event_type: "approval",
+          regulation: "GDPR",
+          channel_id: "C1",
+          deadline: hoursFromNow(-2),
+          status: "Pending Review",
+        },
+      ],
+      [
+        {
+          rule_id: "1",
+          match_regulation: "GDPR",
+          targets: "channel:DPO,channel:C1",
+        },
+      ]
+    );
+    const send = jest.fn(async (target) => ({ target, attempts: 1 }));
+    const outbound = createCliqClient({ sleep: async () => {} });
+    outbound.send = send;
+
+    await runDeadlineReminders(app, { now: NOW, outbound });
+
+    // The owning channel is named by the rule too but only gets it once
+    expect(send.mock.calls.map(([target]) => target.id)).toEqual(["C1", "DPO"]);
+    expect(app.tables.alert_dispatches).toHaveLength(1);
+    expect(app.tables.alert_dispatches[0]).toMatchObject({
+      rule_id: "1",
+      alert_kind: "deadline",
+      status: "sent",
+    });
+  });
+
+  test("should release a reminder whose dispatch failed so it is sent later", async () => {
+    const event = (id) => ({
+      event_id: id,
+      event_type: "approval",
+      regulation: "GDPR",
+      channel_id: "C" + id,
+      deadline: hoursFromNow(20),
+      status: "Pending Review",
+    });
+    const app = createApp([event("31"), event("32")]);
+    const outbound = createCliqClient({ sleep: async () => {} });
+    outbound.send = jest.fn(async (target) => ({ target, attempts: 1 }));
+    const broadcast = outbound.broadcast;
+    outbound.broadcast = jest.fn(async (targets, ...rest) => {
+      if (targets[0].id === "C31") throw new Error("Cliq is down");
+      return broadcast(targets, ...rest);
+    });
+
+    const first = await runDeadlineReminders(app, { now: NOW, outbound });
+
+    // The other event still got its reminder
+    expect(first).toEqual({ scanned: 2, due: 2, sent: 1, failed: 1 });
+    expect(app.sent.map((r) => r.event_id)).toEqual(["32"]);
+
+    outbound.broadcast = broadcast;
+    const second = await runDeadlineReminders(app, { now: NOW, outbound });
+
+    expect(second).toEqual({ scanned: 2, due: 1, sent: 1, failed: 0 });
+    expect(app.sent.map((r) => r.event_id)).toEqual(["32", "31"]);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Test Suite for dependency risk scoring and the Zoho Projects client
+ * Run with: npm run test:catalyst
+ */
+
+const http = require("http");
+const dependencyRisk = require("../lib/dependency-risk");
+const projectsClient = require("../lib/projects-client");
+
+const NOW = new Date("2025-06-15T00:00:00Z");
+
+function task(id, overrides = {}) {
+  return {
+    id,
+    id_string: String(id),
+    name: "Task " + id,
+    status: { name: "Open", type: "open" },
+    completed: false,
+    details: { owners: [{ name: "Dana", id: "u1" }] },
+    ...overrides,
+  };
+}
+
+const done = { status: { name: "Completed", type: "closed" }, completed: true };
+const after = (...ids) => ({
+  dependency: { predecessor: ids.map(String), successor: [] },
+});
+
+// A -> B -> C -> D, A -> E, a circular pair H <-> I and an unlinked F
+const TASKS = [
+  task("A", { ...done, end_date: "06-05-2025", completed_time: "06-07-2025" }),
+  task("B", { ...after("A"), end_date: "06-10-2025" }),
+  task("C", after("B")),
+  task("D", after("C")),
+  task("E", {
+    ...after("A"),
+    details: { owners: [{ name: "Lee", id: "u2" }] },
+  }),
+  task("F", { ...done, end_date: "06-20-2025", completed_time: "06-18-2025" }),
+  task("H", after("I")),
+  task("I", after("H")),
+];
+
+/**
+ * Zoho Projects stand-in serving one project with `taskCount` tasks
+ */
+function startProjectsStub(taskCount) {
+  const requests = [];
+  const tasks = Array.from({ length: taskCount }, (_, i) =>
+    task(i + 1, i > 0 ? after(i) : {})
+  );
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://stub");
+    requests.push({ url: req.url, authorization: req.headers.authorization });
+
+    const base = "/restapi/portal/acme/projects/P1/";
+    let body = null;
+    if (url.pathname === base) {
+      body = { projects: [{ name: "Apollo", end_date: "06-27-2025" }] };
+    } else if (url.pathname === base + "tasks/") {
+      const index = Number(url.searchParams.get("index"));
+      const range = Number(url.searchParams.get("range"));
+      body = { tasks: tasks.slice(index - 1, index - 1 + range) };
+    } else if (url.pathname !== base + "users/") {
+      res.statusCode = 404;
+      return res.end();
+    }
+
+    // Empty lists come back as 204 with no body
+    res.statusCode = body ? 200 : 204;
+    res.setHeader("Content-Type", "application/json");
+    res.end(body ? JSON.stringify(body) : undefined);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        requests,
+        apiUrl: "http://127.0.0.1:" + server.address().port + "/restapi",
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+describe("Dependency Risk", () => {
+  test("should find the longest chain and the tasks holding others up", () => {
+    const analysis = dependencyRisk.analyzeTasks(TASKS, NOW);
+
+    expect(analysis.dependency_chain_length).toBe(4);
+    expect(analysis.critical_path.map((t) => t.id)).toEqual([
+      "A",
+      "B",
+      "C",
+      "D",
+    ]);
+    // C holds up only D and isn't overdue; H and I block one task each
+    expect(analysis.bottlenecks).toEqual([
+      expect.objectContaining({
+        id: "B",
+        blocked_tasks: 2,
+        overdue: true,
+        on_critical_path: true,
+        owners: ["Dana"],
+      }),
+    ]);
+    // A finished two days late, F on time
+    expect(analysis.historical_delay_rate).toBe(0.5);
+  });
+
+  test("should stop at cycles through completed tasks", () => {
+    // B and C depend on each other and are done; D waits on C
+    const tasks = [
+      task("A", { end_date: "06-10-2025" }),
+      task("B", { ...done, ...after("A", "C") }),
+      task("C", { ...done, ...after("B") }),
+      task("D", after("C")),
+    ];
+
+    const analysis = dependencyRisk.analyzeTasks(tasks, NOW);
+
+    expect(analysis.bottlenecks).toEqual([
+      expect.objectContaining({ id: "A", blocked_tasks: 1, overdue: true }),
+    ]);
+    expect(analysis.critical_path.map((t) => t.id)).toEqual([
+      "A",
+      "B",
+      "C",
+      "D",
+    ]);
+  });
+
+  test("should average team workload over every member", () => {
+    const users = [{ id: "u1" }, { id: "u2" }, { id: "u3" }];
+    // u1 owns 5 open tasks, u2 one, u3 none
+    expect(dependencyRisk.teamWorkload(users, TASKS)).toBe(0.25);
+    expect(dependencyRisk.teamWorkload([], TASKS)).toBeNull();
+  });
+
+  test("should weight factors as the Deluge script did", () => {
+    const composite = dependencyRisk.compositeScore({
+      days_until_deadline: 12,
+      team_response_time: 72,
+      dependency_chain_length: 4,
+      pending_approvals: 3,
+      team_workload: null,
+      historical_delay_rate: 0.5,
+    });
+
+    // 6.67*.20 + 5*.25 + 2.5*.20 + 3*.15 + 0*.12 + 10*.08
+    expect(composite.score).toBe(4.33);
+    expect(composite.factors.days_until_deadline.factor).toBe(6.67);
+    expect(composite.factors.team_workload).toMatchObject({
+      value: 0.5,
+      defaulted: true,
+    });
+    expect(dependencyRisk.recommendation(composite.score, 2, 60)).toMatch(
+      /URGENT/
+    );
+  });
+
+  test("should read a project through the Projects API", async () => {
+    const stub = await startProjectsStub(130);
+    try {
+      const client = projectsClient.createProjectsClient({
+        ZOHO_PROJECTS_API_URL: stub.apiUrl,
+        ZOHO_PROJECTS_PORTAL: "acme",
+        ZOHO_PROJECTS_API_TOKEN: "token",
+      });
+      const analysis = await dependencyRisk.loadDependencyAnalysis(
+        client,
+        "P1",
+        NOW
+      );
+
+      expect(analysis).toMatchObject({
+        project_name: "Apollo",
+        days_until_deadline: 12,
+        task_count: 130,
+        team_workload: null,
+      });
+      // The chain runs across both pages of tasks, capped in depth
+      expect(analysis.dependency_chain_length).toBe(
+        dependencyRisk.MAX_CHAIN_DEPTH
+      );
+      expect(
+        stub.requests.filter((r) => r.url.includes("/tasks/"))
+      ).toHaveLength(2);
+      expect(
+        stub.requests.every((r) => r.authorization === "Zoho-oauthtoken token")
+      ).toBe(true);
+      expect(dependencyRisk.featureOptions(analysis)).toEqual({
+        dependencyChainLength: 20,
+        teamWorkload: null,
+        historicalDelayRate: null,
+      });
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test("should only use Zoho Projects when tracking is enabled", () => {
+    expect(
+      projectsClient.isProjectsEnabled({ ZOHO_PROJECTS_PORTAL: "acme" })
+    ).toBe(false);
+    expect(
+      projectsClient.isProjectsEnabled({
+        ENABLE_DEPENDENCY_TRACKING: "true",
+        ZOHO_PROJECTS_PORTAL: "acme",
+      })
+    ).toBe(true);
+    expect(() => projectsClient.createProjectsClient({})).toThrow(
+      "ZOHO_PROJECTS_PORTAL"
+    );
+  });
+});
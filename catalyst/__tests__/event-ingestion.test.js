@@ -0,0 +1,212 @@
+/**
+ * Test Suite for idempotent event ingestion
+ * Run with: npm run test:catalyst
+ */
+
+jest.mock("zcatalyst-sdk-node");
+
+const catalyst = require("zcatalyst-sdk-node");
+const ingestion = require("../lib/event-ingestion");
+const storeComplianceEvent = require("../functions/store-compliance-event");
+const updateEventStatus = require("../functions/update-event-status");
+
+/**
+ * In-memory compliance_events and event_status_history tables behind the SDK
+ * calls the functions use
+ */
+function createApp() {
+  const rows = [];
+  const history = [];
+
+  const app = {
+    rows,
+    history,
+    zcql: () => ({
+      executeZCQLQuery: jest.fn(async (query) => {
+        if (query.includes("event_status_history")) {
+          return history.map((h) => ({ event_status_history: h }));
+        }
+        const message = query.match(/message_id = '([^']*)'/);
+        const original = query.match(/original_event_id = (\d+)/);
+        const event = query.match(/WHERE event_id = (\d+)/);
+        let matches = [];
+        if (message) {
+          matches = rows
+            .filter((r) => r.message_id === message[1])
+            .sort((a, b) => b.revision - a.revision);
+        } else if (original) {
+          matches = rows.filter(
+            (r) =>
+              String(r.original_event_id) === original[1] && !r.superseded_by
+          );
+        } else if (event) {
+          matches = rows.filter((r) => String(r.event_id) === event[1]);
+        }
+        return matches.slice(0, 1).map((r) => ({ compliance_events: r }));
+      }),
+    }),
+    datastore: () => ({
+      table: (name) => ({
+        insertRow: jest.fn(async (row) => {
+          if (name === "event_status_history") history.unshift(row);
+          if (name !== "compliance_events") return row;
+          if (rows.some((r) => r.ingest_key === row.ingest_key)) {
+            throw new Error("Duplicate value for ingest_key");
+          }
+          const stored = { ...row, ROWID: String(rows.length + 1) };
+          rows.push(stored);
+          return stored;
+        }),
+        updateRow: jest.fn(async (row) => {
+          if (name !== "compliance_events") return row;
+          Object.assign(
+            rows.find((r) => r.ROWID === row.ROWID),
+            row
+          );
+          return row;
+        }),
+      }),
+    }),
+  };
+
+  return app;
+}
+
+function deliver(body) {
+  let output = null;
+  const context = {
+    request: { body },
+    log: jest.fn(),
+    close: jest.fn(),
+  };
+  const io = {
+    getArgument: () => undefined,
+    write: (data) => {
+      output = JSON.parse(data);
+    },
+  };
+  return storeComplianceEvent(context, io).then(() => output);
+}
+
+const MESSAGE = {
+  channel_id: "ch1",
+  message_id: "msg1",
+  message_text: "Jane approved the GDPR data retention policy",
+  event_type: "approval",
+  regulation: "GDPR",
+  risk_level: "Low",
+};
+
+describe("Event Ingestion", () => {
+  let nowSpy;
+
+  beforeEach(() => {
+    let now = 1750000000000;
+    nowSpy = jest.spyOn(Date, "now").mockImplementation(() => now++);
+  });
+
+  afterEach(() => nowSpy.mockRestore());
+
+  test("should treat a repeated delivery as a no-op", async () => {
+    const app = createApp();
+    catalyst.initialize.mockReturnValue(app);
+
+    const first = await deliver(MESSAGE);
+    const second = await deliver(MESSAGE);
+
+    expect(first.duplicate).toBe(false);
+    expect(second).toMatchObject({
+      success: true,
+      duplicate: true,
+      event_id: first.event_id,
+    });
+    expect(app.rows).toHaveLength(1);
+  });
+
+  test("should store an edit as a revision and record reclassification", async () => {
+    const app = createApp();
+    catalyst.initialize.mockReturnValue(app);
+
+    const original = await deliver(MESSAGE);
+    const edited = await deliver({
+      ...MESSAGE,
+      message_text: "Jane rejected the GDPR data retention policy",
+      event_type: "decision",
+      risk_level: "High",
+    });
+
+    expect(edited).toMatchObject({
+      duplicate: false,
+      revision: 2,
+      original_event_id: original.event_id,
+      reclassification: {
+        event_type: { from: "approval", to: "decision" },
+        risk_level: { from: "Low", to: "High" },
+      },
+    });
+    expect(app.rows[0].superseded_by).toBe(edited.event_id);
+    expect(app.rows[1].ingest_key).toBe("msg1:2");
+  });
+
+  test("should apply a status change from a card posted before an edit", async () => {
+    const app = createApp();
+    catalyst.initialize.mockReturnValue(app);
+
+    const original = await deliver(MESSAGE);
+    const edited = await deliver({
+      ...MESSAGE,
+      message_text: "Jane approved the GDPR data retention policy for 2 years",
+    });
+
+    let output = null;
+    await updateEventStatus(
+      { log: jest.fn(), close: jest.fn() },
+      {
+        getArgument: (name) =>
+          ({ event_id: String(original.event_id), status: "Under Review" })[
+            name
+          ],
+        write: (data) => {
+          output = JSON.parse(data);
+        },
+      }
+    );
+
+    expect(output).toMatchObject({
+      success: true,
+      event_id: edited.event_id,
+      status: "Under Review",
+    });
+    expect(app.rows[0].status).toBe("Pending Review");
+    expect(app.rows[1].status).toBe("Under Review");
+    expect(app.history).toEqual([
+      expect.objectContaining({
+        event_id: edited.event_id,
+        to_status: "Under Review",
+      }),
+    ]);
+  });
+
+  test("should keep the review status when an edit only rewords", () => {
+    const latest = {
+      event_id: 1,
+      revision: 1,
+      status: "Under Review",
+      content_hash: ingestion.contentHash("old text"),
+      event_type: "approval",
+    };
+
+    const plan = ingestion.planIngestion(latest, {
+      content_hash: ingestion.contentHash("new text"),
+      event_type: "approval",
+    });
+
+    expect(plan).toMatchObject({
+      action: "revision",
+      revision: 2,
+      original_event_id: 1,
+      reclassification: null,
+      status: "Under Review",
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Test Suite for the event review workflow
+ * Run with: npm run test:catalyst
+ */
+
+jest.mock("zcatalyst-sdk-node");
+
+const catalyst = require("zcatalyst-sdk-node");
+const lifecycle = require("../lib/event-lifecycle");
+const updateEventStatus = require("../functions/update-event-status");
+
+function createApp(event) {
+  const updates = [];
+  const history = [];
+
+  return {
+    updates,
+    history,
+    zcql: () => ({
+      executeZCQLQuery: jest.fn(async (query) =>
+        query.includes("event_status_history")
+          ? history.map((h) => ({ event_status_history: h }))
+          : event
+            ? [{ compliance_events: event }]
+            : []
+      ),
+    }),
+    datastore: () => ({
+      table: (name) => ({
+        updateRow: jest.fn(async (row) => {
+          updates.push(row);
+          return row;
+        }),
+        insertRow: jest.fn(async (row) => {
+          if (name === "event_status_history") history.unshift(row);
+          return row;
+        }),
+      }),
+    }),
+  };
+}
+
+function createIO(args) {
+  let output = null;
+  return {
+    getArgument: (name) => args[name],
+    write: (data) => {
+      output = JSON.parse(data);
+    },
+    get output() {
+      return output;
+    },
+  };
+}
+
+const context = { log: jest.fn(), close: jest.fn() };
+
+describe("Event Lifecycle", () => {
+  describe("applyTransition", () => {
+    test("should move a pending event under review and record who did it", () => {
+      const change = lifecycle.applyTransition(
+        { ROWID: "9", event_id: 100, status: "Pending Review" },
+        "under_review",
+        { user_id: "u1", user_name: "Jane", note: "Looking into it" }
+      );
+
+      expect(change.update).toEqual({ ROWID: "9", status: "Under Review" });
+      expect(change.history).toMatchObject({
+        event_id: 100,
+        from_status: "Pending Review",
+        to_status: "Under Review",
+        changed_by: "u1",
+        changed_by_name: "Jane",
+        note: "Looking into it",
+      });
+    });
+
+    test("should reject skipping review or reopening a closed event", () => {
+      expect(() =>
+        lifecycle.applyTransition({ status: "Pending Review" }, "Resolved")
+      ).toThrow('Cannot move event from "Pending Review" to "Resolved"');
+      expect(() =>
+        lifecycle.applyTransition({ status: "Resolved" }, "Under Review")
+      ).toThrow("Cannot move event");
+      expect(() =>
+        lifecycle.applyTransition({ status: "Under Review" }, "Done")
+      ).toThrow("Unknown status");
+    });
+
+    test("should only treat pending and under-review events as open", () => {
+      expect(lifecycle.isOpen(undefined)).toBe(true);
+      expect(lifecycle.isOpen("Under Review")).toBe(true);
+      expect(lifecycle.isOpen("False Positive")).toBe(false);
+    });
+  });
+
+  describe("update-event-status function", () => {
+    test("should update the event and write a history row", async () => {
+      const app = createApp({
+        ROWID: "9",
+        event_id: 100,
+        status: "Under Review",
+        event_type: "risk_discussion",
+      });
+      catalyst.initialize.mockReturnValue(app);
+      const io = createIO({
+        event_id: "100",
+        status: "False Positive",
+        user_id: "u1",
+        user_name: "Jane",
+      });
+
+      await updateEventStatus(context, io);
+
+      expect(app.updates).toEqual([{ ROWID: "9", status: "False Positive" }]);
+      expect(io.output).toMatchObject({
+        success: true,
+        previous_status: "Under Review",
+        status: "False Positive",
+        available_transitions: [],
+      });
+      expect(io.output.history[0].to_status).toBe("False Positive");
+    });
+
+    test("should leave the event untouched on an invalid transition", async () => {
+      const app = createApp({ ROWID: "9", event_id: 100, status: "Rejected" });
+      catalyst.initialize.mockReturnValue(app);
+      const io = createIO({ event_id: "100", status: "Accepted" });
+
+      await updateEventStatus(context, io);
+
+      expect(app.updates).toEqual([]);
+      expect(app.history).toEqual([]);
+      expect(io.output.success).toBe(false);
+      expect(io.output.status).toBe("Rejected");
+    });
+  });
+});
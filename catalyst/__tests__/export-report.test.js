@@ -0,0 +1,315 @@
+/**
+ * Test Suite for the Export Report function
+ * Run with: npm run test:catalyst
+ */
+
+jest.mock("zcatalyst-sdk-node");
+jest.mock("axios");
+
+const catalyst = require("zcatalyst-sdk-node");
+const axios = require("axios");
+const exportReport = require("../functions/export-report");
+
+const SUMMARY = {
+  project_name: "apollo",
+  regulation: "ALL",
+  period: "Last 30 days",
+  total_events: 1,
+  compliance_score: 92,
+  pending_actions: [],
+  events_by_type: { approval: 1 },
+  events_by_regulation: { GDPR: 1 },
+  events_by_risk: { Low: 1 },
+  timeline: [
+    {
+      date: "2025-06-01 10:00:00",
+      type: "approval",
+      regulation: "GDPR",
+      risk: "Low",
+      user: "Doe, Jane",
+    },
+  ],
+};
+
+/**
+ * Apply the conditional UPDATE that claims a queued job
+ */
+function applyClaim(job, query, updates) {
+  if (job.status === "queued" && query.includes("status = 'queued'")) {
+    job.status = "running";
+    job.claim_token = query.match(/claim_token = '([^']*)'/)[1];
+    updates.push({ ROWID: job.ROWID, status: "running" });
+  }
+  return [];
+}
+
+function createApp(job) {
+  const updates = [];
+  const uploads = [];
+
+  const app = {
+    updates,
+    uploads,
+    datastore: () => ({
+      table: () => ({
+        insertRow: jest.fn(async (row) => ({ ...row, ROWID: "1" })),
+        updateRow: jest.fn(async (row) => {
+          updates.push(row);
+          return row;
+        }),
+      }),
+    }),
+    zcql: () => ({
+      executeZCQLQuery: jest.fn(async (query) =>
+        query.startsWith("UPDATE")
+          ? applyClaim(job, query, updates)
+          : [{ export_jobs: job }]
+      ),
+    }),
+    functions: () => ({
+      execute: jest.fn(async () => JSON.stringify(SUMMARY)),
+    }),
+    filestore: () => ({
+      folder: () => ({
+        uploadFile: jest.fn(async ({ code, name }) => {
+          const chunks = [];
+          for await (const chunk of code) chunks.push(chunk);
+          uploads.push({ name, content: Buffer.concat(chunks) });
+          return { id: 42, file_url: "https://files.example/" + name };
+        }),
+      }),
+    }),
+    getProjectId: () => "p1",
+  };
+
+  return app;
+}
+
+function createIO(args) {
+  let output = null;
+  return {
+    getArgument: (name) => args[name],
+    write: (data) => {
+      output = JSON.parse(data);
+    },
+    get output() {
+      return output;
+    },
+  };
+}
+
+const context = { log: jest.fn(), close: jest.fn() };
+
+describe("Export Report", () => {
+  beforeEach(() => {
+    axios.post.mockReset();
+    axios.post.mockResolvedValue({ data: {} });
+  });
+
+  test("should reject unsupported formats", async () => {
+    catalyst.initialize.mockReturnValue(createApp());
+    const io = createIO({ project: "apollo", format: "DOCX" });
+
+    await exportReport(context, io);
+
+    expect(io.output.success).toBe(false);
+    expect(io.output.error).toContain("format");
+  });
+
+  test("should run a queued CSV job and DM the requester", async () => {
+    const job = {
+      ROWID: "1",
+      job_id: 1001,
+      project_id: "apollo",
+      regulation: "all",
+      format: "CSV",
+      requested_by: "user1",
+      status: "queued",
+    };
+    const app = createApp(job);
+    catalyst.initialize.mockReturnValue(app);
+    const io = createIO({ job_id: "1001" });
+
+    await exportReport(context, io);
+
+    expect(app.updates.map((u) => u.status)).toEqual(["running", "done"]);
+    expect(io.output.status).toBe("done");
+    expect(io.output.download_url).toBe(
+      "https://files.example/compliance-report-apollo-1001.csv"
+    );
+
+    const csv = app.uploads[0].content.toString();
+    expect(csv).toBe(
+      "date,type,regulation,risk,user\n" +
+        '2025-06-01 10:00:00,approval,GDPR,Low,"Doe, Jane"\n'
+    );
+
+    expect(axios.post).toHaveBeenCalledWith(
+      expect.stringContaining("/buddies/user1/message"),
+      expect.objectContaining({ text: expect.stringContaining("ready") }),
+      expect.any(Object)
+    );
+  });
+
+  test("should neutralize spreadsheet formulas in CSV cells", async () => {
+    const job = {
+      ROWID: "1",
+      job_id: 1005,
+      project_id: "apollo",
+      format: "CSV",
+      status: "queued",
+    };
+    const app = createApp(job);
+    app.functions = () => ({
+      execute: jest.fn(async () =>
+        JSON.stringify({
+          ...SUMMARY,
+          timeline: [
+            { ...SUMMARY.timeline[0], user: '=HYPERLINK("http://x")' },
+            { ...SUMMARY.timeline[0], user: "+1" },
+            { ...SUMMARY.timeline[0], user: "-2" },
+            { ...SUMMARY.timeline[0], user: "@SUM(A1)" },
+          ],
+        })
+      ),
+    });
+    catalyst.initialize.mockReturnValue(app);
+
+    await exportReport(context, createIO({ job_id: "1005" }));
+
+    const users = app.uploads[0].content
+      .toString()
+      .trim()
+      .split("\n")
+      .slice(1)
+      .map((line) => line.slice(line.indexOf(",Low,") + 5));
+    expect(users).toEqual([
+      '"\'=HYPERLINK(""http://x"")"',
+      "'+1",
+      "'-2",
+      "'@SUM(A1)",
+    ]);
+  });
+
+  test("should run a job once when two invocations race for it", async () => {
+    const job = {
+      ROWID: "1",
+      job_id: 1006,
+      project_id: "apollo",
+      format: "JSON",
+      status: "queued",
+    };
+    const app = createApp(job);
+    catalyst.initialize.mockReturnValue(app);
+
+    await Promise.all([
+      exportReport(context, createIO({ job_id: "1006" })),
+      exportReport(context, createIO({ job_id: "1006" })),
+    ]);
+
+    expect(app.updates.map((u) => u.status)).toEqual(["running", "done"]);
+    expect(app.uploads).toHaveLength(1);
+  });
+
+  test("should mark the job failed when the summary errors", async () => {
+    const job = {
+      ROWID: "1",
+      job_id: 1002,
+      project_id: "apollo",
+      format: "PDF",
+      requested_by: "user1",
+      status: "queued",
+    };
+    const app = createApp(job);
+    app.functions = () => ({
+      execute: jest.fn(async () => JSON.stringify({ error: "boom" })),
+    });
+    catalyst.initialize.mockReturnValue(app);
+    const io = createIO({ job_id: "1002" });
+
+    await exportReport(context, io);
+
+    expect(app.updates.map((u) => u.status)).toEqual(["running", "failed"]);
+    expect(io.output.error).toContain("boom");
+    expect(axios.post.mock.calls[0][1].text).toContain(
+      "could not be generated"
+    );
+  });
+
+  test("should keep caller-supplied project IDs out of file paths", async () => {
+    const job = {
+      ROWID: "1",
+      job_id: 1004,
+      project_id: "../../tmp/x",
+      format: "JSON",
+      status: "queued",
+    };
+    const app = createApp(job);
+    catalyst.initialize.mockReturnValue(app);
+    const io = createIO({ job_id: "1004" });
+
+    await exportReport(context, io);
+
+    expect(io.output.status).toBe("done");
+    expect(app.uploads[0].name).toBe("compliance-report-.._.._tmp_x-1004.json");
+  });
+
+  test("should not rerun a job that already finished", async () => {
+    const job = { ROWID: "1", job_id: 1003, format: "PDF", status: "done" };
+    const app = createApp(job);
+    catalyst.initialize.mockReturnValue(app);
+    const io = createIO({ job_id: "1003" });
+
+    await exportReport(context, io);
+
+    expect(app.updates).toEqual([]);
+    expect(io.output.status).toBe("done");
+  });
+
+  test("should fail stale running jobs and run forgotten queued ones", async () => {
+    const now = new Date("2025-06-10T12:00:00Z");
+    const stale = {
+      ROWID: "1",
+      job_id: 2001,
+      project_id: "apollo",
+      format: "CSV",
+      requested_by: "user1",
+      status: "running",
+      started_at: "2025-06-10 11:00:00",
+    };
+    const queued = {
+      ROWID: "2",
+      job_id: 2002,
+      project_id: "apollo",
+      format: "CSV",
+      status: "queued",
+      created_at: "2025-06-10 11:50:00",
+    };
+    const app = createApp();
+    const queries = [];
+    app.zcql = () => ({
+      executeZCQLQuery: jest.fn(async (query) => {
+        queries.push(query);
+        if (query.startsWith("UPDATE")) {
+          return applyClaim(queued, query, app.updates);
+        }
+        if (query.includes("status = 'running'")) {
+          return [{ export_jobs: stale }];
+        }
+        return [{ export_jobs: queued }];
+      }),
+    });
+
+    const result = await exportReport.sweepExportJobs(app, context, now);
+
+    expect(result).toEqual({ timed_out: 1, run: 1, completed: 1 });
+    expect(queries[0]).toContain("started_at < '2025-06-10 11:30:00'");
+    expect(queries[1]).toContain("created_at < '2025-06-10 11:55:00'");
+    expect(app.updates.map((u) => [u.ROWID, u.status])).toEqual([
+      ["1", "failed"],
+      ["2", "running"],
+      ["2", "done"],
+    ]);
+    expect(axios.post.mock.calls[0][1].text).toContain("timed out");
+  });
+});
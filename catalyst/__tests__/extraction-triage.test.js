@@ -0,0 +1,256 @@
+/**
+ * Test Suite for confidence gating and triage decisions
+ * Run with: npm run test:catalyst
+ */
+
+jest.mock("zcatalyst-sdk-node");
+jest.mock("../lib/alert-dispatch");
+
+const catalyst = require("zcatalyst-sdk-node");
+const { dispatchAlert } = require("../lib/alert-dispatch");
+const triage = require("../lib/extraction-triage");
+const triageDecision = require("../functions/triage-decision");
+
+const NOW = new Date("2025-06-10T12:00:00Z");
+
+const ENTITIES = {
+  compliance_event: { value: "approval", confidence: 0.92 },
+  regulation_type: { value: "GDPR", confidence: 0.88 },
+  risk_level: { value: "High", confidence: 0.81 },
+  stakeholders: [{ name: "@jane", type: "approver", confidence: 0.9 }],
+};
+
+const EVENT = {
+  channel_id: "C1",
+  channel_name: "#legal",
+  message_id: "M1",
+  user_name: "Jane",
+  message_text: "Legal signed off the GDPR DPA",
+  event_type: "approval",
+  regulation: "GDPR",
+  risk_level: "High",
+  confidence_score: 0.6,
+};
+
+describe("Extraction Triage", () => {
+  test("should use the thresholds from the extractor config", () => {
+    expect(triage.THRESHOLDS).toMatchObject({
+      compliance_event: 0.75,
+      regulation_type: 0.7,
+      risk_level: 0.65,
+      deadline: 0.85,
+    });
+  });
+
+  test("should gate each entity against its own threshold", () => {
+    expect(triage.gateExtraction(ENTITIES)).toEqual({
+      passed: true,
+      below: [],
+    });
+    // No entities (e.g. Deluge) or no confidence means nothing to gate on
+    expect(triage.gateExtraction(null).passed).toBe(true);
+    expect(
+      triage.gateExtraction({ compliance_event: { value: "approval" } }).passed
+    ).toBe(true);
+
+    const gate = triage.gateExtraction(
+      triage.parseEntities(
+        JSON.stringify({
+          ...ENTITIES,
+          risk_level: { value: "High", confidence: 0.6 },
+          deadlines: [{ date: "2025-07-01", confidence: 0.84 }],
+        })
+      )
+    );
+    expect(gate.passed).toBe(false);
+    expect(gate.below).toEqual([
+      { entity: "risk_level", value: "High", confidence: 0.6, threshold: 0.65 },
+      {
+        entity: "deadline",
+        value: "2025-07-01",
+        confidence: 0.84,
+        threshold: 0.85,
+      },
+    ]);
+  });
+
+  test("should turn reviewer decisions into labeled training examples", () => {
+    const gate = triage.gateExtraction({
+      ...ENTITIES,
+      compliance_event: { value: "approval", confidence: 0.7 },
+    });
+    const row = triage.triageRow(
+      { ...EVENT, zia_entities: ENTITIES },
+      gate,
+      "abc",
+      NOW
+    );
+
+    expect(row).toMatchObject({
+      triage_key: "M1:abc",
+      status: "pending",
+      created_at: "2025-06-10 12:00:00",
+    });
+
+    const accepted = triage.decisionLabels(row, "Accept");
+    expect(accepted.status).toBe("accepted");
+    expect(
+      triage.trainingExample(row, accepted.status, accepted.labels, NOW)
+    ).toMatchObject({
+      source: "triage",
+      project_id: "C1",
+      predicted_outcome: "approval|GDPR|High",
+      actual_outcome: "approval|GDPR|High",
+      prediction_accuracy: 1,
+    });
+
+    const reclassified = triage.decisionLabels(row, "reclassify", {
+      risk_level: "Medium",
+    });
+    const example = triage.trainingExample(
+      row,
+      reclassified.status,
+      reclassified.labels,
+      NOW
+    );
+    expect(example.actual_outcome).toBe("approval|GDPR|Medium");
+    expect(example.prediction_accuracy).toBeCloseTo(2 / 3);
+    expect(JSON.parse(example.feature_vector).below_threshold).toHaveLength(1);
+
+    const rejected = triage.decisionLabels(row, "reject");
+    expect(
+      triage.trainingExample(row, rejected.status, rejected.labels, NOW)
+    ).toMatchObject({ actual_outcome: "rejected", prediction_accuracy: 0 });
+
+    expect(() => triage.decisionLabels(row, "reclassify", {})).toThrow(
+      "Reclassify needs"
+    );
+    expect(() => triage.decisionLabels(row, "maybe")).toThrow(
+      "Unknown decision"
+    );
+  });
+
+  describe("Triage Decision", () => {
+    function createApp(row, stored) {
+      return {
+        zcql: () => ({
+          executeZCQLQuery: jest.fn(async () => [{ triage_queue: row }]),
+        }),
+        datastore: () => ({
+          table: () => ({
+            updateRow: jest.fn(async (update) => update),
+            insertRow: jest.fn(async (insert) => insert),
+          }),
+        }),
+        functions: () => ({
+          execute: jest.fn(async () => JSON.stringify(stored)),
+        }),
+      };
+    }
+
+    function createIO(args) {
+      let output = null;
+      return {
+        getArgument: (name) => args[name],
+        write: (data) => {
+          output = JSON.parse(data);
+        },
+        get output() {
+          return output;
+        },
+      };
+    }
+
+    const context = { log: jest.fn(), close: jest.fn() };
+
+    beforeEach(() => {
+      dispatchAlert.mockReset();
+      dispatchAlert.mockResolvedValue({ delivery: [], dispatches: [] });
+    });
+
+    test("should alert once a reviewer accepts a candidate", async () => {
+      const row = triage.triageRow(
+        { ...EVENT, risk_level: "Critical" },
+        { passed: false, below: [] },
+        "hash",
+        NOW
+      );
+      row.ROWID = "1";
+      catalyst.initialize.mockReturnValue(
+        createApp(row, { success: true, event_id: 55 })
+      );
+      const io = createIO({
+        triage_id: String(row.triage_id),
+        decision: "accept",
+      });
+
+      await triageDecision(context, io);
+
+      expect(io.output).toMatchObject({ success: true, event_id: 55 });
+      expect(dispatchAlert).toHaveBeenCalledTimes(1);
+      const request = dispatchAlert.mock.calls[0][1];
+      expect(request.kind).toBe("risk");
+      expect(request.event).toMatchObject({
+        event_id: "55",
+        risk_level: "Critical",
+        regulation: "GDPR",
+        project_id: "C1",
+      });
+      expect(request.alert.text).toContain("High-Risk");
+      expect(request.alert.card.buttons[1].data).toEqual({
+        event_id: "55",
+        status: "Under Review",
+      });
+    });
+
+    test("should alert with the reclassified risk level", async () => {
+      const row = triage.triageRow(
+        EVENT,
+        { passed: false, below: [] },
+        "h",
+        NOW
+      );
+      row.ROWID = "1";
+      catalyst.initialize.mockReturnValue(
+        createApp(row, { success: true, event_id: 56 })
+      );
+
+      await triageDecision(
+        context,
+        createIO({
+          triage_id: String(row.triage_id),
+          decision: "reclassify",
+          risk_level: "Low",
+        })
+      );
+
+      expect(dispatchAlert.mock.calls[0][1].event.risk_level).toBe("Low");
+    });
+
+    test("should not alert on rejected or already stored candidates", async () => {
+      const row = triage.triageRow(
+        EVENT,
+        { passed: false, below: [] },
+        "h",
+        NOW
+      );
+      row.ROWID = "1";
+
+      catalyst.initialize.mockReturnValue(createApp({ ...row }));
+      await triageDecision(
+        context,
+        createIO({ triage_id: String(row.triage_id), decision: "reject" })
+      );
+
+      catalyst.initialize.mockReturnValue(
+        createApp({ ...row }, { success: true, event_id: 57, duplicate: true })
+      );
+      await triageDecision(
+        context,
+        createIO({ triage_id: String(row.triage_id), decision: "accept" })
+      );
+
+      expect(dispatchAlert).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Test Suite for the Health Score function
+ * Run with: npm run test:catalyst
+ */
+
+jest.mock("zcatalyst-sdk-node");
+
+const catalyst = require("zcatalyst-sdk-node");
+const healthScore = require("../functions/health-score");
+const { scoreEvents } = require("../lib/compliance-score");
+
+function createZcql(tables) {
+  const queries = [];
+  return {
+    queries,
+    executeZCQLQuery: jest.fn(async (query) => {
+      queries.push(query);
+      const table = query.match(/FROM (\w+)/)[1];
+      // Only the channel lookup selects ROWID alone
+      if (query.startsWith("SELECT ROWID")) {
+        return (tables.channels || []).map((row) => ({ [table]: row }));
+      }
+      return (tables[table] || []).map((row) => ({ [table]: row }));
+    }),
+  };
+}
+
+function createIO(args) {
+  let output = null;
+  return {
+    getArgument: (name) => args[name],
+    write: (data) => {
+      output = JSON.parse(data);
+    },
+    get output() {
+      return output;
+    },
+  };
+}
+
+const context = { log: jest.fn(), close: jest.fn() };
+
+describe("Health Score", () => {
+  describe("Scope", () => {
+    test("should cover the org without a scope", async () => {
+      const zcql = createZcql({});
+      for (const raw of [undefined, "", "all", "ORG"]) {
+        expect(await healthScore.resolveScope(raw, zcql)).toEqual({
+          type: "org",
+          column: null,
+          value: "all",
+        });
+      }
+      expect(zcql.queries).toHaveLength(0);
+    });
+
+    test("should tell channels from projects", async () => {
+      expect(
+        await healthScore.resolveScope("#legal", createZcql({}))
+      ).toMatchObject({ type: "channel", column: "channel_name" });
+
+      const withChannel = createZcql({ channels: [{ ROWID: "1" }] });
+      expect(await healthScore.resolveScope("C123", withChannel)).toMatchObject(
+        { type: "channel", column: "channel_id", value: "C123" }
+      );
+
+      expect(
+        await healthScore.resolveScope("apollo", createZcql({}))
+      ).toMatchObject({ type: "project", column: "project_id" });
+    });
+
+    test("should filter events by project in the query", async () => {
+      const zcql = createZcql({});
+      catalyst.initialize.mockReturnValue({ zcql: () => zcql });
+
+      await healthScore(context, createIO({ scope: "apollo" }));
+
+      const eventQueries = zcql.queries.filter((q) =>
+        q.includes("FROM compliance_events")
+      );
+      expect(eventQueries).toHaveLength(3);
+      eventQueries
+        .slice(1)
+        .forEach((q) => expect(q).toContain("project_id = 'apollo'"));
+    });
+
+    test("should count a channel's projects", async () => {
+      const zcql = createZcql({
+        compliance_events: [
+          { event_id: 1, project_id: "apollo", channel_name: "legal" },
+          { event_id: 2, project_id: "zeus", channel_name: "legal" },
+        ],
+      });
+      catalyst.initialize.mockReturnValue({ zcql: () => zcql });
+
+      const io = createIO({ scope: "#legal" });
+      await healthScore(context, io);
+
+      expect(
+        zcql.queries.every((q) => !q.includes("FROM compliance_analytics"))
+      ).toBe(true);
+      expect(io.output.project_count).toBe(2);
+    });
+
+    test("should stay stable for a channel without events", async () => {
+      const zcql = createZcql({});
+      catalyst.initialize.mockReturnValue({ zcql: () => zcql });
+
+      const io = createIO({ scope: "#quiet" });
+      await healthScore(context, io);
+
+      expect(io.output).toMatchObject({
+        trend: "stable",
+        previous_score: null,
+        score_change: null,
+      });
+    });
+  });
+
+  describe("Trend", () => {
+    const periodStart = new Date("2025-06-01T00:00:00Z");
+    const event = (overrides) => ({
+      event_type: "approval",
+      regulation: "GDPR",
+      risk_level: "High",
+      status: "Pending Review",
+      created_at: "2025-05-20 10:00:00",
+      ...overrides,
+    });
+
+    test("should score the previous period with the same model", () => {
+      const previousEvents = [event(), event({ event_type: "decision" })];
+      const previousScore = scoreEvents(previousEvents, { now: periodStart });
+
+      const trend = healthScore.calculateTrend(
+        previousScore + 9,
+        previousEvents,
+        periodStart
+      );
+      expect(trend).toEqual({
+        direction: "improving",
+        previous_score: previousScore,
+        score_change: 9,
+      });
+    });
+
+    test("should report deteriorating and stable changes", () => {
+      const previousEvents = [event({ status: "Resolved" })];
+      const previousScore = scoreEvents(previousEvents, { now: periodStart });
+
+      expect(
+        healthScore.calculateTrend(
+          previousScore - 5,
+          previousEvents,
+          periodStart
+        ).direction
+      ).toBe("deteriorating");
+      expect(
+        healthScore.calculateTrend(
+          previousScore + 1.5,
+          previousEvents,
+          periodStart
+        ).direction
+      ).toBe("stable");
+    });
+
+    test("should stay stable without previous events", () => {
+      expect(healthScore.calculateTrend(80, [], periodStart)).toEqual({
+        direction: "stable",
+        previous_score: null,
+        score_change: null,
+      });
+    });
+  });
+});
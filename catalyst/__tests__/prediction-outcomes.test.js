@@ -0,0 +1,240 @@
+/**
+ * Test Suite for prediction outcome tracking and backtesting
+ * Run with: npm run test:catalyst
+ */
+
+const outcomes = require("../lib/prediction-outcomes");
+const riskTraining = require("../lib/risk-training");
+
+const NOW = new Date("2025-06-20T02:30:00Z");
+
+function prediction(overrides = {}) {
+  return {
+    ROWID: "1",
+    prediction_id: 101,
+    project_id: "P1",
+    risk_category: "approval_delay",
+    severity: "High",
+    probability: 0.8,
+    predicted_impact_date: "2025-06-15 12:00:00",
+    features: JSON.stringify({ pending_approvals: 5, team_response_time: 60 }),
+    model_version: 0,
+    status: "Active",
+    created_at: "2025-06-08 12:00:00",
+    ...overrides,
+  };
+}
+
+const EVENTS = [
+  // Approval still open past its deadline
+  {
+    event_id: 1,
+    event_type: "approval",
+    deadline: "2025-06-14 17:00:00",
+    status: "Pending Review",
+    created_at: "2025-06-01 09:00:00",
+  },
+  // Closed the day before its deadline
+  {
+    event_id: 2,
+    event_type: "milestone",
+    deadline: "2025-06-12 17:00:00",
+    status: "Resolved",
+    created_at: "2025-06-02 09:00:00",
+  },
+  {
+    event_id: 3,
+    event_type: "incident",
+    created_at: "2025-06-16 08:00:00",
+  },
+];
+
+const CLOSED_AT = new Map([["2", "2025-06-11 10:00:00"]]);
+
+/**
+ * In-memory risk_predictions, compliance_events, event_status_history and
+ * ml_training_data tables
+ */
+function createApp(tables) {
+  return {
+    tables,
+    zcql: () => ({
+      executeZCQLQuery: jest.fn(async (query) => {
+        const name = /FROM (\w+)/.exec(query)[1];
+        return tables[name].map((r) => ({ [name]: r }));
+      }),
+    }),
+    datastore: () => ({
+      table: (name) => ({
+        insertRow: jest.fn(async (row) => {
+          tables[name].push(row);
+          return row;
+        }),
+        updateRow: jest.fn(async (row) => {
+          Object.assign(
+            tables[name].find((r) => r.ROWID === row.ROWID),
+            row
+          );
+          return row;
+        }),
+      }),
+    }),
+  };
+}
+
+describe("Prediction Outcomes", () => {
+  test("should match the evidence each risk category looks for", () => {
+    expect(
+      outcomes.findEvidence(prediction(), EVENTS, CLOSED_AT).map((e) => e.kind)
+    ).toEqual(["overdue_approval"]);
+    expect(
+      outcomes
+        .findEvidence(
+          prediction({ risk_category: "documentation_gap" }),
+          EVENTS,
+          CLOSED_AT
+        )
+        .map((e) => [e.kind, e.event_id])
+    ).toEqual([["incident", 3]]);
+
+    // Outside the window: created after the grace period
+    const late = { ...EVENTS[2], created_at: "2025-06-18 08:00:00" };
+    expect(
+      outcomes.findEvidence(
+        prediction({ risk_category: "documentation_gap" }),
+        [late],
+        CLOSED_AT
+      )
+    ).toEqual([]);
+  });
+
+  test("should record outcomes as retraining examples", () => {
+    const row = outcomes.trainingRow(
+      prediction(),
+      outcomes.findEvidence(prediction(), EVENTS, CLOSED_AT),
+      NOW
+    );
+    expect(row).toMatchObject({
+      source: riskTraining.TRAINING_SOURCE,
+      predicted_outcome: "delayed",
+      actual_outcome: "delayed",
+      prediction_accuracy: 0.8,
+    });
+    expect(riskTraining.toExample(row)).toMatchObject({ y: 1 });
+
+    // Predictions saved before features were kept can't be learned from
+    const bare = outcomes.trainingRow(prediction({ features: null }), [], NOW);
+    expect(bare.actual_outcome).toBe("on-time");
+    expect(riskTraining.toExample(bare)).toBeNull();
+  });
+
+  test("should compute precision, recall and calibration", () => {
+    const judged = [
+      { probability: 0.9, outcome: "materialized", risk_category: "a" },
+      { probability: 0.7, outcome: "not_materialized", risk_category: "a" },
+      { probability: 0.45, outcome: "materialized", risk_category: "b" },
+      { probability: 0.35, outcome: "not_materialized", risk_category: "b" },
+    ];
+    const stats = outcomes.accuracyStats(judged);
+
+    expect(stats).toMatchObject({
+      evaluated: 4,
+      materialized: 2,
+      precision: 0.5,
+      recall: 0.5,
+      brier_score: 0.231,
+    });
+    expect(stats.calibration).toEqual([
+      {
+        range: "20-40%",
+        predictions: 1,
+        mean_probability: 0.35,
+        observed_rate: 0,
+      },
+      {
+        range: "40-60%",
+        predictions: 1,
+        mean_probability: 0.45,
+        observed_rate: 1,
+      },
+      {
+        range: "60-80%",
+        predictions: 1,
+        mean_probability: 0.7,
+        observed_rate: 0,
+      },
+      {
+        range: "80-100%",
+        predictions: 1,
+        mean_probability: 0.9,
+        observed_rate: 1,
+      },
+    ]);
+    expect(stats.by_category.b).toEqual({
+      evaluated: 2,
+      materialized: 1,
+      precision: null,
+      recall: 0,
+    });
+  });
+
+  test("should judge due predictions and record their outcomes", async () => {
+    const app = createApp({
+      risk_predictions: [
+        prediction(),
+        prediction({
+          ROWID: "2",
+          prediction_id: 102,
+          risk_category: "documentation_gap",
+          probability: 0.4,
+          predicted_impact_date: "2025-06-12 12:00:00",
+        }),
+      ],
+      compliance_events: EVENTS,
+      event_status_history: [
+        { event_id: 2, to_status: "Under Review", changed_at: "2025-06-10" },
+        { event_id: 2, to_status: "Resolved", changed_at: "2025-06-11" },
+      ],
+      ml_training_data: [],
+    });
+
+    const result = await outcomes.trackPredictionOutcomes(app, { now: NOW });
+
+    expect(result).toEqual({ evaluated: 2, materialized: 1 });
+    expect(
+      app.tables.risk_predictions.map((p) => [p.status, p.outcome])
+    ).toEqual([
+      ["Evaluated", "materialized"],
+      ["Evaluated", "not_materialized"],
+    ]);
+    expect(
+      app.tables.ml_training_data.map((r) => [r.training_id, r.actual_outcome])
+    ).toEqual([
+      [NOW.getTime(), "delayed"],
+      [NOW.getTime() + 1, "on-time"],
+    ]);
+  });
+
+  test("should mark a prediction evaluated before recording its example", async () => {
+    const app = createApp({
+      risk_predictions: [prediction()],
+      compliance_events: EVENTS,
+      event_status_history: [],
+      ml_training_data: [],
+    });
+    const datastore = app.datastore;
+    app.datastore = () => ({
+      table: (name) =>
+        name === "ml_training_data"
+          ? { insertRow: jest.fn().mockRejectedValue(new Error("timeout")) }
+          : datastore().table(name),
+    });
+
+    await expect(
+      outcomes.trackPredictionOutcomes(app, { now: NOW })
+    ).rejects.toThrow("timeout");
+
+    // A retry won't pick it up again and record a second example
+    expect(app.tables.risk_predictions[0].status).toBe("Evaluated");
+  });
+});
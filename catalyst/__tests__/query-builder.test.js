@@ -0,0 +1,135 @@
+/**
+ * Test Suite for the ZCQL query builder
+ * Run with: npm run test:catalyst
+ */
+
+const {
+  select,
+  update,
+  contains,
+  escapeValue,
+} = require("../lib/query-builder");
+
+describe("Query Builder", () => {
+  test("should build a filtered, ordered and paginated query", () => {
+    const query = select("compliance_events", ["event_id", "status"])
+      .where("project_id", "=", "apollo")
+      .where("created_at", ">=", new Date("2025-06-01T00:00:00Z"))
+      .whereNull("superseded_by")
+      .orderBy("created_at", "desc")
+      .limit(50, 100);
+
+    expect(query.toString()).toBe(
+      "SELECT event_id, status FROM compliance_events" +
+        " WHERE project_id = 'apollo'" +
+        " AND created_at >= '2025-06-01 00:00:00'" +
+        " AND superseded_by IS NULL" +
+        " ORDER BY created_at DESC LIMIT 100, 50"
+    );
+  });
+
+  test("should escape values so user input can't break out of a literal", () => {
+    const query = select("compliance_events").where(
+      "project_id",
+      "LIKE",
+      contains("x' OR '1'='1")
+    );
+
+    expect(query.toString()).toBe(
+      "SELECT * FROM compliance_events WHERE project_id LIKE '%x'' OR ''1''=''1%'"
+    );
+    expect(escapeValue("50%_off\\")).toBe("'50%_off\\\\'");
+    expect(contains("50%_off")).toBe("%50\\%\\_off%");
+  });
+
+  test("should reject unknown tables, columns, operators and values", () => {
+    expect(() => select("users")).toThrow("Unknown table");
+    expect(() =>
+      select("compliance_events").where("1=1 OR project_id", "=", "x")
+    ).toThrow("Unknown column");
+    expect(() =>
+      select("compliance_events").where("project_id", "; DROP", "x")
+    ).toThrow("Unsupported operator");
+    expect(() =>
+      select("compliance_events").where("event_id", "=", { $gt: 1 })
+    ).toThrow("Unsupported value type");
+    expect(() => select("audit_logs").orderBy("log_id", "SIDEWAYS")).toThrow(
+      "Unsupported sort direction"
+    );
+  });
+
+  test("should build a conditional update", async () => {
+    const query = update("export_jobs", {
+      status: "running",
+      error: null,
+      claim_token: "a'b",
+    })
+      .where("job_id", "=", 7)
+      .where("status", "=", "queued");
+
+    expect(query.toString()).toBe(
+      "UPDATE export_jobs SET status = 'running', error = NULL," +
+        " claim_token = 'a''b' WHERE job_id = 7 AND status = 'queued'"
+    );
+    expect(() => update("export_jobs", { owner: "x" })).toThrow(
+      "Unknown column"
+    );
+    await expect(
+      update("export_jobs", { status: "failed" }).execute({
+        executeZCQLQuery: jest.fn(),
+      })
+    ).rejects.toThrow("needs a condition");
+  });
+
+  test("should page through results beyond the row limit", async () => {
+    const rows = Array.from({ length: 650 }, (_, i) => ({ log_id: i }));
+    const zcql = {
+      executeZCQLQuery: jest.fn(async (text) => {
+        const [, offset, count] = text.match(/LIMIT (\d+), (\d+)$/).map(Number);
+        return rows
+          .slice(offset, offset + count)
+          .map((r) => ({ audit_logs: r }));
+      }),
+    };
+
+    const all = await select("audit_logs").orderBy("log_id").fetchAll(zcql);
+
+    expect(all).toHaveLength(650);
+    expect(all[649]).toEqual({ log_id: 649 });
+    expect(zcql.executeZCQLQuery).toHaveBeenCalledTimes(3);
+  });
+
+  test("should page on a ROWID cursor instead of offsets", async () => {
+    const rows = Array.from({ length: 650 }, (_, i) => ({
+      ROWID: String(9007199254740993n + BigInt(i)),
+      project_id: "apollo",
+    }));
+    const zcql = {
+      executeZCQLQuery: jest.fn(async (text) => {
+        const after = text.match(/ROWID > (\d+)/);
+        const count = Number(text.match(/LIMIT 0, (\d+)$/)[1]);
+        return rows
+          .filter((r) => !after || BigInt(r.ROWID) > BigInt(after[1]))
+          .slice(0, count)
+          .map((r) => ({ compliance_events: r }));
+      }),
+    };
+
+    const query = select("compliance_events")
+      .where("project_id", "=", "apollo")
+      .orderBy("created_at", "DESC");
+    const pages = [];
+    for await (const page of query.cursor(zcql)) pages.push(page);
+
+    expect(pages.map((p) => p.length)).toEqual([300, 300, 50]);
+    expect(pages[2][49].ROWID).toBe(rows[649].ROWID);
+    expect(zcql.executeZCQLQuery.mock.calls[1][0]).toBe(
+      "SELECT * FROM compliance_events WHERE project_id = 'apollo'" +
+        ` AND ROWID > ${rows[299].ROWID} ORDER BY ROWID ASC LIMIT 0, 300`
+    );
+    expect(query.toString()).toBe(
+      "SELECT * FROM compliance_events WHERE project_id = 'apollo'" +
+        " ORDER BY created_at DESC"
+    );
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Test Suite for reporting periods
+ * Run with: npm run test:catalyst
+ */
+
+const {
+  resolvePeriod,
+  previousPeriod,
+  comparePeriods,
+  formatDate,
+} = require("../lib/reporting-period");
+const { describeDelta } = require("../functions/generate-pdf-report");
+
+const NOW = new Date("2025-05-14T15:30:00Z");
+
+function range(period) {
+  return [formatDate(period.start), formatDate(period.end)];
+}
+
+describe("Reporting Period", () => {
+  test("should resolve presets against the current date", () => {
+    expect(range(resolvePeriod({}, NOW))).toEqual(["2025-04-14", "2025-05-15"]);
+    expect(resolvePeriod({}, NOW).label).toBe("Last 30 days");
+
+    const quarter = resolvePeriod({ period: "last-quarter" }, NOW);
+    expect(range(quarter)).toEqual(["2025-01-01", "2025-04-01"]);
+    expect(quarter.label).toBe("Q1 2025");
+
+    expect(range(resolvePeriod({ period: "YTD" }, NOW))).toEqual([
+      "2025-01-01",
+      "2025-05-15",
+    ]);
+  });
+
+  test("should treat --from and --to as inclusive dates", () => {
+    const period = resolvePeriod({ from: "2025-01-01", to: "2025-03-31" }, NOW);
+
+    expect(period.preset).toBe("custom");
+    expect(range(period)).toEqual(["2025-01-01", "2025-04-01"]);
+    expect(period.label).toBe("2025-01-01 to 2025-03-31");
+  });
+
+  test("should reject bad dates, reversed ranges and unknown presets", () => {
+    expect(() => resolvePeriod({ from: "2025-02-30" }, NOW)).toThrow(
+      "Invalid from date"
+    );
+    expect(() =>
+      resolvePeriod({ from: "2025-03-01", to: "2025-02-01" }, NOW)
+    ).toThrow("is after its end");
+    expect(() => resolvePeriod({ period: "fortnight" }, NOW)).toThrow(
+      "Unknown period"
+    );
+  });
+
+  test("should pick the period to compare against", () => {
+    const custom = resolvePeriod({ from: "2025-03-01", to: "2025-03-10" }, NOW);
+    expect(range(previousPeriod(custom))).toEqual(["2025-02-19", "2025-03-01"]);
+
+    const quarter = previousPeriod(
+      resolvePeriod({ period: "last-quarter" }, NOW)
+    );
+    expect(range(quarter)).toEqual(["2024-10-01", "2025-01-01"]);
+    expect(quarter.label).toBe("Q4 2024");
+
+    const ytd = previousPeriod(resolvePeriod({ period: "ytd" }, NOW));
+    expect(range(ytd)).toEqual(["2024-01-01", "2024-05-15"]);
+  });
+
+  test("should compute deltas between two summaries", () => {
+    const deltas = comparePeriods(
+      {
+        compliance_score: 82,
+        approvals: 7,
+        events_by_risk: { High: 1, Low: 4 },
+        pending_actions: [{}],
+      },
+      {
+        compliance_score: 77.5,
+        approvals: 4,
+        events_by_risk: { Critical: 1, High: 2 },
+        pending_actions: [{}],
+      }
+    );
+
+    expect(deltas.compliance_score).toMatchObject({
+      change: 4.5,
+      direction: "up",
+    });
+    expect(deltas.approvals.change_percent).toBe(75);
+    expect(deltas.high_risk).toMatchObject({
+      current: 1,
+      previous: 3,
+      direction: "down",
+    });
+    expect(deltas.pending_actions.direction).toBe("flat");
+    expect(describeDelta("Approvals", deltas.approvals)).toBe(
+      "Approvals went up from 4 to 7 (+75%)"
+    );
+  });
+});
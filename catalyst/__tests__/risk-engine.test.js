@@ -0,0 +1,186 @@
+/**
+ * Test Suite for the Risk Engine
+ * Run with: npm run test:catalyst
+ */
+
+const riskEngine = require("../lib/risk-engine");
+
+const NOW = new Date("2025-06-15T12:00:00Z");
+
+function daysFromNow(days) {
+  return new Date(NOW.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+describe("Risk Engine", () => {
+  describe("extractFeatures", () => {
+    test("should derive features from events and analytics", () => {
+      const events = [
+        {
+          event_type: "approval",
+          status: "Pending Review",
+          deadline: daysFromNow(2),
+          created_at: daysFromNow(-1),
+        },
+        {
+          event_type: "approval",
+          status: "Accepted",
+          created_at: daysFromNow(-3),
+        },
+        {
+          event_type: "decision",
+          status: "Pending Review",
+          deadline: daysFromNow(-1),
+          created_at: daysFromNow(-40),
+        },
+      ];
+      const analytics = [
+        { avg_response_time_hours: 60 },
+        { avg_response_time_hours: 80 },
+        { avg_response_time_hours: null },
+      ];
+
+      const features = riskEngine.extractFeatures(events, analytics, {
+        now: NOW,
+      });
+
+      expect(features.team_response_time).toBe(70);
+      expect(features.pending_approvals).toBe(1);
+      expect(features.days_until_deadline).toBe(0);
+      expect(features.compliance_event_velocity).toBe(0.07);
+      expect(features.dependency_chain_length).toBeNull();
+    });
+
+    test("should count events under review as still open", () => {
+      const events = [
+        {
+          event_type: "approval",
+          status: "Under Review",
+          deadline: daysFromNow(3),
+          stakeholders: JSON.stringify(["security team"]),
+          created_at: daysFromNow(-1),
+        },
+        {
+          event_type: "approval",
+          status: "Resolved",
+          deadline: daysFromNow(1),
+          created_at: daysFromNow(-1),
+        },
+      ];
+
+      const features = riskEngine.extractFeatures(events, [], { now: NOW });
+      expect(features.pending_approvals).toBe(1);
+      expect(features.days_until_deadline).toBe(3);
+
+      const risks = riskEngine.predictRisks(
+        { ...features, team_response_time: 96, pending_approvals: 8 },
+        events,
+        { now: NOW, daysAhead: 7 }
+      );
+      const approvalDelay = risks.find(
+        (r) => r.risk_category === "approval_delay"
+      );
+      expect(approvalDelay.affected_teams).toEqual(["security team"]);
+    });
+  });
+
+  describe("parseCondition", () => {
+    test("should parse trigger expressions", () => {
+      expect(riskEngine.parseCondition("team_workload > 0.90")).toEqual({
+        feature: "team_workload",
+        operator: ">",
+        threshold: 0.9,
+      });
+      expect(riskEngine.parseCondition("not a condition")).toBeNull();
+    });
+  });
+
+  describe("predictRisks", () => {
+    test("should flag approval delays for slow teams near a deadline", () => {
+      const features = {
+        team_response_time: 96,
+        dependency_chain_length: null,
+        days_until_deadline: 2,
+        pending_approvals: 8,
+        team_workload: null,
+        historical_delay_rate: null,
+        compliance_event_velocity: 0.2,
+      };
+      const events = [
+        {
+          event_type: "approval",
+          status: "Pending Review",
+          stakeholders: JSON.stringify(["legal team"]),
+        },
+      ];
+
+      const risks = riskEngine.predictRisks(features, events, {
+        now: NOW,
+        daysAhead: 7,
+      });
+      const approvalDelay = risks.find(
+        (r) => r.risk_category === "approval_delay"
+      );
+
+      expect(approvalDelay).toBeDefined();
+      expect(approvalDelay.severity).toBe("High");
+      expect(approvalDelay.probability).toBeGreaterThan(0.7);
+      expect(approvalDelay.affected_teams).toEqual(["legal team"]);
+      expect(approvalDelay.predicted_impact_date).toBe(daysFromNow(2));
+      expect(approvalDelay.recommendations.map((r) => r.action)).toContain(
+        "Request expedited review process"
+      );
+    });
+
+    test("should return no risks for a healthy project", () => {
+      const features = {
+        team_response_time: 12,
+        dependency_chain_length: null,
+        days_until_deadline: null,
+        pending_approvals: 0,
+        team_workload: null,
+        historical_delay_rate: null,
+        compliance_event_velocity: 3,
+      };
+
+      const risks = riskEngine.predictRisks(features, [], {
+        now: NOW,
+        daysAhead: 7,
+      });
+
+      expect(risks).toEqual([]);
+    });
+
+    test("should drop risks whose impact date is outside the window", () => {
+      const features = {
+        team_response_time: 120,
+        dependency_chain_length: null,
+        days_until_deadline: 20,
+        pending_approvals: 9,
+        team_workload: null,
+        historical_delay_rate: null,
+        compliance_event_velocity: 0.1,
+      };
+
+      const risks = riskEngine.predictRisks(features, [], {
+        now: NOW,
+        daysAhead: 7,
+      });
+
+      expect(risks).toEqual([]);
+    });
+  });
+
+  describe("summarizeRisks", () => {
+    test("should count risks by severity", () => {
+      const summary = riskEngine.summarizeRisks([
+        { severity: "High", probability: 0.74 },
+        { severity: "Medium", probability: 0.55 },
+      ]);
+
+      expect(summary.total_risks).toBe(2);
+      expect(summary.by_severity.high).toBe(1);
+      expect(summary.overall_risk_score).toBe(7.4);
+      expect(summary.trend).toBe("stable");
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Test Suite for risk model retraining
+ * Run with: npm run test:catalyst
+ */
+
+const riskEngine = require("../lib/risk-engine");
+const riskTraining = require("../lib/risk-training");
+
+const NOW = new Date("2025-07-01T03:00:00Z");
+
+/**
+ * Labeled outcomes where only the historical delay rate predicts a delay;
+ * the other features are noise
+ */
+function trainingRows(count) {
+  let seed = 7;
+  const random = () =>
+    (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    const delayRate = random() * 0.5;
+    const features = {
+      team_response_time: 24 + random() * 96,
+      days_until_deadline: 3 + random() * 27,
+      pending_approvals: Math.floor(random() * 10),
+      historical_delay_rate: delayRate,
+      compliance_event_velocity: random(),
+    };
+    const day = String(1 + Math.floor(i / 6)).padStart(2, "0");
+    rows.push({
+      training_id: i + 1,
+      source: riskTraining.TRAINING_SOURCE,
+      feature_vector: JSON.stringify({ features }),
+      actual_outcome: delayRate >= 0.25 ? "delayed" : "on-time",
+      recorded_at: `2025-06-${day} 00:00:00`,
+    });
+  }
+  return rows;
+}
+
+/**
+ * In-memory ml_training_data and ml_models tables
+ */
+function createApp(tables) {
+  return {
+    tables,
+    zcql: () => ({
+      executeZCQLQuery: jest.fn(async (query) => {
+        const name = /FROM (\w+)/.exec(query)[1];
+        let rows = tables[name];
+        if (name === "ml_models") {
+          if (query.includes("status = 'active'")) {
+            rows = rows.filter((r) => r.status === "active");
+          }
+          rows = [...rows].sort((a, b) => b.version - a.version);
+        }
+        return rows.map((r) => ({ [name]: r }));
+      }),
+    }),
+    datastore: () => ({
+      table: (name) => ({
+        insertRow: jest.fn(async (row) => {
+          tables[name].push({ ...row, ROWID: String(tables[name].length + 1) });
+          return row;
+        }),
+        updateRow: jest.fn(async (row) => {
+          Object.assign(
+            tables[name].find((r) => r.ROWID === row.ROWID),
+            row
+          );
+          return row;
+        }),
+      }),
+    }),
+  };
+}
+
+describe("Risk Model Training", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test("should only learn from known outcomes with features", () => {
+    const [row] = trainingRows(1);
+    expect(riskTraining.toExample(row).factors).toHaveLength(7);
+    expect(
+      riskTraining.toExample({ ...row, actual_outcome: "approval|GDPR|High" })
+    ).toBeNull();
+    expect(
+      riskTraining.toExample({ ...row, feature_vector: "not json" })
+    ).toBeNull();
+  });
+
+  test("should fit weights that beat the configured ones", () => {
+    const examples = trainingRows(160).map((r) => riskTraining.toExample(r));
+    const { training, validation } = riskTraining.splitExamples(examples, 0.25);
+    expect(validation).toHaveLength(40);
+    expect(validation[0].recorded_at >= training[119].recorded_at).toBe(true);
+
+    const weights = riskTraining.weightsFromFit(
+      riskTraining.fitLogistic(training)
+    );
+    expect(weights.historical_delay_rate).toBeGreaterThan(0.9);
+    expect(riskTraining.evaluateWeights(weights, validation)).toBeGreaterThan(
+      riskTraining.evaluateWeights(riskEngine.getFeatureWeights(), validation)
+    );
+  });
+
+  test("should version models and keep the previous one on regression", async () => {
+    const app = createApp({
+      ml_training_data: trainingRows(160),
+      ml_models: [],
+    });
+
+    const first = await riskTraining.retrainRiskModel(app, { now: NOW });
+    expect(first).toMatchObject({
+      trained: true,
+      version: 1,
+      accepted: true,
+      previous_version: 0,
+      training_samples: 120,
+      validation_samples: 40,
+    });
+    expect(first.validation_accuracy).toBeGreaterThan(first.previous_accuracy);
+
+    // An undertrained fit validates worse than version 1
+    const second = await riskTraining.retrainRiskModel(app, {
+      now: NOW,
+      training: { maxEpochs: 1 },
+    });
+    expect(second).toMatchObject({
+      version: 2,
+      accepted: false,
+      previous_version: 1,
+    });
+    expect(app.tables.ml_models.map((m) => [m.version, m.status])).toEqual([
+      [1, "active"],
+      [2, "rejected"],
+    ]);
+
+    const active = await riskTraining.loadActiveModel(app.zcql());
+    expect(active.version).toBe(1);
+    expect(active.weights).toEqual(first.weights);
+  });
+
+  test("should wait for enough labeled outcomes", async () => {
+    const app = createApp({
+      ml_training_data: trainingRows(20),
+      ml_models: [],
+    });
+    const result = await riskTraining.retrainRiskModel(app, { now: NOW });
+    expect(result).toMatchObject({ trained: false, samples: 20 });
+    expect(app.tables.ml_models).toHaveLength(0);
+  });
+
+  test("should not train without a training and a validation set", async () => {
+    const app = createApp({
+      ml_training_data: trainingRows(1),
+      ml_models: [],
+    });
+    jest.replaceProperty(riskEngine.riskModel, "learning_parameters", {
+      ...riskEngine.riskModel.learning_parameters,
+      min_training_samples: 1,
+    });
+
+    const result = await riskTraining.retrainRiskModel(app, { now: NOW });
+    expect(result).toMatchObject({ trained: false, samples: 1 });
+    expect(result.reason).toBe("0 training and 1 validation sample(s)");
+    expect(app.tables.ml_models).toHaveLength(0);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Test Suite for the streaming summary aggregator
+ * Run with: npm run test:catalyst
+ */
+
+const {
+  TIMELINE_LIMIT,
+  PENDING_ACTIONS_LIMIT,
+  createSummaryAggregator,
+} = require("../lib/summary-aggregator");
+
+const NOW = new Date("2025-06-30T12:00:00Z");
+
+function event(overrides = {}) {
+  return {
+    event_id: 1,
+    event_type: "approval",
+    regulation: "SOX",
+    risk_level: "Low",
+    status: "Accepted",
+    message_text: "Approved the Q2 controls review",
+    timestamp: "2025-06-29 10:00:00",
+    created_at: "2025-06-29 10:00:00",
+    ...overrides,
+  };
+}
+
+describe("Summary Aggregator", () => {
+  test("should count every event added across pages", () => {
+    const aggregator = createSummaryAggregator({ now: NOW });
+    for (let page = 0; page < 3; page++) {
+      aggregator.addAll(
+        Array.from({ length: 300 }, (_, i) =>
+          event({ event_id: page * 300 + i })
+        )
+      );
+    }
+    aggregator.add(
+      event({ event_type: "risk_discussion", risk_level: "High" })
+    );
+
+    const summary = aggregator.finish();
+
+    expect(summary.total_events).toBe(901);
+    expect(summary.approvals).toBe(900);
+    expect(summary.risks).toBe(1);
+    expect(summary.events_by_type).toEqual({
+      approval: 900,
+      risk_discussion: 1,
+    });
+    expect(summary.events_by_risk).toEqual({ Low: 900, High: 1 });
+    expect(summary.events_by_regulation).toEqual({ SOX: 901 });
+    expect(summary.timeline_count).toBe(901);
+    expect(summary.timeline).toHaveLength(TIMELINE_LIMIT);
+  });
+
+  test("should keep the newest timeline entries and the first pending actions", () => {
+    const aggregator = createSummaryAggregator({ now: NOW });
+    const total = 3 * TIMELINE_LIMIT;
+    for (let i = 0; i < total; i++) {
+      const minute = String(i % 60).padStart(2, "0");
+      const hour = String(Math.floor(i / 60)).padStart(2, "0");
+      aggregator.add(
+        event({
+          event_id: i,
+          status: "Pending Review",
+          timestamp: `2025-06-01 ${hour}:${minute}:00`,
+        })
+      );
+    }
+
+    const summary = aggregator.finish();
+
+    expect(summary.timeline_count).toBe(total);
+    expect(summary.timeline).toHaveLength(TIMELINE_LIMIT);
+    expect(summary.timeline[0].date).toBe("2025-06-01 09:59:00");
+    expect(summary.pending_action_count).toBe(total);
+    expect(summary.pending_actions).toHaveLength(PENDING_ACTIONS_LIMIT);
+    expect(summary.pending_actions[0].event_id).toBe(0);
+  });
+
+  test("should collect pending actions and score open risks", () => {
+    const aggregator = createSummaryAggregator({ now: NOW });
+    aggregator.add(event());
+    aggregator.add(
+      event({
+        event_id: 2,
+        event_type: "risk_discussion",
+        risk_level: "Critical",
+        status: null,
+        deadline: "2025-06-01",
+        timestamp: "2025-06-30 09:00:00",
+      })
+    );
+
+    const summary = aggregator.finish();
+
+    expect(summary.pending_actions).toEqual([
+      expect.objectContaining({
+        event_id: 2,
+        status: "Pending Review",
+        risk: "Critical",
+      }),
+    ]);
+    // 100 - 5 (high risk open) - 10 (overdue) + 4 (two types) + 10 (recent)
+    expect(summary.compliance_score).toBe(99);
+    expect(summary.timeline[0].type).toBe("risk_discussion");
+
+    const overdue = aggregator
+      .explain()
+      .factors.find((f) => f.factor === "overdue");
+    expect(overdue.events.map((e) => e.event_id)).toEqual([2]);
+  });
+
+  test("should score an empty period as neutral", () => {
+    const summary = createSummaryAggregator({ now: NOW }).finish();
+
+    expect(summary.total_events).toBe(0);
+    expect(summary.compliance_score).toBe(50);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Test Suite for the Toggle Monitoring function
+ * Run with: npm run test:catalyst
+ */
+
+jest.mock("zcatalyst-sdk-node");
+
+const toggleMonitoring = require("../functions/toggle-monitoring");
+
+const { REGULATIONS, applyToggle, normalizeRegulation, parseRegulations } =
+  toggleMonitoring;
+
+describe("Toggle Monitoring", () => {
+  describe("applyToggle", () => {
+    test("should switch every regulation with all", () => {
+      expect(applyToggle([], "on", "all")).toEqual(["all"]);
+      expect(applyToggle(["GDPR", "HIPAA"], "on", "all")).toEqual(["all"]);
+      expect(applyToggle(["all"], "off", "all")).toEqual([]);
+    });
+
+    test("should add a named regulation once", () => {
+      expect(applyToggle([], "on", "GDPR")).toEqual(["GDPR"]);
+      expect(applyToggle(["GDPR"], "on", "HIPAA")).toEqual(["GDPR", "HIPAA"]);
+      expect(applyToggle(["GDPR"], "on", "GDPR")).toEqual(["GDPR"]);
+      expect(applyToggle(["all"], "on", "GDPR")).toEqual(["all"]);
+    });
+
+    test("should remove a named regulation", () => {
+      expect(applyToggle(["GDPR", "HIPAA"], "off", "GDPR")).toEqual(["HIPAA"]);
+      expect(applyToggle(["GDPR"], "off", "GDPR")).toEqual([]);
+      expect(applyToggle(["HIPAA"], "off", "GDPR")).toEqual(["HIPAA"]);
+    });
+
+    test("should keep the other regulations when one is removed from all", () => {
+      const regulations = applyToggle(["all"], "off", "GDPR");
+
+      expect(regulations).not.toContain("GDPR");
+      expect(regulations).not.toContain("all");
+      expect(regulations).toEqual(REGULATIONS.filter((r) => r !== "GDPR"));
+      expect(regulations.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe("Parsing", () => {
+    test("should normalize regulation names to extractor labels", () => {
+      expect(normalizeRegulation("soc2")).toBe("SOC2");
+      expect(normalizeRegulation(" PCI-DSS ")).toBe("PCI_DSS");
+      expect(normalizeRegulation("iso 27001")).toBe("ISO27001");
+      expect(normalizeRegulation("ALL")).toBe("all");
+      REGULATIONS.forEach((label) => {
+        expect(normalizeRegulation(label)).toBe(label);
+      });
+    });
+
+    test("should read stored regulation lists", () => {
+      expect(parseRegulations('["GDPR","HIPAA"]')).toEqual(["GDPR", "HIPAA"]);
+      expect(parseRegulations(null)).toEqual([]);
+      expect(parseRegulations('"GDPR"')).toEqual([]);
+      expect(parseRegulations("not json")).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Catalyst Cron: Alert Digest
+ * Sends one digest card per channel or user for the Low and Medium risk
+ * alerts queued since the last one (ALERT_DIGEST hourly or daily)
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const { sendDueDigests } = require("../lib/alert-batching");
+const { createCliqOutbound } = require("../lib/cliq-outbound");
+
+module.exports = async (cronDetails, context) => {
+  try {
+    console.log("Starting alert digest...");
+
+    const catalystApp = catalyst.initialize(context);
+    const result = await sendDueDigests(catalystApp, {
+      outbound: createCliqOutbound(catalystApp),
+    });
+
+    console.log(
+      "Digests sent: " + result.sent + " of " + result.digests,
+      "(" + result.items + " alerts)"
+    );
+
+    return { success: true, ...result };
+  } catch (error) {
+    console.error("Error in alert digest:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * Catalyst Cron: Alert Escalations
+ * Sends alerts that routing rules held back for quiet hours once those hours
+ * end, and escalates alerts whose event is still Pending Review after the
+ * rule's escalate_after_hours
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const { processDueDispatches } = require("../lib/alert-dispatch");
+const { createCliqOutbound } = require("../lib/cliq-outbound");
+
+module.exports = async (cronDetails, context) => {
+  try {
+    console.log("Starting alert escalation scan...");
+
+    const catalystApp = catalyst.initialize(context);
+    const result = await processDueDispatches(catalystApp, {
+      outbound: createCliqOutbound(catalystApp),
+    });
+
+    console.log(
+      "Alerts released: " +
+        result.released +
+        ", escalated: " +
+        result.escalated +
+        ", closed: " +
+        result.closed
+    );
+
+    return { success: true, ...result };
+  } catch (error) {
+    console.error("Error in alert escalations:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
@@ -1,30 +1,35 @@
 /**
  * Catalyst Cron: Audit Log Export
- * Generates immutable audit logs with blockchain-style verification
+ * Generates immutable audit logs with blockchain-style verification.
+ * Each day's project/regulation groups are chained in sorted order and closed
+ * by an anchor record holding the Merkle root over that day's groups.
  */
 
 const catalyst = require("zcatalyst-sdk-node");
-const crypto = require("crypto");
+const auditChain = require("../lib/audit-chain");
+const auditStorage = require("../lib/audit-storage");
+const { select } = require("../lib/query-builder");
 
 module.exports = async (cronDetails, context) => {
   try {
     console.log("Starting daily audit log export...");
 
     const catalystApp = catalyst.initialize(context);
-    const datastore = catalystApp.datastore();
+    const zcql = catalystApp.zcql();
+    const auditLogsTable = catalystApp.datastore().table("audit_logs");
+    const storage = auditStorage.createAuditStorage(catalystApp);
 
     // Get all compliance events from yesterday
     const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
+    yesterday.setUTCDate(yesterday.getUTCDate() - 1);
     const yesterdayStr = yesterday.toISOString().split("T")[0];
+    const today = new Date().toISOString().split("T")[0];
 
-    const eventsTable = datastore.table("compliance_events");
-    const auditLogsTable = datastore.table("audit_logs");
-
-    // Query yesterday's events
-    const query = `SELECT * FROM compliance_events WHERE DATE(created_at) = '${yesterdayStr}'`;
-    const eventsPromise = eventsTable.query(query);
-    const events = await eventsPromise;
+    const events = await select("compliance_events")
+      .where("created_at", ">=", `${yesterdayStr} 00:00:00`)
+      .where("created_at", "<", `${today} 00:00:00`)
+      .orderBy("ROWID")
+      .fetchAll(zcql);
 
     if (events.length === 0) {
       console.log("No events to export for", yesterdayStr);
@@ -38,29 +43,66 @@ module.exports = async (cronDetails, context) => {
     // Group events by project and regulation
     const groupedEvents = groupEventsByProjectAndRegulation(events);
 
-    // Get previous audit log hash (blockchain chain)
-    const previousHash = await getLastAuditHash(auditLogsTable);
+    // Previous record and previous daily anchor (blockchain chain)
+    const previousHash = await getLastAuditHash(zcql);
+    const previousAnchorHash = await getLastAuditHash(zcql, "anchor");
 
-    // Generate audit logs for each group
-    for (const [key, eventGroup] of Object.entries(groupedEvents)) {
+    const entries = Object.entries(groupedEvents).map(([key, eventGroup]) => {
       const [projectId, regulation] = key.split("::");
+      return buildAuditEntry(projectId, regulation, eventGroup, yesterdayStr);
+    });
+
+    const { groups, anchor } = auditChain.chainDailyRecords(entries, {
+      date: yesterdayStr,
+      previousHash,
+      previousAnchorHash,
+    });
+
+    // Consecutive log_ids keep the chain order stable within one run
+    const baseLogId = Date.now();
 
+    for (let i = 0; i < groups.length; i++) {
       await generateAuditLog({
-        projectId,
-        regulation,
-        events: eventGroup,
+        record: groups[i],
+        logId: baseLogId + i,
         date: yesterdayStr,
-        previousHash,
         auditLogsTable,
-        catalystApp,
+        storage,
       });
     }
 
+    const anchorStorage = await exportToExternalStorage(
+      { ...anchor, project_id: "all", period_start: yesterdayStr },
+      storage
+    );
+
+    await auditLogsTable.insertRow({
+      log_id: baseLogId + groups.length,
+      record_type: "anchor",
+      event_ids: JSON.stringify([]),
+      export_timestamp: new Date().toISOString(),
+      exported_by: "system-cron",
+      project_id: "all",
+      regulation: "all",
+      period_start: yesterdayStr,
+      period_end: yesterdayStr,
+      report_hash: anchor.report_hash,
+      previous_hash: anchor.previous_hash,
+      merkle_root: anchor.merkle_root,
+      storage_url: anchorStorage.url,
+      audit_data: anchor.audit_data,
+      metadata: JSON.stringify({
+        groups: groups.length,
+        storage: anchorStorage,
+      }),
+    });
+
     console.log("Audit log export completed successfully");
 
     return {
       success: true,
-      logs_generated: Object.keys(groupedEvents).length,
+      logs_generated: groups.length,
+      merkle_root: anchor.merkle_root,
       date: yesterdayStr,
     };
   } catch (error) {
@@ -78,8 +120,7 @@ module.exports = async (cronDetails, context) => {
 function groupEventsByProjectAndRegulation(events) {
   const groups = {};
 
-  events.forEach((eventWrapper) => {
-    const event = eventWrapper.compliance_events;
+  events.forEach((event) => {
     const key = `${event.project_id}::${event.regulation}`;
 
     if (!groups[key]) {
@@ -93,80 +134,67 @@ function groupEventsByProjectAndRegulation(events) {
 }
 
 /**
- * Get last audit log hash for blockchain chain
+ * Get last audit log hash for blockchain chain, optionally of one record type
  */
-async function getLastAuditHash(auditLogsTable) {
+async function getLastAuditHash(zcql, recordType = null) {
   try {
-    const query =
-      "SELECT report_hash FROM audit_logs ORDER BY export_timestamp DESC LIMIT 1";
-    const results = await auditLogsTable.query(query);
-
-    if (results.length > 0) {
-      return results[0].audit_logs.report_hash;
+    const query = select("audit_logs", ["report_hash"]);
+    if (recordType) {
+      query.where("record_type", "=", recordType);
     }
+    const last = await query.orderBy("log_id", "DESC").fetchFirst(zcql);
 
-    return "0000000000000000000000000000000000000000000000000000000000000000"; // Genesis hash
+    return last ? last.report_hash : auditChain.GENESIS_HASH;
   } catch (error) {
-    return "0000000000000000000000000000000000000000000000000000000000000000";
+    return auditChain.GENESIS_HASH;
   }
 }
 
 /**
- * Generate audit log with tamper-proof hash
+ * Build the audit data for one project/regulation group
  */
-async function generateAuditLog(params) {
-  const {
+function buildAuditEntry(projectId, regulation, events, date) {
+  // Sort events by timestamp, then id, for consistency
+  events.sort(
+    (a, b) =>
+      new Date(a.timestamp) - new Date(b.timestamp) || a.event_id - b.event_id
+  );
+
+  return {
     projectId,
     regulation,
     events,
-    date,
-    previousHash,
-    auditLogsTable,
-    catalystApp,
-  } = params;
-
-  // Sort events by timestamp for consistency
-  events.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-  // Extract event IDs
-  const eventIds = events.map((e) => e.event_id);
-
-  // Build audit report data
-  const auditData = {
-    project_id: projectId,
-    regulation: regulation,
-    period_start: date,
-    period_end: date,
-    total_events: events.length,
-    events: events.map((e) => ({
-      event_id: e.event_id,
-      timestamp: e.timestamp,
-      event_type: e.event_type,
-      user: e.user_name,
-      risk_level: e.risk_level,
-      evidence_url: e.evidence_url,
-    })),
-    summary: generateAuditSummary(events),
+    auditData: {
+      project_id: projectId,
+      regulation: regulation,
+      period_start: date,
+      period_end: date,
+      total_events: events.length,
+      events: events.map(auditChain.toAuditEvent),
+      summary: generateAuditSummary(events),
+    },
   };
+}
 
-  // Generate SHA-256 hash of audit data
-  const auditJson = JSON.stringify(auditData);
-  const currentHash = crypto
-    .createHash("sha256")
-    .update(auditJson + previousHash)
-    .digest("hex");
-
-  // Export to external storage (S3/GCS)
-  const storageUrl = await exportToExternalStorage(
-    auditData,
-    currentHash,
-    catalystApp
+/**
+ * Store a chained group record with its tamper-proof hash and Merkle proof
+ */
+async function generateAuditLog(params) {
+  const { record, logId, date, auditLogsTable, storage } = params;
+  const { projectId, regulation, events } = record;
+  const currentHash = record.report_hash;
+
+  // Export to Catalyst File Storage or S3
+  const storageResult = await exportToExternalStorage(
+    { ...record, project_id: projectId, period_start: date },
+    storage
   );
 
   // Create audit log record
   const auditLogRecord = {
-    log_id: Date.now(),
-    event_ids: JSON.stringify(eventIds),
+    log_id: logId,
+    record_type: "group",
+    event_ids: JSON.stringify(events.map((e) => e.event_id)),
     export_timestamp: new Date().toISOString(),
     exported_by: "system-cron",
     project_id: projectId,
@@ -174,12 +202,17 @@ async function generateAuditLog(params) {
     period_start: date,
     period_end: date,
     report_hash: currentHash,
-    previous_hash: previousHash,
-    storage_url: storageUrl,
+    previous_hash: record.previous_hash,
+    merkle_root: record.merkle_root,
+    merkle_proof: JSON.stringify(record.merkle_proof),
+    storage_url: storageResult.url,
+    // Canonical JSON that report_hash covers, kept for chain verification
+    audit_data: record.audit_data,
     metadata: JSON.stringify({
       total_events: events.length,
       event_types: getEventTypeCounts(events),
       risk_levels: getRiskLevelCounts(events),
+      storage: storageResult,
     }),
   };
 
@@ -229,27 +262,20 @@ function generateAuditSummary(events) {
 }
 
 /**
- * Export audit data to external storage
+ * Persist the canonical audit JSON and confirm it reads back intact.
+ * A storage failure is recorded in the log's metadata rather than aborting
+ * the export, since the chain itself lives in the DataStore.
  */
-async function exportToExternalStorage(auditData, hash, catalystApp) {
+async function exportToExternalStorage(record, storage) {
   try {
-    // This would integrate with AWS S3, Google Cloud Storage, or Zoho WorkDrive
-    // For now, return a mock URL
-    const storageUrl = `https://compliance-audit-logs.s3.amazonaws.com/${auditData.project_id}/${auditData.period_start}/${hash}.json`;
-
-    // In production:
-    // const filestore = catalystApp.filestore();
-    // const folder = filestore.folder('audit-logs');
-    // const uploadedFile = await folder.uploadFile({
-    //     code: auditData,
-    //     name: `${hash}.json`
-    // });
-    // return uploadedFile.file_url;
-
-    return storageUrl;
+    return await auditStorage.storeAuditArtifact(storage, record);
   } catch (error) {
     console.error("Error exporting to storage:", error);
-    return `local://${hash}.json`;
+    return {
+      backend: storage.backend,
+      url: null,
+      error: error.message,
+    };
   }
 }
 
@@ -0,0 +1,36 @@
+/**
+ * Catalyst Cron: Daily Analytics Aggregation
+ * Rebuilds yesterday's compliance_analytics row for every project from
+ * compliance_events, backfills days a missed run left without a row
+ * (ANALYTICS_BACKFILL_DAYS, default 30) and refreshes the rolling 7- and
+ * 30-day aggregates
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const dailyAnalytics = require("../lib/daily-analytics");
+
+module.exports = async (cronDetails, context) => {
+  try {
+    console.log("Starting daily analytics aggregation...");
+
+    const catalystApp = catalyst.initialize(context);
+    const range = dailyAnalytics.nightlyRange();
+    const result = await dailyAnalytics.rebuildDailyAnalytics(
+      catalystApp,
+      range
+    );
+
+    console.log(
+      "Analytics rebuilt for " + result.projects + " project(s):",
+      result.updated + " updated, " + result.backfilled + " added"
+    );
+
+    return { success: true, ...range, ...result };
+  } catch (error) {
+    console.error("Error in daily analytics aggregation:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
@@ -0,0 +1,268 @@
+/**
+ * Catalyst Cron: Deadline Reminders
+ * Scans open compliance events with deadlines and sends each reminder stage
+ * (DEADLINE_REMINDERS, default 7d, 48h, 24h and overdue) once to the owning
+ * channel, the event's stakeholders and whoever the alert routing rules add.
+ * Resolved events get no more reminders.
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const reminders = require("../lib/deadline-reminders");
+const lifecycle = require("../lib/event-lifecycle");
+const { select } = require("../lib/query-builder");
+const { createCliqOutbound } = require("../lib/cliq-outbound");
+const { dispatchAlert, loadRoutingRules } = require("../lib/alert-dispatch");
+const { toMysqlDateTime } = require("../lib/datetime");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Overdue events older than this are no longer scanned
+const OVERDUE_LOOKBACK_DAYS = 30;
+
+// Event IDs per IN (...) lookup of sent reminders
+const LOOKUP_BATCH = 100;
+
+module.exports = async (cronDetails, context) => {
+  try {
+    console.log("Starting deadline reminder scan...");
+
+    const catalystApp = catalyst.initialize(context);
+    const result = await runDeadlineReminders(catalystApp);
+
+    console.log(
+      "Deadline reminders sent: " +
+        result.sent +
+        " of " +
+        result.due +
+        " due, " +
+        result.failed +
+        " failed"
+    );
+
+    return { success: true, ...result };
+  } catch (error) {
+    console.error("Error in deadline reminders:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Send every reminder that is due and not yet sent
+ */
+async function runDeadlineReminders(catalystApp, options = {}) {
+  const now = options.now || new Date();
+  const schedule = reminders.parseSchedule(
+    options.schedule || process.env.DEADLINE_REMINDERS
+  );
+  const outbound = options.outbound || createCliqOutbound(catalystApp);
+
+  const zcql = catalystApp.zcql();
+  const rules = options.rules || (await loadRoutingRules(zcql));
+  const remindersTable = catalystApp.datastore().table("deadline_reminders");
+
+  // Open events whose deadline is inside the earliest reminder window
+  const horizon = new Date(now.getTime() + schedule[0].hours * HOUR_MS);
+  const lookback = new Date(
+    now.getTime() - OVERDUE_LOOKBACK_DAYS * 24 * HOUR_MS
+  );
+
+  const events = (
+    await select("compliance_events")
+      .whereNotNull("deadline")
+      .where("deadline", "<=", toMysqlDateTime(horizon))
+      .where("deadline", ">=", toMysqlDateTime(lookback))
+      .whereNull("superseded_by")
+      .orderBy("ROWID")
+      .fetchAll(zcql)
+  ).filter((e) => lifecycle.isOpen(e.status));
+
+  const sentKeys = await getSentReminders(
+    zcql,
+    events.map((e) => e.event_id)
+  );
+
+  let due = 0;
+  let sent = 0;
+  let failed = 0;
+
+  // One event's failure doesn't stop the others
+  for (const event of events) {
+    let claimed = null;
+    let dispatched = false;
+
+    try {
+      const reminder = reminders.dueReminder(
+        event,
+        sentKeys[event.event_id] || [],
+        schedule,
+        now
+      );
+      if (!reminder) continue;
+      due++;
+
+      const recipients = reminders.stakeholderRecipients(event.stakeholders);
+
+      // Claim the reminder first; the unique dedupe_key stops a second run
+      // that overlaps this one from sending it again
+      try {
+        claimed = await remindersTable.insertRow({
+          reminder_id: Date.now() + due,
+          event_id: event.event_id,
+          reminder_key: reminder.key,
+          dedupe_key: event.event_id + ":" + reminder.key,
+          deadline: event.deadline,
+          channel_id: event.channel_id || null,
+          recipients: JSON.stringify(recipients),
+          sent_at: toMysqlDateTime(now),
+        });
+      } catch (claimError) {
+        console.log(
+          "Reminder " + reminder.key + " for event " + event.event_id,
+          "already claimed: " + claimError.message
+        );
+        continue;
+      }
+
+      const message = buildReminderMessage(event, reminder);
+      const targets = [];
+      if (event.channel_id) {
+        targets.push({ type: "channel", id: event.channel_id });
+      }
+      recipients.forEach((id) => targets.push({ type: "user", id }));
+
+      const { delivery } = await dispatchAlert(
+        catalystApp,
+        {
+          alert: message,
+          event: {
+            ...event,
+            project_id: event.project_id || event.channel_id,
+          },
+          kind: "deadline",
+          source: "deadline-reminders",
+          extraTargets: targets,
+        },
+        { now, outbound, rules }
+      );
+      dispatched = true;
+
+      await remindersTable.updateRow({
+        ROWID: claimed.ROWID,
+        delivery: JSON.stringify(delivery),
+      });
+
+      if (delivery.some((d) => d.delivered)) sent++;
+    } catch (error) {
+      failed++;
+      console.error(
+        "Deadline reminder for event " + event.event_id + " failed:",
+        error.message
+      );
+
+      // Release the claim of a reminder that never went out, so the next
+      // run sends it again
+      if (claimed && !dispatched) {
+        await remindersTable
+          .deleteRow(claimed.ROWID)
+          .catch((err) =>
+            console.error(
+              "Could not release reminder " + claimed.ROWID + ":",
+              err.message
+            )
+          );
+      }
+    }
+  }
+
+  return { scanned: events.length, due, sent, failed };
+}
+
+/**
+ * Reminder keys already sent, by event ID
+ */
+async function getSentReminders(zcql, eventIds) {
+  const sent = {};
+
+  for (let i = 0; i < eventIds.length; i += LOOKUP_BATCH) {
+    const rows = await select("deadline_reminders", [
+      "event_id",
+      "reminder_key",
+    ])
+      .whereIn("event_id", eventIds.slice(i, i + LOOKUP_BATCH))
+      .orderBy("ROWID")
+      .fetchAll(zcql);
+
+    rows.forEach((r) => {
+      if (!sent[r.event_id]) sent[r.event_id] = [];
+      sent[r.event_id].push(r.reminder_key);
+    });
+  }
+
+  return sent;
+}
+
+/**
+ * Reminder card for one event and stage
+ */
+function buildReminderMessage(event, reminder) {
+  const deadline = new Date(event.deadline);
+  const timing = reminder.overdue
+    ? "was due " + Math.abs(reminder.hours_left) + " hours ago"
+    : "is due in " + reminder.hours_left + " hours";
+
+  return {
+    text:
+      (reminder.overdue ? "🚨 Overdue: " : "⏰ Deadline reminder: ") +
+      event.event_type +
+      " (" +
+      event.regulation +
+      ") " +
+      timing,
+    card: {
+      title: reminder.overdue
+        ? "Compliance Deadline Overdue"
+        : "Compliance Deadline - " + reminder.key + " reminder",
+      theme: "modern-inline",
+      sections: [
+        {
+          id: 1,
+          title: "Deadline Information",
+          data: [
+            { key: "Event Type", value: event.event_type },
+            { key: "Regulation", value: event.regulation },
+            { key: "Risk Level", value: event.risk_level },
+            { key: "Deadline", value: deadline.toISOString().slice(0, 16) },
+            { key: "Time Left", value: timing },
+            { key: "Channel", value: event.channel_name },
+            {
+              key: "Status",
+              value: event.status || lifecycle.STATUS.PENDING_REVIEW,
+            },
+          ],
+        },
+      ],
+      buttons: [
+        {
+          label: "Review Event",
+          type: "invoke.function",
+          function_name: "update_event_status",
+          data: { event_id: String(event.event_id) },
+        },
+        ...(event.evidence_url
+          ? [
+              {
+                label: "View Message",
+                type: "open.url",
+                url: event.evidence_url,
+              },
+            ]
+          : []),
+      ],
+    },
+  };
+}
+
+module.exports.runDeadlineReminders = runDeadlineReminders;
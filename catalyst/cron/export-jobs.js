@@ -0,0 +1,36 @@
+/**
+ * Catalyst Cron: Export Jobs
+ * Runs export jobs left queued when the invocation meant to run them never
+ * started, and fails running jobs that have gone stale
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const { sweepExportJobs } = require("../functions/export-report");
+
+module.exports = async (cronDetails, context) => {
+  try {
+    console.log("Starting export job sweep...");
+
+    const catalystApp = catalyst.initialize(context);
+    const result = await sweepExportJobs(catalystApp, {
+      log: (message) => console.log(message),
+    });
+
+    console.log(
+      "Export jobs timed out: " +
+        result.timed_out +
+        ", run: " +
+        result.run +
+        ", completed: " +
+        result.completed
+    );
+
+    return { success: true, ...result };
+  } catch (error) {
+    console.error("Error in export job sweep:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Catalyst Cron: ML Model Retraining
+ * Refits the risk predictor's feature weights from the labeled outcomes in
+ * ml_training_data. The new version replaces the active one only if its
+ * validation accuracy is at least as good.
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const { retrainRiskModel } = require("../lib/risk-training");
+
+module.exports = async (cronDetails, context) => {
+  try {
+    console.log("Starting risk model retraining...");
+
+    const catalystApp = catalyst.initialize(context);
+    const result = await retrainRiskModel(catalystApp);
+
+    if (!result.trained) {
+      console.log("Retraining skipped: " + result.reason);
+    } else {
+      console.log(
+        "Model version " + result.version,
+        result.accepted ? "activated" : "rejected",
+        "(accuracy " +
+          result.validation_accuracy +
+          " vs " +
+          result.previous_accuracy +
+          ")"
+      );
+    }
+
+    return { success: true, ...result };
+  } catch (error) {
+    console.error("Error in model retraining:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
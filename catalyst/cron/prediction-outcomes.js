@@ -0,0 +1,32 @@
+/**
+ * Catalyst Cron: Prediction Outcomes
+ * Judges risk predictions whose impact date (plus a grace period) has passed:
+ * did an approval go overdue, a deadline slip or an incident get raised in
+ * the project? Each outcome is recorded on the prediction and as a labeled
+ * example in ml_training_data for retraining.
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const { trackPredictionOutcomes } = require("../lib/prediction-outcomes");
+
+module.exports = async (cronDetails, context) => {
+  try {
+    console.log("Starting prediction outcome tracking...");
+
+    const catalystApp = catalyst.initialize(context);
+    const result = await trackPredictionOutcomes(catalystApp);
+
+    console.log(
+      "Predictions evaluated: " + result.evaluated,
+      "(" + result.materialized + " materialized)"
+    );
+
+    return { success: true, ...result };
+  } catch (error) {
+    console.error("Error in prediction outcome tracking:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
@@ -0,0 +1,56 @@
+/**
+ * Catalyst Function: Approval SLA
+ * Approval latency (median and p90) per approver, team and regulation, and
+ * the approvals and open requests past their SLA target, for one project or
+ * all of them
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const approvalLatency = require("../lib/approval-latency");
+const { select } = require("../lib/query-builder");
+const { toMysqlDateTime } = require("../lib/datetime");
+
+const DEFAULT_DAYS = 30;
+
+module.exports = async (context, basicIO) => {
+  try {
+    const catalystApp = catalyst.initialize(context);
+    const zcql = catalystApp.zcql();
+
+    const projectId =
+      basicIO.getArgument("project_id") || basicIO.getArgument("channel_id");
+    const days = parseInt(basicIO.getArgument("days")) || DEFAULT_DAYS;
+    const now = new Date();
+    const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+    const query = select("compliance_events")
+      .where("created_at", ">=", toMysqlDateTime(since))
+      .whereNull("superseded_by");
+    if (projectId) query.where("project_id", "=", String(projectId));
+
+    const events = await query.orderBy("created_at").fetchAll(zcql);
+    const paired = approvalLatency.pairApprovals(events, now);
+
+    basicIO.write(
+      JSON.stringify({
+        success: true,
+        project_id: projectId || null,
+        days,
+        ...approvalLatency.latencyStats(
+          paired,
+          approvalLatency.slaTargets(process.env)
+        ),
+      })
+    );
+    context.close();
+  } catch (error) {
+    context.log("Error computing approval SLA: " + error.message);
+    basicIO.write(
+      JSON.stringify({
+        success: false,
+        error: error.message,
+      })
+    );
+    context.close();
+  }
+};
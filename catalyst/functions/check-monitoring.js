@@ -0,0 +1,64 @@
+/**
+ * Catalyst Function: Check Channel Monitoring
+ * Returns whether a channel is monitored and which regulations it watches
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const { select } = require("../lib/query-builder");
+
+module.exports = async (context, basicIO) => {
+  try {
+    const catalystApp = catalyst.initialize(context);
+
+    const channelId = basicIO.getArgument("channel_id");
+
+    if (!channelId) {
+      basicIO.write(
+        JSON.stringify({
+          monitored: false,
+          error: "channel_id is required",
+        })
+      );
+      context.close();
+      return;
+    }
+
+    const zcql = catalystApp.zcql();
+    const record = await select("monitored_channels")
+      .where("channel_id", "=", String(channelId))
+      .fetchFirst(zcql);
+
+    let regulations = [];
+    try {
+      regulations = record ? JSON.parse(record.regulations || "[]") : [];
+    } catch (e) {
+      regulations = [];
+    }
+
+    const monitored =
+      !!record &&
+      (record.enabled === true || record.enabled === "true") &&
+      regulations.length > 0;
+
+    basicIO.write(
+      JSON.stringify({
+        channel_id: channelId,
+        monitored,
+        regulations: monitored ? regulations : [],
+        enabled_by: record ? record.enabled_by : null,
+        enabled_at: record ? record.enabled_at : null,
+        updated_at: record ? record.updated_at : null,
+      })
+    );
+    context.close();
+  } catch (error) {
+    context.log("Error checking monitoring: " + error.message);
+    basicIO.write(
+      JSON.stringify({
+        monitored: false,
+        error: error.message,
+      })
+    );
+    context.close();
+  }
+};
@@ -0,0 +1,116 @@
+/**
+ * Catalyst Function: Dependency Risk
+ * Scores a project's dependency risk from Zoho Projects tasks and its
+ * compliance events: the 0-10 composite score, the critical path and the
+ * tasks holding others up
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const approvalLatency = require("../lib/approval-latency");
+const dependencyRisk = require("../lib/dependency-risk");
+const riskEngine = require("../lib/risk-engine");
+const { createProjectsClient } = require("../lib/projects-client");
+const { select } = require("../lib/query-builder");
+const { toMysqlDateTime } = require("../lib/datetime");
+
+// Days of history used for response time and event features
+const LOOKBACK_DAYS = 30;
+
+const DEFAULT_RISK_THRESHOLD = 7.5;
+
+module.exports = async (context, basicIO) => {
+  try {
+    const catalystApp = catalyst.initialize(context);
+
+    const projectId =
+      basicIO.getArgument("project_id") || basicIO.getArgument("channel_id");
+    // The Zoho Projects ID, when the compliance project uses its own
+    const projectsProjectId =
+      basicIO.getArgument("projects_project_id") || projectId;
+
+    if (!projectId) {
+      basicIO.write(
+        JSON.stringify({
+          error: "project_id or channel_id is required",
+        })
+      );
+      context.close();
+      return;
+    }
+
+    const zcql = catalystApp.zcql();
+    const now = new Date();
+    const lookbackStart = new Date(now);
+    lookbackStart.setDate(lookbackStart.getDate() - LOOKBACK_DAYS);
+    const lookbackStr = toMysqlDateTime(lookbackStart);
+
+    const events = await select("compliance_events")
+      .where("project_id", "=", String(projectId))
+      .where("created_at", ">=", lookbackStr)
+      .whereNull("superseded_by")
+      .orderBy("created_at", "DESC")
+      .fetchAll(zcql);
+    const analytics = await select("compliance_analytics")
+      .where("project_id", "=", String(projectId))
+      .where("date", ">=", lookbackStr.slice(0, 10))
+      .orderBy("date")
+      .fetchAll(zcql);
+
+    const analysis = await dependencyRisk.loadDependencyAnalysis(
+      createProjectsClient(process.env),
+      projectsProjectId,
+      now
+    );
+
+    const features = riskEngine.extractFeatures(events, analytics, {
+      now,
+      lookbackDays: LOOKBACK_DAYS,
+      teamResponseTime: approvalLatency.meanLatency(
+        approvalLatency.pairApprovals(events, now).pairs
+      ),
+      ...dependencyRisk.featureOptions(analysis),
+    });
+    // The project's end date, as in the Deluge script, over the nearest
+    // event deadline
+    if (analysis.days_until_deadline !== null) {
+      features.days_until_deadline = analysis.days_until_deadline;
+    }
+
+    const composite = dependencyRisk.compositeScore(features);
+    const threshold =
+      parseFloat(process.env.RISK_THRESHOLD) || DEFAULT_RISK_THRESHOLD;
+
+    basicIO.write(
+      JSON.stringify({
+        success: true,
+        project_id: projectId,
+        projects_project_id: analysis.projects_project_id,
+        project_name: analysis.project_name,
+        generated_at: now.toISOString(),
+        risk_score: composite.score,
+        risk_threshold: threshold,
+        above_threshold: composite.score > threshold,
+        factors: composite.factors,
+        dependency_chain_length: analysis.dependency_chain_length,
+        critical_path: analysis.critical_path,
+        bottlenecks: analysis.bottlenecks,
+        team_workload: analysis.team_workload,
+        historical_delay_rate: analysis.historical_delay_rate,
+        recommendation: dependencyRisk.recommendation(
+          composite.score,
+          composite.factors.days_until_deadline.value,
+          composite.factors.team_response_time.value
+        ),
+      })
+    );
+    context.close();
+  } catch (error) {
+    context.log("Error scoring dependency risk: " + error.message);
+    basicIO.write(
+      JSON.stringify({
+        error: error.message,
+      })
+    );
+    context.close();
+  }
+};
@@ -0,0 +1,513 @@
+/**
+ * Catalyst Function: Export Compliance Report
+ * Queues report export jobs, renders them as PDF, XLSX, CSV or JSON and
+ * sends the download link to the requester by DM
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const { generatePDFDocument } = require("./generate-pdf-report");
+const { select, update } = require("../lib/query-builder");
+const { resolvePeriod } = require("../lib/reporting-period");
+const { createCliqOutbound } = require("../lib/cliq-outbound");
+const { toMysqlDateTime } = require("../lib/datetime");
+
+const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+};
+
+// Queued jobs older than this are picked up by the export-jobs cron, in case
+// the invocation that should have run them was torn down
+const QUEUE_GRACE_MINUTES = 5;
+
+// Running jobs older than this are taken to have died and marked failed
+const STALE_RUNNING_MINUTES = 30;
+
+// Queued jobs the cron runs per sweep
+const SWEEP_BATCH_SIZE = 10;
+
+// Accepted format names mapped to the renderer that produces them
+const FORMAT_ALIASES = {
+  PDF: "PDF",
+  EXCEL: "XLSX",
+  XLSX: "XLSX",
+  CSV: "CSV",
+  JSON: "JSON",
+};
+
+// Timeline columns exported to XLSX and CSV
+const TIMELINE_COLUMNS = ["date", "type", "regulation", "risk", "user"];
+
+const RENDERERS = {
+  PDF: { extension: "pdf", render: renderPDF },
+  XLSX: { extension: "xlsx", render: renderXLSX },
+  CSV: { extension: "csv", render: renderCSV },
+  JSON: { extension: "json", render: renderJSON },
+};
+
+module.exports = async (context, basicIO) => {
+  try {
+    const catalystApp = catalyst.initialize(context);
+
+    const jobId = basicIO.getArgument("job_id");
+
+    // Invoked for an existing job: run it
+    if (jobId) {
+      const job = await runExportJob(jobId, catalystApp, context);
+      basicIO.write(JSON.stringify(formatJob(job)));
+      context.close();
+      return;
+    }
+
+    const project =
+      basicIO.getArgument("project") || basicIO.getArgument("project_id");
+    const format =
+      FORMAT_ALIASES[(basicIO.getArgument("format") || "PDF").toUpperCase()];
+
+    if (!project || !format) {
+      basicIO.write(
+        JSON.stringify({
+          success: false,
+          error:
+            "A project and a format of " +
+            Object.keys(FORMAT_ALIASES).join(", ") +
+            " are required",
+        })
+      );
+      context.close();
+      return;
+    }
+
+    const period = {
+      period: basicIO.getArgument("period"),
+      from: basicIO.getArgument("from"),
+      to: basicIO.getArgument("to"),
+    };
+
+    // Reject a bad period now rather than in the background job
+    try {
+      resolvePeriod(period);
+    } catch (periodError) {
+      basicIO.write(
+        JSON.stringify({ success: false, error: periodError.message })
+      );
+      context.close();
+      return;
+    }
+
+    const job = await queueExportJob(
+      {
+        project,
+        format,
+        regulation: basicIO.getArgument("regulation") || "all",
+        channel_id: basicIO.getArgument("channel_id"),
+        requested_by: basicIO.getArgument("requested_by"),
+        ...period,
+      },
+      catalystApp
+    );
+
+    // Run the job in a separate invocation (async, don't wait). If it never
+    // starts, the export-jobs cron runs it once QUEUE_GRACE_MINUTES pass.
+    catalystApp
+      .functions()
+      .execute("export-report", { args: { job_id: String(job.job_id) } })
+      .catch((err) =>
+        context.log("Export job " + job.job_id + " failed: " + err.message)
+      );
+
+    basicIO.write(JSON.stringify({ success: true, ...formatJob(job) }));
+    context.close();
+  } catch (error) {
+    context.log("Error exporting report: " + error.message);
+    basicIO.write(
+      JSON.stringify({
+        success: false,
+        error: error.message,
+      })
+    );
+    context.close();
+  }
+};
+
+/**
+ * Create a queued export job
+ */
+async function queueExportJob(request, catalystApp) {
+  const jobsTable = catalystApp.datastore().table("export_jobs");
+
+  const row = {
+    job_id: Date.now(),
+    project_id: String(request.project),
+    regulation: String(request.regulation),
+    format: request.format,
+    channel_id: request.channel_id ? String(request.channel_id) : null,
+    requested_by: request.requested_by ? String(request.requested_by) : null,
+    period: request.period || null,
+    period_from: request.from || null,
+    period_to: request.to || null,
+    status: JOB_STATUS.QUEUED,
+    created_at: toMysqlDateTime(new Date()),
+  };
+
+  const inserted = await jobsTable.insertRow(row);
+  return { ...row, ROWID: inserted.ROWID };
+}
+
+/**
+ * Run a queued export job through to done or failed
+ */
+async function runExportJob(jobId, catalystApp, context) {
+  const jobsTable = catalystApp.datastore().table("export_jobs");
+  const zcql = catalystApp.zcql();
+
+  const job = await select("export_jobs")
+    .where("job_id", "=", parseInt(jobId) || 0)
+    .fetchFirst(zcql);
+
+  if (!job) {
+    throw new Error("Export job " + jobId + " not found");
+  }
+
+  // Only queued jobs are picked up, so a repeated trigger is harmless
+  if (job.status !== JOB_STATUS.QUEUED) {
+    return job;
+  }
+
+  // The request's own invocation and the export-jobs sweep can both get here.
+  // Only one conditional update moves the job off queued; the other finds a
+  // different claim token on re-reading and leaves the job alone.
+  const claimToken = crypto.randomUUID();
+  await update("export_jobs", {
+    status: JOB_STATUS.RUNNING,
+    started_at: toMysqlDateTime(new Date()),
+    claim_token: claimToken,
+  })
+    .where("job_id", "=", parseInt(job.job_id))
+    .where("status", "=", JOB_STATUS.QUEUED)
+    .execute(zcql);
+
+  const claimed = await select("export_jobs")
+    .where("job_id", "=", parseInt(job.job_id))
+    .fetchFirst(zcql);
+  if (!claimed || claimed.claim_token !== claimToken) {
+    return claimed || job;
+  }
+
+  try {
+    const summaryResponse = await catalystApp
+      .functions()
+      .execute("generate-summary", {
+        args: {
+          project: job.project_id,
+          regulation: job.regulation || "all",
+          ...periodArgs(job),
+        },
+      });
+    const summary =
+      typeof summaryResponse === "string"
+        ? JSON.parse(summaryResponse)
+        : summaryResponse;
+
+    if (!summary || summary.error) {
+      throw new Error(
+        "Summary generation failed: " + (summary ? summary.error : "no data")
+      );
+    }
+
+    const renderer = RENDERERS[job.format];
+    const buffer = await renderer.render(summary, job.project_id);
+    // The project ID is caller-supplied, so keep it to safe file name characters
+    const fileName =
+      "compliance-report-" +
+      String(job.project_id).replace(/[^\w.-]/g, "_") +
+      "-" +
+      job.job_id +
+      "." +
+      renderer.extension;
+
+    const file = await uploadReport(buffer, fileName, catalystApp);
+
+    await updateJob(jobsTable, job, {
+      status: JOB_STATUS.DONE,
+      file_id: String(file.id),
+      file_name: fileName,
+      download_url: file.url,
+      completed_at: toMysqlDateTime(new Date()),
+    });
+
+    await notifyRequester(job, catalystApp, {
+      text: "📄 Your " + job.format + " compliance report is ready",
+      card: {
+        title: "Compliance Report - " + job.project_id,
+        theme: "modern-inline",
+        sections: [
+          {
+            id: 1,
+            data: [
+              { key: "Project", value: job.project_id },
+              { key: "Format", value: job.format },
+              { key: "Period", value: summary.period },
+              { key: "Total Events", value: summary.total_events },
+            ],
+          },
+        ],
+        buttons: [
+          {
+            label: "Download Report",
+            type: "open.url",
+            url: file.url,
+          },
+        ],
+      },
+    }).catch((err) => context.log("Export DM failed: " + err.message));
+  } catch (error) {
+    context.log("Export job " + job.job_id + " failed: " + error.message);
+
+    await updateJob(jobsTable, job, {
+      status: JOB_STATUS.FAILED,
+      error: error.message,
+      completed_at: toMysqlDateTime(new Date()),
+    });
+
+    await notifyRequester(job, catalystApp, {
+      text:
+        "❌ Your " +
+        job.format +
+        " compliance report for " +
+        job.project_id +
+        " could not be generated: " +
+        error.message,
+    }).catch((err) => context.log("Export DM failed: " + err.message));
+  }
+
+  return job;
+}
+
+/**
+ * Fail running jobs that went stale and run queued jobs whose invocation
+ * never started them
+ */
+async function sweepExportJobs(catalystApp, context, now = new Date()) {
+  const jobsTable = catalystApp.datastore().table("export_jobs");
+  const zcql = catalystApp.zcql();
+  const minutesAgo = (minutes) =>
+    toMysqlDateTime(new Date(now.getTime() - minutes * 60 * 1000));
+
+  const stale = await select("export_jobs")
+    .where("status", "=", JOB_STATUS.RUNNING)
+    .where("started_at", "<", minutesAgo(STALE_RUNNING_MINUTES))
+    .orderBy("ROWID")
+    .fetchAll(zcql);
+
+  for (const job of stale) {
+    await updateJob(jobsTable, job, {
+      status: JOB_STATUS.FAILED,
+      error: "Timed out after " + STALE_RUNNING_MINUTES + " minutes",
+      completed_at: toMysqlDateTime(now),
+    });
+    await notifyRequester(job, catalystApp, {
+      text:
+        "❌ Your " +
+        job.format +
+        " compliance report for " +
+        job.project_id +
+        " timed out. Please request it again.",
+    }).catch((err) => context.log("Export DM failed: " + err.message));
+  }
+
+  const queued = await select("export_jobs")
+    .where("status", "=", JOB_STATUS.QUEUED)
+    .where("created_at", "<", minutesAgo(QUEUE_GRACE_MINUTES))
+    .orderBy("created_at")
+    .limit(SWEEP_BATCH_SIZE)
+    .fetch(zcql);
+
+  let completed = 0;
+  for (const job of queued) {
+    const result = await runExportJob(job.job_id, catalystApp, context);
+    if (result.status === JOB_STATUS.DONE) completed++;
+  }
+
+  return { timed_out: stale.length, run: queued.length, completed };
+}
+
+/**
+ * The job's reporting period as generate-summary arguments
+ */
+function periodArgs(job) {
+  const args = {};
+  if (job.period) args.period = job.period;
+  if (job.period_from) args.from = job.period_from;
+  if (job.period_to) args.to = job.period_to;
+  return args;
+}
+
+/**
+ * Update a job row and keep the in-memory copy in sync
+ */
+async function updateJob(jobsTable, job, changes) {
+  Object.assign(job, changes);
+  await jobsTable.updateRow({ ...changes, ROWID: job.ROWID });
+}
+
+/**
+ * Store the rendered report in Catalyst File Storage
+ */
+async function uploadReport(buffer, fileName, catalystApp) {
+  const folder = catalystApp
+    .filestore()
+    .folder(process.env.EXPORT_FOLDER_ID || 0);
+
+  // uploadFile expects a read stream, so stage the buffer in a temp file
+  const tempPath = path.join(os.tmpdir(), fileName);
+  fs.writeFileSync(tempPath, buffer);
+
+  try {
+    const fileObj = await folder.uploadFile({
+      code: fs.createReadStream(tempPath),
+      name: fileName,
+    });
+
+    const fileId = fileObj.id || fileObj.file_id;
+    const url =
+      fileObj.file_url ||
+      "https://catalyst.zoho.com/baas/v1/project/" +
+        catalystApp.getProjectId() +
+        "/file/" +
+        fileId +
+        "/download";
+
+    return { id: fileId, url };
+  } finally {
+    fs.unlinkSync(tempPath);
+  }
+}
+
+/**
+ * DM the user who requested the export
+ */
+async function notifyRequester(job, catalystApp, message) {
+  if (!job.requested_by) return;
+
+  await createCliqOutbound(catalystApp).sendDirect(job.requested_by, message, {
+    source: "export-report",
+  });
+}
+
+/**
+ * Renderers
+ */
+function renderPDF(summary, project) {
+  return generatePDFDocument(summary, null, project);
+}
+
+async function renderXLSX(summary, project) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "Compliance Command Center";
+  workbook.created = new Date();
+
+  const overview = workbook.addWorksheet("Summary");
+  overview.columns = [
+    { header: "Metric", key: "metric", width: 28 },
+    { header: "Value", key: "value", width: 40 },
+  ];
+  overview.addRows([
+    { metric: "Project", value: project },
+    { metric: "Regulation", value: summary.regulation },
+    { metric: "Period", value: summary.period },
+    { metric: "Total Events", value: summary.total_events },
+    { metric: "Compliance Score", value: summary.compliance_score },
+    { metric: "Approvals", value: summary.approvals },
+    { metric: "Risk Discussions", value: summary.risks },
+    { metric: "Decisions", value: summary.decisions },
+    { metric: "Milestones", value: summary.milestones },
+    {
+      metric: "Pending Actions",
+      value:
+        summary.pending_action_count || (summary.pending_actions || []).length,
+    },
+  ]);
+
+  const breakdown = workbook.addWorksheet("Breakdown");
+  breakdown.columns = [
+    { header: "Dimension", key: "dimension", width: 16 },
+    { header: "Value", key: "value", width: 24 },
+    { header: "Events", key: "count", width: 10 },
+  ];
+  [
+    ["Event Type", summary.events_by_type],
+    ["Regulation", summary.events_by_regulation],
+    ["Risk Level", summary.events_by_risk],
+  ].forEach(([dimension, counts]) => {
+    Object.entries(counts || {}).forEach(([value, count]) => {
+      breakdown.addRow({ dimension, value, count });
+    });
+  });
+
+  const pending = workbook.addWorksheet("Pending Actions");
+  pending.columns = [
+    { header: "Type", key: "type", width: 18 },
+    { header: "Description", key: "description", width: 60 },
+    { header: "Risk", key: "risk", width: 10 },
+    { header: "Deadline", key: "deadline", width: 20 },
+    { header: "Evidence", key: "url", width: 40 },
+  ];
+  pending.addRows(summary.pending_actions || []);
+
+  const timeline = workbook.addWorksheet("Timeline");
+  timeline.columns = TIMELINE_COLUMNS.map((key) => ({
+    header: key,
+    key,
+    width: 20,
+  }));
+  timeline.addRows(summary.timeline || []);
+
+  [overview, breakdown, pending, timeline].forEach((sheet) => {
+    sheet.getRow(1).font = { bold: true };
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function renderCSV(summary) {
+  const lines = [TIMELINE_COLUMNS.join(",")];
+  (summary.timeline || []).forEach((event) => {
+    lines.push(TIMELINE_COLUMNS.map((key) => escapeCSV(event[key])).join(","));
+  });
+  return Buffer.from(lines.join("\n") + "\n", "utf8");
+}
+
+function renderJSON(summary) {
+  return Buffer.from(JSON.stringify(summary, null, 2), "utf8");
+}
+
+/**
+ * Helper functions
+ */
+function escapeCSV(value) {
+  if (value === null || value === undefined) return "";
+  // Spreadsheets run cells starting with these as formulas
+  const text = /^[=+@-]/.test(String(value)) ? "'" + value : String(value);
+  return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function formatJob(job) {
+  return {
+    job_id: job.job_id,
+    project: job.project_id,
+    format: job.format,
+    status: job.status,
+    download_url: job.download_url || null,
+    error: job.error || null,
+  };
+}
+
+module.exports.sweepExportJobs = sweepExportJobs;
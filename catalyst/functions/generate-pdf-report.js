@@ -82,6 +82,30 @@ module.exports = async (context, basicIO) => {
   }
 };
 
+// Executive Summary metrics compared with the previous period
+const PDF_COMPARISONS = [
+  ["compliance_score", "Compliance score"],
+  ["approvals", "Approvals"],
+  ["high_risk", "High-risk events"],
+  ["total_events", "Total events"],
+];
+
+/**
+ * Describe a period-over-period change, e.g. "Approvals went up from 4 to 7 (+75%)"
+ */
+function describeDelta(label, delta) {
+  if (delta.direction === "flat") {
+    return `${label} held steady at ${delta.current}`;
+  }
+
+  const percent =
+    delta.change_percent === null
+      ? ""
+      : ` (${delta.change_percent > 0 ? "+" : ""}${delta.change_percent}%)`;
+
+  return `${label} went ${delta.direction} from ${delta.previous} to ${delta.current}${percent}`;
+}
+
 /**
  * Generate PDF document from summary data
  */
@@ -108,11 +132,11 @@ async function generatePDFDocument(summaryData, insights, projectName) {
       doc
         .fontSize(12)
         .font("Helvetica")
-        .text(Project: ${projectName || "All Projects"}, { align: "center" })
-        .text(Period: ${summaryData.period || "Last 30 days"}, {
+        .text(`Project: ${projectName || "All Projects"}`, { align: "center" })
+        .text(`Period: ${summaryData.period || "Last 30 days"}`, {
           align: "center",
         })
-        .text(Generated: ${new Date().toLocaleDateString()}, {
+        .text(`Generated: ${new Date().toLocaleDateString()}`, {
           align: "center",
         })
         .moveDown(2);
@@ -122,13 +146,29 @@ async function generatePDFDocument(summaryData, insights, projectName) {
       doc.moveDown(0.5);
       doc.fontSize(11).font("Helvetica");
 
-      doc.text(Total Events: ${summaryData.total_events || 0});
+      doc.text(`Total Events: ${summaryData.total_events || 0}`);
       doc.text(
-        Compliance Score: ${summaryData.compliance_score || 0}/100
+        `Compliance Score: ${summaryData.compliance_score || 0}/100`
+      );
+      doc.text(
+        `Pending Actions: ${summaryData.pending_action_count || summaryData.pending_actions?.length || 0}`
       );
-      doc.text(Pending Actions: ${summaryData.pending_actions?.length || 0});
       doc.moveDown();
 
+      // Period-over-period comparison
+      if (summaryData.deltas && summaryData.previous_period) {
+        doc
+          .fontSize(12)
+          .font("Helvetica-Bold")
+          .text(`Compared with ${summaryData.previous_period.period}:`);
+        doc.fontSize(11).font("Helvetica");
+        PDF_COMPARISONS.forEach(([metric, label]) => {
+          const delta = summaryData.deltas[metric];
+          if (delta) doc.text(`  • ${describeDelta(label, delta)}`);
+        });
+        doc.moveDown();
+      }
+
       // AI Insights
       if (insights) {
         doc.fontSize(14).font("Helvetica-Bold").text("AI-Generated Insights");
@@ -184,7 +224,7 @@ async function generatePDFDocument(summaryData, insights, projectName) {
         doc.moveDown(0.5);
         doc.fontSize(10).font("Helvetica");
         summaryData.pending_actions.forEach((action, index) => {
-          doc.text(${index + 1}. ${action.type} - ${action.description});
+          doc.text(`${index + 1}. ${action.type} - ${action.description}`);
           if (action.risk) {
             doc.text(`   Risk Level: ${action.risk}`, { indent: 20 });
           }
@@ -206,7 +246,7 @@ async function generatePDFDocument(summaryData, insights, projectName) {
           // Limit to 50 events to avoid PDF being too long
           const date = new Date(event.date).toLocaleDateString();
           doc.text(
-            ${date} - ${event.type} (${event.regulation}) - ${event.user}
+            `${date} - ${event.type} (${event.regulation}) - ${event.user}`
           );
           doc.moveDown(0.2);
         });
@@ -217,7 +257,7 @@ async function generatePDFDocument(summaryData, insights, projectName) {
         .fontSize(8)
         .font("Helvetica")
         .text(
-          This report was automatically generated by Compliance Command Center on ${new Date().toLocaleString()},
+          `This report was automatically generated by Compliance Command Center on ${new Date().toLocaleString()}`,
           { align: "center" }
         );
 
@@ -226,4 +266,7 @@ async function generatePDFDocument(summaryData, insights, projectName) {
       reject(error);
     }
   });
-}
\ No newline at end of file
+}
+
+module.exports.generatePDFDocument = generatePDFDocument;
+module.exports.describeDelta = describeDelta;
@@ -4,6 +4,14 @@
  */
 
 const catalyst = require("zcatalyst-sdk-node");
+const { select, contains } = require("../lib/query-builder");
+const { createSummaryAggregator } = require("../lib/summary-aggregator");
+const {
+  resolvePeriod,
+  previousPeriod,
+  comparePeriods,
+  formatDate,
+} = require("../lib/reporting-period");
 
 module.exports = async (req, res) => {
   try {
@@ -17,93 +25,51 @@ module.exports = async (req, res) => {
       });
     }
 
-    const datastore = catalystApp.datastore();
-    const eventsTable = datastore.table("compliance_events");
-
-    // Build query
-    let query = `SELECT * FROM compliance_events WHERE project_id LIKE '%${project}%'`;
-
-    if (regulation !== "all") {
-      query += ` AND regulation = '${regulation}'`;
+    let period;
+    try {
+      period = resolvePeriod({
+        from: req.query.from,
+        to: req.query.to,
+        period: req.query.period,
+      });
+    } catch (periodError) {
+      return res.status(400).send({ error: periodError.message });
     }
+    const previous = previousPeriod(period);
 
-    // Get last 30 days
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    query += ` AND created_at >= '${thirtyDaysAgo.toISOString()}'`;
+    // explain=true adds the factors behind the score ("Why this score?")
+    const explain = String(req.query.explain) === "true";
 
-    query += " ORDER BY created_at DESC";
-
-    const queryPromise = eventsTable.query(query);
-    const results = await queryPromise;
-
-    // Process results
-    const events = results.map((r) => r.compliance_events);
+    const zcql = catalystApp.zcql();
+    const current = await summarizePeriod(zcql, project, regulation, period, {
+      explain,
+    });
+    const prior = await summarizePeriod(zcql, project, regulation, previous);
 
-    // Aggregate data
     const summary = {
       project_name: project,
       regulation: regulation.toUpperCase(),
-      period: `Last 30 days`,
-      total_events: events.length,
-      compliance_score: 0,
-      approvals: 0,
-      risks: 0,
-      decisions: 0,
-      milestones: 0,
-      pending_actions: [],
-      events_by_type: {},
-      events_by_regulation: {},
-      events_by_risk: {},
-      timeline: [],
+      period: period.label,
+      period_start: formatDate(period.start),
+      period_end: formatDate(new Date(period.end - 1)),
+      ...current,
+      previous_period: {
+        period: previous.label,
+        period_start: formatDate(previous.start),
+        period_end: formatDate(new Date(previous.end - 1)),
+        total_events: prior.total_events,
+        compliance_score: prior.compliance_score,
+        approvals: prior.approvals,
+        risks: prior.risks,
+        decisions: prior.decisions,
+        milestones: prior.milestones,
+        events_by_risk: prior.events_by_risk,
+        pending_actions: prior.pending_action_count,
+      },
+      deltas: comparePeriods(current, prior),
       report_url: "",
     };
 
-    // Process each event
-    events.forEach((event) => {
-      // Count by type
-      const type = event.event_type;
-      summary.events_by_type[type] = (summary.events_by_type[type] || 0) + 1;
-
-      // Count specific types
-      if (type === "approval") summary.approvals++;
-      if (type === "risk_discussion") summary.risks++;
-      if (type === "decision") summary.decisions++;
-      if (type === "milestone") summary.milestones++;
-
-      // Count by regulation
-      const reg = event.regulation;
-      summary.events_by_regulation[reg] =
-        (summary.events_by_regulation[reg] || 0) + 1;
-
-      // Count by risk
-      const risk = event.risk_level;
-      summary.events_by_risk[risk] = (summary.events_by_risk[risk] || 0) + 1;
-
-      // Collect pending actions
-      if (event.status === "Pending Review") {
-        summary.pending_actions.push({
-          type: type,
-          description: event.message_text.substring(0, 100) + "...",
-          risk: risk,
-          deadline: event.deadline,
-          url: event.evidence_url,
-        });
-      }
-
-      // Build timeline
-      summary.timeline.push({
-        date: event.timestamp,
-        type: type,
-        regulation: reg,
-        risk: risk,
-        user: event.user_name,
-      });
-    });
-
-    // Calculate compliance score
-    summary.compliance_score = calculateDetailedComplianceScore(events);
-
     // Generate report URL (would integrate with Zoho Writer or file storage)
     summary.report_url = `https://compliance.zoho.com/reports/${project}-${Date.now()}.pdf`;
 
@@ -117,42 +83,39 @@ module.exports = async (req, res) => {
 };
 
 /**
- * Calculate detailed compliance score
+ * Aggregate one period's events, paging on ROWID so busy projects aren't
+ * truncated at the per-query row limit
  */
-function calculateDetailedComplianceScore(events) {
-  if (events.length === 0) return 50;
-
-  let score = 100;
-
-  // Factor 1: High-risk pending items
-  const highRiskPending = events.filter(
-    (e) =>
-      (e.risk_level === "High" || e.risk_level === "Critical") &&
-      e.status === "Pending Review"
-  ).length;
-  score -= highRiskPending * 5;
-
-  // Factor 2: Overdue deadlines
-  const now = new Date();
-  const overdue = events.filter(
-    (e) =>
-      e.deadline && new Date(e.deadline) < now && e.status === "Pending Review"
-  ).length;
-  score -= overdue * 10;
+async function summarizePeriod(
+  zcql,
+  project,
+  regulation,
+  period,
+  options = {}
+) {
+  const query = select("compliance_events")
+    .where("project_id", "LIKE", contains(project))
+    .where("created_at", ">=", period.start)
+    .where("created_at", "<", period.end);
+
+  if (regulation !== "all") {
+    query.where("regulation", "=", regulation);
+  }
 
-  // Factor 3: Event coverage (diverse event types)
-  const eventTypes = new Set(events.map((e) => e.event_type));
-  const coverageBonus = Math.min(eventTypes.size * 2, 10);
-  score += coverageBonus;
+  // Only the latest revision of an edited message counts
+  query.whereNull("superseded_by");
 
-  // Factor 4: Recent activity (events in last 7 days)
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-  const recentEvents = events.filter(
-    (e) => new Date(e.created_at) >= sevenDaysAgo
-  ).length;
-  const activityBonus = Math.min((recentEvents / events.length) * 10, 10);
-  score += activityBonus;
+  // Overdue and recent activity are judged as of the end of the period
+  const aggregator = createSummaryAggregator({
+    now: Math.min(period.end.getTime(), Date.now()),
+  });
+  for await (const page of query.cursor(zcql)) {
+    aggregator.addAll(page);
+  }
 
-  return Math.max(0, Math.min(100, Math.round(score * 10) / 10));
+  const summary = aggregator.finish();
+  if (options.explain) {
+    summary.score_explanation = aggregator.explain();
+  }
+  return summary;
 }
@@ -0,0 +1,187 @@
+/**
+ * Catalyst Function: Compliance Health Score
+ * Scores compliance health for a channel, a project or the whole org
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const lifecycle = require("../lib/event-lifecycle");
+const { select } = require("../lib/query-builder");
+const { scoreEvents, explainScore } = require("../lib/compliance-score");
+const { toMysqlDateTime } = require("../lib/datetime");
+
+// Length of the scored period and of the period it is compared against
+const PERIOD_DAYS = 30;
+
+// Event types that are expected to carry evidence for auditors
+const DOCUMENTED_EVENT_TYPES = [
+  "approval",
+  "decision",
+  "audit_action",
+  "data_handling",
+];
+
+module.exports = async (context, basicIO) => {
+  try {
+    const catalystApp = catalyst.initialize(context);
+    const zcql = catalystApp.zcql();
+
+    const scope = await resolveScope(basicIO.getArgument("scope"), zcql);
+
+    const now = new Date();
+    const periodStart = new Date(now);
+    periodStart.setDate(periodStart.getDate() - PERIOD_DAYS);
+    const previousStart = new Date(periodStart);
+    previousStart.setDate(previousStart.getDate() - PERIOD_DAYS);
+
+    // Events for the current period, and the period before it to compare
+    const events = await loadEvents(scope, periodStart, null, zcql);
+    const previousEvents = await loadEvents(
+      scope,
+      previousStart,
+      periodStart,
+      zcql
+    );
+
+    const explanation = explainScore(events, { now });
+    const score = explanation.score;
+    const trend = calculateTrend(score, previousEvents, periodStart);
+
+    const openEvents = events.filter((e) => lifecycle.isOpen(e.status));
+
+    const health = {
+      scope: scope.type,
+      scope_value: scope.value,
+      score,
+      previous_score: trend.previous_score,
+      score_change: trend.score_change,
+      trend: trend.direction,
+      period: "Last " + PERIOD_DAYS + " days",
+      regulations: calculateRegulationScores(events, now),
+      high_priority: openEvents.filter(
+        (e) => e.risk_level === "High" || e.risk_level === "Critical"
+      ).length,
+      overdue: openEvents.filter(
+        (e) => e.deadline && new Date(e.deadline) < now
+      ).length,
+      missing_docs: openEvents.filter(
+        (e) => DOCUMENTED_EVENT_TYPES.includes(e.event_type) && !e.evidence_url
+      ).length,
+      project_count: new Set(events.map((e) => e.project_id)).size,
+      total_events: events.length,
+      last_updated: now.toISOString(),
+    };
+
+    // explain=true adds the factors behind the score ("Why this score?")
+    if (String(basicIO.getArgument("explain")) === "true") {
+      health.score_explanation = explanation;
+    }
+
+    basicIO.write(JSON.stringify(health));
+    context.close();
+  } catch (error) {
+    context.log("Error calculating health score: " + error.message);
+    basicIO.write(
+      JSON.stringify({
+        error: error.message,
+      })
+    );
+    context.close();
+  }
+};
+
+/**
+ * Resolve the requested scope to a filter column.
+ * "#name" is a channel name, an ID with events is a channel, anything else
+ * is a project; an empty scope, "all" or "org" covers the whole org.
+ */
+async function resolveScope(rawScope, zcql) {
+  const scope = (rawScope || "").trim();
+
+  if (!scope || ["all", "org"].includes(scope.toLowerCase())) {
+    return { type: "org", column: null, value: "all" };
+  }
+
+  if (scope.startsWith("#")) {
+    return { type: "channel", column: "channel_name", value: scope.slice(1) };
+  }
+
+  const channelEvent = await select("compliance_events", ["ROWID"])
+    .where("channel_id", "=", scope)
+    .fetchFirst(zcql);
+  if (channelEvent) {
+    return { type: "channel", column: "channel_id", value: scope };
+  }
+
+  return { type: "project", column: "project_id", value: scope };
+}
+
+/**
+ * Live events in scope created from `from` up to `to` (open-ended when null)
+ */
+async function loadEvents(scope, from, to, zcql) {
+  const query = select("compliance_events")
+    .where("created_at", ">=", toMysqlDateTime(from))
+    .whereNull("superseded_by");
+  if (to) {
+    query.where("created_at", "<", toMysqlDateTime(to));
+  }
+  if (scope.type !== "org") {
+    query.where(scope.column, "=", scope.value);
+  }
+  return query.orderBy("ROWID").fetchAll(zcql);
+}
+
+/**
+ * Score each regulation seen in the period
+ */
+function calculateRegulationScores(events, now) {
+  const byRegulation = {};
+  events.forEach((e) => {
+    const reg = e.regulation || "General";
+    if (!byRegulation[reg]) byRegulation[reg] = [];
+    byRegulation[reg].push(e);
+  });
+
+  return Object.entries(byRegulation)
+    .map(([name, regEvents]) => {
+      const score = scoreEvents(regEvents, { now });
+      return {
+        name,
+        score,
+        status: getHealthStatus(score),
+        total_events: regEvents.length,
+      };
+    })
+    .sort((a, b) => a.score - b.score);
+}
+
+/**
+ * Compare the period's score with the previous period's events, scored the
+ * same way as they stood at the end of that period
+ */
+function calculateTrend(score, previousEvents, periodStart) {
+  if (previousEvents.length === 0) {
+    return { direction: "stable", previous_score: null, score_change: null };
+  }
+
+  const previousScore = scoreEvents(previousEvents, { now: periodStart });
+  const change = Math.round((score - previousScore) * 10) / 10;
+
+  let direction = "stable";
+  if (change >= 2) direction = "improving";
+  if (change <= -2) direction = "deteriorating";
+
+  return { direction, previous_score: previousScore, score_change: change };
+}
+
+/**
+ * Map a score to a readiness status
+ */
+function getHealthStatus(score) {
+  if (score >= 90) return "Compliant";
+  if (score >= 70) return "Attention Needed";
+  return "At Risk";
+}
+
+module.exports.resolveScope = resolveScope;
+module.exports.calculateTrend = calculateTrend;
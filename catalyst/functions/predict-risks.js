@@ -1,140 +1,121 @@
 /**
- * Catalyst Function: Generate Compliance Summary
- * Generates comprehensive compliance summary reports
+ * Catalyst Function: Predict Compliance Risks
+ * Scores upcoming compliance risks from recent events and daily analytics
  */
 
 const catalyst = require("zcatalyst-sdk-node");
+const approvalLatency = require("../lib/approval-latency");
+const dependencyRisk = require("../lib/dependency-risk");
+const riskEngine = require("../lib/risk-engine");
+const riskTraining = require("../lib/risk-training");
+const {
+  createProjectsClient,
+  isProjectsEnabled,
+} = require("../lib/projects-client");
+const { select } = require("../lib/query-builder");
+const { toMysqlDateTime } = require("../lib/datetime");
+
+// Days of history used to build the feature vector
+const LOOKBACK_DAYS = 30;
 
 module.exports = async (context, basicIO) => {
   try {
     const catalystApp = catalyst.initialize(context);
 
-    const project = basicIO.getArgument("project");
-    const regulation = basicIO.getArgument("regulation") || "all";
-    const channel_id = basicIO.getArgument("channel_id");
+    const projectId =
+      basicIO.getArgument("project_id") || basicIO.getArgument("channel_id");
+    const predictionWindow = riskEngine.riskModel.prediction_window;
+    const daysAhead = Math.max(
+      predictionWindow.min_days,
+      Math.min(
+        predictionWindow.max_days,
+        parseInt(basicIO.getArgument("days_ahead")) ||
+          predictionWindow.default_days
+      )
+    );
 
-    if (!project) {
+    if (!projectId) {
       basicIO.write(
         JSON.stringify({
-          error: "Project name is required",
+          error: "project_id or channel_id is required",
         })
       );
       context.close();
       return;
     }
 
-    const datastore = catalystApp.datastore();
     const zcql = catalystApp.zcql();
-    const eventsTable = datastore.table("compliance_events");
-
-    // Build query - handle "all" case for dashboard
-    let query;
-    if (project === "all" || project === "All" || project === "ALL") {
-      // Get all events across all projects
-      query = "SELECT * FROM compliance_events WHERE 1=1";
-    } else {
-      // Get events for specific project
-      query =
-        "SELECT * FROM compliance_events WHERE project_id LIKE '%" +
-        project +
-        "%'";
-    }
-
-    if (regulation !== "all") {
-      query += " AND regulation = '" + regulation + "'";
-    }
+    const now = new Date();
+
+    const lookbackStart = new Date(now);
+    lookbackStart.setDate(lookbackStart.getDate() - LOOKBACK_DAYS);
+    const lookbackStr = toMysqlDateTime(lookbackStart);
+
+    // Recent events for the project
+    const events = await select("compliance_events")
+      .where("project_id", "=", String(projectId))
+      .where("created_at", ">=", lookbackStr)
+      .whereNull("superseded_by")
+      .orderBy("created_at", "DESC")
+      .fetchAll(zcql);
+
+    // Daily analytics rows for the same window
+    const analytics = await select("compliance_analytics")
+      .where("project_id", "=", String(projectId))
+      .where("date", ">=", lookbackStr.slice(0, 10))
+      .orderBy("date")
+      .fetchAll(zcql);
+
+    // Chain length, workload and delay rate from Zoho Projects when
+    // dependency tracking is enabled
+    const dependencies = await loadDependencies(
+      basicIO.getArgument("projects_project_id") || projectId,
+      now,
+      context
+    );
 
-    // Get last 30 days (MySQL datetime format)
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    const thirtyDaysAgoStr = thirtyDaysAgo
-      .toISOString()
-      .slice(0, 19)
-      .replace("T", " ");
-    query += " AND created_at >= '" + thirtyDaysAgoStr + "'";
-
-    query += " ORDER BY created_at DESC";
-
-    // Use ZCQL for queries (more reliable)
-    const queryResult = await zcql.executeZCQLQuery(query);
-    const events = queryResult.map((r) => r.compliance_events || r);
-
-    // Aggregate data
-    const summary = {
-      project_name: project,
-      regulation: regulation.toUpperCase(),
-      period: "Last 30 days",
-      total_events: events.length,
-      compliance_score: 0,
-      approvals: 0,
-      risks: 0,
-      decisions: 0,
-      milestones: 0,
-      pending_actions: [],
-      events_by_type: {},
-      events_by_regulation: {},
-      events_by_risk: {},
-      timeline: [],
-      report_url: "",
-    };
-
-    // Process each event
-    events.forEach((event) => {
-      // Count by type
-      const type = event.event_type;
-      summary.events_by_type[type] = (summary.events_by_type[type] || 0) + 1;
-
-      // Count specific types
-      if (type === "approval") summary.approvals++;
-      if (type === "risk_discussion") summary.risks++;
-      if (type === "decision") summary.decisions++;
-      if (type === "milestone") summary.milestones++;
-
-      // Count by regulation
-      const reg = event.regulation;
-      summary.events_by_regulation[reg] =
-        (summary.events_by_regulation[reg] || 0) + 1;
-
-      // Count by risk
-      const risk = event.risk_level;
-      summary.events_by_risk[risk] = (summary.events_by_risk[risk] || 0) + 1;
-
-      // Collect pending actions
-      if (event.status === "Pending Review") {
-        summary.pending_actions.push({
-          type: type,
-          description: event.message_text.substring(0, 100) + "...",
-          risk: risk,
-          deadline: event.deadline,
-          url: event.evidence_url,
-        });
-      }
-
-      // Build timeline
-      summary.timeline.push({
-        date: event.timestamp,
-        type: type,
-        regulation: reg,
-        risk: risk,
-        user: event.user_name,
-      });
+    const features = riskEngine.extractFeatures(events, analytics, {
+      now,
+      lookbackDays: LOOKBACK_DAYS,
+      teamResponseTime: approvalLatency.meanLatency(
+        approvalLatency.pairApprovals(events, now).pairs
+      ),
+      ...(dependencies ? dependencyRisk.featureOptions(dependencies) : {}),
     });
+    // Weights of the active retrained model; the configured ones until then
+    const activeModel = await riskTraining
+      .loadActiveModel(zcql)
+      .catch(() => null);
+    const risks = riskEngine.predictRisks(features, events, {
+      now,
+      daysAhead,
+      weights: activeModel ? activeModel.weights : undefined,
+    });
+    const modelVersion = activeModel ? parseInt(activeModel.version) : 0;
+
+    await savePredictions(
+      projectId,
+      risks,
+      { features, modelVersion },
+      catalystApp,
+      context
+    );
 
-    // Calculate compliance score
-    summary.compliance_score = calculateDetailedComplianceScore(events);
-
-    // Generate report URL (would integrate with Zoho Writer or file storage)
-    summary.report_url =
-      "https://compliance.zoho.com/reports/" +
-      project +
-      "-" +
-      Date.now() +
-      ".pdf";
-
-    basicIO.write(JSON.stringify(summary));
+    basicIO.write(
+      JSON.stringify({
+        project_id: projectId,
+        days_ahead: daysAhead,
+        generated_at: now.toISOString(),
+        model_version: modelVersion,
+        features,
+        risks,
+        bottlenecks: dependencies ? dependencies.bottlenecks : [],
+        summary: riskEngine.summarizeRisks(risks, analytics),
+      })
+    );
     context.close();
   } catch (error) {
-    context.log("Error generating summary: " + error.message);
+    context.log("Error predicting risks: " + error.message);
     basicIO.write(
       JSON.stringify({
         error: error.message,
@@ -145,42 +126,58 @@ module.exports = async (context, basicIO) => {
 };
 
 /**
- * Calculate detailed compliance score
+ * Dependency analysis from Zoho Projects; null when tracking is off or the
+ * API can't be reached, leaving those features unavailable
  */
-function calculateDetailedComplianceScore(events) {
-  if (events.length === 0) return 50;
-
-  let score = 100;
-
-  // Factor 1: High-risk pending items
-  const highRiskPending = events.filter(
-    (e) =>
-      (e.risk_level === "High" || e.risk_level === "Critical") &&
-      e.status === "Pending Review"
-  ).length;
-  score -= highRiskPending * 5;
-
-  // Factor 2: Overdue deadlines
-  const now = new Date();
-  const overdue = events.filter(
-    (e) =>
-      e.deadline && new Date(e.deadline) < now && e.status === "Pending Review"
-  ).length;
-  score -= overdue * 10;
-
-  // Factor 3: Event coverage (diverse event types)
-  const eventTypes = new Set(events.map((e) => e.event_type));
-  const coverageBonus = Math.min(eventTypes.size * 2, 10);
-  score += coverageBonus;
-
-  // Factor 4: Recent activity (events in last 7 days)
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-  const recentEvents = events.filter(
-    (e) => new Date(e.created_at) >= sevenDaysAgo
-  ).length;
-  const activityBonus = Math.min((recentEvents / events.length) * 10, 10);
-  score += activityBonus;
-
-  return Math.max(0, Math.min(100, Math.round(score * 10) / 10));
+async function loadDependencies(projectId, now, context) {
+  if (!isProjectsEnabled(process.env)) return null;
+  try {
+    return await dependencyRisk.loadDependencyAnalysis(
+      createProjectsClient(process.env),
+      projectId,
+      now
+    );
+  } catch (error) {
+    context.log("Zoho Projects unavailable: " + error.message);
+    return null;
+  }
+}
+
+/**
+ * Save each prediction to the risk_predictions table, with the features and
+ * model version behind it so its outcome can be used for training later
+ */
+async function savePredictions(projectId, risks, basis, catalystApp, context) {
+  const predictionsTable = catalystApp.datastore().table("risk_predictions");
+  const createdAt = toMysqlDateTime(new Date());
+  const baseId = Date.now();
+
+  for (let i = 0; i < risks.length; i++) {
+    const risk = risks[i];
+    try {
+      const row = await predictionsTable.insertRow({
+        prediction_id: baseId + i,
+        project_id: String(projectId),
+        risk_category: risk.risk_category,
+        severity: risk.severity,
+        probability: risk.probability,
+        predicted_impact_date: toMysqlDateTime(
+          new Date(risk.predicted_impact_date)
+        ),
+        affected_teams: JSON.stringify(risk.affected_teams),
+        contributing_factors: JSON.stringify(risk.contributing_factors),
+        recommendations: JSON.stringify(risk.recommendations),
+        confidence: risk.confidence,
+        features: JSON.stringify(basis.features),
+        model_version: basis.modelVersion,
+        status: "Active",
+        created_at: createdAt,
+      });
+      risk.prediction_id = row.prediction_id || baseId + i;
+    } catch (error) {
+      context.log(
+        "Failed to save " + risk.risk_category + " prediction: " + error.message
+      );
+    }
+  }
 }
@@ -0,0 +1,50 @@
+/**
+ * Catalyst Function: Prediction Accuracy
+ * Backtests evaluated risk predictions: precision and recall, Brier score
+ * and calibration by probability band, for one project or all of them
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const outcomes = require("../lib/prediction-outcomes");
+const { select } = require("../lib/query-builder");
+const { toMysqlDateTime } = require("../lib/datetime");
+
+const DEFAULT_DAYS = 90;
+
+module.exports = async (context, basicIO) => {
+  try {
+    const catalystApp = catalyst.initialize(context);
+    const zcql = catalystApp.zcql();
+
+    const projectId =
+      basicIO.getArgument("project_id") || basicIO.getArgument("channel_id");
+    const days = parseInt(basicIO.getArgument("days")) || DEFAULT_DAYS;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const query = select("risk_predictions")
+      .where("status", "=", outcomes.EVALUATED_STATUS)
+      .where("evaluated_at", ">=", toMysqlDateTime(since));
+    if (projectId) query.where("project_id", "=", String(projectId));
+
+    const predictions = await query.orderBy("ROWID").fetchAll(zcql);
+
+    basicIO.write(
+      JSON.stringify({
+        success: true,
+        project_id: projectId || null,
+        days,
+        ...outcomes.accuracyStats(predictions),
+      })
+    );
+    context.close();
+  } catch (error) {
+    context.log("Error computing prediction accuracy: " + error.message);
+    basicIO.write(
+      JSON.stringify({
+        success: false,
+        error: error.message,
+      })
+    );
+    context.close();
+  }
+};
@@ -0,0 +1,117 @@
+/**
+ * Catalyst Function: Send Alert
+ * Delivers an alert card to a Cliq channel and/or users through the Cliq
+ * outbound module (retry, rate limit, dead letters). Given an event instead,
+ * the alert routing rules pick the targets, and a risk alert without a card
+ * gets the standard risk alert card.
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const { createCliqOutbound } = require("../lib/cliq-outbound");
+const { dispatchAlert } = require("../lib/alert-dispatch");
+const { riskAlertMessage } = require("../lib/risk-alert");
+
+module.exports = async (context, basicIO) => {
+  try {
+    const catalystApp = catalyst.initialize(context);
+
+    const channelId = basicIO.getArgument("channel_id");
+    const userIds = parseList(basicIO.getArgument("user_ids"));
+    const event = parseArgument(basicIO.getArgument("event"));
+    const kind = basicIO.getArgument("kind") || "alert";
+    const source = basicIO.getArgument("source") || "send-alert";
+    const alert =
+      parseArgument(basicIO.getArgument("alert")) ||
+      (event && kind === "risk" ? riskAlertMessage(event) : null);
+
+    const targets = [];
+    if (channelId) targets.push({ type: "channel", id: String(channelId) });
+    userIds.forEach((id) => targets.push({ type: "user", id }));
+
+    if (!alert || (targets.length === 0 && !event)) {
+      basicIO.write(
+        JSON.stringify({
+          success: false,
+          error: "An alert and a channel_id, user_ids or event are required",
+        })
+      );
+      context.close();
+      return;
+    }
+
+    const outbound = createCliqOutbound(catalystApp);
+    let delivery;
+    let routed = {};
+
+    if (event) {
+      // Explicit targets get it too; the fallback channel only when no
+      // routing rule matches
+      const fallbackChannel = basicIO.getArgument("fallback_channel_id");
+      routed = await dispatchAlert(
+        catalystApp,
+        {
+          alert,
+          event,
+          kind,
+          source,
+          extraTargets: targets,
+          fallbackTargets: fallbackChannel
+            ? [{ type: "channel", id: String(fallbackChannel) }]
+            : [],
+        },
+        { outbound }
+      );
+      delivery = routed.delivery;
+    } else {
+      delivery = await outbound.broadcast(targets, alert, { source });
+    }
+
+    basicIO.write(
+      JSON.stringify({
+        success: delivery.every((d) => d.delivered),
+        delivered: delivery.filter((d) => d.delivered).length,
+        failed: delivery.filter((d) => !d.delivered).length,
+        delivery,
+        // Routed alerts: dispatches per rule, or why nothing was sent yet
+        ...(event
+          ? {
+              dispatches: routed.dispatches,
+              suppressed: Boolean(routed.suppressed),
+              similar_count: routed.similar_count,
+              digest_at: routed.digest_at,
+            }
+          : {}),
+      })
+    );
+    context.close();
+  } catch (error) {
+    context.log("Error sending alert: " + error.message);
+    basicIO.write(
+      JSON.stringify({
+        success: false,
+        error: error.message,
+      })
+    );
+    context.close();
+  }
+};
+
+/**
+ * Helper functions
+ */
+function parseArgument(value) {
+  if (typeof value !== "string") return value || null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return { text: value };
+  }
+}
+
+function parseList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : parseArgument(value);
+  return (Array.isArray(list) ? list : String(value).split(","))
+    .map((id) => String(id).trim())
+    .filter(Boolean);
+}
@@ -1,9 +1,18 @@
 /**
  * Catalyst Function: Store Compliance Event
- * Receives compliance events from Deluge and stores in DataStore
+ * Receives compliance events from Deluge and stores in DataStore.
+ * Deliveries are idempotent per message_id: a repeat is a no-op and an edited
+ * message is stored as a new revision linked to the original event.
+ * New extractions below the Zia confidence thresholds go to the triage queue
+ * instead, until a reviewer accepts them.
  */
 
 const catalyst = require("zcatalyst-sdk-node");
+const lifecycle = require("../lib/event-lifecycle");
+const ingestion = require("../lib/event-ingestion");
+const triage = require("../lib/extraction-triage");
+const { select } = require("../lib/query-builder");
+const { toMysqlDateTime } = require("../lib/datetime");
 
 module.exports = async (context, basicIO) => {
   try {
@@ -50,6 +59,7 @@ module.exports = async (context, basicIO) => {
           channel_id: channel_id,
           channel_name: basicIO.getArgument("channel_name"),
           message_id: message_id,
+          thread_id: basicIO.getArgument("thread_id"),
           user_id: basicIO.getArgument("user_id"),
           user_name: basicIO.getArgument("user_name"),
           event_type: basicIO.getArgument("event_type"),
@@ -63,6 +73,7 @@ module.exports = async (context, basicIO) => {
           deadline: basicIO.getArgument("deadline"),
           project_id: basicIO.getArgument("project_id"),
           zia_entities: basicIO.getArgument("zia_entities"),
+          triage_id: basicIO.getArgument("triage_id"),
         };
         context.log("Method 2 SUCCESS - Got data via getArgument");
       }
@@ -89,10 +100,12 @@ module.exports = async (context, basicIO) => {
 
     // Generate unique event ID
     const eventId = Date.now();
+    const messageText = String(eventData.message_text || "");
+    const contentHash = ingestion.contentHash(messageText);
 
     // Prepare row data with CORRECT column names and types
     const now = new Date();
-    const mysqlTimestamp = now.toISOString().slice(0, 19).replace("T", " ");
+    const mysqlTimestamp = toMysqlDateTime(now);
 
     const rowData = {
       event_id: eventId, // bigint - Date.now() returns number
@@ -100,13 +113,14 @@ module.exports = async (context, basicIO) => {
       channel_id: String(eventData.channel_id), // varchar
       channel_name: String(eventData.channel_name || ""), // varchar
       message_id: String(eventData.message_id), // varchar
+      thread_id: eventData.thread_id ? String(eventData.thread_id) : null, // varchar (nullable)
       user_id: String(eventData.user_id || ""), // varchar
       user_name: String(eventData.user_name || ""), // varchar
       event_type: eventData.event_type || null, // varchar (nullable)
       regulation: String(eventData.regulation || "General"), // varchar
       risk_level: String(eventData.risk_level || "Low"), // varchar
       decision_type: eventData.decision_type || null, // varchar (nullable)
-      message_text: String(eventData.message_text || ""), // text
+      message_text: messageText, // text
       evidence_url: eventData.evidence_url || null, // varchar (nullable)
       confidence_score: parseFloat(eventData.confidence_score) || 0.0, // double
       stakeholders:
@@ -115,14 +129,71 @@ module.exports = async (context, basicIO) => {
           : JSON.stringify(eventData.stakeholders || []), // text
       deadline: eventData.deadline || null, // datetime (nullable)
       project_id: String(eventData.project_id || eventData.channel_id), // varchar
-      status: "Pending Review", // varchar (has default)
+      status: lifecycle.STATUS.PENDING_REVIEW, // varchar (has default)
       zia_entities:
         typeof eventData.zia_entities === "string"
           ? eventData.zia_entities
           : JSON.stringify(eventData.zia_entities || {}), // text
       created_at: mysqlTimestamp, // datetime
+      content_hash: contentHash, // varchar
+      revision: 1, // int
+      original_event_id: null, // bigint (nullable)
     };
 
+    // Compare with the latest stored revision of this message
+    const zcql = catalystApp.zcql();
+    const latest = await getLatestRevision(zcql, rowData.message_id);
+    const plan = ingestion.planIngestion(latest, rowData);
+
+    if (plan.action === "duplicate") {
+      context.log("Duplicate delivery of message " + rowData.message_id);
+      basicIO.write(JSON.stringify(duplicateResponse(plan.event_id)));
+      context.close();
+      return;
+    }
+
+    // Low-confidence first sightings wait for a reviewer; edits of an event
+    // already in the log are stored as revisions as usual
+    if (plan.action === "insert") {
+      const gate = triage.gateExtraction(
+        triage.parseEntities(eventData.zia_entities)
+      );
+      if (!gate.passed && !(await isReviewed(zcql, eventData.triage_id))) {
+        const triageId = await queueForTriage(
+          catalystApp,
+          zcql,
+          triage.triageRow(eventData, gate, contentHash, now)
+        );
+        context.log("Event queued for triage: " + triageId);
+        basicIO.write(
+          JSON.stringify({
+            success: true,
+            triaged: true,
+            triage_id: triageId,
+            below_threshold: gate.below,
+            message: "Low-confidence extraction queued for triage",
+          })
+        );
+        context.close();
+        return;
+      }
+    }
+
+    if (plan.action === "revision") {
+      rowData.revision = plan.revision;
+      rowData.original_event_id = plan.original_event_id;
+      rowData.reclassification = plan.reclassification
+        ? JSON.stringify(plan.reclassification)
+        : null; // text (nullable)
+      if (plan.status) {
+        rowData.status = plan.status;
+      }
+    }
+    rowData.ingest_key = ingestion.ingestKey(
+      rowData.message_id,
+      rowData.revision
+    ); // varchar (unique)
+
     // Log row data for debugging
     context.log("=== Row Data Type Check ===");
     Object.keys(rowData).forEach((key) => {
@@ -136,15 +207,29 @@ module.exports = async (context, basicIO) => {
       insertedRow = await eventsTable.insertRow(rowData);
       context.log("Successfully inserted row with ROWID: " + insertedRow.ROWID);
     } catch (insertError) {
+      // A concurrent delivery of the same content won the unique ingest_key
+      const winner = await getLatestRevision(zcql, rowData.message_id);
+      if (winner && winner.content_hash === rowData.content_hash) {
+        context.log("Duplicate delivery of message " + rowData.message_id);
+        basicIO.write(JSON.stringify(duplicateResponse(winner.event_id)));
+        context.close();
+        return;
+      }
+
       context.log("Insert error: " + insertError.message);
       context.log("Insert error details: " + JSON.stringify(insertError));
       throw insertError; // Re-throw to be caught by outer catch
     }
 
-    // Trigger analytics update (async, don't wait)
-    updateAnalytics(rowData.project_id, catalystApp, context).catch((err) =>
-      context.log("Analytics update failed: " + err.message)
-    );
+    // Point the previous revision at the one that replaces it
+    if (plan.action === "revision") {
+      await eventsTable.updateRow({
+        ROWID: latest.ROWID,
+        superseded_by: eventId,
+      });
+    }
+
+    // Daily analytics are rebuilt by the daily-analytics-aggregation cron
 
     // If high/critical risk, trigger prediction model (async)
     if (rowData.risk_level === "High" || rowData.risk_level === "Critical") {
@@ -153,18 +238,18 @@ module.exports = async (context, basicIO) => {
       );
     }
 
-    // Check for deadline approaching (async)
-    if (rowData.deadline) {
-      checkDeadlineAlert(rowData, catalystApp, context).catch((err) =>
-        context.log("Deadline alert failed: " + err.message)
-      );
-    }
-
     // Send success response
     const response = {
       success: true,
       event_id: eventId,
-      message: "Compliance event stored successfully",
+      duplicate: false,
+      revision: rowData.revision,
+      original_event_id: rowData.original_event_id,
+      reclassification: plan.reclassification || null,
+      message:
+        plan.action === "revision"
+          ? "Compliance event revision stored successfully"
+          : "Compliance event stored successfully",
       rowid: insertedRow ? insertedRow.ROWID : null,
     };
     context.log("Sending success response: " + JSON.stringify(response));
@@ -193,140 +278,70 @@ module.exports = async (context, basicIO) => {
 };
 
 /**
- * Infer project ID from channel mapping
+ * Latest stored revision of a message, if any
  */
-async function inferProjectId(channelId, catalystApp) {
-  try {
-    // Query Creator or cached mapping
-    // For now, return channel ID as project ID
-    return channelId;
-  } catch (error) {
-    return channelId;
-  }
+async function getLatestRevision(zcql, messageId) {
+  return select("compliance_events")
+    .where("message_id", "=", messageId)
+    .orderBy("revision", "DESC")
+    .fetchFirst(zcql);
 }
 
 /**
- * Update daily analytics aggregation
+ * Whether a triage candidate was accepted or reclassified by a reviewer
  */
-async function updateAnalytics(projectId, catalystApp, context) {
-  try {
-    const datastore = catalystApp.datastore();
-    const zcql = catalystApp.zcql();
-    const eventsTable = datastore.table("compliance_events");
-    const analyticsTable = datastore.table("compliance_analytics");
-
-    // Get today's date range (start and end of day) in MySQL format
-    const todayDate = new Date();
-    todayDate.setHours(0, 0, 0, 0);
-    const today = todayDate.toISOString().slice(0, 10); // YYYY-MM-DD format for date field
-    const todayStart = todayDate.toISOString().slice(0, 19).replace("T", " "); // YYYY-MM-DD HH:MM:SS for datetime
-
-    const tomorrow = new Date(todayDate);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const todayEnd = tomorrow.toISOString().slice(0, 19).replace("T", " ");
-
-    // Query today's events for this project using ZCQL (date range instead of DATE function)
-    const query =
-      "SELECT * FROM compliance_events WHERE project_id = '" +
-      projectId +
-      "' AND created_at >= '" +
-      todayStart +
-      "' AND created_at < '" +
-      todayEnd +
-      "'";
-    const queryResult = await zcql.executeZCQLQuery(query);
-    const events = queryResult.map((r) => r.compliance_events || r);
-
-    // Calculate metrics
-    const totalEvents = events.length;
-    const highRiskCount = events.filter(
-      (e) => e.risk_level === "High" || e.risk_level === "Critical"
-    ).length;
-    const pendingApprovals = events.filter(
-      (e) => e.event_type === "approval" && e.status === "Pending Review"
-    ).length;
-
-    // Count by type
-    const eventsByType = {};
-    events.forEach((e) => {
-      const type = e.event_type;
-      eventsByType[type] = (eventsByType[type] || 0) + 1;
-    });
-
-    // Count by regulation
-    const eventsByRegulation = {};
-    events.forEach((e) => {
-      const reg = e.regulation;
-      eventsByRegulation[reg] = (eventsByRegulation[reg] || 0) + 1;
-    });
-
-    // Calculate compliance score (simplified version)
-    const complianceScore = calculateComplianceScore(
-      totalEvents,
-      highRiskCount,
-      pendingApprovals
-    );
-
-    // Check if analytics record exists for today using ZCQL
-    const existingQuery =
-      "SELECT * FROM compliance_analytics WHERE project_id = '" +
-      projectId +
-      "' AND date = '" +
-      today +
-      "'";
-    const existingResult = await zcql.executeZCQLQuery(existingQuery);
-    const existing = existingResult.map((r) => r.compliance_analytics || r);
-
-    const analyticsData = {
-      project_id: projectId,
-      date: today,
-      total_events: totalEvents,
-      compliance_score: complianceScore,
-      high_risk_count: highRiskCount,
-      pending_approvals: pendingApprovals,
-      events_by_type: JSON.stringify(eventsByType),
-      events_by_regulation: JSON.stringify(eventsByRegulation),
-      created_at: new Date().toISOString(),
-    };
+async function isReviewed(zcql, triageId) {
+  if (!triageId) return false;
+  const row = await select("triage_queue", ["status"])
+    .where("triage_id", "=", parseInt(triageId))
+    .fetchFirst(zcql);
+  return Boolean(
+    row &&
+      (row.status === triage.TRIAGE_STATUS.ACCEPTED ||
+        row.status === triage.TRIAGE_STATUS.RECLASSIFIED)
+  );
+}
 
-    if (existing.length > 0) {
-      // Update existing
-      await analyticsTable.updateRow({
-        ...analyticsData,
-        ROWID: existing[0].ROWID,
-      });
-    } else {
-      // Insert new
-      analyticsData.analytics_id = Date.now();
-      await analyticsTable.insertRow(analyticsData);
-    }
-  } catch (error) {
-    if (context) {
-      context.log("Error updating analytics: " + error.message);
-    } else {
-      console.error("Error updating analytics:", error);
-    }
+/**
+ * Add a candidate to the triage queue once per message content
+ */
+async function queueForTriage(catalystApp, zcql, row) {
+  try {
+    await catalystApp.datastore().table("triage_queue").insertRow(row);
+    return row.triage_id;
+  } catch (insertError) {
+    // Redelivery of a message that is already waiting (unique triage_key)
+    const existing = await select("triage_queue", ["triage_id"])
+      .where("triage_key", "=", row.triage_key)
+      .fetchFirst(zcql);
+    if (existing) return existing.triage_id;
+    throw insertError;
   }
 }
 
 /**
- * Calculate compliance score
+ * Response for a delivery that was already stored
  */
-function calculateComplianceScore(
-  totalEvents,
-  highRiskCount,
-  pendingApprovals
-) {
-  let score = 100;
-
-  // Deduct for high-risk items
-  score -= highRiskCount * 5;
-
-  // Deduct for pending approvals
-  score -= pendingApprovals * 3;
+function duplicateResponse(eventId) {
+  return {
+    success: true,
+    event_id: eventId,
+    duplicate: true,
+    message: "Compliance event already stored",
+  };
+}
 
-  // Minimum score is 0
-  return Math.max(0, Math.min(100, score));
+/**
+ * Infer project ID from channel mapping
+ */
+async function inferProjectId(channelId, catalystApp) {
+  try {
+    // Query Creator or cached mapping
+    // For now, return channel ID as project ID
+    return channelId;
+  } catch (error) {
+    return channelId;
+  }
 }
 
 /**
@@ -350,82 +365,3 @@ async function triggerRiskPrediction(projectId, catalystApp, context) {
     }
   }
 }
-
-/**
- * Check deadline and send predictive alert if 48 hours before
- */
-async function checkDeadlineAlert(eventData, catalystApp, context) {
-  try {
-    if (!eventData.deadline) return;
-
-    const deadline = new Date(eventData.deadline);
-    const now = new Date();
-    const hoursUntilDeadline = (deadline - now) / (1000 * 60 * 60);
-
-    // Alert if deadline is within 48-50 hours (48 hours before)
-    if (hoursUntilDeadline >= 48 && hoursUntilDeadline <= 50) {
-      // Send predictive alert
-      const alertMessage = {
-        text: "Predictive Alert: Deadline Approaching",
-        card: {
-          title: "Deadline Alert - 48 Hours Remaining",
-          theme: "modern-inline",
-          sections: [
-            {
-              title: "Deadline Information",
-              data: [
-                { key: "Event Type", value: eventData.event_type },
-                { key: "Regulation", value: eventData.regulation },
-                { key: "Deadline", value: deadline.toLocaleDateString() },
-                {
-                  key: "Hours Remaining",
-                  value: Math.round(hoursUntilDeadline) + " hours",
-                },
-                { key: "Channel", value: eventData.channel_name },
-                { key: "Status", value: eventData.status },
-              ],
-            },
-            {
-              title: "Action Required",
-              data: [
-                {
-                  key: "Message",
-                  value:
-                    "This compliance item has a deadline in " +
-                    Math.round(hoursUntilDeadline) +
-                    " hours. Please ensure all approvals and reviews are completed on time.",
-                },
-              ],
-            },
-          ],
-          buttons: [
-            {
-              label: "View Event Details",
-              type: "open.url",
-              url: eventData.evidence_url || "#",
-            },
-          ],
-        },
-      };
-
-      // Send to compliance team channel (would need channel ID from config)
-      // For now, log the alert (in production, send via Cliq API)
-      if (context) {
-        context.log(
-          "Predictive deadline alert: " + JSON.stringify(alertMessage)
-        );
-      } else {
-        console.log("Predictive deadline alert:", alertMessage);
-      }
-
-      // TODO: Send alert via Cliq webhook or API
-      // This would call back to Cliq to post the alert message
-    }
-  } catch (error) {
-    if (context) {
-      context.log("Error checking deadline alert: " + error.message);
-    } else {
-      console.error("Error checking deadline alert:", error);
-    }
-  }
-}
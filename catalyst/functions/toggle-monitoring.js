@@ -0,0 +1,159 @@
+/**
+ * Catalyst Function: Toggle Channel Monitoring
+ * Enables or disables compliance monitoring for a channel and records the change
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const extractor = require("../../zia-skills/compliance-extractor.json");
+const { select } = require("../lib/query-builder");
+const { toMysqlDateTime } = require("../lib/datetime");
+
+// Every regulation the extractor labels, which "all" stands for
+const REGULATIONS = extractor.entities
+  .find((entity) => entity.name === "regulation_type")
+  .values.map((value) => value.label);
+
+module.exports = async (context, basicIO) => {
+  try {
+    const catalystApp = catalyst.initialize(context);
+
+    const channelId = basicIO.getArgument("channel_id");
+    const channelName = basicIO.getArgument("channel_name");
+    const action = (basicIO.getArgument("action") || "").toLowerCase();
+    const regulation = normalizeRegulation(
+      basicIO.getArgument("regulation") || "all"
+    );
+    const userId = basicIO.getArgument("user_id") || "";
+
+    if (!channelId || !["on", "off"].includes(action)) {
+      basicIO.write(
+        JSON.stringify({
+          success: false,
+          error: "channel_id and an action of 'on' or 'off' are required",
+        })
+      );
+      context.close();
+      return;
+    }
+
+    const datastore = catalystApp.datastore();
+    const zcql = catalystApp.zcql();
+    const channelsTable = datastore.table("monitored_channels");
+    const historyTable = datastore.table("monitoring_history");
+
+    const existing = await select("monitored_channels")
+      .where("channel_id", "=", String(channelId))
+      .fetchFirst(zcql);
+
+    const previousRegulations =
+      existing && isEnabled(existing.enabled)
+        ? parseRegulations(existing.regulations)
+        : [];
+    const regulations = applyToggle(previousRegulations, action, regulation);
+    const enabled = regulations.length > 0;
+
+    const now = toMysqlDateTime(new Date());
+    const row = {
+      channel_id: String(channelId),
+      regulations: JSON.stringify(regulations),
+      enabled,
+      updated_by: String(userId),
+      updated_at: now,
+    };
+    if (channelName) {
+      row.channel_name = String(channelName);
+    }
+
+    // Record who switched monitoring on, and when
+    if (enabled && previousRegulations.length === 0) {
+      row.enabled_by = String(userId);
+      row.enabled_at = now;
+    }
+
+    if (existing) {
+      await channelsTable.updateRow({ ...row, ROWID: existing.ROWID });
+    } else {
+      await channelsTable.insertRow(row);
+    }
+
+    await historyTable.insertRow({
+      history_id: Date.now(),
+      channel_id: String(channelId),
+      action,
+      regulation,
+      previous_regulations: JSON.stringify(previousRegulations),
+      new_regulations: JSON.stringify(regulations),
+      changed_by: String(userId),
+      changed_at: now,
+    });
+
+    basicIO.write(
+      JSON.stringify({
+        success: true,
+        channel_id: channelId,
+        monitored: enabled,
+        regulations,
+      })
+    );
+    context.close();
+  } catch (error) {
+    context.log("Error toggling monitoring: " + error.message);
+    basicIO.write(
+      JSON.stringify({
+        success: false,
+        error: error.message,
+      })
+    );
+    context.close();
+  }
+};
+
+/**
+ * Apply an on/off toggle to the current regulation list.
+ * "all" switches every regulation at once; a named regulation is added to or
+ * removed from the list, and removing one from "all" keeps the others. An
+ * empty list means monitoring is off.
+ */
+function applyToggle(current, action, regulation) {
+  if (regulation === "all") {
+    return action === "on" ? ["all"] : [];
+  }
+
+  if (action === "on") {
+    if (current.includes("all") || current.includes(regulation)) {
+      return current;
+    }
+    return [...current, regulation];
+  }
+
+  const expanded = current.includes("all") ? REGULATIONS : current;
+  return expanded.filter((r) => r !== regulation && r !== "all");
+}
+
+/**
+ * Normalize user input to the regulation labels used by the extractor
+ * (e.g. "soc2" -> "SOC2", "PCI-DSS" -> "PCI_DSS")
+ */
+function normalizeRegulation(regulation) {
+  const value = String(regulation).trim();
+  if (value.toLowerCase() === "all") return "all";
+  return value.toUpperCase().replace(/\s+/g, "").replace(/-/g, "_");
+}
+
+function parseRegulations(value) {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function isEnabled(value) {
+  return value === true || value === "true";
+}
+
+module.exports.REGULATIONS = REGULATIONS;
+module.exports.applyToggle = applyToggle;
+module.exports.normalizeRegulation = normalizeRegulation;
+module.exports.parseRegulations = parseRegulations;
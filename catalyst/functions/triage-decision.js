@@ -0,0 +1,194 @@
+/**
+ * Catalyst Function: Triage Decision
+ * Accepts, rejects or reclassifies a triage candidate. Accepted and
+ * reclassified candidates are stored as compliance events and alerted on;
+ * every decision is written to ml_training_data as a labeled example.
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const triage = require("../lib/extraction-triage");
+const { select } = require("../lib/query-builder");
+const { createCliqOutbound } = require("../lib/cliq-outbound");
+const { dispatchAlert } = require("../lib/alert-dispatch");
+const { riskAlertMessage } = require("../lib/risk-alert");
+const { toMysqlDateTime } = require("../lib/datetime");
+
+module.exports = async (context, basicIO) => {
+  try {
+    const catalystApp = catalyst.initialize(context);
+    const zcql = catalystApp.zcql();
+    const datastore = catalystApp.datastore();
+
+    const triageId = parseInt(basicIO.getArgument("triage_id"));
+    if (isNaN(triageId)) {
+      basicIO.write(
+        JSON.stringify({ success: false, error: "triage_id is required" })
+      );
+      context.close();
+      return;
+    }
+
+    const row = await select("triage_queue")
+      .where("triage_id", "=", triageId)
+      .fetchFirst(zcql);
+
+    if (!row || row.status !== triage.TRIAGE_STATUS.PENDING) {
+      basicIO.write(
+        JSON.stringify({
+          success: false,
+          error: row
+            ? "Candidate " + triageId + " was already " + row.status
+            : "Candidate " + triageId + " not found",
+        })
+      );
+      context.close();
+      return;
+    }
+
+    let decision;
+    try {
+      decision = triage.decisionLabels(row, basicIO.getArgument("decision"), {
+        event_type: basicIO.getArgument("event_type"),
+        regulation: basicIO.getArgument("regulation"),
+        risk_level: basicIO.getArgument("risk_level"),
+      });
+    } catch (decisionError) {
+      basicIO.write(
+        JSON.stringify({ success: false, error: decisionError.message })
+      );
+      context.close();
+      return;
+    }
+
+    const now = new Date();
+    const decidedAt = toMysqlDateTime(now);
+    const { status, labels } = decision;
+
+    // Mark it decided first; store-compliance-event only skips the
+    // confidence gate for reviewed candidates
+    await datastore.table("triage_queue").updateRow({
+      ROWID: row.ROWID,
+      status,
+      decided_by: basicIO.getArgument("user_id") || null,
+      decided_by_name: basicIO.getArgument("user_name") || null,
+      decided_at: decidedAt,
+    });
+
+    let eventId = null;
+    if (labels.compliance_event) {
+      let stored;
+      try {
+        stored = await storeEvent(catalystApp, row, labels);
+      } catch (storeError) {
+        // Put it back in the queue so the decision can be retried
+        await datastore.table("triage_queue").updateRow({
+          ROWID: row.ROWID,
+          status: triage.TRIAGE_STATUS.PENDING,
+        });
+        throw storeError;
+      }
+      eventId = stored.event_id;
+      await datastore.table("triage_queue").updateRow({
+        ROWID: row.ROWID,
+        event_id: eventId,
+      });
+
+      // The bot held the alert back for the reviewer; send it now
+      if (!stored.duplicate) {
+        await sendRiskAlert(catalystApp, row, labels, eventId).catch((err) =>
+          context.log("Alert for event " + eventId + " failed: " + err.message)
+        );
+      }
+    }
+
+    await datastore
+      .table("ml_training_data")
+      .insertRow(triage.trainingExample(row, status, labels, now));
+
+    basicIO.write(
+      JSON.stringify({
+        success: true,
+        triage_id: triageId,
+        status,
+        labels,
+        event_id: eventId,
+      })
+    );
+    context.close();
+  } catch (error) {
+    context.log("Error recording triage decision: " + error.message);
+    basicIO.write(
+      JSON.stringify({
+        success: false,
+        error: error.message,
+      })
+    );
+    context.close();
+  }
+};
+
+/**
+ * Store the candidate with the reviewer's labels as a compliance event and
+ * return store-compliance-event's response
+ */
+async function storeEvent(catalystApp, row, labels) {
+  const candidate = JSON.parse(row.candidate || "{}");
+  const args = {};
+  Object.entries({
+    ...candidate,
+    event_type: labels.event_type,
+    regulation: labels.regulation,
+    risk_level: labels.risk_level,
+    triage_id: String(row.triage_id),
+  }).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    args[key] =
+      typeof value === "object" ? JSON.stringify(value) : String(value);
+  });
+
+  const response = await catalystApp
+    .functions()
+    .execute("store-compliance-event", { args });
+  const stored = typeof response === "string" ? JSON.parse(response) : response;
+
+  if (!stored || !stored.success) {
+    throw new Error(
+      "Storing the event failed: " + (stored ? stored.error : "no response")
+    );
+  }
+  return stored;
+}
+
+/**
+ * Alert on the accepted event the way the bot alerts on new events: routed
+ * by the alert routing rules, with High and Critical sent right away and
+ * Low and Medium batched into the digest
+ */
+async function sendRiskAlert(catalystApp, row, labels, eventId) {
+  const candidate = JSON.parse(row.candidate || "{}");
+  const event = {
+    event_id: String(eventId),
+    regulation: labels.regulation,
+    risk_level: labels.risk_level || "Low",
+    event_type: labels.event_type,
+    project_id: String(candidate.project_id || row.channel_id),
+    channel_id: row.channel_id,
+    channel_name: row.channel_name,
+    evidence_url: row.evidence_url,
+  };
+
+  const fallbackChannel = process.env.COMPLIANCE_TEAM_CHANNEL_ID;
+  return dispatchAlert(
+    catalystApp,
+    {
+      alert: riskAlertMessage({ ...event, user_name: row.user_name }),
+      event,
+      kind: "risk",
+      source: "triage-decision",
+      fallbackTargets: fallbackChannel
+        ? [{ type: "channel", id: String(fallbackChannel) }]
+        : [],
+    },
+    { outbound: createCliqOutbound(catalystApp) }
+  );
+}
@@ -0,0 +1,61 @@
+/**
+ * Catalyst Function: Triage Queue
+ * Lists low-confidence extractions waiting for a reviewer, oldest first,
+ * optionally for one channel
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const triage = require("../lib/extraction-triage");
+const { select } = require("../lib/query-builder");
+
+const DEFAULT_LIMIT = 10;
+
+module.exports = async (context, basicIO) => {
+  try {
+    const catalystApp = catalyst.initialize(context);
+    const zcql = catalystApp.zcql();
+
+    const channelId = basicIO.getArgument("channel_id");
+    const limit = parseInt(basicIO.getArgument("limit")) || DEFAULT_LIMIT;
+
+    const query = select("triage_queue").where(
+      "status",
+      "=",
+      triage.TRIAGE_STATUS.PENDING
+    );
+    if (channelId) query.where("channel_id", "=", channelId);
+
+    const pending = await query.orderBy("ROWID").fetchAll(zcql);
+
+    basicIO.write(
+      JSON.stringify({
+        success: true,
+        pending_count: pending.length,
+        thresholds: triage.THRESHOLDS,
+        items: pending.slice(0, limit).map((row) => ({
+          triage_id: row.triage_id,
+          channel_name: row.channel_name,
+          user_name: row.user_name,
+          message_text: row.message_text,
+          evidence_url: row.evidence_url,
+          event_type: row.event_type,
+          regulation: row.regulation,
+          risk_level: row.risk_level,
+          confidence_score: row.confidence_score,
+          below_threshold: JSON.parse(row.below_threshold || "[]"),
+          created_at: row.created_at,
+        })),
+      })
+    );
+    context.close();
+  } catch (error) {
+    context.log("Error listing triage queue: " + error.message);
+    basicIO.write(
+      JSON.stringify({
+        success: false,
+        error: error.message,
+      })
+    );
+    context.close();
+  }
+};
@@ -0,0 +1,115 @@
+/**
+ * Catalyst Function: Update Event Status
+ * Moves a compliance event through the review workflow and records who
+ * changed what. Without a status it returns the event's current state.
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const ingestion = require("../lib/event-ingestion");
+const lifecycle = require("../lib/event-lifecycle");
+const { select } = require("../lib/query-builder");
+
+// Most recent history rows returned with the event
+const HISTORY_LIMIT = 10;
+
+module.exports = async (context, basicIO) => {
+  try {
+    const catalystApp = catalyst.initialize(context);
+    const zcql = catalystApp.zcql();
+
+    const requestedId = parseInt(basicIO.getArgument("event_id"));
+    const nextStatus = basicIO.getArgument("status");
+
+    if (isNaN(requestedId)) {
+      basicIO.write(
+        JSON.stringify({ success: false, error: "event_id is required" })
+      );
+      context.close();
+      return;
+    }
+
+    // Status changes apply to the current revision of an edited message
+    const event = await ingestion.loadLiveEvent(zcql, requestedId);
+
+    if (!event) {
+      basicIO.write(
+        JSON.stringify({
+          success: false,
+          error: "Event " + requestedId + " not found",
+        })
+      );
+      context.close();
+      return;
+    }
+
+    const eventId = parseInt(event.event_id);
+
+    const previousStatus = event.status || lifecycle.STATUS.PENDING_REVIEW;
+
+    if (nextStatus) {
+      let change;
+      try {
+        change = lifecycle.applyTransition(event, nextStatus, {
+          user_id: basicIO.getArgument("user_id"),
+          user_name: basicIO.getArgument("user_name"),
+          note: basicIO.getArgument("note"),
+        });
+      } catch (transitionError) {
+        basicIO.write(
+          JSON.stringify({
+            success: false,
+            error: transitionError.message,
+            event_id: eventId,
+            status: previousStatus,
+            available_transitions:
+              lifecycle.availableTransitions(previousStatus),
+          })
+        );
+        context.close();
+        return;
+      }
+
+      const datastore = catalystApp.datastore();
+      await datastore.table("compliance_events").updateRow(change.update);
+      await datastore.table("event_status_history").insertRow(change.history);
+
+      event.status = change.update.status;
+    }
+
+    const history = await select("event_status_history")
+      .where("event_id", "=", eventId)
+      .orderBy("history_id", "DESC")
+      .limit(HISTORY_LIMIT)
+      .fetch(zcql);
+
+    basicIO.write(
+      JSON.stringify({
+        success: true,
+        event_id: eventId,
+        previous_status: previousStatus,
+        status: event.status || lifecycle.STATUS.PENDING_REVIEW,
+        available_transitions: lifecycle.availableTransitions(event.status),
+        event: {
+          event_type: event.event_type,
+          regulation: event.regulation,
+          risk_level: event.risk_level,
+          channel_name: event.channel_name,
+          user_name: event.user_name,
+          deadline: event.deadline,
+          evidence_url: event.evidence_url,
+        },
+        history,
+      })
+    );
+    context.close();
+  } catch (error) {
+    context.log("Error updating event status: " + error.message);
+    basicIO.write(
+      JSON.stringify({
+        success: false,
+        error: error.message,
+      })
+    );
+    context.close();
+  }
+};
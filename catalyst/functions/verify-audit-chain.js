@@ -0,0 +1,279 @@
+/**
+ * Catalyst Function: Verify Audit Chain
+ * Walks the audit_logs hash chain and reports broken links, missing export
+ * days and events that changed after they were exported. A single project is
+ * verified from its own records and the daily anchors alone.
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const auditChain = require("../lib/audit-chain");
+const { select, PAGE_SIZE } = require("../lib/query-builder");
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 90;
+
+module.exports = async (context, basicIO) => {
+  try {
+    const catalystApp = catalyst.initialize(context);
+    const zcql = catalystApp.zcql();
+
+    const project = basicIO.getArgument("project") || "all";
+    const range = resolveRange(
+      basicIO.getArgument("from"),
+      basicIO.getArgument("to")
+    );
+
+    if (range.error) {
+      basicIO.write(JSON.stringify({ valid: false, error: range.error }));
+      context.close();
+      return;
+    }
+
+    const auditLogsInRange = () =>
+      select("audit_logs")
+        .where("period_start", ">=", range.from)
+        .where("period_start", "<=", range.to);
+
+    const anchors = await auditLogsInRange()
+      .where("record_type", "=", "anchor")
+      .orderBy("log_id")
+      .fetchAll(zcql);
+    const previousAnchorHash =
+      anchors.length > 0
+        ? await getAnchorHash(zcql, anchors[0].log_id, "anchor")
+        : undefined;
+
+    let records;
+    let scoped;
+    let brokenLinks;
+
+    if (project === "all") {
+      // The chain spans every project, so links are checked on the full range
+      records = await auditLogsInRange().orderBy("log_id").fetchAll(zcql);
+      scoped = records.filter((r) => r.record_type !== "anchor");
+
+      const anchorHash =
+        records.length > 0
+          ? await getAnchorHash(zcql, records[0].log_id)
+          : auditChain.GENESIS_HASH;
+
+      brokenLinks = auditChain
+        .verifyChain(records, anchorHash)
+        .concat(
+          auditChain.verifyAnchors(
+            anchors,
+            previousAnchorHash,
+            groupByDay(scoped.filter((r) => r.record_type === "group"))
+          ),
+          findUnanchoredDays(scoped, anchors)
+        );
+    } else {
+      // Only this project's records plus the anchors their proofs lead to
+      scoped = await auditLogsInRange()
+        .where("project_id", "=", project)
+        .orderBy("log_id")
+        .fetchAll(zcql);
+      records = scoped.concat(anchors);
+
+      brokenLinks = auditChain
+        .verifyAnchors(anchors, previousAnchorHash)
+        .concat(auditChain.verifySlice(scoped, anchors));
+    }
+
+    const missingDays = await findMissingDays(zcql, range, scoped, project);
+    const changedEvents = await findChangedEvents(zcql, scoped);
+
+    basicIO.write(
+      JSON.stringify({
+        valid:
+          brokenLinks.length === 0 &&
+          missingDays.length === 0 &&
+          changedEvents.length === 0,
+        project,
+        from: range.from,
+        to: range.to,
+        records_checked: records.length,
+        project_records: scoped.length,
+        first_broken_link: brokenLinks[0] || null,
+        broken_links: brokenLinks,
+        missing_days: missingDays,
+        changed_events: changedEvents,
+        verified_at: new Date().toISOString(),
+      })
+    );
+    context.close();
+  } catch (error) {
+    context.log("Error verifying audit chain: " + error.message);
+    basicIO.write(
+      JSON.stringify({
+        valid: false,
+        error: error.message,
+      })
+    );
+    context.close();
+  }
+};
+
+/**
+ * Resolve and validate the YYYY-MM-DD range, defaulting to the last 30 days
+ */
+function resolveRange(from, to) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  const yesterday = new Date();
+  yesterday.setUTCDate(yesterday.getUTCDate() - 1);
+  const toDate = to || yesterday.toISOString().slice(0, 10);
+
+  const start = new Date(toDate + "T00:00:00Z");
+  start.setUTCDate(start.getUTCDate() - (DEFAULT_RANGE_DAYS - 1));
+  const fromDate = from || start.toISOString().slice(0, 10);
+
+  if (!datePattern.test(fromDate) || !datePattern.test(toDate)) {
+    return { error: "Dates must be in YYYY-MM-DD format" };
+  }
+
+  const days =
+    (new Date(toDate + "T00:00:00Z") - new Date(fromDate + "T00:00:00Z")) /
+    (24 * 60 * 60 * 1000);
+
+  if (isNaN(days) || days < 0) {
+    return { error: "'from' must be on or before 'to'" };
+  }
+  if (days >= MAX_RANGE_DAYS) {
+    return { error: "Range is limited to " + MAX_RANGE_DAYS + " days" };
+  }
+
+  return { from: fromDate, to: toDate };
+}
+
+/**
+ * report_hash of the record (or anchor) preceding the range, or the genesis
+ * hash
+ */
+async function getAnchorHash(zcql, firstLogId, recordType = null) {
+  const query = select("audit_logs", ["report_hash"]).where(
+    "log_id",
+    "<",
+    Number(firstLogId)
+  );
+  if (recordType) {
+    query.where("record_type", "=", recordType);
+  }
+
+  const previous = await query.orderBy("log_id", "DESC").fetchFirst(zcql);
+  return previous ? previous.report_hash : auditChain.GENESIS_HASH;
+}
+
+/**
+ * Group records by export day
+ */
+function groupByDay(records) {
+  const byDay = {};
+  records.forEach((r) => {
+    const day = String(r.period_start).slice(0, 10);
+    (byDay[day] = byDay[day] || []).push(r);
+  });
+  return byDay;
+}
+
+/**
+ * Days with group records but no daily anchor
+ */
+function findUnanchoredDays(records, anchors) {
+  const anchored = new Set(
+    anchors.map((a) => String(a.period_start).slice(0, 10))
+  );
+  const days = Object.keys(
+    groupByDay(records.filter((r) => r.record_type === "group"))
+  );
+
+  return days
+    .filter((day) => !anchored.has(day))
+    .map((day) => ({
+      project_id: "anchor",
+      period_start: day,
+      reason: "missing_anchor",
+    }));
+}
+
+/**
+ * Days in range that had events but were never exported
+ */
+async function findMissingDays(zcql, range, records, project) {
+  const exportedDays = records.map((r) => r.period_start);
+  const exported = new Set(exportedDays.map((d) => String(d).slice(0, 10)));
+  const daysWithEvents = [];
+
+  const cursor = new Date(range.from + "T00:00:00Z");
+  const end = new Date(range.to + "T00:00:00Z");
+
+  while (cursor <= end) {
+    const day = cursor.toISOString().slice(0, 10);
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+    if (exported.has(day)) continue;
+
+    const query = select("compliance_events", ["ROWID"])
+      .where("created_at", ">=", day + " 00:00:00")
+      .where(
+        "created_at",
+        "<",
+        cursor.toISOString().slice(0, 10) + " 00:00:00"
+      );
+    if (project !== "all") {
+      query.where("project_id", "=", project);
+    }
+
+    if (await query.fetchFirst(zcql)) {
+      daysWithEvents.push(day);
+    }
+  }
+
+  return auditChain.findMissingDays(
+    range.from,
+    range.to,
+    exportedDays,
+    daysWithEvents
+  );
+}
+
+/**
+ * Events whose audited fields changed, or that were deleted, after export
+ */
+async function findChangedEvents(zcql, records) {
+  const changed = [];
+
+  for (const record of records) {
+    let auditData;
+    try {
+      auditData = JSON.parse(record.audit_data);
+    } catch (e) {
+      continue; // Reported by verifyChain as missing/mismatched audit data
+    }
+
+    const exportedEvents = auditData.events || [];
+    const ids = exportedEvents
+      .map((e) => parseInt(e.event_id))
+      .filter((id) => !isNaN(id));
+    const currentEvents = [];
+
+    for (let i = 0; i < ids.length; i += PAGE_SIZE) {
+      const chunk = await select("compliance_events")
+        .whereIn("event_id", ids.slice(i, i + PAGE_SIZE))
+        .fetch(zcql);
+      currentEvents.push(...chunk);
+    }
+
+    auditChain
+      .diffExportedEvents(exportedEvents, currentEvents)
+      .forEach((change) =>
+        changed.push({
+          ...change,
+          log_id: record.log_id,
+          project_id: record.project_id,
+          period_start: record.period_start,
+        })
+      );
+  }
+
+  return changed;
+}
@@ -0,0 +1,332 @@
+/**
+ * Alert Batching
+ * Keeps a busy thread from flooding Cliq: repeats of an alert (same channel,
+ * regulation and event type) inside the suppression window only bump an
+ * "N more similar events" counter on the original card, and Low/Medium
+ * alerts are collected into an hourly or daily digest card
+ */
+
+const { select } = require("./query-builder");
+const { toMysqlDateTime } = require("./datetime");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const DIGEST_MODES = ["hourly", "daily", "off"];
+
+const DEFAULTS = {
+  suppressionMinutes: 60,
+  digest: "hourly",
+  digestLevels: ["Low", "Medium"],
+  // UTC hour the daily digest goes out
+  digestHour: 9,
+};
+
+// Events listed per group in a digest card before "and N more"
+const DIGEST_EVENTS_PER_GROUP = 3;
+
+/**
+ * Settings from ALERT_SUPPRESSION_MINUTES, ALERT_DIGEST, ALERT_DIGEST_LEVELS
+ * and ALERT_DIGEST_HOUR
+ */
+function batchingSettings(env = process.env) {
+  const minutes = parseInt(env.ALERT_SUPPRESSION_MINUTES);
+  const digest = String(env.ALERT_DIGEST || DEFAULTS.digest).toLowerCase();
+  const hour = parseInt(env.ALERT_DIGEST_HOUR);
+
+  if (!DIGEST_MODES.includes(digest)) {
+    throw new Error(
+      `Invalid ALERT_DIGEST "${env.ALERT_DIGEST}". Use ${DIGEST_MODES.join(", ")}`
+    );
+  }
+
+  return {
+    suppressionMinutes: minutes >= 0 ? minutes : DEFAULTS.suppressionMinutes,
+    digest,
+    digestLevels: env.ALERT_DIGEST_LEVELS
+      ? env.ALERT_DIGEST_LEVELS.split(",")
+          .map((level) => level.trim())
+          .filter(Boolean)
+      : DEFAULTS.digestLevels,
+    digestHour: hour >= 0 && hour <= 23 ? hour : DEFAULTS.digestHour,
+  };
+}
+
+/**
+ * Events that count as "similar" share this key
+ */
+function suppressionKey(event) {
+  return [event.channel_id, event.regulation, event.event_type]
+    .map((part) =>
+      String(part || "")
+        .trim()
+        .toLowerCase()
+    )
+    .join("|");
+}
+
+/**
+ * Whether an alert waits for the digest instead of going out now
+ */
+function isDigestible(event, settings) {
+  if (settings.digest === "off") return false;
+  const level = String(event.risk_level || "").toLowerCase();
+  return settings.digestLevels.some((l) => l.toLowerCase() === level);
+}
+
+/**
+ * When the digest an alert queued now goes out
+ */
+function nextDigestAt(settings, now = new Date()) {
+  if (settings.digest === "daily") {
+    const next = new Date(now);
+    next.setUTCHours(settings.digestHour, 0, 0, 0);
+    if (next <= now) next.setUTCDate(next.getUTCDate() + 1);
+    return next;
+  }
+
+  return new Date(Math.floor(now.getTime() / HOUR_MS + 1) * HOUR_MS);
+}
+
+/**
+ * The open suppression window for an event's key, if any
+ */
+async function findSuppression(zcql, event, now = new Date()) {
+  return select("alert_suppressions")
+    .where("suppression_key", "=", suppressionKey(event))
+    .where("window_end", ">", toMysqlDateTime(now))
+    .orderBy("ROWID", "DESC")
+    .fetchFirst(zcql);
+}
+
+/**
+ * Open a window for an alert that was just sent, remembering the posted
+ * messages so their counter can be updated
+ */
+async function openSuppression(
+  catalystApp,
+  event,
+  alert,
+  delivery,
+  settings,
+  now = new Date()
+) {
+  return catalystApp
+    .datastore()
+    .table("alert_suppressions")
+    .insertRow({
+      suppression_id: now.getTime(),
+      suppression_key: suppressionKey(event),
+      event_id: event.event_id ? String(event.event_id) : null,
+      window_end: toMysqlDateTime(
+        new Date(now.getTime() + settings.suppressionMinutes * MINUTE_MS)
+      ),
+      similar_count: 0,
+      similar_event_ids: "[]",
+      payload: JSON.stringify(alert),
+      messages: JSON.stringify(
+        delivery.filter((d) => d.delivered && d.message_id)
+      ),
+      created_at: toMysqlDateTime(now),
+    });
+}
+
+/**
+ * Count a repeat against its window and update the original cards
+ */
+async function recordSimilar(catalystApp, suppression, event, outbound) {
+  const count = (parseInt(suppression.similar_count) || 0) + 1;
+  const eventIds = JSON.parse(suppression.similar_event_ids || "[]");
+  if (event.event_id) eventIds.push(String(event.event_id));
+
+  await catalystApp
+    .datastore()
+    .table("alert_suppressions")
+    .updateRow({
+      ROWID: suppression.ROWID,
+      similar_count: count,
+      similar_event_ids: JSON.stringify(eventIds),
+    });
+
+  const card = withSimilarCount(JSON.parse(suppression.payload), count);
+  const messages = JSON.parse(suppression.messages || "[]");
+  const edits = [];
+
+  for (const message of messages) {
+    try {
+      await outbound.edit(message, card, { source: "alert-suppression" });
+      edits.push({ ...message, edited: true });
+    } catch (error) {
+      edits.push({ ...message, edited: false, error: error.message });
+    }
+  }
+
+  return { similar_count: count, edits };
+}
+
+/**
+ * The original alert with a "N more similar events" section
+ */
+function withSimilarCount(alert, count) {
+  const label = count + " more similar event" + (count === 1 ? "" : "s");
+  const card = alert.card || {};
+  const sections = (card.sections || []).filter((s) => s.id !== "similar");
+
+  return {
+    ...alert,
+    card: {
+      ...card,
+      sections: [
+        ...sections,
+        {
+          id: "similar",
+          title: "Similar Events",
+          data: [{ key: "Since this alert", value: label }],
+        },
+      ],
+    },
+  };
+}
+
+/**
+ * Queue an alert for the digest of every target
+ */
+async function queueDigest(
+  catalystApp,
+  event,
+  targets,
+  settings,
+  now = new Date()
+) {
+  const table = catalystApp.datastore().table("alert_digest_items");
+  const digestAt = toMysqlDateTime(nextDigestAt(settings, now));
+  let sequence = 0;
+
+  for (const target of targets) {
+    await table.insertRow({
+      item_id: now.getTime() * 1000 + (sequence++ % 1000),
+      target_type: target.type,
+      target_id: String(target.id),
+      event_id: event.event_id ? String(event.event_id) : null,
+      suppression_key: suppressionKey(event),
+      event_type: event.event_type || null,
+      regulation: event.regulation || null,
+      risk_level: event.risk_level || null,
+      channel_name: event.channel_name || null,
+      evidence_url: event.evidence_url || null,
+      digest_at: digestAt,
+      status: "pending",
+    });
+  }
+
+  return digestAt;
+}
+
+/**
+ * Send one digest card per target for items whose digest time has come
+ */
+async function sendDueDigests(catalystApp, options = {}) {
+  const now = options.now || new Date();
+  const outbound = options.outbound;
+  const zcql = catalystApp.zcql();
+  const table = catalystApp.datastore().table("alert_digest_items");
+
+  const items = await select("alert_digest_items")
+    .where("status", "=", "pending")
+    .where("digest_at", "<=", toMysqlDateTime(now))
+    .orderBy("ROWID")
+    .fetchAll(zcql);
+
+  const byTarget = new Map();
+  items.forEach((item) => {
+    const key = item.target_type + ":" + item.target_id;
+    if (!byTarget.has(key)) byTarget.set(key, []);
+    byTarget.get(key).push(item);
+  });
+
+  let sent = 0;
+
+  for (const targetItems of byTarget.values()) {
+    const target = {
+      type: targetItems[0].target_type,
+      id: targetItems[0].target_id,
+    };
+    const [delivery] = await outbound.broadcast(
+      [target],
+      buildDigestMessage(targetItems),
+      { source: "alert-digest" }
+    );
+
+    for (const item of targetItems) {
+      await table.updateRow({
+        ROWID: item.ROWID,
+        status: delivery.delivered ? "sent" : "failed",
+        sent_at: toMysqlDateTime(now),
+      });
+    }
+    if (delivery.delivered) sent++;
+  }
+
+  return { items: items.length, digests: byTarget.size, sent };
+}
+
+/**
+ * Digest card: one section per channel, regulation and event type
+ */
+function buildDigestMessage(items) {
+  const groups = new Map();
+  items.forEach((item) => {
+    if (!groups.has(item.suppression_key)) groups.set(item.suppression_key, []);
+    groups.get(item.suppression_key).push(item);
+  });
+
+  const sections = Array.from(groups.values()).map((group, index) => {
+    const first = group[0];
+    const shown = group.slice(0, DIGEST_EVENTS_PER_GROUP);
+    const data = shown.map((item) => ({
+      key: item.risk_level || "Unknown",
+      value: item.evidence_url
+        ? `[${item.event_type}](${item.evidence_url})`
+        : item.event_type,
+    }));
+    if (group.length > shown.length) {
+      data.push({
+        key: "And",
+        value: group.length - shown.length + " more",
+      });
+    }
+
+    return {
+      id: index + 1,
+      title: `${first.regulation} ${first.event_type} in ${
+        first.channel_name || "unknown channel"
+      } (${group.length})`,
+      data,
+    };
+  });
+
+  return {
+    text: `📋 Compliance digest: ${items.length} lower-risk event${
+      items.length === 1 ? "" : "s"
+    }`,
+    card: {
+      title: "Compliance Alert Digest",
+      theme: "modern-inline",
+      sections,
+    },
+  };
+}
+
+module.exports = {
+  batchingSettings,
+  suppressionKey,
+  isDigestible,
+  nextDigestAt,
+  findSuppression,
+  openSuppression,
+  recordSimilar,
+  withSimilarCount,
+  queueDigest,
+  sendDueDigests,
+  buildDigestMessage,
+};
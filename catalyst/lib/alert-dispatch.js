@@ -0,0 +1,332 @@
+/**
+ * Alert Dispatch
+ * Sends an alert to the targets its routing rules pick and records one
+ * alert_dispatches row per rule, so quiet-hours alerts can be sent later and
+ * unacknowledged ones escalated by the alert-escalations cron. Risk alerts
+ * also go through suppression and the digest (see alert-batching).
+ */
+
+const routing = require("./alert-routing");
+const batching = require("./alert-batching");
+const ingestion = require("./event-ingestion");
+const lifecycle = require("./event-lifecycle");
+const { select } = require("./query-builder");
+const { toMysqlDateTime } = require("./datetime");
+
+const DISPATCH_STATUS = {
+  SENT: "sent",
+  DEFERRED: "deferred",
+  FAILED: "failed",
+  ESCALATED: "escalated",
+  CLOSED: "closed",
+};
+
+/**
+ * Enabled routing rules from alert_routing_rules. A rule that doesn't parse
+ * (bad quiet hours or timezone) is logged and skipped so the rest still route.
+ */
+async function loadRoutingRules(zcql, log = console.error) {
+  const rows = await select("alert_routing_rules")
+    .orderBy("priority")
+    .fetchAll(zcql);
+
+  const rules = [];
+  rows.forEach((row) => {
+    try {
+      rules.push(routing.parseRule(row));
+    } catch (error) {
+      log("Skipping routing rule " + row.rule_id + ": " + error.message);
+    }
+  });
+  return rules.filter((rule) => rule.enabled);
+}
+
+/**
+ * Route and send one alert. extraTargets always receive it (e.g. the owning
+ * channel of a deadline reminder); fallbackTargets only when no rule matches.
+ */
+async function dispatchAlert(catalystApp, request, options = {}) {
+  const now = options.now || new Date();
+  const outbound = options.outbound;
+  const event = request.event || {};
+  const source = request.source || "alert";
+  const zcql = catalystApp.zcql();
+
+  const rules = options.rules || (await loadRoutingRules(zcql));
+  const plans = routing.planRouting(rules, event, {
+    now,
+    fallbackTargets: request.fallbackTargets || [],
+  });
+
+  // Deadline reminders are already once per stage; only risk alerts batch
+  const settings =
+    request.kind === "risk"
+      ? options.batching || batching.batchingSettings()
+      : null;
+
+  if (settings && batching.isDigestible(event, settings)) {
+    const digestAt = await batching.queueDigest(
+      catalystApp,
+      event,
+      uniqueTargets([
+        ...(request.extraTargets || []),
+        ...plans.flatMap((p) => p.targets),
+      ]),
+      settings,
+      now
+    );
+    return { delivery: [], dispatches: [], digest_at: digestAt };
+  }
+
+  const suppressing = settings && settings.suppressionMinutes > 0;
+  if (suppressing) {
+    const open = await batching.findSuppression(zcql, event, now);
+    if (open) {
+      const similar = await batching.recordSimilar(
+        catalystApp,
+        open,
+        event,
+        outbound
+      );
+      return {
+        delivery: [],
+        dispatches: [],
+        suppressed: true,
+        similar_count: similar.similar_count,
+      };
+    }
+  }
+
+  // Everything not held back by quiet hours goes out in one broadcast, each
+  // target once even when several rules name it
+  const immediate = uniqueTargets([
+    ...(request.extraTargets || []),
+    ...plans.filter((p) => !p.send_after).flatMap((p) => p.targets),
+  ]);
+  // sync_message makes Cliq return message IDs, so a suppression window
+  // can update the counter on these cards later
+  const delivery =
+    immediate.length > 0
+      ? await outbound.broadcast(
+          immediate,
+          suppressing
+            ? { ...request.alert, sync_message: true }
+            : request.alert,
+          { source }
+        )
+      : [];
+
+  if (suppressing) {
+    await batching.openSuppression(
+      catalystApp,
+      event,
+      request.alert,
+      delivery,
+      settings,
+      now
+    );
+  }
+
+  const table = catalystApp.datastore().table("alert_dispatches");
+  const dispatches = [];
+  let sequence = 0;
+
+  for (const plan of plans) {
+    const planDelivery = plan.send_after
+      ? []
+      : delivery.filter((d) => plan.targets.some((t) => sameTarget(t, d)));
+    const status = plan.send_after
+      ? DISPATCH_STATUS.DEFERRED
+      : planDelivery.some((d) => d.delivered)
+        ? DISPATCH_STATUS.SENT
+        : DISPATCH_STATUS.FAILED;
+
+    await table.insertRow({
+      dispatch_id: now.getTime() * 1000 + (sequence++ % 1000),
+      event_id: event.event_id ? String(event.event_id) : null,
+      rule_id: plan.rule_id ? String(plan.rule_id) : null,
+      alert_kind: request.kind || "alert",
+      source,
+      payload: JSON.stringify(request.alert),
+      targets: JSON.stringify(plan.targets),
+      status,
+      send_after: plan.send_after ? toMysqlDateTime(plan.send_after) : null,
+      sent_at: status === DISPATCH_STATUS.SENT ? toMysqlDateTime(now) : null,
+      escalate_at:
+        plan.escalate_at && event.event_id
+          ? toMysqlDateTime(plan.escalate_at)
+          : null,
+      escalation_targets: JSON.stringify(plan.escalation_targets),
+      delivery: JSON.stringify(planDelivery),
+    });
+
+    dispatches.push({
+      rule_id: plan.rule_id,
+      rule_name: plan.rule_name,
+      status,
+      send_after: plan.send_after,
+    });
+  }
+
+  return { delivery, dispatches };
+}
+
+/**
+ * Send deferred dispatches whose quiet hours are over and escalate sent ones
+ * whose event is still waiting for review
+ */
+async function processDueDispatches(catalystApp, options = {}) {
+  const now = options.now || new Date();
+  const outbound = options.outbound;
+  const zcql = catalystApp.zcql();
+  const table = catalystApp.datastore().table("alert_dispatches");
+  const cutoff = toMysqlDateTime(now);
+  const result = { released: 0, escalated: 0, closed: 0 };
+
+  const deferred = await select("alert_dispatches")
+    .where("status", "=", DISPATCH_STATUS.DEFERRED)
+    .where("send_after", "<=", cutoff)
+    .orderBy("ROWID")
+    .fetchAll(zcql);
+
+  for (const dispatch of deferred) {
+    const delivery = await outbound.broadcast(
+      routing.parseTargets(dispatch.targets),
+      JSON.parse(dispatch.payload),
+      { source: dispatch.source || "alert-escalations" }
+    );
+    const delivered = delivery.some((d) => d.delivered);
+
+    await table.updateRow({
+      ROWID: dispatch.ROWID,
+      status: delivered ? DISPATCH_STATUS.SENT : DISPATCH_STATUS.FAILED,
+      sent_at: delivered ? cutoff : null,
+      delivery: JSON.stringify(delivery),
+    });
+    if (delivered) result.released++;
+  }
+
+  const awaiting = await select("alert_dispatches")
+    .where("status", "=", DISPATCH_STATUS.SENT)
+    .whereNotNull("escalate_at")
+    .where("escalate_at", "<=", cutoff)
+    .orderBy("ROWID")
+    .fetchAll(zcql);
+
+  for (const dispatch of awaiting) {
+    // The message may have been edited since the alert went out; the
+    // current revision carries the review status
+    const event = await ingestion.loadLiveEvent(
+      zcql,
+      parseInt(dispatch.event_id)
+    );
+
+    // Anything past Pending Review means someone picked the event up
+    const unacknowledged =
+      event &&
+      (event.status || lifecycle.STATUS.PENDING_REVIEW) ===
+        lifecycle.STATUS.PENDING_REVIEW;
+
+    if (!unacknowledged) {
+      await table.updateRow({
+        ROWID: dispatch.ROWID,
+        status: DISPATCH_STATUS.CLOSED,
+      });
+      result.closed++;
+      continue;
+    }
+
+    const delivery = await outbound.broadcast(
+      routing.parseTargets(dispatch.escalation_targets),
+      buildEscalationMessage(event, dispatch, now),
+      { source: "alert-escalations" }
+    );
+
+    await table.updateRow({
+      ROWID: dispatch.ROWID,
+      status: DISPATCH_STATUS.ESCALATED,
+      escalated_at: cutoff,
+      delivery: JSON.stringify(delivery),
+    });
+    result.escalated++;
+  }
+
+  return result;
+}
+
+/**
+ * Escalation card for an event nobody has picked up
+ */
+function buildEscalationMessage(event, dispatch, now) {
+  const sentAt = new Date(String(dispatch.sent_at).replace(" ", "T") + "Z");
+  const hours = Math.max(1, Math.round((now - sentAt) / (60 * 60 * 1000)));
+
+  return {
+    text:
+      "⏫ Escalation: " +
+      event.event_type +
+      " (" +
+      event.regulation +
+      ") has been waiting for review for " +
+      hours +
+      " hours",
+    card: {
+      title: "Unacknowledged Compliance Alert",
+      theme: "modern-inline",
+      sections: [
+        {
+          id: 1,
+          title: "Event",
+          data: [
+            { key: "Event Type", value: event.event_type },
+            { key: "Regulation", value: event.regulation },
+            { key: "Risk Level", value: event.risk_level },
+            { key: "Channel", value: event.channel_name },
+            { key: "Waiting", value: hours + " hours" },
+          ],
+        },
+      ],
+      buttons: [
+        {
+          label: "Start Review",
+          type: "invoke.function",
+          function_name: "update_event_status",
+          data: { event_id: String(event.event_id), status: "Under Review" },
+        },
+        ...(event.evidence_url
+          ? [
+              {
+                label: "View Message",
+                type: "open.url",
+                url: event.evidence_url,
+              },
+            ]
+          : []),
+      ],
+    },
+  };
+}
+
+/**
+ * Helper functions
+ */
+function sameTarget(a, b) {
+  return a.type === b.type && String(a.id) === String(b.id);
+}
+
+function uniqueTargets(targets) {
+  const seen = new Set();
+  return targets.filter((target) => {
+    const key = target.type + ":" + target.id;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+module.exports = {
+  DISPATCH_STATUS,
+  loadRoutingRules,
+  dispatchAlert,
+  processDueDispatches,
+};
@@ -0,0 +1,231 @@
+/**
+ * Alert Routing
+ * Matches alerts against alert_routing_rules rows to decide who gets them,
+ * whether quiet hours hold them back and when they escalate
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// Event fields a rule can match on, and the rule column for each
+const MATCH_FIELDS = {
+  regulation: "match_regulation",
+  risk_level: "match_risk_level",
+  event_type: "match_event_type",
+  project_id: "match_project_id",
+  channel_id: "match_channel_id",
+};
+
+// Risk levels that go out during quiet hours unless a rule says otherwise
+const DEFAULT_QUIET_OVERRIDE = ["Critical"];
+
+/**
+ * Turn an alert_routing_rules row into a rule; empty match columns match
+ * anything and comma-separated values match any of them
+ */
+function parseRule(row) {
+  const match = {};
+  Object.entries(MATCH_FIELDS).forEach(([field, column]) => {
+    const values = parseList(row[column]).map(normalize);
+    if (values.length > 0) match[field] = values;
+  });
+
+  const quiet =
+    row.quiet_start && row.quiet_end
+      ? {
+          start: parseClock(row.quiet_start),
+          end: parseClock(row.quiet_end),
+          timezone: parseTimezone(row.quiet_timezone || "UTC"),
+          override: row.quiet_override_levels
+            ? parseList(row.quiet_override_levels).map(normalize)
+            : DEFAULT_QUIET_OVERRIDE.map(normalize),
+        }
+      : null;
+
+  const escalateAfter = parseFloat(row.escalate_after_hours);
+  const escalationTargets = parseTargets(row.escalation_targets);
+
+  return {
+    rule_id: row.rule_id,
+    name: row.name || "Rule " + row.rule_id,
+    priority: parseInt(row.priority) || 0,
+    enabled: row.enabled !== false && String(row.enabled) !== "false",
+    stop:
+      row.stop_processing === true || String(row.stop_processing) === "true",
+    match,
+    targets: parseTargets(row.targets),
+    quiet,
+    escalation:
+      escalateAfter > 0 && escalationTargets.length > 0
+        ? { after_hours: escalateAfter, targets: escalationTargets }
+        : null,
+  };
+}
+
+/**
+ * Whether a rule applies to an event
+ */
+function matchesRule(rule, event) {
+  return Object.entries(rule.match).every(([field, values]) =>
+    values.includes(normalize(event[field]))
+  );
+}
+
+/**
+ * Deliveries for an event: one per matching rule in priority order, or the
+ * fallback targets when nothing matches
+ */
+function planRouting(rules, event, options = {}) {
+  const now = options.now || new Date();
+  const matched = [];
+
+  const ordered = rules
+    .filter((rule) => rule.enabled)
+    .sort((a, b) => a.priority - b.priority);
+
+  for (const rule of ordered) {
+    if (!matchesRule(rule, event)) continue;
+    matched.push(rule);
+    if (rule.stop) break;
+  }
+
+  if (matched.length === 0) {
+    const fallback = options.fallbackTargets || [];
+    return fallback.length > 0
+      ? [
+          {
+            rule_id: null,
+            rule_name: "default",
+            targets: fallback,
+            send_after: null,
+            escalate_at: null,
+            escalation_targets: [],
+          },
+        ]
+      : [];
+  }
+
+  return matched.map((rule) => {
+    const sendAfter = quietUntil(rule, event.risk_level, now);
+    const sendAt = sendAfter || now;
+
+    return {
+      rule_id: rule.rule_id,
+      rule_name: rule.name,
+      targets: rule.targets,
+      send_after: sendAfter,
+      escalate_at: rule.escalation
+        ? new Date(sendAt.getTime() + rule.escalation.after_hours * HOUR_MS)
+        : null,
+      escalation_targets: rule.escalation ? rule.escalation.targets : [],
+    };
+  });
+}
+
+/**
+ * When a rule's quiet hours end, or null if the alert can go now
+ */
+function quietUntil(rule, riskLevel, now = new Date()) {
+  const quiet = rule.quiet;
+  if (!quiet || quiet.start === quiet.end) return null;
+  if (quiet.override.includes(normalize(riskLevel))) return null;
+
+  const minute = localMinute(now, quiet.timezone);
+  const inQuiet =
+    quiet.start < quiet.end
+      ? minute >= quiet.start && minute < quiet.end
+      : minute >= quiet.start || minute < quiet.end;
+
+  if (!inQuiet) return null;
+
+  const wait = (quiet.end - minute + DAY_MINUTES) % DAY_MINUTES;
+  const until = new Date(now.getTime() + wait * MINUTE_MS);
+  until.setUTCSeconds(0, 0);
+  return until;
+}
+
+/**
+ * Parse targets written as "channel:ID" / "user:ID" entries, either a JSON
+ * array or comma-separated
+ */
+function parseTargets(value) {
+  return parseList(value)
+    .map((entry) => {
+      if (entry && typeof entry === "object") {
+        return entry.type && entry.id
+          ? { type: entry.type, id: String(entry.id) }
+          : null;
+      }
+      const match = /^(channel|user):(.+)$/i.exec(String(entry).trim());
+      return match
+        ? { type: match[1].toLowerCase(), id: match[2].trim() }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Helper functions
+ */
+function parseList(value) {
+  if (value === null || value === undefined || value === "") return [];
+  if (Array.isArray(value)) return value;
+
+  const text = String(value).trim();
+  if (text.startsWith("[")) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      // Fall through to comma-separated
+    }
+  }
+  return text
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function normalize(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase();
+}
+
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid quiet hours time "${value}". Use HH:MM`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function parseTimezone(value) {
+  const timezone = String(value).trim();
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: timezone });
+  } catch (e) {
+    throw new Error(`Invalid quiet hours timezone "${value}"`);
+  }
+  return timezone;
+}
+
+function localMinute(date, timezone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return get("hour") * 60 + get("minute");
+}
+
+module.exports = {
+  MATCH_FIELDS,
+  parseRule,
+  parseTargets,
+  matchesRule,
+  planRouting,
+  quietUntil,
+};
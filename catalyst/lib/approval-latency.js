@@ -0,0 +1,249 @@
+/**
+ * Approval Latency
+ * Pairs approval requests with the approvals that answer them (same thread,
+ * project and regulation) and reports median and p90 latency per approver,
+ * team and regulation against configurable SLA targets
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours an approval may take when no target is configured
+const DEFAULT_SLA_HOURS = 48;
+
+// Messages asking for an approval rather than giving one
+const REQUEST_PATTERN =
+  /\b(please|pls|can you|could you|need|needs|needed|requesting|request|requested|awaiting|waiting (on|for)|pending)\b[^.?!]*\b(approv|sign[\s-]?off|authori[sz]|green[\s-]?light)/i;
+
+// Messages giving an approval, for events not already typed as approvals
+const APPROVAL_PATTERN =
+  /\b(approved|signed off|authori[sz]ed|greenlit|okayed|lgtm|approval (received|granted))\b/i;
+
+/**
+ * "request" or "approval" for events taking part in an approval, else null
+ */
+function classifyApproval(event) {
+  const text = String(event.message_text || "");
+  if (REQUEST_PATTERN.test(text)) return "request";
+  if (event.event_type === "approval" || APPROVAL_PATTERN.test(text)) {
+    return "approval";
+  }
+  return null;
+}
+
+/**
+ * SLA targets in hours from APPROVAL_SLA_HOURS and
+ * APPROVAL_SLA_HOURS_BY_REGULATION ("GDPR:24,HIPAA:24")
+ */
+function slaTargets(env = process.env) {
+  const byRegulation = {};
+  String(env.APPROVAL_SLA_HOURS_BY_REGULATION || "")
+    .split(",")
+    .forEach((entry) => {
+      const [regulation, hours] = entry.split(":").map((s) => s.trim());
+      if (regulation && parseFloat(hours) > 0) {
+        byRegulation[regulation.toUpperCase()] = parseFloat(hours);
+      }
+    });
+
+  return {
+    default_hours: parseFloat(env.APPROVAL_SLA_HOURS) || DEFAULT_SLA_HOURS,
+    by_regulation: byRegulation,
+  };
+}
+
+function targetFor(targets, regulation) {
+  const hours = targets.by_regulation[String(regulation || "").toUpperCase()];
+  return hours || targets.default_hours;
+}
+
+/**
+ * Pair each approval with the earliest unanswered request before it in the
+ * same project and regulation. A request and approval share a thread when
+ * both are replies in it, both are in the channel's main conversation, or
+ * the approval replies to the request's own message.
+ */
+function pairApprovals(events, now = new Date()) {
+  const sorted = events
+    .map((event) => ({ event, kind: classifyApproval(event) }))
+    .filter((item) => item.kind)
+    .sort((a, b) => eventTime(a.event) - eventTime(b.event));
+
+  const open = [];
+  const pairs = [];
+
+  sorted.forEach(({ event, kind }) => {
+    if (kind === "request") {
+      open.push(event);
+      return;
+    }
+
+    const index = open.findIndex(
+      (request) =>
+        String(request.project_id) === String(event.project_id) &&
+        sameRegulation(request, event) &&
+        sameThread(request, event)
+    );
+    if (index === -1) return;
+
+    const [request] = open.splice(index, 1);
+    pairs.push({
+      request_event_id: request.event_id,
+      approval_event_id: event.event_id,
+      project_id: request.project_id,
+      regulation: request.regulation || "General",
+      team: teamOf(event),
+      approver: event.user_name || event.user_id || "Unknown",
+      requester: request.user_name || request.user_id || "Unknown",
+      requested_at: request.created_at,
+      approved_at: event.created_at,
+      latency_hours: round((eventTime(event) - eventTime(request)) / HOUR_MS),
+    });
+  });
+
+  return {
+    pairs,
+    open: open.map((request) => ({
+      request_event_id: request.event_id,
+      project_id: request.project_id,
+      regulation: request.regulation || "General",
+      team: teamOf(request),
+      requester: request.user_name || request.user_id || "Unknown",
+      requested_at: request.created_at,
+      age_hours: round((now.getTime() - eventTime(request)) / HOUR_MS),
+    })),
+  };
+}
+
+/**
+ * Median, p90 and SLA breaches overall and per approver, team and
+ * regulation. Unanswered requests older than their target count as open
+ * breaches.
+ */
+function latencyStats({ pairs, open }, targets = slaTargets({})) {
+  const late = pairs.filter(
+    (pair) => pair.latency_hours > targetFor(targets, pair.regulation)
+  );
+  const overdue = open.filter(
+    (request) => request.age_hours > targetFor(targets, request.regulation)
+  );
+
+  const group = (key) => {
+    const groups = {};
+    pairs.forEach((pair) => {
+      groups[pair[key]] = groups[pair[key]] || [];
+      groups[pair[key]].push(pair);
+    });
+    Object.keys(groups).forEach((name) => {
+      groups[name] = summarize(groups[name], targets);
+    });
+    return groups;
+  };
+
+  const breach = (status, item, hours) => {
+    const target = targetFor(targets, item.regulation);
+    return {
+      status,
+      request_event_id: item.request_event_id,
+      approval_event_id: item.approval_event_id || null,
+      regulation: item.regulation,
+      team: item.team,
+      approver: item.approver || null,
+      hours,
+      target_hours: target,
+      over_hours: round(hours - target),
+    };
+  };
+  const breaches = [
+    ...late.map((pair) => breach("late", pair, pair.latency_hours)),
+    ...overdue.map((request) => breach("open", request, request.age_hours)),
+  ].sort((a, b) => b.over_hours - a.over_hours);
+
+  return {
+    sla: targets,
+    overall: {
+      ...summarize(pairs, targets),
+      open_requests: open.length,
+      open_breaches: overdue.length,
+    },
+    by_approver: group("approver"),
+    by_team: group("team"),
+    by_regulation: group("regulation"),
+    breaches,
+  };
+}
+
+/**
+ * Mean approval latency in hours, for the predictor's team_response_time;
+ * null without any paired approvals
+ */
+function meanLatency(pairs) {
+  if (pairs.length === 0) return null;
+  return round(pairs.reduce((s, p) => s + p.latency_hours, 0) / pairs.length);
+}
+
+/**
+ * Helper functions
+ */
+function summarize(pairs, targets) {
+  const hours = pairs.map((p) => p.latency_hours).sort((a, b) => a - b);
+  const breaches = pairs.filter(
+    (p) => p.latency_hours > targetFor(targets, p.regulation)
+  ).length;
+  return {
+    approvals: pairs.length,
+    median_hours: percentile(hours, 0.5),
+    p90_hours: percentile(hours, 0.9),
+    breaches,
+    breach_rate: pairs.length > 0 ? round(breaches / pairs.length) : null,
+  };
+}
+
+// Linear interpolation between the closest ranks of sorted values
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = (sorted.length - 1) * p;
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return round(sorted[low] + (sorted[high] - sorted[low]) * (rank - low));
+}
+
+function sameRegulation(a, b) {
+  return (
+    String(a.regulation || "General").toUpperCase() ===
+    String(b.regulation || "General").toUpperCase()
+  );
+}
+
+// Replies carry their parent's message ID; other messages belong to the
+// channel's main conversation
+function sameThread(request, approval) {
+  const threadOf = (event) =>
+    event.thread_id
+      ? "thread:" + event.thread_id
+      : "channel:" + event.channel_id;
+  return (
+    threadOf(request) === threadOf(approval) ||
+    String(approval.thread_id || "") === String(request.message_id)
+  );
+}
+
+function teamOf(event) {
+  return event.channel_name || event.channel_id || "Unknown";
+}
+
+function eventTime(event) {
+  return new Date(event.created_at || event.timestamp).getTime();
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  DEFAULT_SLA_HOURS,
+  classifyApproval,
+  slaTargets,
+  pairApprovals,
+  latencyStats,
+  meanLatency,
+};
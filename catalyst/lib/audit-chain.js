@@ -0,0 +1,416 @@
+/**
+ * Audit Chain
+ * Hashing and verification helpers for the audit_logs hash chain
+ */
+
+const crypto = require("crypto");
+
+const GENESIS_HASH =
+  "0000000000000000000000000000000000000000000000000000000000000000";
+
+// Event fields captured in an audit export, in export order
+const AUDIT_EVENT_FIELDS = [
+  "event_id",
+  "timestamp",
+  "event_type",
+  "user",
+  "risk_level",
+  "evidence_url",
+];
+
+/**
+ * Project a compliance event onto the fields frozen in an audit export
+ */
+function toAuditEvent(event) {
+  return {
+    event_id: event.event_id,
+    timestamp: event.timestamp,
+    event_type: event.event_type,
+    user: event.user_name,
+    risk_level: event.risk_level,
+    evidence_url: event.evidence_url,
+  };
+}
+
+/**
+ * SHA-256 of the canonical audit JSON chained to the previous hash
+ */
+function computeAuditHash(auditJson, previousHash) {
+  return crypto
+    .createHash("sha256")
+    .update(auditJson + previousHash)
+    .digest("hex");
+}
+
+/**
+ * Check that a record's audit_data still hashes to its report_hash.
+ * Only the record itself is needed, since previous_hash is stored on it.
+ */
+function verifyRecordHash(record) {
+  if (!record.audit_data) {
+    return { reason: "missing_audit_data" };
+  }
+
+  const recomputed = computeAuditHash(record.audit_data, record.previous_hash);
+  if (recomputed !== record.report_hash) {
+    return {
+      reason: "hash_mismatch",
+      expected: recomputed,
+      actual: record.report_hash,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Merkle root and per-leaf inclusion proofs over hex hashes.
+ * Pairs are hashed left+right; an odd node at a level is paired with itself.
+ */
+function buildMerkleTree(leaves) {
+  if (leaves.length === 0) {
+    return { root: sha256(""), proofs: [] };
+  }
+
+  const proofs = leaves.map(() => []);
+  // Leaf indexes that sit under each node of the current level
+  let members = leaves.map((_, i) => [i]);
+  let level = leaves.slice();
+
+  while (level.length > 1) {
+    const nextLevel = [];
+    const nextMembers = [];
+
+    for (let i = 0; i < level.length; i += 2) {
+      const left = level[i];
+      const right = i + 1 < level.length ? level[i + 1] : left;
+
+      members[i].forEach((leaf) =>
+        proofs[leaf].push({ position: "right", hash: right })
+      );
+      if (i + 1 < level.length) {
+        members[i + 1].forEach((leaf) =>
+          proofs[leaf].push({ position: "left", hash: left })
+        );
+      }
+
+      nextLevel.push(sha256(left + right));
+      nextMembers.push(
+        i + 1 < level.length ? members[i].concat(members[i + 1]) : members[i]
+      );
+    }
+
+    level = nextLevel;
+    members = nextMembers;
+  }
+
+  return { root: level[0], proofs };
+}
+
+/**
+ * Check a leaf's inclusion proof against a Merkle root
+ */
+function verifyMerkleProof(leaf, proof, root) {
+  const computed = (proof || []).reduce(
+    (hash, step) =>
+      step.position === "left"
+        ? sha256(step.hash + hash)
+        : sha256(hash + step.hash),
+    leaf
+  );
+  return computed === root;
+}
+
+/**
+ * Chain one day's audit entries and close the day with a Merkle anchor.
+ * Entries are sorted by project and regulation so the chain is deterministic;
+ * each record links to the one before it and the anchor links to the last
+ * group record. Anchors also link to the previous day's anchor, which lets a
+ * single project's slice be verified without other projects' records.
+ */
+function chainDailyRecords(entries, options) {
+  const { date, previousHash, previousAnchorHash } = options;
+
+  const sorted = entries
+    .slice()
+    .sort((a, b) =>
+      groupKey(a) < groupKey(b) ? -1 : groupKey(a) > groupKey(b) ? 1 : 0
+    );
+
+  let chainHash = previousHash;
+  const groups = sorted.map((entry) => {
+    const auditJson = JSON.stringify(entry.auditData);
+    const reportHash = computeAuditHash(auditJson, chainHash);
+    const record = {
+      ...entry,
+      record_type: "group",
+      audit_data: auditJson,
+      previous_hash: chainHash,
+      report_hash: reportHash,
+    };
+    chainHash = reportHash;
+    return record;
+  });
+
+  const tree = buildMerkleTree(groups.map((g) => g.report_hash));
+  groups.forEach((group, i) => {
+    group.merkle_root = tree.root;
+    group.merkle_proof = tree.proofs[i];
+  });
+
+  const anchorData = {
+    type: "daily_anchor",
+    date,
+    merkle_root: tree.root,
+    previous_anchor_hash: previousAnchorHash,
+    leaves: groups.map((g) => ({
+      project_id: g.projectId,
+      regulation: g.regulation,
+      report_hash: g.report_hash,
+    })),
+  };
+  const anchorJson = JSON.stringify(anchorData);
+
+  const anchor = {
+    record_type: "anchor",
+    auditData: anchorData,
+    audit_data: anchorJson,
+    merkle_root: tree.root,
+    previous_hash: chainHash,
+    report_hash: computeAuditHash(anchorJson, chainHash),
+  };
+
+  return { groups, anchor };
+}
+
+/**
+ * Verify daily anchors: their own hashes, the anchor-to-anchor links and,
+ * when a day's group records are supplied, the Merkle root over them
+ */
+function verifyAnchors(anchors, previousAnchorHash, groupsByDay = null) {
+  const problems = [];
+  let expectedPrevious = previousAnchorHash;
+
+  anchors.forEach((anchor) => {
+    const base = {
+      log_id: anchor.log_id,
+      project_id: "anchor",
+      period_start: anchor.period_start,
+    };
+
+    const hashProblem = verifyRecordHash(anchor);
+    if (hashProblem) {
+      problems.push({ ...base, ...hashProblem });
+      expectedPrevious = anchor.report_hash;
+      return;
+    }
+
+    const data = JSON.parse(anchor.audit_data);
+
+    if (
+      expectedPrevious !== undefined &&
+      data.previous_anchor_hash !== expectedPrevious
+    ) {
+      problems.push({
+        ...base,
+        reason: "previous_anchor_mismatch",
+        expected: expectedPrevious,
+        actual: data.previous_anchor_hash,
+      });
+    }
+
+    if (data.merkle_root !== anchor.merkle_root) {
+      problems.push({ ...base, reason: "merkle_root_mismatch" });
+    }
+
+    const day = String(anchor.period_start).slice(0, 10);
+    if (groupsByDay && groupsByDay[day]) {
+      const leaves = groupsByDay[day].map((g) => g.report_hash);
+      if (buildMerkleTree(leaves).root !== data.merkle_root) {
+        problems.push({ ...base, reason: "merkle_root_mismatch" });
+      }
+    }
+
+    expectedPrevious = anchor.report_hash;
+  });
+
+  return problems;
+}
+
+/**
+ * Verify a project's records against their day's anchor without the rest of
+ * the chain: each record must hash correctly and prove into the anchor root
+ */
+function verifySlice(records, anchors) {
+  const anchorsByDay = {};
+  anchors.forEach((a) => {
+    anchorsByDay[String(a.period_start).slice(0, 10)] = a;
+  });
+
+  const problems = [];
+
+  records.forEach((record) => {
+    const base = {
+      log_id: record.log_id,
+      project_id: record.project_id,
+      regulation: record.regulation,
+      period_start: record.period_start,
+    };
+
+    const hashProblem = verifyRecordHash(record);
+    if (hashProblem) {
+      problems.push({ ...base, ...hashProblem });
+      return;
+    }
+
+    // Records exported before daily anchors existed carry no proof
+    if (!record.record_type) return;
+
+    const anchor = anchorsByDay[String(record.period_start).slice(0, 10)];
+    if (!anchor) {
+      problems.push({ ...base, reason: "missing_anchor" });
+      return;
+    }
+
+    const proof = parseJSON(record.merkle_proof, []);
+    if (!verifyMerkleProof(record.report_hash, proof, anchor.merkle_root)) {
+      problems.push({ ...base, reason: "merkle_proof_invalid" });
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Walk audit records in chain order.
+ * Each record must hash to its report_hash and link to the record before it;
+ * `anchorHash` is the report_hash preceding the first record.
+ */
+function verifyChain(records, anchorHash = GENESIS_HASH) {
+  const brokenLinks = [];
+  let expectedPrevious = anchorHash;
+
+  records.forEach((record) => {
+    const base = {
+      log_id: record.log_id,
+      project_id: record.project_id,
+      regulation: record.regulation,
+      period_start: record.period_start,
+    };
+
+    if (record.previous_hash !== expectedPrevious) {
+      brokenLinks.push({
+        ...base,
+        reason: "previous_hash_mismatch",
+        expected: expectedPrevious,
+        actual: record.previous_hash,
+      });
+    }
+
+    const hashProblem = verifyRecordHash(record);
+    if (hashProblem) {
+      brokenLinks.push({ ...base, ...hashProblem });
+    }
+
+    expectedPrevious = record.report_hash;
+  });
+
+  return brokenLinks;
+}
+
+/**
+ * Days in [from, to] with events but no audit record
+ */
+function findMissingDays(from, to, exportedDays, daysWithEvents) {
+  const exported = new Set(exportedDays.map(toDateString));
+  const active = new Set(daysWithEvents.map(toDateString));
+  const missing = [];
+
+  const cursor = new Date(toDateString(from) + "T00:00:00Z");
+  const end = new Date(toDateString(to) + "T00:00:00Z");
+
+  while (cursor <= end) {
+    const day = cursor.toISOString().slice(0, 10);
+    if (active.has(day) && !exported.has(day)) {
+      missing.push(day);
+    }
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return missing;
+}
+
+/**
+ * Compare exported events with their current rows.
+ * Returns events whose audited fields changed or that no longer exist.
+ */
+function diffExportedEvents(exportedEvents, currentEvents) {
+  const currentById = {};
+  currentEvents.forEach((e) => {
+    currentById[String(e.event_id)] = toAuditEvent(e);
+  });
+
+  const changes = [];
+
+  exportedEvents.forEach((exported) => {
+    const current = currentById[String(exported.event_id)];
+
+    if (!current) {
+      changes.push({ event_id: exported.event_id, deleted: true, fields: [] });
+      return;
+    }
+
+    const fields = AUDIT_EVENT_FIELDS.filter(
+      (field) => normalize(exported[field]) !== normalize(current[field])
+    );
+    if (fields.length > 0) {
+      changes.push({ event_id: exported.event_id, deleted: false, fields });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Helper functions
+ */
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function groupKey(entry) {
+  return entry.projectId + "::" + entry.regulation;
+}
+
+function parseJSON(value, fallback) {
+  if (typeof value !== "string") return value || fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function normalize(value) {
+  return value === null || value === undefined ? "" : String(value);
+}
+
+function toDateString(value) {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).slice(0, 10);
+}
+
+module.exports = {
+  GENESIS_HASH,
+  toAuditEvent,
+  computeAuditHash,
+  verifyRecordHash,
+  buildMerkleTree,
+  verifyMerkleProof,
+  chainDailyRecords,
+  verifyAnchors,
+  verifySlice,
+  verifyChain,
+  findMissingDays,
+  diffExportedEvents,
+};
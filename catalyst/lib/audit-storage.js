@@ -0,0 +1,246 @@
+/**
+ * Audit Storage
+ * Persists canonical audit JSON to Catalyst File Storage, or to an
+ * S3-compatible bucket when ENABLE_EXTERNAL_STORAGE is set, and reads it back
+ * to confirm the stored bytes still hash to the record's report_hash
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const auditChain = require("./audit-chain");
+
+// Seven years, the longest retention among the supported regulations (SOX)
+const DEFAULT_RETENTION_DAYS = 2555;
+
+/**
+ * Pick the storage backend from environment settings
+ */
+function createAuditStorage(catalystApp, env = process.env) {
+  const retentionDays =
+    parseInt(env.AUDIT_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+
+  if (env.ENABLE_EXTERNAL_STORAGE === "true") {
+    if (!env.AWS_S3_BUCKET) {
+      throw new Error("AWS_S3_BUCKET is required for external storage");
+    }
+
+    const region = env.AWS_REGION || "us-east-1";
+    return createS3Storage({
+      endpoint: env.AWS_S3_ENDPOINT || `https://s3.${region}.amazonaws.com`,
+      bucket: env.AWS_S3_BUCKET,
+      region,
+      accessKeyId: env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+      retentionDays,
+    });
+  }
+
+  return createFilestoreStorage(catalystApp, {
+    folderId: env.AUDIT_FOLDER_ID || 0,
+    retentionDays,
+  });
+}
+
+/**
+ * Store a chained audit record's audit_data and verify it by reading it back
+ */
+async function storeAuditArtifact(storage, record) {
+  const key = artifactKey(record);
+  const retainUntil = new Date(
+    Date.now() + storage.retentionDays * 24 * 60 * 60 * 1000
+  ).toISOString();
+
+  const stored = await storage.put(key, Buffer.from(record.audit_data), {
+    "report-hash": record.report_hash,
+    "previous-hash": record.previous_hash,
+    "retention-days": String(storage.retentionDays),
+    "retain-until": retainUntil,
+  });
+
+  const readBack = await storage.get(stored.ref);
+  const readBackHash = auditChain.computeAuditHash(
+    readBack.toString("utf8"),
+    record.previous_hash
+  );
+
+  if (readBackHash !== record.report_hash) {
+    throw new Error(
+      `Stored audit artifact ${key} does not hash to report_hash ${record.report_hash}`
+    );
+  }
+
+  return {
+    backend: storage.backend,
+    key,
+    ref: stored.ref,
+    url: stored.url,
+    retention_days: storage.retentionDays,
+    retain_until: retainUntil,
+    verified_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Catalyst File Storage backend
+ */
+function createFilestoreStorage(catalystApp, { folderId, retentionDays }) {
+  const folder = () => catalystApp.filestore().folder(folderId);
+
+  return {
+    backend: "filestore",
+    retentionDays,
+
+    async put(key, body) {
+      // uploadFile expects a read stream, so stage the bytes in a temp file
+      const fileName = key.replace(/\//g, "_");
+      const tempPath = path.join(os.tmpdir(), fileName);
+      fs.writeFileSync(tempPath, body);
+
+      try {
+        const fileObj = await folder().uploadFile({
+          code: fs.createReadStream(tempPath),
+          name: fileName,
+        });
+
+        const fileId = fileObj.id || fileObj.file_id;
+        const url =
+          fileObj.file_url ||
+          "https://catalyst.zoho.com/baas/v1/project/" +
+            catalystApp.getProjectId() +
+            "/file/" +
+            fileId +
+            "/download";
+
+        return { ref: String(fileId), url };
+      } finally {
+        fs.unlinkSync(tempPath);
+      }
+    },
+
+    async get(ref) {
+      return Buffer.from(await folder().downloadFile(ref));
+    },
+  };
+}
+
+/**
+ * S3-compatible backend (AWS S3, MinIO, ...) using path-style requests
+ */
+function createS3Storage(options) {
+  const { endpoint, bucket, retentionDays } = options;
+  const objectUrl = (key) =>
+    endpoint.replace(/\/$/, "") +
+    "/" +
+    [bucket, ...key.split("/")].map(encodeURIComponent).join("/");
+
+  return {
+    backend: "s3",
+    retentionDays,
+
+    async put(key, body, metadata) {
+      const url = objectUrl(key);
+      const headers = { "Content-Type": "application/json" };
+      Object.entries(metadata).forEach(([name, value]) => {
+        headers["x-amz-meta-" + name] = value;
+      });
+
+      await axios.put(url, body, {
+        headers: signS3Request("PUT", url, headers, body, options),
+      });
+
+      return { ref: key, url };
+    },
+
+    async get(ref) {
+      const url = objectUrl(ref);
+      const response = await axios.get(url, {
+        headers: signS3Request("GET", url, {}, Buffer.alloc(0), options),
+        responseType: "arraybuffer",
+      });
+      return Buffer.from(response.data);
+    },
+  };
+}
+
+/**
+ * Add AWS Signature Version 4 headers to an S3 request
+ */
+function signS3Request(method, url, headers, body, options) {
+  const { region, accessKeyId, secretAccessKey } = options;
+  const parsed = new URL(url);
+  const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, "");
+  const day = amzDate.slice(0, 8);
+  const scope = `${day}/${region}/s3/aws4_request`;
+
+  const signed = {
+    ...headers,
+    host: parsed.host,
+    "x-amz-content-sha256": sha256(body),
+    "x-amz-date": amzDate,
+  };
+
+  const names = Object.keys(signed)
+    .map((name) => name.toLowerCase())
+    .sort();
+  const lowerCased = {};
+  Object.entries(signed).forEach(([name, value]) => {
+    lowerCased[name.toLowerCase()] = String(value).trim();
+  });
+
+  const canonicalRequest = [
+    method,
+    parsed.pathname,
+    parsed.search.replace(/^\?/, ""),
+    names.map((name) => `${name}:${lowerCased[name]}\n`).join(""),
+    names.join(";"),
+    signed["x-amz-content-sha256"],
+  ].join("\n");
+
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    sha256(canonicalRequest),
+  ].join("\n");
+
+  const signingKey = [day, region, "s3", "aws4_request"].reduce(
+    (key, part) => hmac(key, part),
+    "AWS4" + secretAccessKey
+  );
+  const signature = crypto
+    .createHmac("sha256", signingKey)
+    .update(stringToSign)
+    .digest("hex");
+
+  delete signed.host; // Set by the HTTP client
+  signed.Authorization =
+    `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+    `SignedHeaders=${names.join(";")}, Signature=${signature}`;
+
+  return signed;
+}
+
+/**
+ * Helper functions
+ */
+function artifactKey(record) {
+  const day = String(record.period_start).slice(0, 10);
+  return `audit-logs/${record.project_id}/${day}/${record.report_hash}.json`;
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function hmac(key, value) {
+  return crypto.createHmac("sha256", key).update(value).digest();
+}
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  createAuditStorage,
+  storeAuditArtifact,
+};
@@ -0,0 +1,271 @@
+/**
+ * Cliq Outbound
+ * Delivers messages and cards to Cliq channels and users with retry and
+ * backoff, a rate limit on bursts and a dead-letter table for messages that
+ * still fail. Every alert path sends through here.
+ */
+
+const axios = require("axios");
+const { toMysqlDateTime } = require("./datetime");
+
+const DEFAULT_API_URL = "https://cliq.zoho.com/api/v2";
+
+const DEFAULTS = {
+  maxAttempts: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  // Messages allowed per window; Cliq throttles bursts per token
+  rateLimit: 30,
+  rateWindowMs: 60000,
+  timeoutMs: 10000,
+};
+
+/**
+ * Create a client from the environment, dead-lettering into DataStore
+ */
+function createCliqOutbound(catalystApp, env = process.env, options = {}) {
+  return createCliqClient({
+    apiUrl: env.CLIQ_API_URL || DEFAULT_API_URL,
+    token: env.ZOHO_AUTH_TOKEN,
+    maxAttempts: positiveInt(env.CLIQ_MAX_ATTEMPTS),
+    rateLimit: positiveInt(env.CLIQ_RATE_LIMIT_PER_MINUTE),
+    deadLetter: catalystApp ? createDeadLetterWriter(catalystApp) : null,
+    ...options,
+  });
+}
+
+/**
+ * Create a client. The rate limit is kept in memory per client, so it paces
+ * the sends of one invocation only: reuse one client per invocation, and
+ * remember that invocations running at once each get the full limit.
+ */
+function createCliqClient(options = {}) {
+  const settings = { ...DEFAULTS };
+  Object.keys(options).forEach((key) => {
+    if (options[key] !== undefined && options[key] !== null) {
+      settings[key] = options[key];
+    }
+  });
+
+  const apiUrl = String(settings.apiUrl || DEFAULT_API_URL).replace(/\/$/, "");
+  const sleep = settings.sleep || defaultSleep;
+  const sentAt = [];
+
+  /**
+   * Wait until another message fits in the rate window
+   */
+  async function acquireSlot() {
+    for (;;) {
+      const now = Date.now();
+      while (sentAt.length > 0 && now - sentAt[0] >= settings.rateWindowMs) {
+        sentAt.shift();
+      }
+      if (sentAt.length < settings.rateLimit) {
+        sentAt.push(now);
+        return;
+      }
+      await sleep(sentAt[0] + settings.rateWindowMs - now);
+    }
+  }
+
+  async function request(method, path, message) {
+    await acquireSlot();
+    return axios[method](apiUrl + path, message, {
+      timeout: settings.timeoutMs,
+      headers: {
+        Authorization: "Zoho-oauthtoken " + settings.token,
+        "Content-Type": "application/json",
+      },
+    });
+  }
+
+  /**
+   * Retry transient failures; dead-letter and rethrow once they run out
+   */
+  async function deliver(method, path, target, message, meta) {
+    let attempts = 0;
+    let lastError;
+
+    while (attempts < settings.maxAttempts) {
+      attempts++;
+      try {
+        const response = await request(method, path, message);
+        const data = response.data || {};
+        return {
+          target,
+          attempts,
+          status: response.status,
+          // Present when the message was posted with sync_message
+          message_id: data.message_id || null,
+          chat_id: data.chat_id || null,
+        };
+      } catch (error) {
+        lastError = error;
+        if (!isRetryable(error) || attempts === settings.maxAttempts) break;
+        await sleep(retryDelay(error, attempts, settings));
+      }
+    }
+
+    lastError.target = target;
+    lastError.attempts = attempts;
+
+    if (settings.deadLetter) {
+      try {
+        await settings.deadLetter({
+          target,
+          message,
+          attempts,
+          error: describeError(lastError),
+          source: meta.source || null,
+        });
+        lastError.deadLettered = true;
+      } catch (deadLetterError) {
+        lastError.deadLetterError = deadLetterError.message;
+      }
+    }
+
+    throw lastError;
+  }
+
+  const client = {
+    /**
+     * Send to { type: "channel" | "user", id }, retrying transient failures.
+     * Messages that still fail are dead-lettered and the error is rethrown.
+     */
+    async send(target, message, meta = {}) {
+      return deliver("post", targetPath(target), target, message, meta);
+    },
+
+    /**
+     * Replace a message sent earlier, given the chat_id and message_id that
+     * send returned for it
+     */
+    async edit(sent, message, meta = {}) {
+      if (!sent || !sent.chat_id || !sent.message_id) {
+        throw new Error(
+          "A chat_id and message_id are required to edit a message"
+        );
+      }
+      const path =
+        "/chats/" +
+        encodeURIComponent(sent.chat_id) +
+        "/messages/" +
+        encodeURIComponent(sent.message_id);
+      return deliver("put", path, sent, message, meta);
+    },
+
+    postToChannel(channelId, message, meta) {
+      return client.send({ type: "channel", id: channelId }, message, meta);
+    },
+
+    sendDirect(userId, message, meta) {
+      return client.send({ type: "user", id: userId }, message, meta);
+    },
+
+    /**
+     * Send one message to several targets; failures don't stop the rest
+     */
+    async broadcast(targets, message, meta) {
+      const results = [];
+      for (const target of targets) {
+        try {
+          const result = await client.send(target, message, meta);
+          results.push({
+            ...target,
+            delivered: true,
+            attempts: result.attempts,
+            ...(result.message_id
+              ? { message_id: result.message_id, chat_id: result.chat_id }
+              : {}),
+          });
+        } catch (error) {
+          results.push({
+            ...target,
+            delivered: false,
+            error: describeError(error),
+            dead_lettered: Boolean(error.deadLettered),
+          });
+        }
+      }
+      return results;
+    },
+  };
+
+  return client;
+}
+
+/**
+ * Dead-letter writer for the alert_dead_letters table
+ */
+function createDeadLetterWriter(catalystApp) {
+  const table = catalystApp.datastore().table("alert_dead_letters");
+  let sequence = 0;
+
+  return (entry) =>
+    table.insertRow({
+      dead_letter_id: Date.now() * 1000 + (sequence++ % 1000),
+      target_type: entry.target.type,
+      target_id: String(entry.target.id),
+      source: entry.source,
+      payload: JSON.stringify(entry.message),
+      error: entry.error,
+      attempts: entry.attempts,
+      status: "failed",
+      failed_at: toMysqlDateTime(new Date()),
+    });
+}
+
+/**
+ * Helper functions
+ */
+function targetPath(target) {
+  if (!target || !target.id) {
+    throw new Error("A channel or user ID is required");
+  }
+
+  const id = encodeURIComponent(target.id);
+  if (target.type === "channel") return "/channels/" + id + "/message";
+  if (target.type === "user") return "/buddies/" + id + "/message";
+  throw new Error(`Unknown target type: ${target.type}`);
+}
+
+// Network errors, throttling and server errors are worth retrying
+function isRetryable(error) {
+  const status = error.response && error.response.status;
+  if (!status) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function retryDelay(error, attempt, settings) {
+  const retryAfter =
+    error.response &&
+    error.response.headers &&
+    Number(error.response.headers["retry-after"]);
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, settings.maxDelayMs);
+  }
+
+  const exponential = settings.baseDelayMs * Math.pow(2, attempt - 1);
+  const jitter = Math.random() * settings.baseDelayMs;
+  return Math.min(exponential + jitter, settings.maxDelayMs);
+}
+
+function describeError(error) {
+  const status = error.response && error.response.status;
+  return status ? `HTTP ${status}: ${error.message}` : error.message;
+}
+
+function positiveInt(value) {
+  const number = parseInt(value);
+  return number > 0 ? number : undefined;
+}
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  createCliqOutbound,
+  createCliqClient,
+  createDeadLetterWriter,
+};
@@ -0,0 +1,191 @@
+/**
+ * Compliance Score
+ * The one compliance scoring model, configured by catalyst/scoring-model.json:
+ * penalties for open high-risk and overdue events (weighted per regulation)
+ * and bonuses for event coverage and recent activity
+ */
+
+const defaultModel = require("../scoring-model.json");
+const lifecycle = require("./event-lifecycle");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a scorer that takes events one at a time, for streaming callers
+ */
+function createScorer(options = {}) {
+  const model = options.model || defaultModel;
+  const now = options.now ? new Date(options.now) : new Date();
+  const activitySince = new Date(
+    now.getTime() - model.bonuses.activity_window_days * DAY_MS
+  );
+
+  let total = 0;
+  let recent = 0;
+  const eventTypes = new Set();
+  const deductions = {
+    high_risk_pending: [],
+    overdue: [],
+  };
+
+  return {
+    add(event) {
+      total++;
+      eventTypes.add(event.event_type);
+      if (new Date(event.created_at) >= activitySince) recent++;
+
+      if (!lifecycle.isOpen(event.status)) return;
+
+      const weight = regulationWeight(event.regulation, model);
+
+      if (model.high_risk_levels.includes(event.risk_level)) {
+        deductions.high_risk_pending.push(
+          deduction(event, model.penalties.high_risk_pending * weight, weight)
+        );
+      }
+
+      if (event.deadline && new Date(event.deadline) < now) {
+        deductions.overdue.push(
+          deduction(event, model.penalties.overdue * weight, weight)
+        );
+      }
+    },
+
+    /**
+     * The score and the factors that produced it
+     */
+    result() {
+      if (total === 0) {
+        return {
+          score: model.empty_score,
+          model_version: model.version,
+          base_score: model.empty_score,
+          total_events: 0,
+          factors: [],
+        };
+      }
+
+      const coverage = Math.min(
+        eventTypes.size * model.bonuses.coverage_per_event_type,
+        model.bonuses.coverage_max
+      );
+      const activity = Math.min(
+        (recent / total) * model.bonuses.activity_max,
+        model.bonuses.activity_max
+      );
+
+      const factors = [
+        penaltyFactor(
+          "high_risk_pending",
+          "High-risk items awaiting review",
+          deductions.high_risk_pending
+        ),
+        penaltyFactor(
+          "overdue",
+          "Open items past their deadline",
+          deductions.overdue
+        ),
+        {
+          factor: "coverage",
+          label: "Event type coverage",
+          type: "bonus",
+          points: round(coverage),
+          detail: `${eventTypes.size} event type(s)`,
+          event_types: Array.from(eventTypes),
+        },
+        {
+          factor: "activity",
+          label: `Activity in the last ${model.bonuses.activity_window_days} days`,
+          type: "bonus",
+          points: round(activity),
+          detail: `${recent} of ${total} event(s)`,
+        },
+      ];
+
+      const raw = factors.reduce(
+        (score, factor) => score + factor.points,
+        model.base_score
+      );
+
+      return {
+        score: Math.max(0, Math.min(100, round(raw))),
+        model_version: model.version,
+        base_score: model.base_score,
+        total_events: total,
+        factors,
+      };
+    },
+  };
+}
+
+/**
+ * Score a list of events
+ */
+function scoreEvents(events, options = {}) {
+  return explainScore(events, options).score;
+}
+
+/**
+ * Score a list of events with every bonus and deduction that went into it
+ */
+function explainScore(events, options = {}) {
+  const scorer = createScorer(options);
+  events.forEach((event) => scorer.add(event));
+  return scorer.result();
+}
+
+/**
+ * Penalty multiplier for a regulation; unlisted regulations use "default"
+ */
+function regulationWeight(regulation, model = defaultModel) {
+  const key = normalizeRegulation(regulation);
+  const match = Object.keys(model.regulation_weights).find(
+    (name) => normalizeRegulation(name) === key
+  );
+  return model.regulation_weights[match || "default"] || 1;
+}
+
+/**
+ * Helper functions
+ */
+function deduction(event, points, weight) {
+  return {
+    event_id: event.event_id,
+    event_type: event.event_type,
+    regulation: event.regulation,
+    risk_level: event.risk_level,
+    status: event.status || lifecycle.STATUS.PENDING_REVIEW,
+    deadline: event.deadline || null,
+    evidence_url: event.evidence_url || null,
+    weight,
+    points: -round(points),
+  };
+}
+
+function penaltyFactor(factor, label, items) {
+  return {
+    factor,
+    label,
+    type: "penalty",
+    points: round(items.reduce((sum, item) => sum + item.points, 0)),
+    detail: `${items.length} event(s)`,
+    events: items,
+  };
+}
+
+function normalizeRegulation(value) {
+  return String(value || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = {
+  createScorer,
+  scoreEvents,
+  explainScore,
+  regulationWeight,
+};
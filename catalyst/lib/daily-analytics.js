@@ -0,0 +1,262 @@
+/**
+ * Daily Analytics
+ * Rebuilds compliance_analytics from compliance_events: one row per project
+ * and day, scored with the shared compliance score model, plus rolling 7- and
+ * 30-day aggregates so trend readers don't have to scan raw events
+ */
+
+const lifecycle = require("./event-lifecycle");
+const { scoreEvents } = require("./compliance-score");
+const { select } = require("./query-builder");
+const { toMysqlDateTime } = require("./datetime");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// A day's score covers the events of the 30 days up to it, like the
+// health card's period
+const SCORE_WINDOW_DAYS = 30;
+const ROLLING_WINDOWS = [7, 30];
+const DEFAULT_BACKFILL_DAYS = 30;
+
+const HIGH_RISK_LEVELS = ["High", "Critical"];
+
+/**
+ * Days the nightly run covers: yesterday, and the days before it that
+ * ANALYTICS_BACKFILL_DAYS allows it to backfill
+ */
+function nightlyRange(now = new Date(), env = process.env) {
+  const backfillDays =
+    parseInt(env.ANALYTICS_BACKFILL_DAYS) || DEFAULT_BACKFILL_DAYS;
+  const to = dayOf(new Date(now.getTime() - DAY_MS));
+  return { from: addDays(to, -(backfillDays - 1)), to };
+}
+
+/**
+ * Daily row for one project. events are the project's events (any range);
+ * reviews are the status changes made that day, each with its event.
+ * Statuses are read as they are now, so a day is best rebuilt soon after it
+ * ends.
+ */
+function buildDailyRow(projectId, date, events, reviews = []) {
+  const windowStart = addDays(date, -(SCORE_WINDOW_DAYS - 1));
+  const windowEvents = events.filter((e) => {
+    const day = dayOf(e.created_at);
+    return day >= windowStart && day <= date;
+  });
+  const dayEvents = windowEvents.filter((e) => dayOf(e.created_at) === date);
+
+  const eventsByType = {};
+  const eventsByRegulation = {};
+  dayEvents.forEach((e) => {
+    eventsByType[e.event_type] = (eventsByType[e.event_type] || 0) + 1;
+    eventsByRegulation[e.regulation] =
+      (eventsByRegulation[e.regulation] || 0) + 1;
+  });
+
+  // Response time: hours from capture until a reviewer first picked it up
+  const responseHours = reviews
+    .filter((r) => r.from_status === lifecycle.STATUS.PENDING_REVIEW)
+    .map(
+      (r) =>
+        (new Date(r.changed_at).getTime() -
+          new Date(r.event.created_at).getTime()) /
+        HOUR_MS
+    )
+    .filter((hours) => hours >= 0);
+
+  return {
+    project_id: projectId,
+    date,
+    total_events: dayEvents.length,
+    compliance_score: scoreEvents(windowEvents, {
+      now: new Date(addDays(date, 1) + "T00:00:00Z"),
+    }),
+    high_risk_count: dayEvents.filter((e) =>
+      HIGH_RISK_LEVELS.includes(e.risk_level)
+    ).length,
+    pending_approvals: dayEvents.filter(
+      (e) => e.event_type === "approval" && lifecycle.isOpen(e.status)
+    ).length,
+    avg_response_time_hours: average(responseHours),
+    events_by_type: JSON.stringify(eventsByType),
+    events_by_regulation: JSON.stringify(eventsByRegulation),
+    // Events closed by reviewers that day
+    team_velocity: reviews.filter((r) => !lifecycle.isOpen(r.to_status)).length,
+  };
+}
+
+/**
+ * Rolling aggregates ending on a day, from the daily rows keyed by date.
+ * Days without a row count as empty.
+ */
+function rollingAggregates(date, rowsByDate) {
+  const aggregates = {};
+
+  ROLLING_WINDOWS.forEach((days) => {
+    const rows = [];
+    for (let i = 0; i < days; i++) {
+      const row = rowsByDate.get(addDays(date, -i));
+      if (row) rows.push(row);
+    }
+
+    aggregates[`events_${days}d`] = sum(rows.map((r) => r.total_events));
+    aggregates[`high_risk_${days}d`] = sum(rows.map((r) => r.high_risk_count));
+    aggregates[`compliance_score_${days}d`] = average(
+      rows.map((r) => r.compliance_score)
+    );
+    aggregates[`avg_response_time_${days}d`] = average(
+      rows.map((r) => r.avg_response_time_hours)
+    );
+  });
+
+  return aggregates;
+}
+
+/**
+ * Days to write for a project: every day in [from, to] without a row,
+ * starting from its first activity, and always the last day
+ */
+function datesToRebuild(from, to, existingDates, firstActive) {
+  const dates = [];
+  const start = firstActive > from ? firstActive : from;
+  for (let date = start; date <= to; date = addDays(date, 1)) {
+    if (date === to || !existingDates.has(date)) dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Rebuild the daily rows of every project with events or analytics in range
+ * (or only options.projectId). Rows are written oldest first, so backfilled
+ * days count towards the rolling aggregates of the days after them.
+ */
+async function rebuildDailyAnalytics(catalystApp, options) {
+  const { from, to, projectId = null } = options;
+  const now = options.now || new Date();
+  const zcql = catalystApp.zcql();
+  const analyticsTable = catalystApp.datastore().table("compliance_analytics");
+
+  const lookback = Math.max(SCORE_WINDOW_DAYS, ...ROLLING_WINDOWS);
+  const windowStart = addDays(from, -(lookback - 1));
+  const windowEnd = addDays(to, 1) + " 00:00:00";
+
+  const eventsQuery = select("compliance_events")
+    .where("created_at", ">=", windowStart + " 00:00:00")
+    .where("created_at", "<", windowEnd)
+    .whereNull("superseded_by");
+  const analyticsQuery = select("compliance_analytics")
+    .where("date", ">=", windowStart)
+    .where("date", "<=", to);
+  if (projectId) {
+    eventsQuery.where("project_id", "=", projectId);
+    analyticsQuery.where("project_id", "=", projectId);
+  }
+
+  const events = await eventsQuery.orderBy("ROWID").fetchAll(zcql);
+  const existingRows = await analyticsQuery.orderBy("ROWID").fetchAll(zcql);
+
+  // Reviews of events older than the window are left out of response times
+  const eventsById = new Map(events.map((e) => [String(e.event_id), e]));
+  const reviews = (
+    await select("event_status_history")
+      .where("changed_at", ">=", from + " 00:00:00")
+      .where("changed_at", "<", windowEnd)
+      .orderBy("ROWID")
+      .fetchAll(zcql)
+  )
+    .filter((r) => eventsById.has(String(r.event_id)))
+    .map((r) => ({ ...r, event: eventsById.get(String(r.event_id)) }));
+
+  const projects = new Map();
+  const project = (id) => {
+    if (!projects.has(id)) {
+      projects.set(id, { events: [], reviews: [], rows: new Map() });
+    }
+    return projects.get(id);
+  };
+  events.forEach((e) => e.project_id && project(e.project_id).events.push(e));
+  reviews.forEach(
+    (r) => r.event.project_id && project(r.event.project_id).reviews.push(r)
+  );
+  existingRows.forEach((row) => {
+    const rows = project(row.project_id).rows;
+    if (!rows.has(dayOf(row.date))) rows.set(dayOf(row.date), row);
+  });
+
+  const createdAt = toMysqlDateTime(now);
+  const baseId = Date.now();
+  const result = { projects: projects.size, updated: 0, backfilled: 0 };
+
+  for (const [id, data] of projects) {
+    const activeDays = [
+      ...data.events.map((e) => dayOf(e.created_at)),
+      ...data.rows.keys(),
+    ].sort();
+    const existingDates = new Set(data.rows.keys());
+
+    for (const date of datesToRebuild(from, to, existingDates, activeDays[0])) {
+      const existing = data.rows.get(date);
+      const row = buildDailyRow(
+        id,
+        date,
+        data.events,
+        data.reviews.filter((r) => dayOf(r.changed_at) === date)
+      );
+      data.rows.set(date, row);
+      Object.assign(row, rollingAggregates(date, data.rows), {
+        created_at: createdAt,
+      });
+
+      if (existing) {
+        await analyticsTable.updateRow({ ...row, ROWID: existing.ROWID });
+        result.updated++;
+      } else {
+        // Consecutive ids, several rows are inserted per millisecond
+        row.analytics_id = baseId + result.backfilled;
+        await analyticsTable.insertRow(row);
+        result.backfilled++;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Helper functions
+ */
+function dayOf(value) {
+  return value instanceof Date
+    ? value.toISOString().slice(0, 10)
+    : String(value).slice(0, 10);
+}
+
+function addDays(date, days) {
+  return dayOf(
+    new Date(new Date(date + "T00:00:00Z").getTime() + days * DAY_MS)
+  );
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + (Number(value) || 0), 0);
+}
+
+function average(values) {
+  const numbers = values
+    .filter((v) => v !== null && v !== undefined && v !== "")
+    .map(Number)
+    .filter((v) => !isNaN(v));
+  if (numbers.length === 0) return null;
+  return Math.round((sum(numbers) / numbers.length) * 10) / 10;
+}
+
+module.exports = {
+  SCORE_WINDOW_DAYS,
+  ROLLING_WINDOWS,
+  nightlyRange,
+  buildDailyRow,
+  rollingAggregates,
+  datesToRebuild,
+  rebuildDailyAnalytics,
+};
@@ -0,0 +1,16 @@
+/**
+ * Datetime
+ * Date formatting shared by functions, crons and libs that read and write
+ * DataStore datetime columns
+ */
+
+/**
+ * Format a Date as a MySQL datetime string ("2025-06-01 09:30:00", UTC)
+ */
+function toMysqlDateTime(date) {
+  return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+module.exports = {
+  toMysqlDateTime,
+};
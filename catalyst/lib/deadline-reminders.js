@@ -0,0 +1,100 @@
+/**
+ * Deadline Reminders
+ * Works out which reminder an open compliance event is due for, given how
+ * close its deadline is and which reminders it has already had
+ */
+
+const lifecycle = require("./event-lifecycle");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Reminder stages sent before a deadline, plus "overdue" once it has passed
+const DEFAULT_SCHEDULE = "7d,48h,24h,overdue";
+
+const UNIT_HOURS = { h: 1, d: 24 };
+
+const EMAIL = /^[\w.+-]+@[\w-]+(\.[\w-]+)+$/;
+
+/**
+ * Parse a schedule such as "7d,48h,24h,overdue" into stages ordered from
+ * earliest to most urgent
+ */
+function parseSchedule(spec = DEFAULT_SCHEDULE) {
+  const stages = String(spec)
+    .split(",")
+    .map((part) => part.trim().toLowerCase())
+    .filter(Boolean)
+    .map((key) => {
+      if (key === "overdue") return { key, hours: 0 };
+
+      const match = /^(\d+)([hd])$/.exec(key);
+      if (!match) {
+        throw new Error(
+          `Invalid reminder "${key}". Use hours or days such as 48h or 7d, or "overdue"`
+        );
+      }
+      return { key, hours: Number(match[1]) * UNIT_HOURS[match[2]] };
+    });
+
+  return stages.sort((a, b) => b.hours - a.hours);
+}
+
+/**
+ * The reminder an event is due for now, or null. Only the most urgent stage
+ * reached is considered, so an event picked up late skips the earlier ones.
+ */
+function dueReminder(event, sentKeys, schedule, now = new Date()) {
+  if (!event.deadline || !lifecycle.isOpen(event.status)) return null;
+
+  const deadline = new Date(event.deadline);
+  if (isNaN(deadline.getTime())) return null;
+
+  const hoursLeft = (deadline - now) / HOUR_MS;
+  const overdue = hoursLeft < 0;
+
+  const reached = schedule.filter((stage) =>
+    stage.key === "overdue" ? overdue : !overdue && hoursLeft <= stage.hours
+  );
+  const stage = reached[reached.length - 1];
+
+  if (!stage || sentKeys.includes(stage.key)) return null;
+
+  return {
+    key: stage.key,
+    hours_left: Math.round(hoursLeft),
+    overdue,
+  };
+}
+
+/**
+ * Cliq users to DM: stakeholders given as numeric user IDs or emails.
+ * Bare @handles can't be messaged without a user ID, so they are skipped
+ * along with team names and #channels; the owning channel still hears.
+ */
+function stakeholderRecipients(stakeholders) {
+  let list = stakeholders;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch (e) {
+      list = list.split(",");
+    }
+  }
+  if (!Array.isArray(list)) return [];
+
+  const recipients = list
+    .map((s) =>
+      s && typeof s === "object" ? s.id || s.email || s.name || s.value : s
+    )
+    .map((s) => String(s || "").trim())
+    .filter((s) => EMAIL.test(s) || /^\d+$/.test(s));
+
+  return Array.from(new Set(recipients));
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  parseSchedule,
+  dueReminder,
+  stakeholderRecipients,
+};
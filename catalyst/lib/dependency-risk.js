@@ -0,0 +1,337 @@
+/**
+ * Dependency Risk
+ * Port of dependency-mapper.deluge: task dependency chains, bottleneck tasks
+ * and team workload from Zoho Projects, and the weighted 0-10 composite risk
+ * score. The chain length, workload and delay rate also feed the risk
+ * predictor's features.
+ */
+
+const riskEngine = require("./risk-engine");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Composite score weights per feature, as in calculateProjectRiskScore
+const COMPOSITE_WEIGHTS = {
+  days_until_deadline: 0.2,
+  team_response_time: 0.25,
+  dependency_chain_length: 0.2,
+  pending_approvals: 0.15,
+  team_workload: 0.12,
+  historical_delay_rate: 0.08,
+};
+
+// Values the Deluge script falls back to when a factor can't be measured
+const FALLBACK_VALUES = {
+  days_until_deadline: 30,
+  team_response_time: 48,
+  dependency_chain_length: 2,
+  pending_approvals: 0,
+  team_workload: 0.5,
+  historical_delay_rate: 0.3,
+};
+
+// Longest chain followed before giving up, against runaway dependencies
+const MAX_CHAIN_DEPTH = 20;
+
+// Open tasks a task must hold up to count as a bottleneck; overdue tasks
+// count with any
+const BOTTLENECK_MIN_BLOCKED = 2;
+
+// Open tasks at which a team member is fully loaded
+const WORKLOAD_CAPACITY = 8;
+
+/**
+ * Dependency chain, critical path, bottlenecks and delay rate of a task list
+ */
+function analyzeTasks(tasks, now = new Date()) {
+  const byId = new Map(tasks.map((task) => [taskId(task), task]));
+  const successors = new Map([...byId.keys()].map((id) => [id, []]));
+  byId.forEach((task, id) => {
+    predecessorIds(task)
+      .filter((pred) => byId.has(pred) && pred !== id)
+      .forEach((pred) => successors.get(pred).push(id));
+  });
+
+  // Longest chain of dependent tasks starting at each task
+  const chains = new Map();
+  const longestFrom = (id, path) => {
+    if (chains.has(id)) return chains.get(id);
+    let best = [id];
+    path.add(id);
+    successors.get(id).forEach((next) => {
+      if (path.has(next)) return; // circular dependency
+      const chain = longestFrom(next, path);
+      if (chain.length + 1 > best.length) best = [id, ...chain];
+    });
+    path.delete(id);
+    chains.set(id, best);
+    return best;
+  };
+
+  let criticalPath = [];
+  byId.forEach((task, id) => {
+    const chain = longestFrom(id, new Set());
+    if (chain.length > criticalPath.length) criticalPath = chain;
+  });
+  criticalPath = criticalPath.slice(0, MAX_CHAIN_DEPTH);
+  const onCriticalPath = new Set(criticalPath);
+
+  const bottlenecks = [];
+  byId.forEach((task, id) => {
+    if (isCompleted(task)) return;
+
+    // Open tasks waiting on this one, directly or further down the chain.
+    // Completed tasks are walked through but not counted, so visited tracks
+    // every task queued to stop cycles through them.
+    const blocked = new Set();
+    const visited = new Set([id]);
+    const queue = [...successors.get(id)];
+    while (queue.length > 0) {
+      const next = queue.shift();
+      if (visited.has(next)) continue;
+      visited.add(next);
+      if (!isCompleted(byId.get(next))) blocked.add(next);
+      queue.push(...successors.get(next));
+    }
+
+    const summary = summarizeTask(task, now);
+    if (
+      blocked.size >= BOTTLENECK_MIN_BLOCKED ||
+      (summary.overdue && blocked.size > 0)
+    ) {
+      bottlenecks.push({
+        ...summary,
+        blocked_tasks: blocked.size,
+        on_critical_path: onCriticalPath.has(id),
+      });
+    }
+  });
+  bottlenecks.sort(
+    (a, b) => b.blocked_tasks - a.blocked_tasks || b.overdue - a.overdue
+  );
+
+  return {
+    dependency_chain_length: tasks.length > 0 ? criticalPath.length : null,
+    critical_path: criticalPath.map((id) => summarizeTask(byId.get(id), now)),
+    bottlenecks,
+    historical_delay_rate: historicalDelayRate(tasks),
+  };
+}
+
+/**
+ * Share of completed tasks finished after their due date; null when none
+ * have both dates
+ */
+function historicalDelayRate(tasks) {
+  const finished = tasks.filter(
+    (task) => isCompleted(task) && dueTime(task) && completedTime(task)
+  );
+  if (finished.length === 0) return null;
+
+  const delayed = finished.filter(
+    (task) => toDateString(completedTime(task)) > toDateString(dueTime(task))
+  ).length;
+  return round(delayed / finished.length);
+}
+
+/**
+ * Mean of each member's open tasks against WORKLOAD_CAPACITY, capped at 1
+ */
+function teamWorkload(users, tasks) {
+  if (users.length === 0) return null;
+
+  const openTasks = new Map();
+  tasks
+    .filter((task) => !isCompleted(task))
+    .forEach((task) => {
+      taskOwners(task).forEach((owner) => {
+        const id = String(owner.id);
+        openTasks.set(id, (openTasks.get(id) || 0) + 1);
+      });
+    });
+
+  const total = users.reduce(
+    (sum, user) =>
+      sum +
+      Math.min((openTasks.get(String(user.id)) || 0) / WORKLOAD_CAPACITY, 1),
+    0
+  );
+  return round(total / users.length);
+}
+
+/**
+ * Days from now to the project's end date; null without one
+ */
+function daysUntilDeadline(project, now = new Date()) {
+  const due = project ? dueTime(project) : null;
+  if (!due) return null;
+  return Math.round(((due - now.getTime()) / DAY_MS) * 10) / 10;
+}
+
+/**
+ * Weighted 0-10 risk score. Unmeasured factors use FALLBACK_VALUES, as the
+ * Deluge script did.
+ */
+function compositeScore(features) {
+  const values = {};
+  const defaulted = {};
+  Object.keys(COMPOSITE_WEIGHTS).forEach((name) => {
+    const value = features[name];
+    defaulted[name] =
+      value === null || value === undefined || isNaN(Number(value));
+    values[name] = defaulted[name] ? FALLBACK_VALUES[name] : Number(value);
+  });
+
+  const normalized = riskEngine.normalizeFeatures(values);
+  const factors = {};
+  let score = 0;
+  Object.keys(COMPOSITE_WEIGHTS).forEach((name) => {
+    const factor = round(normalized[name] * 10);
+    score += factor * COMPOSITE_WEIGHTS[name];
+    factors[name] = {
+      value: values[name],
+      factor,
+      weight: COMPOSITE_WEIGHTS[name],
+      defaulted: defaulted[name],
+    };
+  });
+
+  return { score: round(score), factors };
+}
+
+/**
+ * Suggested action for a composite score, as in getRecommendation
+ */
+function recommendation(score, daysLeft, responseHours) {
+  if (daysLeft < 3 && responseHours > 48) {
+    return "⚡ URGENT: Escalate to management for immediate review";
+  }
+  if (score > 8.5) {
+    return "🚨 Request additional resources or extend deadline";
+  }
+  if (responseHours > 72) {
+    return "📧 Schedule dedicated approval session with team";
+  }
+  return "👀 Monitor closely and follow up on pending items";
+}
+
+/**
+ * Fetch a project's tasks and team from Zoho Projects and analyze them
+ */
+async function loadDependencyAnalysis(client, projectId, now = new Date()) {
+  const [project, tasks, users] = await Promise.all([
+    client.getProject(projectId),
+    client.getTasks(projectId),
+    client.getUsers(projectId),
+  ]);
+
+  return {
+    projects_project_id: String(projectId),
+    project_name: project ? project.name : null,
+    days_until_deadline: daysUntilDeadline(project, now),
+    task_count: tasks.length,
+    ...analyzeTasks(tasks, now),
+    team_workload: teamWorkload(users, tasks),
+  };
+}
+
+/**
+ * extractFeatures options for the features measured from Zoho Projects
+ */
+function featureOptions(analysis) {
+  return {
+    dependencyChainLength: analysis.dependency_chain_length,
+    teamWorkload: analysis.team_workload,
+    historicalDelayRate: analysis.historical_delay_rate,
+  };
+}
+
+/**
+ * Helper functions
+ */
+function taskId(task) {
+  return String(task.id_string || task.id);
+}
+
+// Either a list of predecessor tasks, or { predecessor: [...] } as returned
+// by the tasks API
+function predecessorIds(task) {
+  const dependency = task.dependency;
+  const list = Array.isArray(dependency)
+    ? dependency
+    : (dependency && dependency.predecessor) || [];
+  return list.map((dep) =>
+    String(dep && typeof dep === "object" ? dep.id_string || dep.id : dep)
+  );
+}
+
+function isCompleted(task) {
+  if (task.completed === true || task.completed === "true") return true;
+  const status = task.status || {};
+  return (
+    status.type === "closed" || /^(completed|closed)$/i.test(status.name || "")
+  );
+}
+
+function taskOwners(task) {
+  const owners = (task.details && task.details.owners) || [];
+  return owners.filter((owner) => owner.id && owner.name !== "Unassigned");
+}
+
+function dueTime(item) {
+  return item.end_date_long
+    ? Number(item.end_date_long)
+    : parseProjectsDate(item.end_date);
+}
+
+function completedTime(task) {
+  return task.completed_time_long
+    ? Number(task.completed_time_long)
+    : parseProjectsDate(task.completed_time);
+}
+
+// Dates come as MM-DD-YYYY unless the portal is set to another format
+function parseProjectsDate(value) {
+  if (!value) return null;
+  const match = /^(\d{2})-(\d{2})-(\d{4})$/.exec(value);
+  const time = match
+    ? Date.UTC(Number(match[3]), Number(match[1]) - 1, Number(match[2]))
+    : new Date(value).getTime();
+  return isNaN(time) ? null : time;
+}
+
+function summarizeTask(task, now) {
+  const due = dueTime(task);
+  const completed = isCompleted(task);
+  return {
+    id: taskId(task),
+    name: task.name,
+    status: (task.status && task.status.name) || null,
+    owners: taskOwners(task).map((owner) => owner.name),
+    due_date: due ? toDateString(due) : null,
+    completed,
+    overdue: !completed && !!due && toDateString(due) < toDateString(now),
+  };
+}
+
+function toDateString(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  COMPOSITE_WEIGHTS,
+  FALLBACK_VALUES,
+  MAX_CHAIN_DEPTH,
+  analyzeTasks,
+  historicalDelayRate,
+  teamWorkload,
+  daysUntilDeadline,
+  compositeScore,
+  recommendation,
+  loadDependencyAnalysis,
+  featureOptions,
+};
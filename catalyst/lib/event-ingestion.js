@@ -0,0 +1,109 @@
+/**
+ * Event Ingestion
+ * Idempotency and revision handling for compliance events keyed on the
+ * Cliq message_id, so repeated and edited deliveries of a message are safe
+ */
+
+const crypto = require("crypto");
+const { select } = require("./query-builder");
+
+// Fields whose change on an edited message counts as a reclassification
+const CLASSIFICATION_FIELDS = [
+  "event_type",
+  "regulation",
+  "risk_level",
+  "decision_type",
+];
+
+/**
+ * Hash of the message content a delivery carries
+ */
+function contentHash(messageText) {
+  return crypto
+    .createHash("sha256")
+    .update(String(messageText || ""))
+    .digest("hex");
+}
+
+/**
+ * Unique key for one revision of one message; concurrent deliveries that
+ * plan the same revision collide on it
+ */
+function ingestKey(messageId, revision) {
+  return String(messageId) + ":" + revision;
+}
+
+/**
+ * Decide what a delivery means given the latest stored revision of its
+ * message: a new event, a duplicate to ignore, or a new revision
+ */
+function planIngestion(latest, row) {
+  if (!latest) {
+    return { action: "insert", revision: 1, original_event_id: null };
+  }
+
+  const latestHash = latest.content_hash || contentHash(latest.message_text);
+  if (latestHash === row.content_hash) {
+    return { action: "duplicate", event_id: latest.event_id };
+  }
+
+  const reclassification = diffClassification(latest, row);
+
+  return {
+    action: "revision",
+    revision: (parseInt(latest.revision) || 1) + 1,
+    original_event_id: latest.original_event_id || latest.event_id,
+    previous_event_id: latest.event_id,
+    reclassification,
+    // A reclassified event needs reviewing again; a reworded one keeps its status
+    status: reclassification ? null : latest.status,
+  };
+}
+
+/**
+ * Classification fields that changed between two revisions, or null
+ */
+function diffClassification(previous, current) {
+  const changes = {};
+
+  CLASSIFICATION_FIELDS.forEach((field) => {
+    const from = previous[field] || null;
+    const to = current[field] || null;
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  });
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Current revision of an event given the id of any of its revisions, or
+ * null when there is no such event. Cards posted before a message was edited
+ * still carry the id of the revision they were posted for.
+ */
+async function loadLiveEvent(zcql, eventId) {
+  const event = await select("compliance_events")
+    .where("event_id", "=", eventId)
+    .fetchFirst(zcql);
+  if (!event || !event.superseded_by) return event;
+
+  const live = await select("compliance_events")
+    .where(
+      "original_event_id",
+      "=",
+      parseInt(event.original_event_id || event.event_id)
+    )
+    .whereNull("superseded_by")
+    .fetchFirst(zcql);
+  return live || event;
+}
+
+module.exports = {
+  CLASSIFICATION_FIELDS,
+  contentHash,
+  ingestKey,
+  planIngestion,
+  diffClassification,
+  loadLiveEvent,
+};
@@ -0,0 +1,101 @@
+/**
+ * Event Lifecycle
+ * Review workflow for compliance events:
+ * Pending Review → Under Review → Accepted / Rejected / Resolved / False Positive
+ */
+
+const { toMysqlDateTime } = require("./datetime");
+
+const STATUS = {
+  PENDING_REVIEW: "Pending Review",
+  UNDER_REVIEW: "Under Review",
+  ACCEPTED: "Accepted",
+  REJECTED: "Rejected",
+  RESOLVED: "Resolved",
+  FALSE_POSITIVE: "False Positive",
+};
+
+// Allowed next statuses for each status; closed statuses have none
+const TRANSITIONS = {
+  [STATUS.PENDING_REVIEW]: [STATUS.UNDER_REVIEW],
+  [STATUS.UNDER_REVIEW]: [
+    STATUS.ACCEPTED,
+    STATUS.REJECTED,
+    STATUS.RESOLVED,
+    STATUS.FALSE_POSITIVE,
+  ],
+  [STATUS.ACCEPTED]: [],
+  [STATUS.REJECTED]: [],
+  [STATUS.RESOLVED]: [],
+  [STATUS.FALSE_POSITIVE]: [],
+};
+
+// Statuses that still need reviewer attention
+const OPEN_STATUSES = [STATUS.PENDING_REVIEW, STATUS.UNDER_REVIEW];
+
+/**
+ * Match a status name case-insensitively, ignoring spaces, "-" and "_"
+ */
+function normalizeStatus(value) {
+  const key = String(value || "")
+    .toLowerCase()
+    .replace(/[\s_-]+/g, "");
+  return (
+    Object.values(STATUS).find(
+      (status) => status.toLowerCase().replace(/\s+/g, "") === key
+    ) || null
+  );
+}
+
+/**
+ * Whether an event still counts as open (pending actions, overdue items)
+ */
+function isOpen(status) {
+  return OPEN_STATUSES.includes(status || STATUS.PENDING_REVIEW);
+}
+
+function availableTransitions(status) {
+  return TRANSITIONS[status || STATUS.PENDING_REVIEW] || [];
+}
+
+/**
+ * Validate a status change and build the event update and history row
+ */
+function applyTransition(event, nextStatus, actor = {}) {
+  const from = event.status || STATUS.PENDING_REVIEW;
+  const to = normalizeStatus(nextStatus);
+
+  if (!to) {
+    throw new Error(
+      `Unknown status "${nextStatus}". Expected one of: ${Object.values(STATUS).join(", ")}`
+    );
+  }
+
+  if (!availableTransitions(from).includes(to)) {
+    throw new Error(`Cannot move event from "${from}" to "${to}"`);
+  }
+
+  return {
+    update: { ROWID: event.ROWID, status: to },
+    history: {
+      history_id: Date.now(),
+      event_id: event.event_id,
+      from_status: from,
+      to_status: to,
+      changed_by: String(actor.user_id || ""),
+      changed_by_name: String(actor.user_name || ""),
+      note: actor.note || null,
+      changed_at: toMysqlDateTime(new Date()),
+    },
+  };
+}
+
+module.exports = {
+  STATUS,
+  TRANSITIONS,
+  OPEN_STATUSES,
+  normalizeStatus,
+  isOpen,
+  availableTransitions,
+  applyTransition,
+};
@@ -0,0 +1,203 @@
+/**
+ * Extraction Triage
+ * Applies the per-entity confidence thresholds from the compliance extractor
+ * config. Extractions below them wait in triage_queue for a reviewer, whose
+ * decision becomes a labeled example in ml_training_data.
+ */
+
+const extractor = require("../../zia-skills/compliance-extractor.json");
+const { toMysqlDateTime } = require("./datetime");
+
+const THRESHOLDS = extractor.confidence_thresholds;
+
+// Single-valued entities and the list entities checked item by item
+const SINGLE_ENTITIES = [
+  "compliance_event",
+  "regulation_type",
+  "risk_level",
+  "decision_type",
+];
+const LIST_ENTITIES = { stakeholders: "stakeholder", deadlines: "deadline" };
+
+const TRIAGE_STATUS = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  REJECTED: "rejected",
+  RECLASSIFIED: "reclassified",
+};
+
+const DECISIONS = {
+  accept: TRIAGE_STATUS.ACCEPTED,
+  reject: TRIAGE_STATUS.REJECTED,
+  reclassify: TRIAGE_STATUS.RECLASSIFIED,
+};
+
+// Fields a reviewer can change when reclassifying
+const RECLASSIFY_FIELDS = ["event_type", "regulation", "risk_level"];
+
+/**
+ * Zia entities from an object or JSON string; null when there are none
+ */
+function parseEntities(value) {
+  if (!value) return null;
+  if (typeof value === "object") return value;
+  try {
+    const entities = JSON.parse(value);
+    return entities && typeof entities === "object" ? entities : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check every extracted entity against its threshold. Entities without a
+ * confidence (e.g. events sent straight from Deluge) are not gated.
+ */
+function gateExtraction(entities, thresholds = THRESHOLDS) {
+  const below = [];
+  if (!entities) return { passed: true, below };
+
+  const check = (name, threshold, value, confidence) => {
+    if (confidence === undefined || confidence === null) return;
+    if (Number(confidence) < threshold) {
+      below.push({
+        entity: name,
+        value,
+        confidence: Number(confidence),
+        threshold,
+      });
+    }
+  };
+
+  SINGLE_ENTITIES.forEach((name) => {
+    const entity = entities[name];
+    if (entity && entity.value !== undefined && entity.value !== null) {
+      check(name, thresholds[name], entity.value, entity.confidence);
+    }
+  });
+
+  Object.entries(LIST_ENTITIES).forEach(([name, thresholdKey]) => {
+    (Array.isArray(entities[name]) ? entities[name] : []).forEach((item) =>
+      check(
+        thresholdKey,
+        thresholds[thresholdKey],
+        item.name || item.date || item.value,
+        item.confidence
+      )
+    );
+  });
+
+  return { passed: below.length === 0, below };
+}
+
+/**
+ * triage_queue row for an extraction that didn't pass the gate. The whole
+ * event payload is kept so an accepted candidate is stored unchanged.
+ */
+function triageRow(eventData, gate, contentHash, now = new Date()) {
+  const timestamp = toMysqlDateTime(now);
+
+  return {
+    triage_id: now.getTime(),
+    triage_key: String(eventData.message_id) + ":" + contentHash,
+    message_id: String(eventData.message_id),
+    channel_id: String(eventData.channel_id),
+    channel_name: String(eventData.channel_name || ""),
+    user_name: String(eventData.user_name || ""),
+    message_text: String(eventData.message_text || ""),
+    evidence_url: eventData.evidence_url || null,
+    event_type: eventData.event_type || null,
+    regulation: eventData.regulation || null,
+    risk_level: eventData.risk_level || null,
+    confidence_score: parseFloat(eventData.confidence_score) || 0.0,
+    below_threshold: JSON.stringify(gate.below),
+    candidate: JSON.stringify(eventData),
+    status: TRIAGE_STATUS.PENDING,
+    created_at: timestamp,
+  };
+}
+
+/**
+ * Final labels for a triage decision. Reclassify changes the event type,
+ * regulation or risk level; reject marks the message as not an event.
+ */
+function decisionLabels(row, decision, changes = {}) {
+  const status = DECISIONS[String(decision || "").toLowerCase()];
+  if (!status) {
+    throw new Error(
+      `Unknown decision "${decision}". Use ${Object.keys(DECISIONS).join(", ")}`
+    );
+  }
+
+  const labels = {
+    compliance_event: status !== TRIAGE_STATUS.REJECTED,
+    event_type: row.event_type,
+    regulation: row.regulation,
+    risk_level: row.risk_level,
+  };
+
+  if (status === TRIAGE_STATUS.RECLASSIFIED) {
+    const changed = RECLASSIFY_FIELDS.filter(
+      (field) => changes[field] && changes[field] !== row[field]
+    );
+    if (changed.length === 0) {
+      throw new Error(
+        `Reclassify needs a new ${RECLASSIFY_FIELDS.join(", ")} value`
+      );
+    }
+    changed.forEach((field) => (labels[field] = changes[field]));
+  }
+
+  return { status, labels };
+}
+
+/**
+ * ml_training_data row recording what Zia predicted and what the reviewer
+ * decided. prediction_accuracy is the share of labels Zia got right.
+ */
+function trainingExample(row, status, labels, now = new Date()) {
+  const candidate = JSON.parse(row.candidate || "{}");
+  const predicted = labelKey({
+    event_type: row.event_type,
+    regulation: row.regulation,
+    risk_level: row.risk_level,
+  });
+  const matching = labels.compliance_event
+    ? RECLASSIFY_FIELDS.filter((field) => labels[field] === row[field]).length
+    : 0;
+
+  return {
+    training_id: now.getTime(),
+    project_id: String(candidate.project_id || row.channel_id),
+    source: "triage",
+    feature_vector: JSON.stringify({
+      message_text: row.message_text,
+      confidence_score: row.confidence_score,
+      entities: parseEntities(candidate.zia_entities),
+      below_threshold: JSON.parse(row.below_threshold || "[]"),
+    }),
+    predicted_outcome: predicted,
+    actual_outcome: labels.compliance_event ? labelKey(labels) : status,
+    labels: JSON.stringify({ ...labels, decision: status }),
+    prediction_accuracy: matching / RECLASSIFY_FIELDS.length,
+    recorded_at: toMysqlDateTime(now),
+  };
+}
+
+/**
+ * Helper functions
+ */
+function labelKey(labels) {
+  return RECLASSIFY_FIELDS.map((field) => labels[field] || "-").join("|");
+}
+
+module.exports = {
+  THRESHOLDS,
+  TRIAGE_STATUS,
+  RECLASSIFY_FIELDS,
+  parseEntities,
+  gateExtraction,
+  triageRow,
+  decisionLabels,
+  trainingExample,
+};
@@ -0,0 +1,364 @@
+/**
+ * Prediction Outcomes
+ * Checks expired risk predictions against what happened in the project
+ * afterwards (approvals left overdue, missed deadlines, incidents), records
+ * each outcome as a labeled example in ml_training_data and backtests the
+ * predictor with precision/recall and calibration stats
+ */
+
+const lifecycle = require("./event-lifecycle");
+const { DECISION_THRESHOLD, TRAINING_SOURCE } = require("./risk-training");
+const { select } = require("./query-builder");
+const { toMysqlDateTime } = require("./datetime");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days after the predicted impact date before a prediction is judged, so
+// late deadline misses and incidents still count
+const OUTCOME_GRACE_DAYS = 2;
+
+const OUTCOMES = {
+  MATERIALIZED: "materialized",
+  NOT_MATERIALIZED: "not_materialized",
+};
+
+// risk_predictions.status once the outcome is recorded
+const EVALUATED_STATUS = "Evaluated";
+
+// Evidence that a category's risk materialized
+const CATEGORY_EVIDENCE = {
+  approval_delay: ["overdue_approval"],
+  dependency_bottleneck: ["overdue_approval", "deadline_miss"],
+  documentation_gap: ["deadline_miss", "incident"],
+  resource_constraint: ["overdue_approval", "deadline_miss", "incident"],
+};
+const ALL_EVIDENCE = ["overdue_approval", "deadline_miss", "incident"];
+
+// Probability bands for the calibration table
+const CALIBRATION_BINS = [0, 0.2, 0.4, 0.6, 0.8, 1];
+
+/**
+ * When a prediction can be judged
+ */
+function outcomeDueAt(prediction) {
+  return new Date(
+    new Date(prediction.predicted_impact_date).getTime() +
+      OUTCOME_GRACE_DAYS * DAY_MS
+  );
+}
+
+/**
+ * Events showing the prediction's risk materialized between its creation and
+ * the end of its grace period. closedAt maps event IDs to when they left the
+ * open statuses.
+ */
+function findEvidence(prediction, events, closedAt = new Map()) {
+  const kinds = CATEGORY_EVIDENCE[prediction.risk_category] || ALL_EVIDENCE;
+  const from = new Date(prediction.created_at).getTime();
+  const until = outcomeDueAt(prediction).getTime();
+  const inWindow = (value) => {
+    const time = new Date(value).getTime();
+    return time >= from && time <= until;
+  };
+
+  const evidence = [];
+  events.forEach((event) => {
+    let kind = null;
+
+    if (event.deadline && inWindow(event.deadline)) {
+      // Missed when it was still open at its deadline
+      const closed = closedAt.get(String(event.event_id));
+      if (!closed || new Date(closed) > new Date(event.deadline)) {
+        kind =
+          event.event_type === "approval"
+            ? "overdue_approval"
+            : "deadline_miss";
+      }
+    }
+    if (
+      !kind &&
+      event.event_type === "incident" &&
+      inWindow(event.created_at)
+    ) {
+      kind = "incident";
+    }
+
+    if (kind && kinds.includes(kind)) {
+      evidence.push({
+        kind,
+        event_id: event.event_id,
+        event_type: event.event_type,
+        deadline: event.deadline || null,
+        created_at: event.created_at,
+      });
+    }
+  });
+
+  return evidence;
+}
+
+/**
+ * ml_training_data row for a judged prediction. Outcomes use the retraining
+ * labels: "delayed" when the risk materialized, "on-time" when it didn't.
+ * prediction_accuracy is 1 minus the gap between probability and outcome.
+ */
+function trainingRow(prediction, evidence, now = new Date()) {
+  const probability = Number(prediction.probability) || 0;
+  const materialized = evidence.length > 0;
+
+  return {
+    training_id: now.getTime(),
+    project_id: String(prediction.project_id),
+    source: TRAINING_SOURCE,
+    feature_vector: JSON.stringify({
+      features: parseJson(prediction.features),
+      risk_category: prediction.risk_category,
+      prediction_id: prediction.prediction_id,
+    }),
+    predicted_outcome:
+      probability >= DECISION_THRESHOLD ? "delayed" : "on-time",
+    actual_outcome: materialized ? "delayed" : "on-time",
+    labels: JSON.stringify({
+      risk_category: prediction.risk_category,
+      severity: prediction.severity,
+      probability,
+      model_version: prediction.model_version || 0,
+      evidence: evidence.map((e) => e.kind),
+    }),
+    prediction_accuracy: round(
+      1 - Math.abs(probability - (materialized ? 1 : 0))
+    ),
+    recorded_at: toMysqlDateTime(now),
+  };
+}
+
+/**
+ * Backtest judged predictions: precision and recall at DECISION_THRESHOLD,
+ * Brier score, calibration per probability band and per-category counts
+ */
+function accuracyStats(predictions) {
+  const judged = predictions
+    .filter((p) => p.outcome)
+    .map((p) => ({
+      category: p.risk_category,
+      probability: Number(p.probability) || 0,
+      actual: p.outcome === OUTCOMES.MATERIALIZED ? 1 : 0,
+    }));
+
+  const counts = confusion(judged);
+  const calibration = [];
+  for (let i = 0; i < CALIBRATION_BINS.length - 1; i++) {
+    const low = CALIBRATION_BINS[i];
+    const high = CALIBRATION_BINS[i + 1];
+    const bin = judged.filter(
+      (p) =>
+        p.probability >= low &&
+        (p.probability < high || (high === 1 && p.probability === 1))
+    );
+    if (bin.length === 0) continue;
+    calibration.push({
+      range: `${Math.round(low * 100)}-${Math.round(high * 100)}%`,
+      predictions: bin.length,
+      mean_probability: round(mean(bin.map((p) => p.probability))),
+      observed_rate: round(mean(bin.map((p) => p.actual))),
+    });
+  }
+
+  const byCategory = {};
+  judged.forEach((p) => {
+    byCategory[p.category] = byCategory[p.category] || [];
+    byCategory[p.category].push(p);
+  });
+  Object.keys(byCategory).forEach((category) => {
+    const items = byCategory[category];
+    byCategory[category] = {
+      evaluated: items.length,
+      materialized: items.filter((p) => p.actual).length,
+      ...precisionRecall(confusion(items)),
+    };
+  });
+
+  return {
+    evaluated: judged.length,
+    materialized: judged.filter((p) => p.actual).length,
+    threshold: DECISION_THRESHOLD,
+    ...precisionRecall(counts),
+    brier_score:
+      judged.length > 0
+        ? round(mean(judged.map((p) => (p.probability - p.actual) ** 2)))
+        : null,
+    calibration,
+    by_category: byCategory,
+  };
+}
+
+/**
+ * Judge every active prediction whose grace period has passed
+ */
+async function trackPredictionOutcomes(catalystApp, options = {}) {
+  const now = options.now || new Date();
+  const zcql = catalystApp.zcql();
+  const datastore = catalystApp.datastore();
+
+  const cutoff = new Date(now.getTime() - OUTCOME_GRACE_DAYS * DAY_MS);
+  const due = await select("risk_predictions")
+    .where("status", "=", "Active")
+    .where("predicted_impact_date", "<=", toMysqlDateTime(cutoff))
+    .orderBy("ROWID")
+    .fetchAll(zcql);
+
+  const byProject = new Map();
+  due.forEach((p) => {
+    if (!byProject.has(p.project_id)) byProject.set(p.project_id, []);
+    byProject.get(p.project_id).push(p);
+  });
+
+  const evaluatedAt = toMysqlDateTime(now);
+  const baseId = now.getTime();
+  const result = { evaluated: 0, materialized: 0 };
+
+  for (const [projectId, predictions] of byProject) {
+    const from = toMysqlDateTime(
+      new Date(Math.min(...predictions.map((p) => new Date(p.created_at))))
+    );
+    const until = toMysqlDateTime(
+      new Date(Math.max(...predictions.map((p) => outcomeDueAt(p))))
+    );
+    const events = await projectEvents(zcql, projectId, from, until);
+    const closedAt = await closingTimes(
+      zcql,
+      events.filter((e) => e.deadline).map((e) => e.event_id)
+    );
+
+    for (const prediction of predictions) {
+      const evidence = findEvidence(prediction, events, closedAt);
+      const outcome =
+        evidence.length > 0 ? OUTCOMES.MATERIALIZED : OUTCOMES.NOT_MATERIALIZED;
+
+      // Mark it evaluated first: if recording the example then fails, the
+      // next run skips the prediction rather than recording it twice
+      await datastore.table("risk_predictions").updateRow({
+        ROWID: prediction.ROWID,
+        status: EVALUATED_STATUS,
+        outcome,
+        outcome_evidence: JSON.stringify(evidence),
+        evaluated_at: evaluatedAt,
+      });
+      await datastore.table("ml_training_data").insertRow({
+        ...trainingRow(prediction, evidence, now),
+        training_id: baseId + result.evaluated,
+      });
+
+      result.evaluated++;
+      if (evidence.length > 0) result.materialized++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Events that can show a project's risks materialized: deadlines and
+ * incidents inside the judged window
+ */
+async function projectEvents(zcql, projectId, from, until) {
+  const withDeadlines = await select("compliance_events")
+    .where("project_id", "=", String(projectId))
+    .where("deadline", ">=", from)
+    .where("deadline", "<=", until)
+    .whereNull("superseded_by")
+    .orderBy("ROWID")
+    .fetchAll(zcql);
+  const incidents = await select("compliance_events")
+    .where("project_id", "=", String(projectId))
+    .where("event_type", "=", "incident")
+    .where("created_at", ">=", from)
+    .where("created_at", "<=", until)
+    .whereNull("superseded_by")
+    .orderBy("ROWID")
+    .fetchAll(zcql);
+
+  const seen = new Set(withDeadlines.map((e) => String(e.event_id)));
+  return [
+    ...withDeadlines,
+    ...incidents.filter((e) => !seen.has(String(e.event_id))),
+  ];
+}
+
+// Event IDs per IN (...) lookup of status history
+const LOOKUP_BATCH = 100;
+
+/**
+ * First time each event moved to a closed status
+ */
+async function closingTimes(zcql, eventIds) {
+  const closedAt = new Map();
+
+  for (let i = 0; i < eventIds.length; i += LOOKUP_BATCH) {
+    const rows = await select("event_status_history")
+      .whereIn("event_id", eventIds.slice(i, i + LOOKUP_BATCH))
+      .orderBy("changed_at")
+      .fetchAll(zcql);
+
+    rows
+      .filter((row) => !lifecycle.isOpen(row.to_status))
+      .forEach((row) => {
+        const id = String(row.event_id);
+        if (!closedAt.has(id)) closedAt.set(id, row.changed_at);
+      });
+  }
+
+  return closedAt;
+}
+
+/**
+ * Helper functions
+ */
+function confusion(items) {
+  const counts = { tp: 0, fp: 0, fn: 0, tn: 0 };
+  items.forEach((p) => {
+    const predicted = p.probability >= DECISION_THRESHOLD;
+    if (predicted && p.actual) counts.tp++;
+    else if (predicted) counts.fp++;
+    else if (p.actual) counts.fn++;
+    else counts.tn++;
+  });
+  return counts;
+}
+
+function precisionRecall({ tp, fp, fn }) {
+  return {
+    precision: tp + fp > 0 ? round(tp / (tp + fp)) : null,
+    recall: tp + fn > 0 ? round(tp / (tp + fn)) : null,
+  };
+}
+
+function mean(values) {
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function parseJson(value) {
+  if (!value) return null;
+  if (typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  OUTCOME_GRACE_DAYS,
+  OUTCOMES,
+  EVALUATED_STATUS,
+  CATEGORY_EVIDENCE,
+  outcomeDueAt,
+  findEvidence,
+  trainingRow,
+  accuracyStats,
+  trackPredictionOutcomes,
+};
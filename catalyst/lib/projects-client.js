@@ -0,0 +1,88 @@
+/**
+ * Projects Client
+ * Reads projects, tasks and team members from the Zoho Projects REST API.
+ * ZOHO_PROJECTS_API_URL points it at another host, such as a local stub.
+ */
+
+const axios = require("axios");
+
+const DEFAULT_API_URL = "https://projectsapi.zoho.com/restapi";
+
+// Tasks per request; the API's maximum range
+const PAGE_SIZE = 100;
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Whether dependency tracking is switched on and a portal is configured
+ */
+function isProjectsEnabled(env = process.env) {
+  return (
+    env.ENABLE_DEPENDENCY_TRACKING === "true" && !!env.ZOHO_PROJECTS_PORTAL
+  );
+}
+
+/**
+ * Create a client from the environment
+ */
+function createProjectsClient(env = process.env, options = {}) {
+  if (!env.ZOHO_PROJECTS_PORTAL) {
+    throw new Error("ZOHO_PROJECTS_PORTAL is required for Zoho Projects");
+  }
+
+  const apiUrl = String(env.ZOHO_PROJECTS_API_URL || DEFAULT_API_URL).replace(
+    /\/$/,
+    ""
+  );
+  const portalUrl =
+    apiUrl + "/portal/" + encodeURIComponent(env.ZOHO_PROJECTS_PORTAL);
+  const token = env.ZOHO_PROJECTS_API_TOKEN || env.ZOHO_AUTH_TOKEN;
+  const timeout = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  async function get(path, params) {
+    const response = await axios.get(portalUrl + path, {
+      params,
+      timeout,
+      headers: { Authorization: "Zoho-oauthtoken " + token },
+    });
+    // The API answers 204 with no body when a list is empty
+    return response.data || {};
+  }
+
+  const projectPath = (projectId) =>
+    "/projects/" + encodeURIComponent(projectId) + "/";
+
+  return {
+    async getProject(projectId) {
+      const data = await get(projectPath(projectId));
+      return (data.projects || [])[0] || null;
+    },
+
+    /**
+     * Every task in the project, following the index/range pages
+     */
+    async getTasks(projectId) {
+      const tasks = [];
+      for (let index = 1; ; index += PAGE_SIZE) {
+        const data = await get(projectPath(projectId) + "tasks/", {
+          index,
+          range: PAGE_SIZE,
+        });
+        const page = data.tasks || [];
+        tasks.push(...page);
+        if (page.length < PAGE_SIZE) return tasks;
+      }
+    },
+
+    async getUsers(projectId) {
+      const data = await get(projectPath(projectId) + "users/");
+      return data.users || [];
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_API_URL,
+  isProjectsEnabled,
+  createProjectsClient,
+};
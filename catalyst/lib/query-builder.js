@@ -0,0 +1,304 @@
+/**
+ * Query Builder
+ * Builds ZCQL SELECT and UPDATE statements from whitelisted tables, columns
+ * and operators with escaped values, and pages through results
+ */
+
+const schema = require("../datastore-schema.json");
+const { toMysqlDateTime } = require("./datetime");
+
+// ZCQL returns at most 300 rows per query
+const PAGE_SIZE = 300;
+
+// Columns Catalyst adds to every table
+const SYSTEM_COLUMNS = ["ROWID", "CREATORID", "CREATEDTIME", "MODIFIEDTIME"];
+
+const OPERATORS = ["=", "!=", "<", "<=", ">", ">=", "LIKE", "NOT LIKE"];
+
+// Whitelisted columns per table, taken from the DataStore schema
+const TABLE_COLUMNS = {};
+schema.datastore.tables.forEach((table) => {
+  TABLE_COLUMNS[table.table_name] = new Set(
+    SYSTEM_COLUMNS.concat(table.columns.map((c) => c.column_name))
+  );
+});
+
+/**
+ * Start a SELECT on a table: select("audit_logs", ["report_hash"])
+ */
+function select(table, columns = ["*"]) {
+  if (!TABLE_COLUMNS[table]) {
+    throw new Error(`Unknown table: ${table}`);
+  }
+
+  columns.forEach((column) => {
+    if (column !== "*") assertColumn(table, column);
+  });
+
+  const conditions = [];
+  const ordering = [];
+  let limit = null;
+  let offset = 0;
+
+  const builder = {
+    table,
+
+    orderBy(column, direction = "ASC") {
+      assertColumn(table, column);
+      const dir = String(direction).toUpperCase();
+      if (dir !== "ASC" && dir !== "DESC") {
+        throw new Error(`Unsupported sort direction: ${direction}`);
+      }
+      ordering.push(`${column} ${dir}`);
+      return builder;
+    },
+
+    limit(count, start = 0) {
+      limit = toRowCount(count);
+      offset = toRowCount(start);
+      return builder;
+    },
+
+    toString() {
+      let zcql = `SELECT ${columns.join(", ")} FROM ${table}`;
+      if (conditions.length > 0) zcql += ` WHERE ${conditions.join(" AND ")}`;
+      if (ordering.length > 0) zcql += ` ORDER BY ${ordering.join(", ")}`;
+      if (limit !== null) zcql += ` LIMIT ${offset}, ${limit}`;
+      return zcql;
+    },
+
+    /**
+     * Run the query and return plain rows
+     */
+    async fetch(zcql) {
+      const result = await zcql.executeZCQLQuery(builder.toString());
+      return result.map((r) => r[table] || r);
+    },
+
+    async fetchFirst(zcql) {
+      const previous = { limit, offset };
+      builder.limit(1, offset);
+      try {
+        return (await builder.fetch(zcql))[0] || null;
+      } finally {
+        limit = previous.limit;
+        offset = previous.offset;
+      }
+    },
+
+    /**
+     * Page through every matching row beyond the per-query row limit.
+     * Add an orderBy so pages don't overlap.
+     */
+    async fetchAll(zcql) {
+      const rows = [];
+      for await (const page of builder.pages(zcql)) {
+        rows.push(...page);
+      }
+      return rows;
+    },
+
+    /**
+     * Iterate over pages of matching rows
+     */
+    async *pages(zcql, pageSize = PAGE_SIZE) {
+      const previous = { limit, offset };
+      let start = 0;
+
+      try {
+        for (;;) {
+          builder.limit(pageSize, start);
+          const page = await builder.fetch(zcql);
+          if (page.length > 0) yield page;
+          if (page.length < pageSize) return;
+          start += pageSize;
+        }
+      } finally {
+        limit = previous.limit;
+        offset = previous.offset;
+      }
+    },
+
+    /**
+     * Iterate over pages keyed on a unique, increasing column (ROWID by
+     * default) instead of offsets, so rows inserted while paging are not
+     * skipped or repeated. Replaces any orderBy with the cursor column.
+     */
+    async *cursor(zcql, column = "ROWID", pageSize = PAGE_SIZE) {
+      assertColumn(table, column);
+      const previous = { limit, offset, ordering: ordering.splice(0) };
+      ordering.push(`${column} ASC`);
+      let last = null;
+
+      try {
+        for (;;) {
+          if (last !== null)
+            conditions.push(`${column} > ${cursorValue(last)}`);
+          builder.limit(pageSize);
+          let page;
+          try {
+            page = await builder.fetch(zcql);
+          } finally {
+            if (last !== null) conditions.pop();
+          }
+          if (page.length > 0) yield page;
+          if (page.length < pageSize) return;
+          last = page[page.length - 1][column];
+          if (last === undefined || last === null) {
+            throw new Error(`Cursor column ${column} missing from results`);
+          }
+        }
+      } finally {
+        limit = previous.limit;
+        offset = previous.offset;
+        ordering.splice(0, ordering.length, ...previous.ordering);
+      }
+    },
+  };
+
+  Object.assign(builder, conditionMethods(table, conditions, builder));
+  return builder;
+}
+
+/**
+ * Start an UPDATE on a table: update("export_jobs", { status: "running" }).
+ * Rows are matched as they are written, so conditions on current values make
+ * it a compare-and-set. Without conditions it refuses to run.
+ */
+function update(table, values) {
+  if (!TABLE_COLUMNS[table]) {
+    throw new Error(`Unknown table: ${table}`);
+  }
+
+  const assignments = Object.keys(values).map((column) => {
+    assertColumn(table, column);
+    const value = values[column];
+    return `${column} = ${value === null ? "NULL" : escapeValue(value)}`;
+  });
+  if (assignments.length === 0) {
+    throw new Error(`No columns to update on ${table}`);
+  }
+
+  const conditions = [];
+
+  const builder = {
+    table,
+
+    toString() {
+      let zcql = `UPDATE ${table} SET ${assignments.join(", ")}`;
+      if (conditions.length > 0) zcql += ` WHERE ${conditions.join(" AND ")}`;
+      return zcql;
+    },
+
+    async execute(zcql) {
+      if (conditions.length === 0) {
+        throw new Error(`UPDATE on ${table} needs a condition`);
+      }
+      return zcql.executeZCQLQuery(builder.toString());
+    },
+  };
+
+  Object.assign(builder, conditionMethods(table, conditions, builder));
+  return builder;
+}
+
+/**
+ * Wrap a value for a "contains" LIKE match, escaping its wildcards
+ */
+function contains(value) {
+  return "%" + String(value).replace(/[\\%_]/g, "\\$&") + "%";
+}
+
+/**
+ * Render a value as a ZCQL literal
+ */
+function escapeValue(value) {
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid numeric value: ${value}`);
+    }
+    return String(value);
+  }
+
+  if (typeof value === "boolean") {
+    return value ? "true" : "false";
+  }
+
+  if (value instanceof Date) {
+    return `'${toMysqlDateTime(value)}'`;
+  }
+
+  if (typeof value === "string") {
+    return `'${value.replace(/\\/g, "\\\\").replace(/'/g, "''")}'`;
+  }
+
+  throw new Error(`Unsupported value type: ${typeof value}`);
+}
+
+/**
+ * Helper functions
+ */
+// WHERE clause methods shared by SELECT and UPDATE builders
+function conditionMethods(table, conditions, builder) {
+  return {
+    where(column, operator, value) {
+      assertColumn(table, column);
+      const op = String(operator).toUpperCase();
+      if (!OPERATORS.includes(op)) {
+        throw new Error(`Unsupported operator: ${operator}`);
+      }
+      conditions.push(`${column} ${op} ${escapeValue(value)}`);
+      return builder;
+    },
+
+    whereIn(column, values) {
+      assertColumn(table, column);
+      if (values.length === 0) {
+        throw new Error(`IN list for ${column} is empty`);
+      }
+      conditions.push(`${column} IN (${values.map(escapeValue).join(", ")})`);
+      return builder;
+    },
+
+    whereNull(column) {
+      assertColumn(table, column);
+      conditions.push(`${column} IS NULL`);
+      return builder;
+    },
+
+    whereNotNull(column) {
+      assertColumn(table, column);
+      conditions.push(`${column} IS NOT NULL`);
+      return builder;
+    },
+  };
+}
+
+// ROWIDs exceed Number precision, so digit strings are compared unquoted
+function cursorValue(value) {
+  return typeof value === "string" && /^\d+$/.test(value)
+    ? value
+    : escapeValue(value);
+}
+
+function assertColumn(table, column) {
+  if (!TABLE_COLUMNS[table].has(column)) {
+    throw new Error(`Unknown column ${column} on ${table}`);
+  }
+}
+
+function toRowCount(value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid row count: ${value}`);
+  }
+  return count;
+}
+
+module.exports = {
+  PAGE_SIZE,
+  select,
+  update,
+  contains,
+  escapeValue,
+};
@@ -0,0 +1,193 @@
+/**
+ * Reporting Period
+ * Resolves summary periods from --from/--to dates or presets, finds the
+ * period to compare against and computes period-over-period deltas
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_PRESET = "last-30-days";
+
+// Presets resolved against the current date (UTC)
+const PRESETS = {
+  "last-30-days": (today) => ({
+    start: addDays(today, -30),
+    end: addDays(today, 1),
+    label: "Last 30 days",
+  }),
+  "last-quarter": (today) => {
+    const quarter = Math.floor(today.getUTCMonth() / 3);
+    const start = new Date(
+      Date.UTC(today.getUTCFullYear(), (quarter - 1) * 3, 1)
+    );
+    const end = new Date(Date.UTC(today.getUTCFullYear(), quarter * 3, 1));
+    return { start, end, label: quarterLabel(start) };
+  },
+  ytd: (today) => ({
+    start: new Date(Date.UTC(today.getUTCFullYear(), 0, 1)),
+    end: addDays(today, 1),
+    label: `Year to date ${today.getUTCFullYear()}`,
+  }),
+};
+
+// Metrics compared between periods
+const COMPARED_METRICS = [
+  "compliance_score",
+  "total_events",
+  "approvals",
+  "risks",
+  "decisions",
+  "milestones",
+  "high_risk",
+  "pending_actions",
+];
+
+/**
+ * Resolve a period from { from, to, period }. Dates are YYYY-MM-DD and
+ * inclusive; the returned end is exclusive.
+ */
+function resolvePeriod(options = {}, now = new Date()) {
+  const today = startOfDay(now);
+  const { from, to } = options;
+
+  if (from || to) {
+    const start = from ? parseDate(from, "from") : addDays(today, -30);
+    const end = addDays(to ? parseDate(to, "to") : today, 1);
+
+    if (start >= end) {
+      throw new Error(`Period start ${from} is after its end ${to}`);
+    }
+
+    return {
+      preset: "custom",
+      start,
+      end,
+      label: `${formatDate(start)} to ${formatDate(addDays(end, -1))}`,
+    };
+  }
+
+  const preset = String(options.period || DEFAULT_PRESET).toLowerCase();
+  if (!PRESETS[preset]) {
+    throw new Error(
+      `Unknown period "${options.period}". Expected one of: ${Object.keys(PRESETS).join(", ")}`
+    );
+  }
+
+  return { preset, ...PRESETS[preset](today) };
+}
+
+/**
+ * The period to compare against: the year before for year-to-date, the
+ * quarter before for last-quarter, otherwise the same length just before
+ */
+function previousPeriod(period) {
+  let start;
+  let end;
+
+  if (period.preset === "ytd") {
+    start = shiftYears(period.start, -1);
+    end = shiftYears(period.end, -1);
+  } else if (period.preset === "last-quarter") {
+    end = period.start;
+    start = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - 3, 1));
+  } else {
+    const length = period.end - period.start;
+    end = period.start;
+    start = new Date(end.getTime() - length);
+  }
+
+  const label =
+    period.preset === "last-quarter"
+      ? quarterLabel(start)
+      : `${formatDate(start)} to ${formatDate(addDays(end, -1))}`;
+
+  return { preset: period.preset, start, end, label };
+}
+
+/**
+ * Deltas between the metrics of two summaries
+ */
+function comparePeriods(current, previous) {
+  const deltas = {};
+
+  COMPARED_METRICS.forEach((metric) => {
+    const now = metricValue(current, metric);
+    const before = metricValue(previous, metric);
+    const change = Math.round((now - before) * 10) / 10;
+
+    deltas[metric] = {
+      current: now,
+      previous: before,
+      change,
+      change_percent:
+        before === 0 ? null : Math.round((change / before) * 1000) / 10,
+      direction: change > 0 ? "up" : change < 0 ? "down" : "flat",
+    };
+  });
+
+  return deltas;
+}
+
+/**
+ * Helper functions
+ */
+function metricValue(summary, metric) {
+  if (metric === "high_risk") {
+    const byRisk = summary.events_by_risk || {};
+    return (byRisk.High || 0) + (byRisk.Critical || 0);
+  }
+  if (metric === "pending_actions") {
+    return summary.pending_action_count !== undefined
+      ? summary.pending_action_count
+      : (summary.pending_actions || []).length;
+  }
+  return Number(summary[metric]) || 0;
+}
+
+function parseDate(value, name) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  const date = match
+    ? new Date(
+        Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+      )
+    : null;
+
+  if (!date || formatDate(date) !== value) {
+    throw new Error(`Invalid ${name} date "${value}". Use YYYY-MM-DD`);
+  }
+  return date;
+}
+
+function startOfDay(date) {
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function shiftYears(date, years) {
+  const shifted = new Date(date);
+  shifted.setUTCFullYear(shifted.getUTCFullYear() + years);
+  return shifted;
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function quarterLabel(start) {
+  return `Q${Math.floor(start.getUTCMonth() / 3) + 1} ${start.getUTCFullYear()}`;
+}
+
+module.exports = {
+  PRESETS,
+  DEFAULT_PRESET,
+  COMPARED_METRICS,
+  resolvePeriod,
+  previousPeriod,
+  comparePeriods,
+  formatDate,
+};
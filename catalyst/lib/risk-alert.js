@@ -0,0 +1,78 @@
+/**
+ * Risk Alert
+ * The card posted when a compliance event is detected. The bot's alerts
+ * (through send-alert) and triage-decision both build it here.
+ */
+
+const lifecycle = require("./event-lifecycle");
+
+const RISK_EMOJI = {
+  Critical: "🔴",
+  High: "🟠",
+  Medium: "🟡",
+  Low: "🟢",
+};
+
+/**
+ * Emoji for a risk level or severity
+ */
+function riskEmoji(level) {
+  return RISK_EMOJI[level] || "⚪";
+}
+
+/**
+ * Alert card for a newly detected event, with a button to start its review
+ */
+function riskAlertMessage(event) {
+  const riskLevel = event.risk_level || "Low";
+  const highRisk = ["High", "Critical"].includes(riskLevel);
+
+  return {
+    text: highRisk
+      ? "🚨 High-Risk Compliance Event Detected"
+      : "📌 " + riskLevel + "-Risk Compliance Event Detected",
+    card: {
+      title: highRisk
+        ? "⚠️ Immediate Attention Required"
+        : "Compliance Event Detected",
+      theme: "modern-inline",
+      sections: [
+        {
+          id: 1,
+          data: [
+            { key: "Event Type", value: event.event_type },
+            { key: "Regulation", value: event.regulation },
+            { key: "Channel", value: event.channel_name },
+            { key: "Reported By", value: event.user_name },
+            {
+              key: "Risk Level",
+              value: riskEmoji(riskLevel) + " " + riskLevel.toUpperCase(),
+            },
+          ],
+        },
+      ],
+      buttons: [
+        {
+          label: "View Message",
+          type: "open.url",
+          url: event.evidence_url,
+        },
+        {
+          label: "Start Review",
+          type: "invoke.function",
+          function_name: "update_event_status",
+          data: {
+            event_id: String(event.event_id),
+            status: lifecycle.STATUS.UNDER_REVIEW,
+          },
+        },
+      ],
+    },
+  };
+}
+
+module.exports = {
+  RISK_EMOJI,
+  riskEmoji,
+  riskAlertMessage,
+};
@@ -0,0 +1,386 @@
+/**
+ * Risk Engine
+ * Feature extraction and rule-weighted risk scoring for the risk predictor
+ * declared in zia-skills/risk-predictor.json
+ */
+
+const riskModel = require("../../zia-skills/risk-predictor.json");
+const lifecycle = require("./event-lifecycle");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Severity order used when mapping probabilities onto severity_mapping
+const SEVERITY_LEVELS = ["critical", "high", "medium", "low"];
+
+const CATEGORY_TITLES = {
+  approval_delay: "Approval Process Delay Risk",
+  dependency_bottleneck: "Cross-Team Dependency Bottleneck",
+  documentation_gap: "Documentation Gap",
+  resource_constraint: "Team Resource Constraint",
+};
+
+/**
+ * Normalizers convert raw feature values to a 0-1 risk factor.
+ * Ranges follow the normalize* helpers in dependency-mapper.deluge.
+ */
+const NORMALIZERS = {
+  team_response_time: (hours) => clamp((hours - 24) / 96),
+  dependency_chain_length: (length) => clamp((length - 2) / 8),
+  days_until_deadline: (days) => (days < 3 ? 1 : clamp((30 - days) / 27)),
+  pending_approvals: (count) => clamp(count / 10),
+  team_workload: (workload) => clamp((workload - 0.5) / 0.4),
+  historical_delay_rate: (rate) => clamp(rate / 0.5),
+  // Fewer events per day means less documented evidence
+  compliance_event_velocity: (perDay) => clamp(1 - perDay),
+};
+
+/**
+ * Normalized 0-1 risk factor for each feature; null when unavailable
+ */
+function normalizeFeatures(features) {
+  const factors = {};
+  Object.keys(NORMALIZERS).forEach((name) => {
+    const value = features[name];
+    factors[name] =
+      value === null || value === undefined || isNaN(Number(value))
+        ? null
+        : NORMALIZERS[name](Number(value));
+  });
+  return factors;
+}
+
+/**
+ * Get feature weights keyed by feature name
+ */
+function getFeatureWeights(model = riskModel) {
+  const weights = {};
+  model.input_features.forEach((feature) => {
+    weights[feature.name] = feature.weight;
+  });
+  return weights;
+}
+
+/**
+ * Build the predictor's input features from raw events and daily analytics
+ */
+function extractFeatures(events, analytics, options = {}) {
+  const now = options.now || new Date();
+  const lookbackDays = options.lookbackDays || 30;
+
+  const isOpen = (e) => lifecycle.isOpen(e.status);
+
+  // Team response time: measured approval latency when given, otherwise the
+  // mean of the daily averages recorded in analytics
+  const responseTimes = analytics
+    .map((a) => parseFloat(a.avg_response_time_hours))
+    .filter((v) => !isNaN(v));
+  const approvalLatency = valueOrNull(options.teamResponseTime);
+  const teamResponseTime =
+    approvalLatency !== null
+      ? approvalLatency
+      : responseTimes.length > 0
+        ? round(responseTimes.reduce((s, v) => s + v, 0) / responseTimes.length)
+        : null;
+
+  const pendingApprovals = events.filter(
+    (e) => e.event_type === "approval" && isOpen(e)
+  ).length;
+
+  // Days until the nearest open deadline (overdue items count as 0)
+  const openDeadlines = events
+    .filter((e) => isOpen(e) && e.deadline)
+    .map((e) => new Date(e.deadline))
+    .filter((d) => !isNaN(d.getTime()));
+  const daysUntilDeadline =
+    openDeadlines.length > 0
+      ? round(
+          Math.max(0, (Math.min(...openDeadlines) - now.getTime()) / DAY_MS)
+        )
+      : null;
+
+  const windowStart = now.getTime() - lookbackDays * DAY_MS;
+  const recentEvents = events.filter(
+    (e) => new Date(e.created_at || e.timestamp).getTime() >= windowStart
+  ).length;
+
+  return {
+    team_response_time: teamResponseTime,
+    dependency_chain_length: valueOrNull(options.dependencyChainLength),
+    days_until_deadline: daysUntilDeadline,
+    pending_approvals: pendingApprovals,
+    team_workload: valueOrNull(options.teamWorkload),
+    historical_delay_rate: valueOrNull(options.historicalDelayRate),
+    compliance_event_velocity: round(recentEvents / lookbackDays),
+  };
+}
+
+/**
+ * Parse a trigger/condition expression such as "pending_approvals > 3"
+ */
+function parseCondition(expression) {
+  const match = /^\s*(\w+)\s*(>=|<=|>|<|==)\s*(-?[\d.]+)\s*$/.exec(expression);
+  if (!match) return null;
+  return { feature: match[1], operator: match[2], threshold: Number(match[3]) };
+}
+
+/**
+ * Evaluate a condition against the feature map.
+ * Returns null when the feature is unavailable.
+ */
+function evaluateCondition(condition, features) {
+  const value = features[condition.feature];
+  if (value === null || value === undefined) return null;
+
+  switch (condition.operator) {
+    case ">":
+      return value > condition.threshold;
+    case ">=":
+      return value >= condition.threshold;
+    case "<":
+      return value < condition.threshold;
+    case "<=":
+      return value <= condition.threshold;
+    default:
+      return value === condition.threshold;
+  }
+}
+
+/**
+ * Map a probability onto a category's severity thresholds
+ */
+function mapSeverity(probability, severityMapping) {
+  for (const level of SEVERITY_LEVELS) {
+    const mapping = severityMapping[level];
+    if (mapping && probability >= mapping.threshold) {
+      return level.charAt(0).toUpperCase() + level.slice(1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Score a single risk category.
+ * Probability is the weighted mean of the normalized factors referenced by the
+ * category's triggers; unavailable features are left out of the mean.
+ */
+function scoreCategory(category, features, weights) {
+  const conditions = category.triggers.map(parseCondition).filter(Boolean);
+  const featureNames = [...new Set(conditions.map((c) => c.feature))];
+
+  let weighted = 0;
+  let availableWeight = 0;
+  let totalWeight = 0;
+
+  featureNames.forEach((name) => {
+    const weight = weights[name] || 0;
+    totalWeight += weight;
+
+    const value = features[name];
+    if (value === null || value === undefined || !NORMALIZERS[name]) return;
+
+    weighted += weight * NORMALIZERS[name](value);
+    availableWeight += weight;
+  });
+
+  const probability = availableWeight > 0 ? weighted / availableWeight : 0;
+
+  const contributingFactors = conditions
+    .filter((c) => evaluateCondition(c, features))
+    .map((c) => ({
+      factor: c.feature,
+      impact_score: round(
+        (weights[c.feature] || 0) * NORMALIZERS[c.feature](features[c.feature])
+      ),
+      current_value: features[c.feature],
+      threshold_value: c.threshold,
+    }));
+
+  return {
+    probability: round(probability),
+    coverage: totalWeight > 0 ? availableWeight / totalWeight : 0,
+    contributingFactors,
+  };
+}
+
+/**
+ * Recommendations from the recommendation engine whose conditions hold
+ */
+function getRecommendations(categoryName, features, model = riskModel) {
+  const strategy = model.recommendation_engine.strategies.find(
+    (s) => s.risk_category === categoryName
+  );
+  if (!strategy) return [];
+
+  return strategy.recommendations
+    .filter((rec) => {
+      const condition = parseCondition(rec.condition);
+      return condition && evaluateCondition(condition, features);
+    })
+    .map((rec) => ({ action: rec.action, priority: rec.priority }));
+}
+
+/**
+ * Teams affected by a category, taken from event stakeholders and channels
+ */
+function getAffectedTeams(categoryName, events) {
+  const open = events.filter((e) => lifecycle.isOpen(e.status));
+  const relevant =
+    categoryName === "approval_delay"
+      ? open.filter((e) => e.event_type === "approval")
+      : open;
+
+  const teams = new Set();
+  relevant.forEach((event) => {
+    parseList(event.stakeholders).forEach((s) => {
+      const name = typeof s === "string" ? s : s && s.name;
+      if (name) teams.add(name);
+    });
+  });
+
+  if (teams.size === 0) {
+    relevant.forEach((e) => e.channel_name && teams.add(e.channel_name));
+  }
+
+  return teams.size > 0 ? [...teams] : ["Compliance Team"];
+}
+
+/**
+ * Predict the date a category's risk would materialize
+ */
+function getImpactDate(categoryName, features, now, daysAhead) {
+  if (features.days_until_deadline !== null) {
+    return new Date(now.getTime() + features.days_until_deadline * DAY_MS);
+  }
+
+  if (
+    categoryName === "approval_delay" &&
+    features.team_response_time !== null
+  ) {
+    const hours = Math.min(features.team_response_time, daysAhead * 24);
+    return new Date(now.getTime() + hours * HOUR_MS);
+  }
+
+  return new Date(now.getTime() + daysAhead * DAY_MS);
+}
+
+/**
+ * Predict risks for a project over the next `daysAhead` days
+ */
+function predictRisks(features, events, options = {}) {
+  const model = options.model || riskModel;
+  const now = options.now || new Date();
+  const daysAhead = options.daysAhead || model.prediction_window.default_days;
+  const weights = options.weights || getFeatureWeights(model);
+  const windowEnd = now.getTime() + daysAhead * DAY_MS;
+
+  // More evidence gives more confidence, saturating at 20 events
+  const sampleFactor = Math.min(events.length / 20, 1);
+
+  const risks = [];
+
+  model.risk_categories.forEach((category) => {
+    const scored = scoreCategory(category, features, weights);
+    const severity = mapSeverity(scored.probability, category.severity_mapping);
+    if (!severity) return;
+
+    const impactDate = getImpactDate(category.name, features, now, daysAhead);
+    if (impactDate.getTime() > windowEnd) return;
+
+    risks.push({
+      risk_category: category.name,
+      title: CATEGORY_TITLES[category.name] || category.description,
+      description: category.description,
+      severity,
+      probability: scored.probability,
+      predicted_impact_date: impactDate.toISOString(),
+      affected_teams: getAffectedTeams(category.name, events),
+      contributing_factors: scored.contributingFactors,
+      recommendations: getRecommendations(category.name, features, model),
+      confidence: round(scored.coverage * (0.5 + 0.5 * sampleFactor)),
+    });
+  });
+
+  return risks.sort((a, b) => b.probability - a.probability);
+}
+
+/**
+ * Summarize predictions in the risk predictor's output_format
+ */
+function summarizeRisks(risks, analytics = []) {
+  const bySeverity = { critical: 0, high: 0, medium: 0, low: 0 };
+  risks.forEach((r) => {
+    bySeverity[r.severity.toLowerCase()]++;
+  });
+
+  const maxProbability = risks.reduce((m, r) => Math.max(m, r.probability), 0);
+
+  return {
+    total_risks: risks.length,
+    by_severity: bySeverity,
+    overall_risk_score: Math.round(maxProbability * 100) / 10,
+    trend: getScoreTrend(analytics),
+  };
+}
+
+/**
+ * Compare the last 7 days of compliance scores with the 7 before them
+ */
+function getScoreTrend(analytics) {
+  const sorted = analytics
+    .filter((a) => a.compliance_score !== null && a.compliance_score !== "")
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  const recent = average(sorted.slice(0, 7).map((a) => a.compliance_score));
+  const previous = average(sorted.slice(7, 14).map((a) => a.compliance_score));
+
+  if (recent === null || previous === null) return "stable";
+  if (recent - previous >= 2) return "improving";
+  if (previous - recent >= 2) return "deteriorating";
+  return "stable";
+}
+
+/**
+ * Helper functions
+ */
+function clamp(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function average(values) {
+  const numbers = values.map(Number).filter((v) => !isNaN(v));
+  if (numbers.length === 0) return null;
+  return numbers.reduce((s, v) => s + v, 0) / numbers.length;
+}
+
+function valueOrNull(value) {
+  return value === undefined || value === null ? null : Number(value);
+}
+
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+module.exports = {
+  riskModel,
+  getFeatureWeights,
+  normalizeFeatures,
+  extractFeatures,
+  parseCondition,
+  evaluateCondition,
+  mapSeverity,
+  scoreCategory,
+  predictRisks,
+  summarizeRisks,
+};
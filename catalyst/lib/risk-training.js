@@ -0,0 +1,327 @@
+/**
+ * Risk Model Training
+ * Fits the risk predictor's feature weights from labeled outcomes in
+ * ml_training_data with plain logistic regression. Every fit is stored as a
+ * new version in ml_models and only becomes active when it validates at least
+ * as well as the active version.
+ */
+
+const riskEngine = require("./risk-engine");
+const { select } = require("./query-builder");
+const { toMysqlDateTime } = require("./datetime");
+
+const MODEL_NAME = "risk_predictor";
+
+// ml_training_data rows written for risk predictions once their outcome is
+// known; triage rows label extractions, not risks
+const TRAINING_SOURCE = "risk_outcome";
+
+// actual_outcome values: the risk materialized, or it didn't
+const POSITIVE_OUTCOMES = ["delayed"];
+const NEGATIVE_OUTCOMES = ["on-time", "early"];
+
+const MODEL_STATUS = {
+  ACTIVE: "active",
+  REJECTED: "rejected",
+  RETIRED: "retired",
+};
+
+// Weighted factor mean from which a risk counts as predicted (the medium
+// severity threshold of approval_delay)
+const DECISION_THRESHOLD = 0.5;
+
+const TRAINING_DEFAULTS = { learningRate: 0.5, l2: 0.01, maxEpochs: 1000 };
+
+const EPSILON = 1e-12;
+
+/**
+ * Feature names in the predictor's input order
+ */
+function featureNames(model = riskEngine.riskModel) {
+  return model.input_features.map((feature) => feature.name);
+}
+
+/**
+ * Labeled example from an ml_training_data row; null when the row's outcome
+ * or features can't be used
+ */
+function toExample(row, names = featureNames()) {
+  const outcome = String(row.actual_outcome || "").toLowerCase();
+  let y;
+  if (POSITIVE_OUTCOMES.includes(outcome)) y = 1;
+  else if (NEGATIVE_OUTCOMES.includes(outcome)) y = 0;
+  else return null;
+
+  let vector;
+  try {
+    vector = JSON.parse(row.feature_vector || "null");
+  } catch (e) {
+    return null;
+  }
+  if (!vector || typeof vector !== "object") return null;
+
+  // Outcomes of predictions saved without their features can't be learned from
+  const features = "features" in vector ? vector.features : vector;
+  if (!features || typeof features !== "object") return null;
+
+  const factors = riskEngine.normalizeFeatures(features);
+  return {
+    training_id: row.training_id,
+    recorded_at: row.recorded_at,
+    factors: names.map((name) => factors[name]),
+    y,
+  };
+}
+
+/**
+ * Hold out the most recent share of examples for validation, so a model is
+ * judged on outcomes newer than the ones it learned from
+ */
+function splitExamples(examples, validationSplit) {
+  const sorted = [...examples].sort(
+    (a, b) =>
+      String(a.recorded_at).localeCompare(String(b.recorded_at)) ||
+      Number(a.training_id) - Number(b.training_id)
+  );
+  const validationSize = Math.max(
+    1,
+    Math.round(sorted.length * validationSplit)
+  );
+  return {
+    training: sorted.slice(0, sorted.length - validationSize),
+    validation: sorted.slice(sorted.length - validationSize),
+  };
+}
+
+/**
+ * Batch gradient descent on L2-regularized log loss. Unavailable factors
+ * count as 0 (no risk). Stops early once the loss stops improving.
+ */
+function fitLogistic(examples, options = {}) {
+  const { learningRate, l2, maxEpochs } = { ...TRAINING_DEFAULTS, ...options };
+  const stopping =
+    options.earlyStopping ||
+    riskEngine.riskModel.learning_parameters.early_stopping;
+
+  const inputs = examples.map((e) => e.factors.map((f) => f || 0));
+  const size = inputs[0].length;
+  let coefficients = new Array(size).fill(0);
+  let intercept = 0;
+  let loss = Infinity;
+  let best = Infinity;
+  let stale = 0;
+  let epochs = 0;
+
+  while (epochs < maxEpochs) {
+    epochs++;
+    const gradient = new Array(size).fill(0);
+    let interceptGradient = 0;
+    let total = 0;
+
+    examples.forEach((example, index) => {
+      const x = inputs[index];
+      const p = sigmoid(dot(coefficients, x) + intercept);
+      const error = p - example.y;
+      x.forEach((value, i) => (gradient[i] += error * value));
+      interceptGradient += error;
+      total -=
+        example.y * Math.log(p + EPSILON) +
+        (1 - example.y) * Math.log(1 - p + EPSILON);
+    });
+
+    const n = examples.length;
+    coefficients = coefficients.map(
+      (c, i) => c - learningRate * (gradient[i] / n + l2 * c)
+    );
+    intercept -= learningRate * (interceptGradient / n);
+    loss = total / n + (l2 / 2) * dot(coefficients, coefficients);
+
+    if (stopping.enabled) {
+      if (best - loss > stopping.min_delta) {
+        best = loss;
+        stale = 0;
+      } else if (++stale >= stopping.patience) {
+        break;
+      }
+    }
+  }
+
+  return { coefficients, intercept, epochs, loss };
+}
+
+/**
+ * Risk engine weights from a fit: positive coefficients scaled to sum to 1.
+ * null when no feature raises the risk.
+ */
+function weightsFromFit(fit, names = featureNames()) {
+  const positive = fit.coefficients.map((c) => Math.max(c, 0));
+  const total = positive.reduce((s, c) => s + c, 0);
+  if (total <= 0) return null;
+
+  const weights = {};
+  names.forEach((name, i) => {
+    weights[name] = Math.round((positive[i] / total) * 1000) / 1000;
+  });
+  return weights;
+}
+
+/**
+ * Accuracy of a weight set, scored the way the risk engine scores: weighted
+ * mean of the available factors against DECISION_THRESHOLD
+ */
+function evaluateWeights(weights, examples, names = featureNames()) {
+  if (examples.length === 0) return null;
+
+  const correct = examples.filter((example) => {
+    let weighted = 0;
+    let available = 0;
+    example.factors.forEach((factor, i) => {
+      if (factor === null) return;
+      weighted += (weights[names[i]] || 0) * factor;
+      available += weights[names[i]] || 0;
+    });
+    const probability = available > 0 ? weighted / available : 0;
+    return (probability >= DECISION_THRESHOLD ? 1 : 0) === example.y;
+  }).length;
+
+  return Math.round((correct / examples.length) * 1000) / 1000;
+}
+
+/**
+ * The active model version, or null while the configured weights are used
+ */
+async function loadActiveModel(zcql) {
+  const row = await select("ml_models")
+    .where("model_name", "=", MODEL_NAME)
+    .where("status", "=", MODEL_STATUS.ACTIVE)
+    .orderBy("version", "DESC")
+    .fetchFirst(zcql);
+
+  return row ? { ...row, weights: JSON.parse(row.weights) } : null;
+}
+
+/**
+ * Fit a new version from ml_training_data and activate it unless its
+ * validation accuracy falls below the active version's
+ */
+async function retrainRiskModel(catalystApp, options = {}) {
+  const now = options.now || new Date();
+  const learning = riskEngine.riskModel.learning_parameters;
+  const names = featureNames();
+  const zcql = catalystApp.zcql();
+  const modelsTable = catalystApp.datastore().table("ml_models");
+
+  const rows = await select("ml_training_data")
+    .where("source", "=", TRAINING_SOURCE)
+    .orderBy("ROWID")
+    .fetchAll(zcql);
+  const examples = rows.map((row) => toExample(row, names)).filter(Boolean);
+
+  if (examples.length < learning.min_training_samples) {
+    return {
+      trained: false,
+      reason: `${examples.length} labeled outcome(s), ${learning.min_training_samples} needed`,
+      samples: examples.length,
+    };
+  }
+
+  const { training, validation } = splitExamples(
+    examples,
+    learning.validation_split
+  );
+  // Without both a training and a validation set there's nothing to fit or
+  // nothing to judge the fit on
+  if (training.length === 0 || validation.length === 0) {
+    return {
+      trained: false,
+      reason: `${training.length} training and ${validation.length} validation sample(s)`,
+      samples: examples.length,
+    };
+  }
+
+  const fit = fitLogistic(training, options.training);
+  const weights = weightsFromFit(fit, names);
+
+  const active = await loadActiveModel(zcql);
+  const previousWeights = active
+    ? active.weights
+    : riskEngine.getFeatureWeights();
+  const previousAccuracy = evaluateWeights(previousWeights, validation, names);
+  const accuracy = weights ? evaluateWeights(weights, validation, names) : 0;
+  const accepted =
+    weights !== null && accuracy !== null && accuracy >= previousAccuracy;
+
+  const latest = await select("ml_models", ["version"])
+    .where("model_name", "=", MODEL_NAME)
+    .orderBy("version", "DESC")
+    .fetchFirst(zcql);
+  const version = (latest ? parseInt(latest.version) || 0 : 0) + 1;
+
+  await modelsTable.insertRow({
+    model_id: now.getTime(),
+    model_name: MODEL_NAME,
+    version,
+    status: accepted ? MODEL_STATUS.ACTIVE : MODEL_STATUS.REJECTED,
+    weights: JSON.stringify(weights || {}),
+    coefficients: JSON.stringify({
+      features: names,
+      coefficients: fit.coefficients.map((c) => Math.round(c * 1e4) / 1e4),
+      intercept: Math.round(fit.intercept * 1e4) / 1e4,
+      epochs: fit.epochs,
+      loss: Math.round(fit.loss * 1e4) / 1e4,
+    }),
+    training_samples: training.length,
+    validation_samples: validation.length,
+    validation_accuracy: accuracy,
+    previous_accuracy: previousAccuracy,
+    trained_at: toMysqlDateTime(now),
+  });
+
+  // Retire the old version only once the new one is in place
+  if (accepted && active) {
+    await modelsTable.updateRow({
+      ROWID: active.ROWID,
+      status: MODEL_STATUS.RETIRED,
+    });
+  }
+
+  return {
+    trained: true,
+    version,
+    accepted,
+    previous_version: active ? parseInt(active.version) : 0,
+    validation_accuracy: accuracy,
+    previous_accuracy: previousAccuracy,
+    training_samples: training.length,
+    validation_samples: validation.length,
+    weights,
+  };
+}
+
+/**
+ * Helper functions
+ */
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+function dot(a, b) {
+  return a.reduce((s, value, i) => s + value * b[i], 0);
+}
+
+module.exports = {
+  MODEL_NAME,
+  TRAINING_SOURCE,
+  POSITIVE_OUTCOMES,
+  NEGATIVE_OUTCOMES,
+  MODEL_STATUS,
+  DECISION_THRESHOLD,
+  featureNames,
+  toExample,
+  splitExamples,
+  fitLogistic,
+  weightsFromFit,
+  evaluateWeights,
+  loadActiveModel,
+  retrainRiskModel,
+};
@@ -0,0 +1,141 @@
+/**
+ * Summary Aggregator
+ * Builds a compliance summary one event at a time, so generate-summary can
+ * stream pages of compliance_events without holding every row in memory.
+ * The timeline and pending actions are capped; their counts cover every event.
+ */
+
+const lifecycle = require("./event-lifecycle");
+const { createScorer } = require("./compliance-score");
+
+const DESCRIPTION_LENGTH = 100;
+
+// Newest timeline entries kept in the summary
+const TIMELINE_LIMIT = 200;
+
+// Pending actions listed in the summary, oldest first
+const PENDING_ACTIONS_LIMIT = 50;
+
+/**
+ * Create an aggregator: add(event) for each row, then finish()
+ */
+function createSummaryAggregator(options = {}) {
+  const summary = {
+    total_events: 0,
+    approvals: 0,
+    risks: 0,
+    decisions: 0,
+    milestones: 0,
+    pending_actions: [],
+    pending_action_count: 0,
+    events_by_type: {},
+    events_by_regulation: {},
+    events_by_risk: {},
+    timeline: [],
+    timeline_count: 0,
+  };
+
+  const scorer = createScorer({ now: options.now, model: options.model });
+
+  return {
+    add(event) {
+      summary.total_events++;
+
+      // Count by type
+      const type = event.event_type;
+      summary.events_by_type[type] = (summary.events_by_type[type] || 0) + 1;
+
+      // Count specific types
+      if (type === "approval") summary.approvals++;
+      if (type === "risk_discussion") summary.risks++;
+      if (type === "decision") summary.decisions++;
+      if (type === "milestone") summary.milestones++;
+
+      // Count by regulation
+      const reg = event.regulation;
+      summary.events_by_regulation[reg] =
+        (summary.events_by_regulation[reg] || 0) + 1;
+
+      // Count by risk
+      const risk = event.risk_level;
+      summary.events_by_risk[risk] = (summary.events_by_risk[risk] || 0) + 1;
+
+      // Collect events still awaiting review
+      if (lifecycle.isOpen(event.status)) {
+        summary.pending_action_count++;
+        if (summary.pending_actions.length < PENDING_ACTIONS_LIMIT) {
+          summary.pending_actions.push({
+            event_id: event.event_id,
+            status: event.status || lifecycle.STATUS.PENDING_REVIEW,
+            type: type,
+            description:
+              String(event.message_text || "").substring(
+                0,
+                DESCRIPTION_LENGTH
+              ) + "...",
+            risk: risk,
+            deadline: event.deadline,
+            url: event.evidence_url,
+          });
+        }
+      }
+
+      // Build timeline, trimming to the newest entries as it grows
+      summary.timeline_count++;
+      summary.timeline.push({
+        date: event.timestamp,
+        type: type,
+        regulation: reg,
+        risk: risk,
+        user: event.user_name,
+      });
+      if (summary.timeline.length >= 2 * TIMELINE_LIMIT) {
+        trimTimeline(summary);
+      }
+
+      scorer.add(event);
+    },
+
+    /**
+     * Add a page of rows
+     */
+    addAll(events) {
+      events.forEach((event) => this.add(event));
+    },
+
+    /**
+     * Final summary, newest timeline entries first
+     */
+    finish() {
+      trimTimeline(summary);
+      summary.compliance_score = scorer.result().score;
+      return summary;
+    },
+
+    /**
+     * The score with each bonus and deduction that went into it
+     */
+    explain() {
+      return scorer.result();
+    },
+  };
+}
+
+/**
+ * Helper functions
+ */
+function trimTimeline(summary) {
+  summary.timeline.sort((a, b) => dateValue(b.date) - dateValue(a.date));
+  summary.timeline.length = Math.min(summary.timeline.length, TIMELINE_LIMIT);
+}
+
+function dateValue(value) {
+  const time = new Date(value).getTime();
+  return isNaN(time) ? 0 : time;
+}
+
+module.exports = {
+  TIMELINE_LIMIT,
+  PENDING_ACTIONS_LIMIT,
+  createSummaryAggregator,
+};
@@ -3,8 +3,69 @@
  * Run with: npm test
  */
 
+jest.mock("axios");
+
+const axios = require("axios");
 const botHandler = require("../bot-handler");
 
+// Catalyst and Zia responses by endpoint, so no test reaches the network
+const DEFAULT_RESPONSES = {
+  "/functions/check-monitoring": { monitored: true, regulations: ["all"] },
+  "/skills/extract": {
+    entities: {
+      compliance_event: { value: "approval", confidence: 0.92 },
+      regulation_type: { value: "GDPR", confidence: 0.88 },
+      risk_level: { value: "Low", confidence: 0.8 },
+    },
+    confidence: 0.87,
+  },
+  "/functions/store-compliance-event": { success: true, event_id: 101 },
+  "/functions/send-alert": { success: true },
+  "/functions/generate-summary": {
+    total_events: 12,
+    compliance_score: 88,
+    period: "Last 30 days",
+    approvals: 5,
+    risks: 3,
+    decisions: 2,
+    milestones: 2,
+    pending_actions: [],
+  },
+  "/functions/health-score": {
+    scope: "channel",
+    scope_value: "ch1",
+    score: 91,
+    trend: "stable",
+    score_change: null,
+    regulations: [{ name: "GDPR", score: 91, status: "Compliant" }],
+    high_priority: 0,
+    overdue: 0,
+    missing_docs: 1,
+    last_updated: "2025-06-01T09:00:00.000Z",
+  },
+};
+
+/**
+ * Answer axios calls from DEFAULT_RESPONSES and the given overrides;
+ * requests to any other endpoint fail
+ */
+function mockEndpoints(overrides = {}) {
+  const responses = { ...DEFAULT_RESPONSES, ...overrides };
+  const respond = async (url) => {
+    const endpoint = Object.keys(responses).find((path) => url.endsWith(path));
+    if (!endpoint) throw new Error("Unexpected request: " + url);
+    return { data: responses[endpoint] };
+  };
+  axios.get.mockImplementation(respond);
+  axios.post.mockImplementation(respond);
+}
+
+beforeEach(() => {
+  axios.get.mockReset();
+  axios.post.mockReset();
+  mockEndpoints();
+});
+
 describe("Compliance Command Center Bot", () => {
   describe("Message Handler", () => {
     test("should ignore bot own messages", async () => {
@@ -83,6 +144,60 @@ describe("Compliance Command Center Bot", () => {
     });
   });
 
+  describe("Card Actions", () => {
+    test("should export the summary card's project, regulation and period", async () => {
+      mockEndpoints({
+        "/functions/export-report": { success: true, job_id: 7 },
+      });
+      const user = { id: "user1", name: "John Doe" };
+
+      const result = await botHandler.handleCardAction(
+        {
+          function_name: "export_report",
+          data: {
+            project: "apollo",
+            regulation: "GDPR",
+            format: "pdf",
+            from: "2025-01-01",
+            to: "2025-03-31",
+          },
+        },
+        user,
+        { id: "channel123", name: "compliance-team" }
+      );
+
+      expect(result.text).toContain("Generating PDF report");
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining("/functions/export-report"),
+        expect.objectContaining({
+          project: "apollo",
+          regulation: "GDPR",
+          format: "PDF",
+          from: "2025-01-01",
+          to: "2025-03-31",
+          channel_id: "channel123",
+          requested_by: "user1",
+        })
+      );
+    });
+  });
+
+  describe("Triage Card Actions", () => {
+    test("should offer reclassify options when the candidate is malformed", async () => {
+      const result = await botHandler.handleCardAction(
+        {
+          function_name: "triage_decision",
+          data: { triage_id: "9", decision: "reclassify", candidate: "{oops" },
+        },
+        { id: "user1", name: "John Doe" }
+      );
+
+      expect(result.card.sections).toEqual([]);
+      expect(result.card.buttons).toHaveLength(4);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+
   describe("Compliance Event Processing", () => {
     test("should extract approval events", async () => {
       const message = {
@@ -99,6 +214,9 @@ describe("Compliance Command Center Bot", () => {
         regulation_type: { value: "SOC2", confidence: 0.88 },
         risk_level: { value: "Medium", confidence: 0.75 },
       };
+      mockEndpoints({
+        "/skills/extract": { entities: expectedEntities, confidence: 0.85 },
+      });
 
       const result = await botHandler.processComplianceEvent(
         message,
@@ -108,6 +226,73 @@ describe("Compliance Command Center Bot", () => {
 
       expect(result).toHaveProperty("entities");
       expect(result.entities.compliance_event).toBeDefined();
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining("/functions/store-compliance-event"),
+        expect.objectContaining({ event_type: "approval", regulation: "SOC2" }),
+        expect.any(Object)
+      );
+
+      // send-alert builds the alert card from the event
+      const alertCall = axios.post.mock.calls.find(([url]) =>
+        url.endsWith("/functions/send-alert")
+      );
+      expect(alertCall[1]).toMatchObject({
+        kind: "risk",
+        event: { event_id: "101", user_name: "Security Lead" },
+      });
+      expect(alertCall[1].alert).toBeUndefined();
+    });
+
+    test("should forward deadlines and stakeholders for reminders", async () => {
+      mockEndpoints({
+        "/skills/extract": {
+          entities: {
+            ...DEFAULT_RESPONSES["/skills/extract"].entities,
+            stakeholders: [
+              { name: "@dpo", type: "mention", confidence: 0.9 },
+              { name: "legal team", type: "team", confidence: 0.8 },
+            ],
+            deadlines: [
+              {
+                date: "2025-07-01",
+                context: "by 2025-07-01",
+                confidence: 0.95,
+              },
+              { date: "2025-08-01", context: "2025-08-01", confidence: 0.95 },
+            ],
+          },
+          confidence: 0.87,
+        },
+      });
+
+      await botHandler.processComplianceEvent(
+        {
+          text: "@dpo please approve the GDPR DPA by 2025-07-01, legal team to review",
+          id: "msg8",
+        },
+        { id: "ch1", name: "legal" },
+        { id: "user2", name: "Legal Counsel" }
+      );
+
+      const stored = axios.post.mock.calls.find(([url]) =>
+        url.endsWith("/functions/store-compliance-event")
+      )[1];
+      expect(stored.deadline).toBe("2025-07-01 23:59:59");
+      expect(stored.stakeholders).toEqual(["@dpo", "legal team"]);
+    });
+
+    test("should leave the deadline empty when none is extracted", async () => {
+      await botHandler.processComplianceEvent(
+        { text: "GDPR review approved", id: "msg9" },
+        { id: "ch1", name: "legal" },
+        { id: "user2", name: "Legal Counsel" }
+      );
+
+      const stored = axios.post.mock.calls.find(([url]) =>
+        url.endsWith("/functions/store-compliance-event")
+      )[1];
+      expect(stored.deadline).toBeNull();
+      expect(stored.stakeholders).toEqual([]);
     });
 
     test("should extract risk discussions", async () => {
@@ -0,0 +1,78 @@
+/**
+ * Test Suite for the rule-based extractor fallback
+ * Run with: npm run test:bot
+ */
+
+const ruleExtractor = require("../rule-extractor");
+
+const NOW = new Date("2025-06-10T12:00:00Z"); // a Tuesday
+
+describe("Rule Extractor", () => {
+  test("should classify like Zia and score patterns above keywords", () => {
+    const result = ruleExtractor.extract(
+      "@jane approved the GDPR compliance review, ping #legal and the security team",
+      { now: NOW }
+    );
+
+    expect(result.entities.compliance_event).toMatchObject({
+      value: "approval",
+      confidence: 0.9,
+    });
+    expect(result.entities.regulation_type).toMatchObject({
+      value: "GDPR",
+      confidence: 0.9,
+    });
+    expect(result.entities.stakeholders).toEqual([
+      { name: "@jane", type: "mention", confidence: 0.95 },
+      { name: "#legal", type: "channel", confidence: 0.9 },
+      { name: "security team", type: "team", confidence: 0.9 },
+    ]);
+    expect(result.confidence).toBe(0.9);
+    expect(result.metadata.extractor).toBe("rules");
+
+    // A lone keyword stays below the triage threshold
+    const weak = ruleExtractor.extract("The vendor was selected", { now: NOW });
+    expect(weak.entities.compliance_event).toMatchObject({
+      value: "decision",
+      confidence: 0.6,
+    });
+  });
+
+  test("should only report a decision type for decisions", () => {
+    const decision = ruleExtractor.extract(
+      "We decided to go with the new security architecture, CISO agreed",
+      { now: NOW }
+    );
+    expect(decision.entities.decision_type.value).toBe("architectural");
+    expect(decision.entities.stakeholders).toEqual([
+      { name: "CISO", type: "executive", confidence: 0.9 },
+    ]);
+
+    const approval = ruleExtractor.extract(
+      "Security signed off on the architecture",
+      { now: NOW }
+    );
+    expect(approval.entities.compliance_event.value).toBe("approval");
+    expect(approval.entities.decision_type).toBeUndefined();
+  });
+
+  test("should extract explicit dates and cued relative deadlines", () => {
+    expect(
+      ruleExtractor.extract(
+        "Security risk in the vendor API, critical issue, fix by Friday",
+        { now: NOW }
+      ).entities.deadlines
+    ).toEqual([{ date: "2025-06-13", context: "Friday", confidence: 0.85 }]);
+
+    const result = ruleExtractor.extract(
+      "Release 2025-07-01, DPA due by end of month. Met on Monday. Not 02/30/2025",
+      { now: NOW }
+    );
+    expect(result.entities.deadlines).toEqual([
+      { date: "2025-07-01", context: "2025-07-01", confidence: 0.95 },
+      { date: "2025-06-30", context: "end of month", confidence: 0.85 },
+    ]);
+    expect(result.entities.compliance_event).toBeUndefined();
+    expect(result.confidence).toBe(0);
+  });
+});
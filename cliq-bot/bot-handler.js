@@ -5,6 +5,7 @@
 
 const axios = require("axios");
 const config = require("./config");
+const ruleExtractor = require("./rule-extractor");
 
 // Bot configuration
 const BOT_NAME = "ComplianceBot";
@@ -12,6 +13,49 @@ const CATALYST_BASE_URL =
   process.env.CATALYST_BASE_URL || config.catalystBaseUrl;
 const ZIA_API_URL = process.env.ZIA_API_URL || config.ziaApiUrl;
 
+// Card button labels for moving an event into each review status
+const STATUS_ACTION_LABELS = {
+  "Under Review": "Start Review",
+  Accepted: "Accept",
+  Rejected: "Reject",
+  Resolved: "Resolve",
+  "False Positive": "False Positive",
+};
+
+// Pending actions on the summary card that get their own Review button
+const MAX_REVIEW_BUTTONS = 3;
+
+// Events listed under each penalty on the "Why this score?" card
+const MAX_EXPLAINED_EVENTS = 5;
+
+// Reporting period presets accepted as a bare argument or with --period
+const PERIOD_PRESETS = ["last-30-days", "last-quarter", "ytd"];
+
+// Low-confidence extractions listed on the /compliance-triage card
+const MAX_TRIAGE_ITEMS = 5;
+
+// Characters of the message shown for each triage candidate
+const TRIAGE_TEXT_LENGTH = 120;
+
+const TRIAGE_DECISIONS = ["accept", "reject", "reclassify"];
+const TRIAGE_DECISION_LABELS = {
+  accept: "Accept",
+  reject: "Reject",
+  reclassify: "Reclassify",
+};
+
+// Fields a reviewer can set when reclassifying
+const TRIAGE_FIELDS = ["event_type", "regulation", "risk_level"];
+
+const RISK_LEVELS = ["Low", "Medium", "High", "Critical"];
+
+// Metrics shown with their change against the previous period
+const PERIOD_COMPARISONS = [
+  ["compliance_score", "Compliance Score"],
+  ["approvals", "Approvals"],
+  ["high_risk", "High-Risk Events"],
+];
+
 /**
  * Main message handler - receives all messages from monitored channels
  */
@@ -25,11 +69,11 @@ async function handleMessage(request) {
 
   try {
     // Check if channel has compliance monitoring enabled
-    const isMonitored = await isChannelMonitored(channel.id);
+    const monitoring = await getMonitoringStatus(channel.id);
 
-    if (isMonitored) {
+    if (monitoring.monitored) {
       // Extract compliance events from message using Zia
-      await processComplianceEvent(message, channel, user);
+      await processComplianceEvent(message, channel, user, monitoring);
     }
 
     // Handle bot commands
@@ -54,53 +98,52 @@ async function handleMessage(request) {
 
 /**
  * Process compliance event extraction using Zia NLP
+ * Events are only tagged with regulations the channel monitors
  */
-async function processComplianceEvent(message, channel, user) {
+async function processComplianceEvent(
+  message,
+  channel,
+  user,
+  monitoring = { monitored: true, regulations: ["all"] }
+) {
   try {
-    // Call Zia Skills API for compliance entity extraction
-    const ziaResponse = await axios.post(
-      `${ZIA_API_URL}/skills/extract`,
-      {
-        text: message.text,
-        model_id: config.ziaModelId,
-        entities: [
-          "compliance_event",
-          "regulation_type",
-          "risk_level",
-          "decision_type",
-        ],
-      },
-      {
-        headers: {
-          Authorization: `Zoho-oauthtoken ${await getZohoAuthToken()}`,
-          "Content-Type": "application/json",
-        },
-      }
-    );
+    const extractedData = await extractEntities(message.text);
 
-    const extractedData = ziaResponse.data;
+    const regulation = resolveMonitoredRegulation(
+      extractedData.entities.regulation_type?.value,
+      monitoring.regulations
+    );
 
-    // If compliance-relevant content detected
-    if (extractedData.entities.compliance_event) {
+    // If compliance-relevant content detected for a monitored regulation
+    if (extractedData.entities.compliance_event && regulation) {
       const complianceEvent = {
         timestamp: new Date().toISOString(),
         channel_id: channel.id,
         channel_name: channel.name,
         message_id: message.id,
+        // Parent message of a thread reply; pairs approvals with requests
+        thread_id: message.thread_message_id || null,
         user_id: user.id,
         user_name: user.name,
         event_type: extractedData.entities.compliance_event.value,
-        regulation: extractedData.entities.regulation_type?.value || "General",
+        regulation,
         risk_level: extractedData.entities.risk_level?.value || "Low",
         decision_type: extractedData.entities.decision_type?.value,
         message_text: message.text,
         evidence_url: message.permalink,
         files: message.attachments || [],
+        // Picked up by the deadline reminder engine
+        stakeholders: (extractedData.entities.stakeholders || []).map(
+          (stakeholder) => stakeholder.name
+        ),
+        deadline: eventDeadline(extractedData.entities.deadlines),
         confidence_score: extractedData.confidence,
+        // Per-entity confidences; low-confidence extractions go to triage
+        zia_entities: extractedData.entities,
       };
 
       // Send to Catalyst for storage and processing
-      await axios.post(
+      const stored = await axios.post(
         `${CATALYST_BASE_URL}/functions/store-compliance-event`,
         complianceEvent,
         {
@@ -110,9 +153,22 @@ async function processComplianceEvent(message, channel, user) {
         }
       );
 
-      // Check if immediate action required (high risk)
-      if (extractedData.entities.risk_level?.value === "High") {
-        await sendRiskAlert(complianceEvent, channel);
+      // Alert on new events; send-alert posts High and Critical ones right
+      // away and batches Low and Medium ones into the digest. Repeat
+      // deliveries and edits that didn't change the risk level were already
+      // alerted, and triaged extractions are alerted by triage-decision
+      // once a reviewer accepts them.
+      const { duplicate, triaged, revision, reclassification } = stored.data;
+      const newlyAlertable =
+        !duplicate &&
+        !triaged &&
+        (!revision || revision === 1 || reclassification?.risk_level);
+
+      if (newlyAlertable) {
+        await sendRiskAlert(
+          { ...complianceEvent, event_id: stored.data.event_id },
+          channel
+        );
       }
     }
 
@@ -123,6 +179,64 @@ async function processComplianceEvent(message, channel, user) {
   }
 }
 
+/**
+ * The event's deadline from the first extracted one, as a DataStore
+ * datetime. A date without a time falls due at the end of that day.
+ */
+function eventDeadline(deadlines) {
+  const first = (deadlines || [])[0];
+  if (!first || !first.date) return null;
+
+  const date = String(first.date);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(date)) return date + " 23:59:59";
+  return date.slice(0, 19).replace("T", " ");
+}
+
+/**
+ * Extract compliance entities with Zia, or with the rule-based extractor
+ * when Zia is disabled (ZIA_API_URL=disabled) or unreachable
+ */
+async function extractEntities(text) {
+  if (!config.features.aiExtraction) {
+    return ruleExtractor.extract(text);
+  }
+
+  try {
+    const ziaResponse = await axios.post(
+      `${ZIA_API_URL}/skills/extract`,
+      {
+        text,
+        model_id: config.ziaModelId,
+        entities: [
+          "compliance_event",
+          "regulation_type",
+          "risk_level",
+          "decision_type",
+          "stakeholder",
+          "deadline",
+        ],
+      },
+      {
+        headers: {
+          Authorization: `Zoho-oauthtoken ${await getZohoAuthToken()}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+    return ziaResponse.data;
+  } catch (error) {
+    // Network errors, timeouts and Zia outages; a rejected request (4xx)
+    // is a configuration problem and still fails loudly
+    const status = error.response && error.response.status;
+    if (status && status < 500) throw error;
+
+    console.warn(
+      "Zia unreachable, using rule-based extraction: " + error.message
+    );
+    return ruleExtractor.extract(text);
+  }
+}
+
 /**
  * Handle bot commands
  */
@@ -142,11 +256,20 @@ async function handleCommand(message, channel, user) {
       return await getPredictedRisks(args, channel);
 
     case "/compliance-export":
-      return await exportComplianceReport(args, channel, user);
+      return await exportComplianceReport(parseExportArgs(args), channel, user);
 
     case "/compliance-monitor":
       return await toggleMonitoring(args, channel, user);
 
+    case "/compliance-verify":
+      return await verifyAuditTrail(args);
+
+    case "/compliance-triage":
+      return await handleTriage(args, channel, user);
+
+    case "/compliance-sla":
+      return await getApprovalSla(args, channel);
+
     case "/compliance-help":
       return await showHelp(channel);
 
@@ -161,8 +284,11 @@ async function handleCommand(message, channel, user) {
  * Generate compliance summary report
  */
 async function generateComplianceSummary(args, channel) {
-  const projectName = args[0] || channel.name;
-  const regulation = args[1] || "all";
+  // "/compliance-summary apollo GDPR --from 2025-01-01 --to 2025-03-31"
+  // or a preset: "/compliance-summary apollo GDPR last-quarter"
+  const { positional, period } = parsePeriodArgs(args);
+  const projectName = positional[0] || channel.name;
+  const regulation = positional[1] || "all";
 
   try {
     // Call Catalyst function to generate summary
@@ -173,11 +299,16 @@ async function generateComplianceSummary(args, channel) {
           project: projectName,
           regulation: regulation,
           channel_id: channel.id,
+          ...period,
         },
       }
     );
 
     const summary = response.data;
+    const reviewable = summary.pending_actions.slice(0, MAX_REVIEW_BUTTONS);
+    // The summary lists a capped number of pending actions
+    const morePending =
+      (summary.pending_action_count || 0) - summary.pending_actions.length;
 
     // Format response as rich card
     return {
@@ -213,11 +344,28 @@ async function generateComplianceSummary(args, channel) {
           {
             id: 3,
             title: "Pending Actions",
-            data: summary.pending_actions.map((action) => ({
-              key: "⚠️",
-              value: action,
-            })),
+            data: [
+              ...summary.pending_actions.map((action, index) => ({
+                key: `⚠️ #${index + 1}`,
+                value: `${action.type} (${action.status}): ${action.description}`,
+              })),
+              ...(morePending > 0
+                ? [{ key: "More", value: `${morePending} more pending` }]
+                : []),
+            ],
           },
+          ...(summary.deltas && summary.previous_period
+            ? [
+                {
+                  id: 4,
+                  title: `vs ${summary.previous_period.period}`,
+                  data: PERIOD_COMPARISONS.map(([metric, label]) => ({
+                    key: label,
+                    value: formatDelta(summary.deltas[metric]),
+                  })),
+                },
+              ]
+            : []),
         ],
         buttons: [
           {
@@ -225,12 +373,34 @@ async function generateComplianceSummary(args, channel) {
             type: "open.url",
             url: summary.report_url,
           },
+          {
+            label: "Why this score?",
+            type: "invoke.function",
+            function_name: "explain_score",
+            data: {
+              source: "summary",
+              project: projectName,
+              regulation,
+              ...period,
+            },
+          },
           {
             label: "Export PDF",
             type: "invoke.function",
             function_name: "export_report",
-            data: { project: projectName, format: "pdf" },
+            data: {
+              project: projectName,
+              regulation,
+              format: "pdf",
+              ...period,
+            },
           },
+          ...reviewable.map((action, index) => ({
+            label: `Review #${index + 1}`,
+            type: "invoke.function",
+            function_name: "update_event_status",
+            data: { event_id: String(action.event_id) },
+          })),
         ],
       },
     };
@@ -241,6 +411,42 @@ async function generateComplianceSummary(args, channel) {
   }
 }
 
+/**
+ * Split --from/--to/--period flags and bare period presets from the
+ * positional command arguments
+ */
+function parsePeriodArgs(args) {
+  const positional = [];
+  const period = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const flag = /^--(from|to|period)(?:=(.*))?$/.exec(arg);
+
+    if (flag) {
+      const value = flag[2] !== undefined ? flag[2] : args[++i];
+      if (value) period[flag[1]] = value;
+    } else if (PERIOD_PRESETS.includes(String(arg).toLowerCase())) {
+      period.period = arg.toLowerCase();
+    } else if (arg) {
+      positional.push(arg);
+    }
+  }
+
+  return { positional, period };
+}
+
+/**
+ * Format a period-over-period delta, e.g. "82 (▲ 4.5 from 77.5)"
+ */
+function formatDelta(delta) {
+  if (!delta) return "–";
+  if (delta.direction === "flat") return `${delta.current} (no change)`;
+
+  const arrow = delta.direction === "up" ? "▲" : "▼";
+  return `${delta.current} (${arrow} ${Math.abs(delta.change)} from ${delta.previous})`;
+}
+
 /**
  * Get compliance health score
  */
@@ -273,7 +479,8 @@ async function getComplianceHealth(args, channel) {
                 key: "Health Score",
                 value: `${scoreEmoji} ${health.score}/100`,
               },
-              { key: "Trend", value: health.trend },
+              { key: "Scope", value: `${health.scope}: ${health.scope_value}` },
+              { key: "Trend", value: formatTrend(health) },
               { key: "Last Updated", value: health.last_updated },
             ],
           },
@@ -295,6 +502,14 @@ async function getComplianceHealth(args, channel) {
             ],
           },
         ],
+        buttons: [
+          {
+            label: "Why this score?",
+            type: "invoke.function",
+            function_name: "explain_score",
+            data: { source: "health", scope },
+          },
+        ],
       },
     };
   } catch (error) {
@@ -304,10 +519,25 @@ async function getComplianceHealth(args, channel) {
   }
 }
 
+/**
+ * Format health trend with the change against the previous period
+ */
+function formatTrend(health) {
+  if (health.score_change === null || health.score_change === undefined) {
+    return health.trend;
+  }
+  const sign = health.score_change > 0 ? "+" : "";
+  return `${health.trend} (${sign}${health.score_change} vs previous period)`;
+}
+
 /**
  * Get predicted compliance risks
  */
 async function getPredictedRisks(args, channel) {
+  if ((args[0] || "").toLowerCase() === "accuracy") {
+    return await getPredictionAccuracy(args.slice(1), channel);
+  }
+
   const daysAhead = parseInt(args[0]) || 7;
 
   try {
@@ -342,33 +572,223 @@ async function getPredictedRisks(args, channel) {
           title: `${getRiskEmoji(risk.severity)} ${risk.title}`,
           data: [
             { key: "Severity", value: risk.severity },
-            { key: "Impact Date", value: risk.predicted_date },
-            { key: "Affected Teams", value: risk.teams.join(", ") },
-            { key: "Recommendation", value: risk.recommendation },
+            {
+              key: "Probability",
+              value: `${Math.round(risk.probability * 100)}%`,
+            },
+            {
+              key: "Impact Date",
+              value: new Date(risk.predicted_impact_date).toLocaleDateString(),
+            },
+            { key: "Affected Teams", value: risk.affected_teams.join(", ") },
+            {
+              key: "Recommendation",
+              value: risk.recommendations[0]?.action || "Monitor closely",
+            },
           ],
         })),
-        buttons: [
+      },
+    };
+  } catch (error) {
+    return {
+      text: `❌ Error predicting risks: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * How past predictions turned out: "/compliance-risks accuracy [here] [days]"
+ */
+async function getPredictionAccuracy(args, channel) {
+  const here = args.some((arg) => arg.toLowerCase() === "here");
+  const days = parseInt(args.find((arg) => /^\d+$/.test(arg))) || 90;
+
+  try {
+    const response = await axios.get(
+      `${CATALYST_BASE_URL}/functions/prediction-accuracy`,
+      {
+        params: {
+          channel_id: here ? channel.id : undefined,
+          days,
+        },
+      }
+    );
+    const stats = response.data;
+
+    if (!stats.success) {
+      return { text: `❌ Could not load prediction accuracy: ${stats.error}` };
+    }
+    if (stats.evaluated === 0) {
+      return {
+        text: `No risk predictions have been evaluated in the last ${days} days. Outcomes are recorded once a prediction's impact date has passed.`,
+      };
+    }
+
+    const percent = (value) =>
+      value === null ? "n/a" : `${Math.round(value * 100)}%`;
+
+    return {
+      text: `🎯 Risk Prediction Accuracy (${stats.evaluated} prediction${stats.evaluated === 1 ? "" : "s"})`,
+      card: {
+        title: `Prediction Backtest (Last ${days} Days${here ? ", This Channel" : ""})`,
+        theme: "modern-inline",
+        sections: [
           {
-            label: "View Details",
-            type: "open.url",
-            url: response.data.details_url,
+            id: 1,
+            title: "Overall",
+            data: [
+              { key: "Evaluated", value: String(stats.evaluated) },
+              {
+                key: "Materialized",
+                value: `${stats.materialized} (${percent(stats.materialized / stats.evaluated)})`,
+              },
+              {
+                key: `Precision (≥ ${percent(stats.threshold)})`,
+                value: percent(stats.precision),
+              },
+              { key: "Recall", value: percent(stats.recall) },
+              { key: "Brier Score", value: String(stats.brier_score) },
+            ],
+          },
+          {
+            id: 2,
+            title: "Calibration",
+            data: stats.calibration.map((bin) => ({
+              key: bin.range,
+              value: `predicted ${percent(bin.mean_probability)} · observed ${percent(bin.observed_rate)} (${bin.predictions})`,
+            })),
+          },
+          {
+            id: 3,
+            title: "By Risk Category",
+            data: Object.entries(stats.by_category).map(([category, c]) => ({
+              key: category.replace(/_/g, " "),
+              value: `${c.materialized}/${c.evaluated} materialized · precision ${percent(c.precision)} · recall ${percent(c.recall)}`,
+            })),
           },
         ],
       },
     };
   } catch (error) {
     return {
-      text: `❌ Error predicting risks: ${error.message}`,
+      text: `❌ Error loading prediction accuracy: ${error.message}`,
     };
   }
 }
 
 /**
- * Export compliance report
+ * Approval latency and SLA breaches: "/compliance-sla [here] [days]"
  */
-async function exportComplianceReport(args, channel, user) {
-  const project = args[0];
-  const format = (args[1] || "PDF").toUpperCase();
+async function getApprovalSla(args, channel) {
+  const here = args.some((arg) => arg.toLowerCase() === "here");
+  const days = parseInt(args.find((arg) => /^\d+$/.test(arg))) || 30;
+
+  try {
+    const response = await axios.get(
+      `${CATALYST_BASE_URL}/functions/approval-sla`,
+      {
+        params: {
+          channel_id: here ? channel.id : undefined,
+          days,
+        },
+      }
+    );
+    const stats = response.data;
+
+    if (!stats.success) {
+      return { text: `❌ Could not load approval SLAs: ${stats.error}` };
+    }
+    const overall = stats.overall;
+    if (overall.approvals === 0 && overall.open_requests === 0) {
+      return {
+        text: `No approval requests found in the last ${days} days.`,
+      };
+    }
+
+    const hours = (value) => (value === null ? "n/a" : `${value}h`);
+    const targets = [
+      `${stats.sla.default_hours}h`,
+      ...Object.entries(stats.sla.by_regulation).map(
+        ([regulation, target]) => `${regulation} ${target}h`
+      ),
+    ].join(", ");
+    // Slowest first, by p90
+    const groupRows = (groups) =>
+      Object.entries(groups)
+        .sort(([, a], [, b]) => b.p90_hours - a.p90_hours)
+        .slice(0, 5)
+        .map(([name, g]) => ({
+          key: name,
+          value: `median ${hours(g.median_hours)} · p90 ${hours(g.p90_hours)} · ${g.breaches}/${g.approvals} late`,
+        }));
+
+    const sections = [
+      {
+        id: 1,
+        title: "Overall",
+        data: [
+          { key: "Approvals", value: String(overall.approvals) },
+          { key: "Median", value: hours(overall.median_hours) },
+          { key: "P90", value: hours(overall.p90_hours) },
+          { key: "SLA Target", value: targets },
+          {
+            key: "Late Approvals",
+            value: `${overall.breaches}${overall.approvals > 0 ? ` (${Math.round(overall.breach_rate * 100)}%)` : ""}`,
+          },
+          {
+            key: "Open Past SLA",
+            value: `${overall.open_breaches} of ${overall.open_requests} open request${overall.open_requests === 1 ? "" : "s"}`,
+          },
+        ],
+      },
+      { id: 2, title: "By Approver", data: groupRows(stats.by_approver) },
+      { id: 3, title: "By Team", data: groupRows(stats.by_team) },
+      { id: 4, title: "By Regulation", data: groupRows(stats.by_regulation) },
+    ].filter((section) => section.data.length > 0);
+
+    if (stats.breaches.length > 0) {
+      sections.push({
+        id: 5,
+        title: "🔴 SLA Breaches",
+        data: stats.breaches.slice(0, 5).map((b) => ({
+          key: `${b.regulation} · ${b.team}`,
+          value:
+            b.status === "open"
+              ? `open for ${hours(b.hours)}, target ${hours(b.target_hours)}`
+              : `approved by ${b.approver} after ${hours(b.hours)}, target ${hours(b.target_hours)}`,
+        })),
+      });
+    }
+
+    return {
+      text: `⏱️ Approval SLA (${stats.breaches.length} breach${stats.breaches.length === 1 ? "" : "es"})`,
+      card: {
+        title: `Approval Latency (Last ${days} Days${here ? ", This Channel" : ""})`,
+        theme: "modern-inline",
+        sections,
+      },
+    };
+  } catch (error) {
+    return {
+      text: `❌ Error loading approval SLAs: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Read "/compliance-export <project> <format> [period]" arguments
+ */
+function parseExportArgs(args) {
+  const { positional, period } = parsePeriodArgs(args);
+  return { project: positional[0], format: positional[1], ...period };
+}
+
+/**
+ * Export compliance report for a project, regulation and period
+ */
+async function exportComplianceReport(request, channel, user) {
+  const { project, regulation, period, from, to } = request;
+  const format = (request.format || "PDF").toUpperCase();
 
   if (!project) {
     return {
@@ -377,17 +797,27 @@ async function exportComplianceReport(args, channel, user) {
   }
 
   try {
-    // Trigger report generation
+    // Queue report generation; the file link is sent by DM when it's done
     const response = await axios.post(
       `${CATALYST_BASE_URL}/functions/export-report`,
       {
         project,
         format,
+        regulation,
         channel_id: channel.id,
         requested_by: user.id,
+        period,
+        from,
+        to,
       }
     );
 
+    if (!response.data.success) {
+      return {
+        text: `❌ Export failed: ${response.data.error}`,
+      };
+    }
+
     return {
       text: `📄 Generating ${format} report for "${project}"... You'll receive a DM when ready.`,
     };
@@ -398,6 +828,94 @@ async function exportComplianceReport(args, channel, user) {
   }
 }
 
+/**
+ * Verify the audit log hash chain
+ */
+async function verifyAuditTrail(args) {
+  // Project is optional: "/compliance-verify 2025-01-01 2025-01-31"
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "");
+  const project = isDate(args[0]) ? "all" : args[0] || "all";
+  const [from, to] = isDate(args[0]) ? args : args.slice(1);
+
+  try {
+    const response = await axios.get(
+      `${CATALYST_BASE_URL}/functions/verify-audit-chain`,
+      {
+        params: { project, from, to },
+      }
+    );
+
+    const result = response.data;
+
+    if (result.error) {
+      return {
+        text: `❌ Verification failed: ${result.error}`,
+      };
+    }
+
+    const brokenLink = result.first_broken_link;
+
+    return {
+      text: result.valid
+        ? `✅ Audit trail verified: ${result.records_checked} record(s) intact`
+        : `🚨 Audit trail verification found problems`,
+      card: {
+        title: `Audit Trail Verification - ${project === "all" ? "All Projects" : project}`,
+        theme: "modern-inline",
+        sections: [
+          {
+            id: 1,
+            title: "Chain Integrity",
+            data: [
+              { key: "Period", value: `${result.from} to ${result.to}` },
+              { key: "Records Checked", value: result.records_checked },
+              {
+                key: "Hash Chain",
+                value: brokenLink ? "🔴 Broken" : "🟢 Intact",
+              },
+              {
+                key: "First Broken Link",
+                value: brokenLink
+                  ? `Log ${brokenLink.log_id} (${brokenLink.period_start}, ${brokenLink.project_id}): ${brokenLink.reason}`
+                  : "None",
+              },
+            ],
+          },
+          {
+            id: 2,
+            title: "Coverage",
+            data: [
+              {
+                key: "Missing Days",
+                value:
+                  result.missing_days.length > 0
+                    ? result.missing_days.join(", ")
+                    : "None",
+              },
+              {
+                key: "Changed After Export",
+                value:
+                  result.changed_events.length > 0
+                    ? result.changed_events
+                        .map(
+                          (e) =>
+                            `${e.event_id} (${e.deleted ? "deleted" : e.fields.join(", ")})`
+                        )
+                        .join("; ")
+                    : "None",
+              },
+            ],
+          },
+        ],
+      },
+    };
+  } catch (error) {
+    return {
+      text: `❌ Verification failed: ${error.message}`,
+    };
+  }
+}
+
 /**
  * Toggle compliance monitoring for channel
  */
@@ -412,18 +930,30 @@ async function toggleMonitoring(args, channel, user) {
   }
 
   try {
-    await axios.post(`${CATALYST_BASE_URL}/functions/toggle-monitoring`, {
-      channel_id: channel.id,
-      action,
-      regulation,
-      user_id: user.id,
-    });
+    const response = await axios.post(
+      `${CATALYST_BASE_URL}/functions/toggle-monitoring`,
+      {
+        channel_id: channel.id,
+        channel_name: channel.name,
+        action,
+        regulation,
+        user_id: user.id,
+      }
+    );
+
+    const { monitored, regulations } = response.data;
+
+    if (!monitored) {
+      return {
+        text: `🔕 Compliance monitoring disabled for this channel`,
+      };
+    }
 
     return {
       text:
         action === "on"
-          ? `✅ Compliance monitoring enabled for ${regulation.toUpperCase()} in this channel`
-          : `🔕 Compliance monitoring disabled for this channel`,
+          ? `✅ Compliance monitoring enabled for ${regulation.toUpperCase()} in this channel (watching: ${formatRegulations(regulations)})`
+          : `🔕 Stopped monitoring ${regulation.toUpperCase()} (still watching: ${formatRegulations(regulations)})`,
     };
   } catch (error) {
     return {
@@ -452,6 +982,10 @@ async function showHelp(channel) {
               value: "View compliance health score",
             },
             { key: "/compliance-export", value: "Export compliance report" },
+            {
+              key: "/compliance-verify",
+              value: "Verify the tamper-evident audit trail",
+            },
           ],
         },
         {
@@ -459,7 +993,19 @@ async function showHelp(channel) {
           title: "Monitoring",
           data: [
             { key: "/compliance-risks", value: "View predicted risks" },
+            {
+              key: "/compliance-risks accuracy",
+              value: "How past risk predictions turned out",
+            },
+            {
+              key: "/compliance-sla",
+              value: "Approval latency and SLA breaches",
+            },
             { key: "/compliance-monitor", value: "Enable/disable monitoring" },
+            {
+              key: "/compliance-triage",
+              value: "Review low-confidence extractions",
+            },
           ],
         },
         {
@@ -478,47 +1024,471 @@ async function showHelp(channel) {
 }
 
 /**
- * Send risk alert to stakeholders
+ * Send risk alert to stakeholders picked by the alert routing rules
  */
 async function sendRiskAlert(event, channel) {
-  const alertMessage = {
-    text: `🚨 High-Risk Compliance Event Detected`,
+  // send-alert builds the risk alert card, routes by regulation, risk level
+  // and project, falling back to the compliance team channel; it retries and
+  // dead-letters failed deliveries
+  await axios.post(`${CATALYST_BASE_URL}/functions/send-alert`, {
+    event: {
+      event_id: String(event.event_id),
+      regulation: event.regulation,
+      risk_level: event.risk_level,
+      event_type: event.event_type,
+      project_id: event.project_id || event.channel_id,
+      channel_id: event.channel_id,
+      channel_name: event.channel_name,
+      user_name: event.user_name,
+      evidence_url: event.evidence_url,
+    },
+    kind: "risk",
+    fallback_channel_id: config.complianceTeamChannelId,
+    source: "risk-alert",
+  });
+}
+
+/**
+ * List, review and decide low-confidence extractions in the triage queue
+ */
+async function handleTriage(args, channel, user) {
+  // "/compliance-triage", "/compliance-triage here",
+  // "/compliance-triage accept 123" or
+  // "/compliance-triage reclassify 123 risk_level=High regulation=GDPR"
+  const action = (args[0] || "").toLowerCase();
+
+  if (TRIAGE_DECISIONS.includes(action)) {
+    const changes = {};
+    args.slice(2).forEach((arg) => {
+      const [key, ...value] = arg.split("=");
+      if (TRIAGE_FIELDS.includes(key) && value.length > 0) {
+        changes[key] = value.join("=");
+      }
+    });
+    return await decideTriage(
+      { triage_id: args[1], decision: action, ...changes },
+      user
+    );
+  }
+
+  return await listTriage(action === "here" ? channel.id : null);
+}
+
+async function listTriage(channelId) {
+  try {
+    const response = await axios.post(
+      `${CATALYST_BASE_URL}/functions/triage-queue`,
+      { channel_id: channelId, limit: MAX_TRIAGE_ITEMS }
+    );
+    const result = response.data;
+
+    if (!result.success) {
+      return { text: `❌ Could not load the triage queue: ${result.error}` };
+    }
+    if (result.items.length === 0) {
+      return { text: "✅ No low-confidence extractions waiting for triage" };
+    }
+
+    return {
+      text: `🔍 ${result.pending_count} extraction${result.pending_count === 1 ? "" : "s"} waiting for triage`,
+      card: {
+        title: "Compliance Triage Queue",
+        theme: "modern-inline",
+        sections: result.items.map((item, index) => ({
+          id: index + 1,
+          title: `#${index + 1} · ${item.channel_name || "Unknown channel"} · ${item.user_name}`,
+          data: triageDetails(item),
+        })),
+        buttons: result.items.map((item, index) => ({
+          label: `Review #${index + 1}`,
+          type: "invoke.function",
+          function_name: "review_triage",
+          data: triageSummary(item),
+        })),
+      },
+    };
+  } catch (error) {
+    return { text: `❌ Error loading triage queue: ${error.message}` };
+  }
+}
+
+/**
+ * Card for one candidate with Accept / Reject / Reclassify
+ */
+function reviewTriage(data) {
+  const buttons = TRIAGE_DECISIONS.map((decision) => ({
+    label: TRIAGE_DECISION_LABELS[decision],
+    type: "invoke.function",
+    function_name: "triage_decision",
+    // The candidate rides along for the reclassify card; only explicit
+    // event_type / regulation / risk_level values count as changes
+    data: {
+      triage_id: data.triage_id,
+      decision,
+      candidate: JSON.stringify(data),
+    },
+  }));
+  if (data.evidence_url) {
+    buttons.push({
+      label: "View Message",
+      type: "open.url",
+      url: data.evidence_url,
+    });
+  }
+
+  return {
+    text: `🔍 Triage candidate ${data.triage_id}`,
     card: {
-      title: "⚠️ Immediate Attention Required",
+      title: "Review Extraction",
       theme: "modern-inline",
-      sections: [
-        {
-          id: 1,
-          data: [
-            { key: "Event Type", value: event.event_type },
-            { key: "Regulation", value: event.regulation },
-            { key: "Channel", value: event.channel_name },
-            { key: "Reported By", value: event.user_name },
-            { key: "Risk Level", value: "🔴 HIGH" },
-          ],
-        },
-      ],
-      buttons: [
-        {
-          label: "View Message",
-          type: "open.url",
-          url: event.evidence_url,
-        },
-      ],
+      sections: [{ id: 1, title: "Candidate", data: triageDetails(data) }],
+      buttons,
     },
   };
+}
 
-  // Send to compliance team channel (configured in settings)
-  await axios.post(`${CATALYST_BASE_URL}/functions/send-alert`, {
-    alert: alertMessage,
-    channel_id: config.complianceTeamChannelId,
+/**
+ * Record a triage decision; Reclassify from a card first asks for the new
+ * risk level
+ */
+async function decideTriage(data, user) {
+  if (!data.triage_id) {
+    return {
+      text: "Usage: /compliance-triage accept|reject|reclassify <triage-id> [risk_level=High] [regulation=GDPR] [event_type=approval]",
+    };
+  }
+
+  if (
+    data.decision === "reclassify" &&
+    !TRIAGE_FIELDS.some((field) => data[field])
+  ) {
+    const candidate = parseCandidate(data.candidate);
+    return {
+      text: `🏷️ Reclassify candidate ${data.triage_id}: pick a risk level, or use /compliance-triage reclassify ${data.triage_id} regulation=GDPR event_type=approval`,
+      card: {
+        title: "Reclassify Extraction",
+        theme: "modern-inline",
+        sections: candidate
+          ? [{ id: 1, title: "Candidate", data: triageDetails(candidate) }]
+          : [],
+        buttons: RISK_LEVELS.filter(
+          (level) => !candidate || level !== candidate.risk_level
+        ).map((level) => ({
+          label: `${getRiskEmoji(level)} ${level}`,
+          type: "invoke.function",
+          function_name: "triage_decision",
+          data: {
+            triage_id: data.triage_id,
+            decision: "reclassify",
+            risk_level: level,
+          },
+        })),
+      },
+    };
+  }
+
+  try {
+    const response = await axios.post(
+      `${CATALYST_BASE_URL}/functions/triage-decision`,
+      {
+        triage_id: String(data.triage_id),
+        decision: data.decision,
+        event_type: data.event_type,
+        regulation: data.regulation,
+        risk_level: data.risk_level,
+        user_id: user.id,
+        user_name: user.name,
+      }
+    );
+    const result = response.data;
+
+    if (!result.success) {
+      return {
+        text: `❌ Could not record the decision for ${data.triage_id}: ${result.error}`,
+      };
+    }
+
+    const labels = `${result.labels.event_type} · ${result.labels.regulation} · ${result.labels.risk_level}`;
+    const messages = {
+      accepted: `✅ Candidate ${result.triage_id} accepted and stored as event ${result.event_id} (${labels})`,
+      rejected: `🗑️ Candidate ${result.triage_id} rejected as not a compliance event`,
+      reclassified: `🏷️ Candidate ${result.triage_id} reclassified as ${labels} and stored as event ${result.event_id}`,
+    };
+    return { text: messages[result.status] };
+  } catch (error) {
+    return { text: `❌ Error recording triage decision: ${error.message}` };
+  }
+}
+
+/**
+ * Card rows for a candidate: message, Zia's labels and what fell short
+ */
+function triageDetails(item) {
+  const below = Array.isArray(item.below_threshold)
+    ? item.below_threshold
+    : JSON.parse(item.below_threshold || "[]");
+  const text = String(item.message_text || "");
+
+  return [
+    { key: "Triage ID", value: String(item.triage_id) },
+    {
+      key: "Message",
+      value:
+        text.length > TRIAGE_TEXT_LENGTH
+          ? text.slice(0, TRIAGE_TEXT_LENGTH) + "…"
+          : text,
+    },
+    {
+      key: "Zia Labels",
+      value: `${item.event_type} · ${item.regulation} · ${item.risk_level}`,
+    },
+    {
+      key: "Low Confidence",
+      value: below
+        .map(
+          (b) =>
+            `${b.entity} ${Number(b.confidence).toFixed(2)} < ${b.threshold}`
+        )
+        .join(", "),
+    },
+  ];
+}
+
+// Button data carrying what the review card shows
+function triageSummary(item) {
+  return {
+    triage_id: String(item.triage_id),
+    message_text: String(item.message_text || "").slice(0, TRIAGE_TEXT_LENGTH),
+    event_type: item.event_type,
+    regulation: item.regulation,
+    risk_level: item.risk_level,
+    below_threshold: JSON.stringify(item.below_threshold || []),
+    evidence_url: item.evidence_url,
+  };
+}
+
+/**
+ * Handle card button clicks in the channel the card was posted to
+ */
+async function handleCardAction(action, user, channel = action.channel || {}) {
+  switch (action.function_name) {
+    case "update_event_status":
+      return await updateEventStatus(action.data || {}, user);
+
+    case "explain_score":
+      return await explainComplianceScore(action.data || {});
+
+    case "export_report":
+      return await exportComplianceReport(action.data || {}, channel, user);
+
+    case "review_triage":
+      return reviewTriage(action.data || {});
+
+    case "triage_decision":
+      return await decideTriage(action.data || {}, user);
+
+    default:
+      return {
+        text: `Unknown action: ${action.function_name}`,
+      };
+  }
+}
+
+/**
+ * Break a summary or health score down into its bonuses and penalties,
+ * listing the events behind each penalty with links to their evidence
+ */
+async function explainComplianceScore(data) {
+  const fromHealth = data.source === "health";
+
+  try {
+    const response = fromHealth
+      ? await axios.get(`${CATALYST_BASE_URL}/functions/health-score`, {
+          params: { scope: data.scope, explain: true },
+        })
+      : await axios.get(`${CATALYST_BASE_URL}/functions/generate-summary`, {
+          params: {
+            project: data.project,
+            regulation: data.regulation || "all",
+            from: data.from,
+            to: data.to,
+            period: data.period,
+            explain: true,
+          },
+        });
+
+    const result = response.data;
+    const explanation = result.score_explanation;
+
+    if (!explanation) {
+      return {
+        text: `❌ Could not explain the score: ${result.error || "no breakdown returned"}`,
+      };
+    }
+
+    const subject = fromHealth
+      ? `${result.scope}: ${result.scope_value}`
+      : data.project;
+
+    const factorSections = explanation.factors.map((factor, index) => ({
+      id: index + 2,
+      title: `${factor.label}: ${formatPoints(factor.points)}`,
+      data: factor.events
+        ? explainedEvents(factor.events)
+        : [{ key: "Basis", value: factor.detail }],
+    }));
+
+    return {
+      text: `🔍 Why is the compliance score ${explanation.score}?`,
+      card: {
+        title: `Score Breakdown - ${subject}`,
+        theme: "modern-inline",
+        sections: [
+          {
+            id: 1,
+            title: "Score",
+            data: [
+              { key: "Score", value: `${explanation.score}/100` },
+              { key: "Starting Score", value: explanation.base_score },
+              { key: "Events Scored", value: explanation.total_events },
+              { key: "Period", value: result.period },
+              { key: "Model Version", value: explanation.model_version },
+            ],
+          },
+          ...factorSections,
+        ],
+      },
+    };
+  } catch (error) {
+    return {
+      text: `❌ Error explaining score: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Rows for the events behind a penalty, capped at MAX_EXPLAINED_EVENTS
+ */
+function explainedEvents(events) {
+  if (events.length === 0) {
+    return [{ key: "—", value: "No events" }];
+  }
+
+  const rows = events.slice(0, MAX_EXPLAINED_EVENTS).map((e) => {
+    const details = [
+      formatPoints(e.points),
+      e.status,
+      e.deadline ? `due ${e.deadline}` : null,
+      e.weight !== 1 ? `${e.regulation} weight ×${e.weight}` : null,
+      e.evidence_url ? `[Evidence](${e.evidence_url})` : "no evidence link",
+    ];
+
+    return {
+      key: `#${e.event_id} ${e.risk_level} ${e.event_type} (${e.regulation})`,
+      value: details.filter(Boolean).join(" · "),
+    };
   });
+
+  if (events.length > MAX_EXPLAINED_EVENTS) {
+    rows.push({
+      key: "…",
+      value: `${events.length - MAX_EXPLAINED_EVENTS} more event(s)`,
+    });
+  }
+
+  return rows;
+}
+
+function formatPoints(points) {
+  return `${points > 0 ? "+" : ""}${points} pts`;
+}
+
+/**
+ * Move an event to a new review status, or show its status when none is given
+ */
+async function updateEventStatus(data, user) {
+  try {
+    const response = await axios.post(
+      `${CATALYST_BASE_URL}/functions/update-event-status`,
+      {
+        event_id: data.event_id,
+        status: data.status,
+        note: data.note,
+        user_id: user.id,
+        user_name: user.name,
+      }
+    );
+
+    const result = response.data;
+
+    if (!result.success) {
+      return {
+        text: `❌ Could not update event ${data.event_id}: ${result.error}`,
+      };
+    }
+
+    const event = result.event;
+    const buttons = result.available_transitions.map((status) => ({
+      label: STATUS_ACTION_LABELS[status] || status,
+      type: "invoke.function",
+      function_name: "update_event_status",
+      data: { event_id: String(result.event_id), status },
+    }));
+    if (event.evidence_url) {
+      buttons.push({
+        label: "View Message",
+        type: "open.url",
+        url: event.evidence_url,
+      });
+    }
+
+    return {
+      text:
+        result.previous_status !== result.status
+          ? `✅ Event ${result.event_id} moved from ${result.previous_status} to ${result.status}`
+          : `📋 Event ${result.event_id} is ${result.status}`,
+      card: {
+        title: `Compliance Event #${result.event_id}`,
+        theme: "modern-inline",
+        sections: [
+          {
+            id: 1,
+            title: "Details",
+            data: [
+              { key: "Status", value: result.status },
+              { key: "Event Type", value: event.event_type },
+              { key: "Regulation", value: event.regulation },
+              { key: "Risk Level", value: event.risk_level },
+              { key: "Channel", value: event.channel_name },
+              { key: "Reported By", value: event.user_name },
+            ],
+          },
+          {
+            id: 2,
+            title: "History",
+            data:
+              result.history.length > 0
+                ? result.history.map((h) => ({
+                    key: h.changed_at,
+                    value: `${h.from_status} → ${h.to_status} by ${h.changed_by_name || h.changed_by}${h.note ? `: ${h.note}` : ""}`,
+                  }))
+                : [{ key: "—", value: "No status changes yet" }],
+          },
+        ],
+        buttons,
+      },
+    };
+  } catch (error) {
+    return {
+      text: `❌ Error updating event: ${error.message}`,
+    };
+  }
 }
 
 /**
- * Check if channel has compliance monitoring enabled
+ * Get the channel's monitoring status and the regulations it watches
  */
-async function isChannelMonitored(channelId) {
+async function getMonitoringStatus(channelId) {
   try {
     const response = await axios.get(
       `${CATALYST_BASE_URL}/functions/check-monitoring`,
@@ -526,11 +1496,46 @@ async function isChannelMonitored(channelId) {
         params: { channel_id: channelId },
       }
     );
-    return response.data.monitored;
+    return {
+      monitored: !!response.data.monitored,
+      regulations: response.data.regulations || [],
+    };
   } catch (error) {
     console.error("Error checking monitoring status:", error);
-    return false;
+    return { monitored: false, regulations: [] };
+  }
+}
+
+/**
+ * Resolve the regulation an event is tagged with.
+ * Returns null when the channel doesn't monitor the extracted regulation;
+ * untagged events inherit the channel's regulation if it watches only one.
+ */
+function resolveMonitoredRegulation(extracted, monitoredRegulations = ["all"]) {
+  if (monitoredRegulations.includes("all")) {
+    return extracted || "General";
+  }
+
+  if (!extracted || extracted === "General") {
+    return monitoredRegulations.length === 1
+      ? monitoredRegulations[0]
+      : "General";
   }
+
+  const normalized = extracted.toUpperCase().replace(/\s+/g, "");
+  const match = monitoredRegulations.find(
+    (r) => r.toUpperCase().replace(/\s+/g, "") === normalized
+  );
+  return match || null;
+}
+
+/**
+ * Format a monitored regulation list for display
+ */
+function formatRegulations(regulations) {
+  return regulations.includes("all")
+    ? "all regulations"
+    : regulations.join(", ");
 }
 
 /**
@@ -542,6 +1547,19 @@ async function getZohoAuthToken() {
   return process.env.ZOHO_AUTH_TOKEN || config.zohoAuthToken;
 }
 
+/**
+ * Candidate details carried on a triage card button, or null when missing
+ * or malformed
+ */
+function parseCandidate(value) {
+  if (!value) return null;
+  try {
+    return typeof value === "string" ? JSON.parse(value) : value;
+  } catch (e) {
+    return null;
+  }
+}
+
 /**
  * Get emoji for risk severity
  */
@@ -604,5 +1622,6 @@ async function handleMention(message, channel, user) {
 module.exports = {
   handleMessage,
   handleCommand,
+  handleCardAction,
   processComplianceEvent,
 };
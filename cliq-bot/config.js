@@ -1,4 +1,4 @@
-# Compliance Command Center - Bot Configuration
+// Compliance Command Center - Bot Configuration
 module.exports = {
     // Catalyst Configuration
     catalystBaseUrl: process.env.CATALYST_BASE_URL || 'https://your-app.catalyst.zoho.com',
@@ -0,0 +1,276 @@
+/**
+ * Compliance Command Center - Rule-Based Extractor
+ * Deterministic fallback for Zia: applies the keywords and patterns in
+ * zia-skills/compliance-extractor.json and returns the same response shape,
+ * so capture keeps working when Zia is disabled or unreachable
+ */
+
+const extractorConfig = require("../zia-skills/compliance-extractor.json");
+
+const CLASSIFICATIONS = [
+  "compliance_event",
+  "regulation_type",
+  "risk_level",
+  "decision_type",
+];
+
+// A pattern says more than a lone keyword
+const KEYWORD_WEIGHT = 1;
+const PATTERN_WEIGHT = 2;
+
+// Confidence for a weight-1 match, plus this much per extra weight, capped.
+// One keyword lands below the triage thresholds; a pattern or two keywords
+// clears them.
+const BASE_CONFIDENCE = 0.6;
+const CONFIDENCE_STEP = 0.15;
+const MAX_CONFIDENCE = 0.95;
+
+const STAKEHOLDER_TYPES = [
+  { type: "mention", pattern: /@[\w-]+/g, confidence: 0.95 },
+  { type: "channel", pattern: /#[\w-]+/g, confidence: 0.9 },
+  {
+    type: "team",
+    pattern:
+      /\b(legal|security|compliance|engineering|product|marketing|sales) team\b/gi,
+    confidence: 0.9,
+  },
+  {
+    type: "executive",
+    pattern: /\b(CTO|CISO|CPO|CEO|CFO)\b/g,
+    confidence: 0.9,
+  },
+];
+
+// Words that mark a date as a deadline rather than a passing mention
+const DEADLINE_CUE =
+  /\b(by|due(?: on| by)?|before|until|no later than|deadline)\b[\s:]*$/i;
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+/**
+ * Compile the classification entities of an extractor config
+ */
+function compileModel(config = extractorConfig) {
+  const model = {};
+  config.entities
+    .filter((entity) => CLASSIFICATIONS.includes(entity.name))
+    .forEach((entity) => {
+      model[entity.name] = entity.values.map((value) => ({
+        label: value.label,
+        keywords: (value.keywords || []).map(
+          (keyword) => new RegExp(`\\b${escapeRegExp(keyword)}\\b`, "i")
+        ),
+        patterns: (value.patterns || []).map(
+          (pattern) => new RegExp(pattern, "i")
+        ),
+      }));
+    });
+  return { version: config.version, entities: model };
+}
+
+const DEFAULT_MODEL = compileModel();
+
+/**
+ * Extract compliance entities from a message, shaped like a Zia response
+ */
+function extract(text, options = {}) {
+  const started = Date.now();
+  const model = options.model || DEFAULT_MODEL;
+  const now = options.now || new Date();
+  const message = String(text || "");
+
+  const entities = {};
+  CLASSIFICATIONS.forEach((name) => {
+    const match = classify(message, model.entities[name] || []);
+    if (match) entities[name] = match;
+  });
+
+  // Decision type only describes decisions
+  if (
+    entities.decision_type &&
+    (!entities.compliance_event ||
+      entities.compliance_event.value !== "decision")
+  ) {
+    delete entities.decision_type;
+  }
+
+  entities.stakeholders = extractStakeholders(message);
+  entities.deadlines = extractDeadlines(message, now);
+
+  return {
+    entities,
+    confidence: entities.compliance_event
+      ? entities.compliance_event.confidence
+      : 0,
+    metadata: {
+      processing_time_ms: Date.now() - started,
+      model_version: "rules-" + model.version,
+      extractor: "rules",
+    },
+  };
+}
+
+/**
+ * Best-scoring label of one classification; ties go to the label listed
+ * first in the config
+ */
+function classify(text, values) {
+  let best = null;
+
+  values.forEach((value) => {
+    let score = 0;
+    let position = null;
+    const note = (regex, weight) => {
+      const match = regex.exec(text);
+      if (!match) return;
+      score += weight;
+      if (!position || match.index < position[0]) {
+        position = [match.index, match.index + match[0].length];
+      }
+    };
+
+    value.keywords.forEach((regex) => note(regex, KEYWORD_WEIGHT));
+    value.patterns.forEach((regex) => note(regex, PATTERN_WEIGHT));
+
+    if (score > 0 && (!best || score > best.score)) {
+      best = { label: value.label, score, position };
+    }
+  });
+
+  if (!best) return null;
+
+  return {
+    value: best.label,
+    confidence: confidenceFor(best.score),
+    position: best.position,
+  };
+}
+
+function confidenceFor(score) {
+  const confidence = BASE_CONFIDENCE + (score - 1) * CONFIDENCE_STEP;
+  return Math.round(Math.min(confidence, MAX_CONFIDENCE) * 100) / 100;
+}
+
+/**
+ * @mentions, #channels, named teams and executive titles. Generic role words
+ * (lead, officer, manager) are skipped: without context they match ordinary
+ * prose too often.
+ */
+function extractStakeholders(text) {
+  const seen = new Set();
+  const stakeholders = [];
+
+  STAKEHOLDER_TYPES.forEach(({ type, pattern, confidence }) => {
+    for (const match of text.matchAll(pattern)) {
+      const name = match[0];
+      if (seen.has(name.toLowerCase())) continue;
+      // An email address is not a mention
+      if (type === "mention" && /\w$/.test(text.slice(0, match.index))) {
+        continue;
+      }
+      seen.add(name.toLowerCase());
+      stakeholders.push({ name, type, confidence });
+    }
+  });
+
+  return stakeholders;
+}
+
+/**
+ * Dates that read as deadlines: explicit dates anywhere, relative ones
+ * ("tomorrow", "Friday", "end of month") only after "by", "due", "before"...
+ */
+function extractDeadlines(text, now) {
+  const deadlines = [];
+  const add = (date, match, confidence) => {
+    if (!date || isNaN(date.getTime())) return;
+    const iso = date.toISOString().slice(0, 10);
+    if (deadlines.some((d) => d.date === iso)) return;
+    deadlines.push({ date: iso, context: match.trim(), confidence });
+  };
+
+  for (const match of text.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) {
+    add(calendarDate(+match[1], +match[2], +match[3]), match[0], 0.95);
+  }
+
+  // US style month/day/year, as Cliq users mostly write them
+  for (const match of text.matchAll(/\b(\d{1,2})\/(\d{1,2})\/(\d{2,4})\b/g)) {
+    const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+    add(calendarDate(year, +match[1], +match[2]), match[0], 0.9);
+  }
+
+  const relative =
+    /\b(today|tomorrow|next week|next month|end of day|EOD|end of week|end of month|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/gi;
+  for (const match of text.matchAll(relative)) {
+    if (!DEADLINE_CUE.test(text.slice(0, match.index))) continue;
+    add(resolveRelative(match[0].toLowerCase(), now), match[0], 0.85);
+  }
+
+  return deadlines;
+}
+
+function resolveRelative(phrase, now) {
+  const today = utcDate(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate()
+  );
+  const plusDays = (days) => new Date(today.getTime() + days * 86400000);
+
+  switch (phrase) {
+    case "today":
+    case "end of day":
+    case "eod":
+      return today;
+    case "tomorrow":
+      return plusDays(1);
+    case "next week":
+      return plusDays(7);
+    case "next month":
+      return utcDate(
+        today.getUTCFullYear(),
+        today.getUTCMonth() + 1,
+        today.getUTCDate()
+      );
+    case "end of week":
+      return plusDays((5 - today.getUTCDay() + 7) % 7);
+    case "end of month":
+      return utcDate(today.getUTCFullYear(), today.getUTCMonth() + 1, 0);
+    default: {
+      // Next occurrence of a weekday, a week out if it is today
+      const day = WEEKDAYS.indexOf(phrase);
+      return plusDays((day - today.getUTCDay() + 7) % 7 || 7);
+    }
+  }
+}
+
+/**
+ * Helper functions
+ */
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+// A real calendar date (month 1-12), or null for ones like 02/30
+function calendarDate(year, month, day) {
+  const date = utcDate(year, month - 1, day);
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    ? date
+    : null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = {
+  compileModel,
+  extract,
+};
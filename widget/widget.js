@@ -64,12 +64,13 @@ async function loadDashboardData() {
     showLoading(true);
 
     // Fetch data in parallel
-    const [healthData, risksData, actionsData, analyticsData] =
+    const [healthData, risksData, actionsData, analyticsData, slaData] =
       await Promise.all([
         fetchHealthScore(),
         fetchPredictedRisks(),
         fetchPendingActions(),
         fetchAnalytics(),
+        fetchApprovalSla(),
       ]);
 
     // Update UI
@@ -77,6 +78,7 @@ async function loadDashboardData() {
     updateRegulationMatrix(healthData.regulations);
     updateRisksList(risksData.risks);
     updateActionsList(actionsData.actions);
+    updateSlaPanel(slaData);
     updateCharts(analyticsData);
 
     // Update last updated time
@@ -138,7 +140,7 @@ async function fetchPredictedRisks() {
           title: "Approval Process Delay Risk",
           severity: "High",
           probability: 0.75,
-          impact_date: new Date(
+          predicted_impact_date: new Date(
             Date.now() + 3 * 24 * 60 * 60 * 1000
           ).toISOString(),
           affected_teams: ["Legal", "Compliance"],
@@ -153,7 +155,7 @@ async function fetchPredictedRisks() {
           title: "Documentation Gap",
           severity: "Medium",
           probability: 0.55,
-          impact_date: new Date(
+          predicted_impact_date: new Date(
             Date.now() + 5 * 24 * 60 * 60 * 1000
           ).toISOString(),
           affected_teams: ["Compliance Team"],
@@ -247,6 +249,47 @@ async function fetchAnalytics() {
   }
 }
 
+/**
+ * Fetch approval latency and SLA breaches
+ */
+async function fetchApprovalSla() {
+  try {
+    const response = await fetch(
+      `${CONFIG.CATALYST_BASE_URL}/functions/approval-sla?project_id=${CONFIG.PROJECT_ID}&days=30`
+    );
+    const data = await response.json();
+    return data;
+  } catch (error) {
+    console.error("Error fetching approval SLA:", error);
+    // Return mock data
+    return {
+      sla: { default_hours: 48, by_regulation: { GDPR: 24 } },
+      overall: {
+        approvals: 18,
+        median_hours: 14.5,
+        p90_hours: 52,
+        breaches: 3,
+        open_requests: 4,
+        open_breaches: 1,
+      },
+      by_approver: {
+        "Legal Team": { approvals: 7, median_hours: 22, p90_hours: 60 },
+        "Security Lead": { approvals: 11, median_hours: 9, p90_hours: 30 },
+      },
+      breaches: [
+        {
+          status: "open",
+          regulation: "GDPR",
+          team: "product-team",
+          approver: null,
+          hours: 40,
+          target_hours: 24,
+        },
+      ],
+    };
+  }
+}
+
 /**
  * Update health score display
  */
@@ -333,7 +376,7 @@ function updateRisksList(risks) {
     const card = document.createElement("div");
     card.className = `risk-card risk-${risk.severity.toLowerCase()}`;
 
-    const impactDate = new Date(risk.impact_date);
+    const impactDate = new Date(risk.predicted_impact_date);
     const daysAway = Math.ceil(
       (impactDate - new Date()) / (1000 * 60 * 60 * 24)
     );
@@ -406,6 +449,72 @@ function updateActionsList(actions) {
   });
 }
 
+/**
+ * Update approval SLA panel
+ */
+function updateSlaPanel(data) {
+  const container = document.getElementById("slaPanel");
+  container.innerHTML = "";
+
+  const overall = data.overall;
+  if (overall.approvals === 0 && overall.open_requests === 0) {
+    container.innerHTML =
+      '<div class="no-data">No approval requests in the last 30 days</div>';
+    return;
+  }
+
+  const hours = (value) => (value === null ? "n/a" : `${value}h`);
+  const approvers = Object.entries(data.by_approver)
+    .sort(([, a], [, b]) => b.p90_hours - a.p90_hours)
+    .slice(0, 5);
+
+  container.innerHTML = `
+        <div class="sla-metrics">
+            <div class="sla-metric">
+                <span class="metric-label">Median</span>
+                <span class="metric-value">${hours(overall.median_hours)}</span>
+            </div>
+            <div class="sla-metric">
+                <span class="metric-label">P90</span>
+                <span class="metric-value">${hours(overall.p90_hours)}</span>
+            </div>
+            <div class="sla-metric">
+                <span class="metric-label">Target</span>
+                <span class="metric-value">${data.sla.default_hours}h</span>
+            </div>
+            <div class="sla-metric ${overall.breaches + overall.open_breaches > 0 ? "breached" : ""}">
+                <span class="metric-label">Breaches</span>
+                <span class="metric-value">${overall.breaches + overall.open_breaches}</span>
+            </div>
+        </div>
+        <div class="sla-approvers">
+            ${approvers
+              .map(
+                ([name, stats]) => `
+                <div class="sla-row">
+                    <span>👤 ${name}</span>
+                    <span>median ${hours(stats.median_hours)} · p90 ${hours(stats.p90_hours)}</span>
+                </div>
+            `
+              )
+              .join("")}
+        </div>
+        <div class="sla-breaches">
+            ${data.breaches
+              .slice(0, 5)
+              .map(
+                (breach) => `
+                <div class="sla-row overdue">
+                    <span>⚠️ ${breach.regulation} · ${breach.team}</span>
+                    <span>${breach.status === "open" ? "open" : breach.approver} ${hours(breach.hours)} / ${hours(breach.target_hours)}</span>
+                </div>
+            `
+              )
+              .join("")}
+        </div>
+    `;
+}
+
 /**
  * Update charts
  */